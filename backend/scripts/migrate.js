@@ -18,6 +18,7 @@ dotenv.config({ path: join(__dirname, '../.env') })
 // Import models
 import User from '../src/models/User.js'
 import Task from '../src/models/Task.js'
+import Board, { DEFAULT_COLUMNS } from '../src/models/Board.js'
 
 const MIGRATION_VERSION_KEY = 'migration_version'
 
@@ -41,6 +42,30 @@ class MigrationRunner {
         name: 'optimize_indexes',
         description: 'Optimize database indexes for performance',
         up: this.migration_003_optimize_indexes.bind(this)
+      },
+      {
+        version: 4,
+        name: 'add_task_priorities',
+        description: 'Backfill priority on existing tasks',
+        up: this.migration_004_add_task_priorities.bind(this)
+      },
+      {
+        version: 5,
+        name: 'add_task_boards',
+        description: 'Move existing tasks onto a default board per user',
+        up: this.migration_005_add_task_boards.bind(this)
+      },
+      {
+        version: 6,
+        name: 'add_board_columns',
+        description: 'Give existing boards the default workflow columns',
+        up: this.migration_006_add_board_columns.bind(this)
+      },
+      {
+        version: 7,
+        name: 'verify_existing_emails',
+        description: 'Treat accounts created before email verification as verified',
+        up: this.migration_007_verify_existing_emails.bind(this)
       }
     ]
   }
@@ -186,6 +211,71 @@ class MigrationRunner {
     console.log('   ✅ Database indexes optimized')
   }
 
+  // Migration 004: Backfill task priorities
+  async migration_004_add_task_priorities() {
+    console.log('   Backfilling priority on existing tasks...')
+    
+    const result = await Task.updateMany(
+      { priority: { $exists: false } },
+      { $set: { priority: 'medium' } }
+    )
+    
+    await Task.collection.createIndex({ userId: 1, priority: 1 })
+    
+    console.log(`   ✅ Set default priority on ${result.modifiedCount} tasks`)
+  }
+
+  // Migration 005: Move tasks onto default boards
+  async migration_005_add_task_boards() {
+    console.log('   Moving existing tasks onto default boards...')
+    
+    const unassigned = { $or: [{ boardId: { $exists: false } }, { boardId: null }] }
+    const userIds = await Task.distinct('userId', unassigned)
+    let movedCount = 0
+    
+    // Each user's tasks go to their oldest board, which is created if missing
+    for (const userId of userIds) {
+      const board = await Board.findOrCreateDefault(userId)
+      const result = await Task.updateMany(
+        { userId, ...unassigned },
+        { $set: { boardId: board._id } }
+      )
+      movedCount += result.modifiedCount
+    }
+    
+    await Task.collection.createIndex({ boardId: 1, status: 1, position: 1 })
+    await Board.collection.createIndex({ userId: 1, createdAt: 1 })
+    
+    console.log(`   ✅ Moved ${movedCount} tasks onto boards for ${userIds.length} users`)
+  }
+
+  // Migration 006: Default columns for existing boards
+  async migration_006_add_board_columns() {
+    console.log('   Adding default columns to existing boards...')
+    
+    // Written through the collection since mongoose only fills defaults in memory
+    const boards = await Board.collection.find({ columns: { $exists: false } }).toArray()
+    
+    for (const board of boards) {
+      const columns = DEFAULT_COLUMNS.map(column => ({ _id: new mongoose.Types.ObjectId(), ...column }))
+      await Board.collection.updateOne({ _id: board._id }, { $set: { columns } })
+    }
+    
+    console.log(`   ✅ Added default columns to ${boards.length} boards`)
+  }
+
+  // Migration 007: Grandfather existing accounts into email verification
+  async migration_007_verify_existing_emails() {
+    console.log('   Marking existing accounts as verified...')
+    
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    )
+    
+    console.log(`   ✅ Marked ${result.modifiedCount} existing accounts as verified`)
+  }
+
   async checkDatabaseHealth() {
     console.log('\n🏥 Performing database health check...')
     
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect provider for trying out and testing single sign-on.
+ *
+ * It approves every authorization request straight away for one configurable
+ * user, checks PKCE and client credentials at the token endpoint, and signs ID
+ * tokens with a fresh RSA key. Never use it outside development.
+ *
+ *   node scripts/mock-oidc-provider.js
+ *
+ * then point the backend at it:
+ *
+ *   OIDC_ISSUER=http://127.0.0.1:4000
+ *   OIDC_CLIENT_ID=task-manager
+ *   OIDC_REDIRECT_URI=http://localhost:3000/sso/callback
+ */
+
+import crypto from 'crypto'
+import express from 'express'
+import jwt from 'jsonwebtoken'
+
+const CODE_TTL_MS = 60 * 1000
+
+export const createMockOidcProvider = ({
+  clientId = 'task-manager',
+  clientSecret = null,
+  claims = {
+    sub: 'mock-user-1',
+    email: 'sso.user@example.com',
+    email_verified: true,
+    preferred_username: 'sso_user',
+    name: 'SSO User'
+  }
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const kid = crypto.randomBytes(8).toString('hex')
+  const codes = new Map()
+  const accessTokens = new Map()
+  let issuer = null
+  let server = null
+
+  const provider = {
+    clientId,
+    clientSecret,
+    claims,
+    // Overrides for the next ID tokens, to simulate a misbehaving provider
+    idTokenOverrides: {},
+    get issuer() {
+      return issuer
+    }
+  }
+
+  const sign = (payload) => jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid })
+  provider.signIdToken = sign
+
+  const app = express()
+  app.use(express.urlencoded({ extended: false }))
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'none']
+    })
+  })
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] })
+  })
+
+  // Log the configured user straight in and send the browser back with a code
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query
+    if (requestClientId !== clientId || !redirectUri || req.query.code_challenge_method !== 'S256' || !codeChallenge) {
+      return res.status(400).json({ error: 'invalid_request' })
+    }
+
+    const code = crypto.randomBytes(16).toString('hex')
+    codes.set(code, { redirectUri, nonce, codeChallenge, expiresAt: Date.now() + CODE_TTL_MS })
+
+    const location = new URL(redirectUri)
+    location.searchParams.set('code', code)
+    if (state) location.searchParams.set('state', state)
+    res.redirect(location.toString())
+  })
+
+  app.post('/token', (req, res) => {
+    const basic = (req.headers.authorization || '').match(/^Basic (.+)$/)
+    const [requestClientId, requestSecret] = basic
+      ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+      : [req.body.client_id, req.body.client_secret]
+    if (requestClientId !== clientId || (clientSecret && requestSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' })
+    }
+
+    const grant = codes.get(req.body.code)
+    codes.delete(req.body.code)
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' })
+    }
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url')
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' })
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    const accessToken = crypto.randomBytes(16).toString('hex')
+    accessTokens.set(accessToken, { ...provider.claims })
+
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      id_token: sign({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        ...provider.claims,
+        ...provider.idTokenOverrides
+      })
+    })
+  })
+
+  app.get('/userinfo', (req, res) => {
+    const userInfo = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''))
+    if (!userInfo) {
+      return res.status(401).json({ error: 'invalid_token' })
+    }
+    res.json(userInfo)
+  })
+
+  // Listen on the given port (0 picks a free one); resolves to the issuer URL
+  provider.start = (port = 0) => new Promise((resolve) => {
+    server = app.listen(port, '127.0.0.1', () => {
+      issuer = `http://127.0.0.1:${server.address().port}`
+      resolve(issuer)
+    })
+  })
+
+  provider.stop = () => new Promise((resolve) => {
+    server ? server.close(() => resolve()) : resolve()
+  })
+
+  return provider
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && process.argv[1].endsWith('mock-oidc-provider.js')) {
+  const provider = createMockOidcProvider({
+    clientId: process.env.OIDC_CLIENT_ID || 'task-manager',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    claims: {
+      sub: process.env.MOCK_OIDC_SUBJECT || 'mock-user-1',
+      email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+      email_verified: true,
+      preferred_username: process.env.MOCK_OIDC_USERNAME || 'sso_user',
+      name: 'SSO User'
+    }
+  })
+
+  provider.start(parseInt(process.env.MOCK_OIDC_PORT) || 4000).then((issuer) => {
+    console.log(`Mock OpenID Connect provider running at ${issuer}`)
+    console.log(`Set OIDC_ISSUER=${issuer} and OIDC_CLIENT_ID=${provider.clientId} for the backend`)
+  })
+}
@@ -0,0 +1,117 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import User from '../../models/User.js'
+import SecurityEvent from '../../models/SecurityEvent.js'
+import adminRoutes from '../../routes/admin.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/admin', adminRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Admin Controller', () => {
+  let mongoServer
+  let adminUser
+  let lockedUser
+  let adminToken
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await User.deleteMany({})
+    await SecurityEvent.deleteMany({})
+
+    adminUser = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    })
+    lockedUser = await User.create({
+      username: 'lockeduser',
+      email: 'locked@example.com',
+      password: 'password123',
+      failedLoginAttempts: 5,
+      lockedUntil: new Date(Date.now() + 15 * 60 * 1000)
+    })
+
+    adminToken = generateTokens(adminUser._id.toString()).accessToken
+  })
+
+  describe('POST /api/admin/users/:id/unlock', () => {
+    it('should unlock the account and record who did it', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${lockedUser._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+
+      const user = await User.findById(lockedUser._id).select('+failedLoginAttempts +lockedUntil')
+      expect(user.failedLoginAttempts).toBe(0)
+      expect(user.isLocked()).toBe(false)
+
+      const event = await SecurityEvent.findOne({ userId: lockedUser._id })
+      expect(event.type).toBe('account-unlocked')
+      expect(event.details).toEqual({ method: 'admin', adminId: adminUser._id.toString() })
+    })
+
+    it('should return 404 for an unknown user', async () => {
+      const response = await request(app)
+        .post(`/api/admin/users/${new mongoose.Types.ObjectId()}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('USER_NOT_FOUND')
+    })
+
+    it('should be refused to users who are not admins', async () => {
+      const userToken = generateTokens(lockedUser._id.toString()).accessToken
+
+      const response = await request(app)
+        .post(`/api/admin/users/${lockedUser._id}/unlock`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403)
+
+      expect(response.body.error.code).toBe('ADMIN_REQUIRED')
+    })
+  })
+
+  describe('GET /api/admin/users/:id/security-events', () => {
+    it('should return the lockout state and recent events', async () => {
+      await SecurityEvent.create([
+        { userId: lockedUser._id, type: 'login-failed', ip: '10.0.0.1' },
+        { userId: lockedUser._id, type: 'account-locked', ip: '10.0.0.1' },
+        { userId: adminUser._id, type: 'login', ip: '10.0.0.2' }
+      ])
+
+      const response = await request(app)
+        .get(`/api/admin/users/${lockedUser._id}/security-events`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.data.failedLoginAttempts).toBe(5)
+      expect(response.body.data.lockedUntil).toBeDefined()
+      expect(response.body.data.user.lockedUntil).toBeUndefined()
+      expect(response.body.data.events.map(event => event.type).sort()).toEqual(['account-locked', 'login-failed'])
+    })
+  })
+})
@@ -0,0 +1,180 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Attachment from '../../models/Attachment.js'
+import Task from '../../models/Task.js'
+import User from '../../models/User.js'
+import taskRoutes from '../../routes/tasks.js'
+import { createLocalStorage, setStorage } from '../../storage/index.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/tasks', taskRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Attachment Controller', () => {
+  let mongoServer
+  let uploadDir
+  let storage
+  let testUser
+  let authToken
+  let task
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'))
+    storage = createLocalStorage({ rootDir: uploadDir })
+    setStorage(storage)
+  })
+
+  afterAll(async () => {
+    setStorage(null)
+    await fs.promises.rm(uploadDir, { recursive: true, force: true })
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Attachment.deleteMany({})
+    await Task.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+
+    task = await Task.create({ title: 'Needs a spec', userId: testUser._id })
+  })
+
+  const upload = (buffer, filename, contentType, taskId = task._id) => request(app)
+    .post(`/api/tasks/${taskId}/attachments`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .attach('file', buffer, { filename, contentType })
+
+  describe('POST /api/tasks/:id/attachments', () => {
+    it('should store the file and return its metadata', async () => {
+      const response = await upload(Buffer.from('%PDF-1.4'), 'spec.pdf', 'application/pdf').expect(201)
+
+      expect(response.body.data.attachment).toMatchObject({
+        originalName: 'spec.pdf',
+        mimeType: 'application/pdf',
+        size: 8
+      })
+      // Storage internals are never exposed
+      expect(response.body.data.attachment.storageKey).toBeUndefined()
+
+      const attachment = await Attachment.findById(response.body.data.attachment._id)
+      expect(await storage.exists(attachment.storageKey)).toBe(true)
+    })
+
+    it('should reject unsupported file types', async () => {
+      const response = await upload(Buffer.from('MZ'), 'tool.exe', 'application/x-msdownload').expect(400)
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE')
+      expect(await Attachment.countDocuments()).toBe(0)
+    })
+
+    it('should not allow uploads to another user\'s task', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const otherTask = await Task.create({ title: 'Private', userId: otherUser._id })
+
+      await upload(Buffer.from('hi'), 'hi.txt', 'text/plain', otherTask._id).expect(404)
+    })
+  })
+
+  describe('GET /api/tasks/:id/attachments', () => {
+    it('should list the task attachments', async () => {
+      await upload(Buffer.from('one'), 'one.txt', 'text/plain').expect(201)
+      await upload(Buffer.from('two'), 'two.png', 'image/png').expect(201)
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/attachments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.attachments.map(a => a.originalName)).toEqual(['one.txt', 'two.png'])
+    })
+  })
+
+  describe('GET /api/tasks/:id/attachments/:attachmentId', () => {
+    it('should stream the file as a download', async () => {
+      const created = await upload(Buffer.from('hello'), 'hello.txt', 'text/plain').expect(201)
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/attachments/${created.body.data.attachment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain/)
+      expect(response.headers['content-disposition']).toMatch(/^attachment;/)
+      expect(response.text).toBe('hello')
+    })
+
+    it('should serve images inline when previewing', async () => {
+      const created = await upload(Buffer.from('png'), 'shot.png', 'image/png').expect(201)
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/attachments/${created.body.data.attachment._id}?inline=true`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.headers['content-disposition']).toMatch(/^inline;/)
+    })
+
+    it('should require authentication', async () => {
+      const created = await upload(Buffer.from('hello'), 'hello.txt', 'text/plain').expect(201)
+
+      await request(app)
+        .get(`/api/tasks/${task._id}/attachments/${created.body.data.attachment._id}`)
+        .expect(401)
+    })
+  })
+
+  describe('DELETE /api/tasks/:id/attachments/:attachmentId', () => {
+    it('should delete the record and the stored file', async () => {
+      const created = await upload(Buffer.from('bye'), 'bye.txt', 'text/plain').expect(201)
+      const { storageKey } = await Attachment.findById(created.body.data.attachment._id)
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/attachments/${created.body.data.attachment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(await Attachment.countDocuments()).toBe(0)
+      expect(await storage.exists(storageKey)).toBe(false)
+    })
+
+    it('should remove attachments when the task is deleted', async () => {
+      await upload(Buffer.from('bye'), 'bye.txt', 'text/plain').expect(201)
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(await Attachment.countDocuments({ taskId: task._id })).toBe(0)
+    })
+  })
+})
@@ -3,13 +3,22 @@ import { MongoMemoryServer } from 'mongodb-memory-server'
 import request from 'supertest'
 import express from 'express'
 import User from '../../models/User.js'
-import authRoutes from '../../routes/auth.js'
+import Session from '../../models/Session.js'
+import AuthToken from '../../models/AuthToken.js'
+import SecurityEvent from '../../models/SecurityEvent.js'
+import authRoutes, { passwordResetLimiter } from '../../routes/auth.js'
 import { generateRefreshToken } from '../../utils/jwt.js'
+import { generateCode, getTimeStep } from '../../utils/totp.js'
+import { setMailer } from '../../mailer/index.js'
 import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
 
 let mongoServer
 let app
 
+// Emails are captured instead of sent
+const sentMail = []
+const tokenFromMail = () => sentMail[sentMail.length - 1].text.match(/([0-9a-f]{64})/)[1]
+
 // Mock environment variables
 const originalEnv = process.env
 beforeAll(async () => {
@@ -29,9 +38,12 @@ beforeAll(async () => {
   // Add error handling middleware
   app.all('*', notFoundHandler)
   app.use(globalErrorHandler)
+
+  setMailer({ name: 'memory', send: async (message) => { sentMail.push(message); return { id: String(sentMail.length) } } })
 })
 
 afterAll(async () => {
+  setMailer(null)
   process.env = originalEnv
   await mongoose.disconnect()
   await mongoServer.stop()
@@ -39,6 +51,10 @@ afterAll(async () => {
 
 afterEach(async () => {
   await User.deleteMany({})
+  await Session.deleteMany({})
+  await AuthToken.deleteMany({})
+  await SecurityEvent.deleteMany({})
+  sentMail.length = 0
 })
 
 describe('Auth Controller', () => {
@@ -48,6 +64,11 @@ describe('Auth Controller', () => {
     password: 'password123'
   }
 
+  // Reset emails are limited per address across requests, so each test starts afresh
+  afterEach(() => {
+    passwordResetLimiter.resetKey(validUserData.email)
+  })
+
   describe('POST /api/auth/register', () => {
     test('should register a new user with valid data', async () => {
       const response = await request(app)
@@ -236,6 +257,28 @@ describe('Auth Controller', () => {
       expect(response.body.success).toBe(true)
       expect(response.body.data.message).toBe('Logged out successfully')
     })
+
+    test('should revoke the session of the given refresh token', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData)
+      const { refreshToken } = registerResponse.body.data
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken })
+        .expect(200)
+
+      const session = await Session.findOne({})
+      expect(session.revokedReason).toBe('logout')
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401)
+
+      expect(response.body.error.code).toBe('SESSION_REVOKED')
+    })
   })
 
   describe('GET /api/auth/verify', () => {
@@ -347,6 +390,71 @@ describe('Auth Controller', () => {
       expect(response.body.error.code).toBe('INVALID_TOKEN_TYPE')
     })
 
+    test('should record a session per login with device and IP', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'test-agent')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(200)
+
+      const sessions = await Session.find({ userId: user._id }).sort({ createdAt: 1 })
+
+      expect(sessions).toHaveLength(2)
+      expect(sessions[1].userAgent).toBe('test-agent')
+      expect(sessions[1].ip).toBeTruthy()
+      expect(sessions[1].expiresAt.getTime()).toBeGreaterThan(Date.now())
+    })
+
+    test('should rotate the refresh token on every refresh', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200)
+
+      const rotatedToken = first.body.data.refreshToken
+      expect(rotatedToken).not.toBe(refreshToken)
+
+      const second = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotatedToken })
+        .expect(200)
+
+      expect(second.body.data.refreshToken).not.toBe(rotatedToken)
+      expect(await Session.countDocuments({ userId: user._id })).toBe(1)
+    })
+
+    test('should revoke the whole session when a rotated token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200)
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401)
+
+      expect(reuse.body.error.code).toBe('REFRESH_TOKEN_REUSED')
+      expect((await Session.findOne({ userId: user._id })).revokedReason).toBe('reuse')
+
+      // The legitimate holder's latest token is revoked along with it
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401)
+
+      expect(response.body.error.code).toBe('SESSION_REVOKED')
+    })
+
+    test('should reject refresh tokens without a session', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: generateRefreshToken(user._id.toString()) })
+        .expect(401)
+
+      expect(response.body.error.code).toBe('SESSION_REVOKED')
+    })
+
     test('should reject refresh token for deleted user', async () => {
       // Delete the user
       await User.findByIdAndDelete(user._id)
@@ -360,4 +468,595 @@ describe('Auth Controller', () => {
       expect(response.body.error.code).toBe('USER_NOT_FOUND')
     })
   })
-})
\ No newline at end of file
+
+  describe('Session management', () => {
+    let firstLogin
+    let secondLogin
+
+    const login = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: validUserData.email, password: validUserData.password })
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      await Session.deleteMany({})
+
+      firstLogin = (await login('laptop')).body.data
+      secondLogin = (await login('phone')).body.data
+    })
+
+    test('should list active sessions and flag the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${firstLogin.accessToken}`)
+        .expect(200)
+
+      const { sessions } = response.body.data
+      expect(sessions).toHaveLength(2)
+      expect(sessions.find(session => session.current).userAgent).toBe('laptop')
+      expect(sessions[0].tokenId).toBeUndefined()
+    })
+
+    test('should revoke another session and reject its tokens', async () => {
+      const phone = await Session.findOne({ userAgent: 'phone' })
+
+      await request(app)
+        .delete(`/api/auth/sessions/${phone._id}`)
+        .set('Authorization', `Bearer ${firstLogin.accessToken}`)
+        .expect(200)
+
+      const verify = await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', `Bearer ${secondLogin.accessToken}`)
+        .expect(401)
+      expect(verify.body.error.code).toBe('SESSION_REVOKED')
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: secondLogin.refreshToken })
+        .expect(401)
+      expect(refresh.body.error.code).toBe('SESSION_REVOKED')
+    })
+
+    test('should not revoke sessions of other users', async () => {
+      const phone = await Session.findOne({ userAgent: 'phone' })
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'otheruser', email: 'other@example.com', password: 'password123' })
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${phone._id}`)
+        .set('Authorization', `Bearer ${other.body.data.accessToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND')
+    })
+
+    test('should sign out everywhere else', async () => {
+      await login('tablet')
+
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${firstLogin.accessToken}`)
+        .expect(200)
+
+      expect(response.body.data.revokedCount).toBe(2)
+      const active = await Session.find({ revokedAt: null })
+      expect(active.map(session => session.userAgent)).toEqual(['laptop'])
+    })
+  })
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      sentMail.length = 0
+    })
+
+    test('should email a reset link to registered addresses', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: validUserData.email })
+        .expect(200)
+
+      expect(response.body.success).toBe(true)
+      expect(sentMail).toHaveLength(1)
+      expect(sentMail[0].to).toBe(validUserData.email)
+
+      // Only the hash of the token is stored
+      const stored = await AuthToken.findOne({ type: 'password-reset' })
+      expect(stored.tokenHash).not.toBe(tokenFromMail())
+    })
+
+    test('should answer the same for unknown addresses without sending mail', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: validUserData.email })
+      sentMail.length = 0
+
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200)
+
+      expect(unknown.body).toEqual(known.body)
+      expect(sentMail).toHaveLength(0)
+    })
+
+    test('should reset the password once and sign out every session', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email })
+      const token = tokenFromMail()
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword456' })
+        .expect(200)
+
+      expect(await Session.countDocuments({ revokedAt: null })).toBe(0)
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: 'newpassword456' })
+        .expect(200)
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword789' })
+        .expect(400)
+      expect(reuse.body.error.code).toBe('INVALID_RESET_TOKEN')
+    })
+
+    test('should only honour the most recent reset link', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email })
+      const firstToken = tokenFromMail()
+      await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email })
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, password: 'newpassword456' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN')
+    })
+
+    test('should rate limit reset emails per address', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email }).expect(200)
+      }
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: validUserData.email })
+        .expect(429)
+
+      expect(response.body.error.code).toBe('PASSWORD_RESET_RATE_LIMIT_EXCEEDED')
+      expect(sentMail).toHaveLength(3)
+    })
+
+    test('should reject expired reset tokens', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email })
+      await AuthToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) })
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFromMail(), password: 'newpassword456' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN')
+    })
+  })
+
+  describe('Email verification', () => {
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION
+    })
+
+    test('should email a verification link at signup', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData)
+        .expect(201)
+
+      expect(response.body.data.user.emailVerified).toBe(false)
+      expect(sentMail).toHaveLength(1)
+      expect(sentMail[0].to).toBe(validUserData.email)
+      expect(sentMail[0].text).toContain('/verify-email/')
+    })
+
+    test('should verify the email with the emailed token once', async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      const token = tokenFromMail()
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(200)
+
+      expect(response.body.data.user.emailVerified).toBe(true)
+      expect((await User.findOne({ email: validUserData.email })).emailVerified).toBe(true)
+
+      const reuse = await request(app)
+        .get(`/api/auth/verify-email/${token}`)
+        .expect(400)
+      expect(reuse.body.error.code).toBe('INVALID_VERIFICATION_TOKEN')
+    })
+
+    test('should resend the link only to unverified accounts', async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      const firstToken = tokenFromMail()
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: validUserData.email })
+        .expect(200)
+
+      expect(sentMail).toHaveLength(2)
+      // The earlier link stops working
+      await request(app).get(`/api/auth/verify-email/${firstToken}`).expect(400)
+      await request(app).get(`/api/auth/verify-email/${tokenFromMail()}`).expect(200)
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: validUserData.email })
+        .expect(200)
+      expect(sentMail).toHaveLength(2)
+    })
+
+    test('should rate limit resending per address', async () => {
+      const email = 'flood@example.com'
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/api/auth/resend-verification').send({ email }).expect(200)
+      }
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email })
+        .expect(429)
+
+      expect(response.body.error.code).toBe('VERIFICATION_RATE_LIMIT_EXCEEDED')
+    })
+
+    test('should block unverified logins when verification is required', async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true'
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(403)
+
+      expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED')
+
+      await request(app).get(`/api/auth/verify-email/${tokenFromMail()}`).expect(200)
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(200)
+    })
+
+    test('should not sign in new accounts until they are verified', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true'
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData)
+        .expect(201)
+
+      expect(response.body.data.verificationRequired).toBe(true)
+      expect(response.body.data.user.email).toBe(validUserData.email)
+      expect(response.body.data.accessToken).toBeUndefined()
+      expect(response.body.data.refreshToken).toBeUndefined()
+      expect(await Session.countDocuments()).toBe(0)
+      expect(sentMail).toHaveLength(1)
+    })
+
+    test('should not refresh sessions of unverified users when verification is required', async () => {
+      const registered = await request(app).post('/api/auth/register').send(validUserData)
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true'
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: registered.body.data.refreshToken })
+        .expect(403)
+
+      expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED')
+    })
+  })
+
+  describe('Two-factor authentication', () => {
+    const credentials = { email: validUserData.email, password: validUserData.password }
+    // Enrollment uses the current step, so later logins need the next one
+    const nextCode = (secret) => generateCode(secret, getTimeStep() + 1)
+
+    // Register and enable two-factor authentication, returning what the user would keep
+    const enrollUser = async () => {
+      const registered = await request(app).post('/api/auth/register').send(validUserData)
+      const accessToken = registered.body.data.accessToken
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200)
+      const { secret } = setup.body.data
+
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: generateCode(secret) })
+        .expect(200)
+
+      return { accessToken, secret, recoveryCodes: enabled.body.data.recoveryCodes }
+    }
+
+    const startLogin = async () => {
+      const response = await request(app).post('/api/auth/login').send(credentials).expect(200)
+      return response.body.data
+    }
+
+    test('should provide a provisioning URI during setup', async () => {
+      const registered = await request(app).post('/api/auth/register').send(validUserData)
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${registered.body.data.accessToken}`)
+        .expect(200)
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]{32}$/)
+      expect(response.body.data.otpauthUri).toContain(`secret=${response.body.data.secret}`)
+      expect(response.body.data.otpauthUri).toContain(encodeURIComponent(validUserData.email))
+
+      const user = await User.findOne({ email: validUserData.email })
+      expect(user.twoFactorEnabled).toBe(false)
+    })
+
+    test('should enable two-factor authentication with hashed recovery codes', async () => {
+      const { recoveryCodes } = await enrollUser()
+
+      expect(recoveryCodes).toHaveLength(10)
+
+      const user = await User.findOne({ email: validUserData.email }).select('+twoFactorRecoveryCodes')
+      expect(user.twoFactorEnabled).toBe(true)
+      expect(user.twoFactorRecoveryCodes).toHaveLength(10)
+      expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0])
+      expect(user.toJSON().twoFactorRecoveryCodes).toBeUndefined()
+    })
+
+    test('should reject enabling with a wrong code', async () => {
+      const registered = await request(app).post('/api/auth/register').send(validUserData)
+      const accessToken = registered.body.data.accessToken
+      await request(app).post('/api/auth/2fa/setup').set('Authorization', `Bearer ${accessToken}`)
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: '000000' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_TWO_FACTOR_CODE')
+    })
+
+    test('should return a challenge instead of tokens on login', async () => {
+      await enrollUser()
+
+      const data = await startLogin()
+
+      expect(data.mfaRequired).toBe(true)
+      expect(data.mfaToken).toBeDefined()
+      expect(data.accessToken).toBeUndefined()
+      expect(data.refreshToken).toBeUndefined()
+    })
+
+    test('should not accept the challenge token as an access token', async () => {
+      await enrollUser()
+      const { mfaToken } = await startLogin()
+
+      await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .expect(401)
+    })
+
+    test('should complete login with a valid code, but only once per code', async () => {
+      const { secret } = await enrollUser()
+      const { mfaToken } = await startLogin()
+      const code = nextCode(secret)
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code })
+        .expect(200)
+
+      expect(response.body.data.accessToken).toBeDefined()
+      expect(response.body.data.refreshToken).toBeDefined()
+      expect(response.body.data.user.twoFactorEnabled).toBe(true)
+
+      const replay = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code })
+        .expect(401)
+
+      expect(replay.body.error.code).toBe('INVALID_TWO_FACTOR_CODE')
+    })
+
+    test('should reject a wrong code or an invalid challenge token', async () => {
+      await enrollUser()
+      const { mfaToken } = await startLogin()
+
+      const wrongCode = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code: '000000' })
+        .expect(401)
+      expect(wrongCode.body.error.code).toBe('INVALID_TWO_FACTOR_CODE')
+
+      const refreshToken = generateRefreshToken(new mongoose.Types.ObjectId().toString())
+      const wrongToken = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken: refreshToken, code: '000000' })
+        .expect(401)
+      expect(wrongToken.body.error.code).toBe('INVALID_MFA_TOKEN')
+    })
+
+    test('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enrollUser()
+      const { mfaToken } = await startLogin()
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code: recoveryCodes[0].toUpperCase() })
+        .expect(200)
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code: recoveryCodes[0] })
+        .expect(401)
+
+      const user = await User.findOne({ email: validUserData.email }).select('+twoFactorRecoveryCodes')
+      expect(user.twoFactorRecoveryCodes).toHaveLength(9)
+    })
+
+    test('should disable two-factor authentication with password and code', async () => {
+      const { accessToken, secret } = await enrollUser()
+
+      const wrongPassword = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'wrongpassword', code: nextCode(secret) })
+        .expect(400)
+      expect(wrongPassword.body.error.code).toBe('INVALID_PASSWORD')
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: validUserData.password, code: nextCode(secret) })
+        .expect(200)
+
+      expect(response.body.data.user.twoFactorEnabled).toBe(false)
+
+      const data = await startLogin()
+      expect(data.mfaRequired).toBeUndefined()
+      expect(data.accessToken).toBeDefined()
+    })
+
+    test('should not start setup when already enabled', async () => {
+      const { accessToken } = await enrollUser()
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_ALREADY_ENABLED')
+    })
+  })
+
+  describe('Account lockout', () => {
+    const wrongCredentials = { email: validUserData.email, password: 'wrongpassword' }
+    const credentials = { email: validUserData.email, password: validUserData.password }
+
+    // Fail the default threshold of five logins, locking the account
+    const lockAccount = async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app).post('/api/auth/login').send(wrongCredentials).expect(401)
+      }
+      return request(app).post('/api/auth/login').send(wrongCredentials).expect(423)
+    }
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(validUserData)
+      sentMail.length = 0
+    })
+
+    test('should lock the account after repeated failures and email an unlock link', async () => {
+      const response = await lockAccount()
+
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED')
+      expect(new Date(response.body.error.details.lockedUntil).getTime()).toBeGreaterThan(Date.now())
+      expect(sentMail).toHaveLength(1)
+      expect(sentMail[0].to).toBe(validUserData.email)
+      expect(sentMail[0].text).toContain('/unlock-account/')
+    })
+
+    test('should refuse the correct password while locked', async () => {
+      await lockAccount()
+
+      const response = await request(app).post('/api/auth/login').send(credentials).expect(423)
+
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED')
+    })
+
+    test('should double the lock for each failure after it lifts', async () => {
+      await lockAccount()
+      const user = await User.findOne({ email: validUserData.email }).select('+lockedUntil')
+      const firstLock = user.lockedUntil.getTime() - Date.now()
+      await User.updateOne({ _id: user._id }, { lockedUntil: new Date(Date.now() - 1000) })
+
+      await request(app).post('/api/auth/login').send(wrongCredentials).expect(423)
+
+      const relocked = await User.findOne({ email: validUserData.email }).select('+lockedUntil')
+      const secondLock = relocked.lockedUntil.getTime() - Date.now()
+      expect(secondLock).toBeGreaterThan(firstLock * 1.9)
+    })
+
+    test('should reset the failure count after a successful login', async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app).post('/api/auth/login').send(wrongCredentials).expect(401)
+      }
+      await request(app).post('/api/auth/login').send(credentials).expect(200)
+
+      await request(app).post('/api/auth/login').send(wrongCredentials).expect(401)
+
+      const user = await User.findOne({ email: validUserData.email }).select('+failedLoginAttempts')
+      expect(user.failedLoginAttempts).toBe(1)
+    })
+
+    test('should unlock the account with the emailed link', async () => {
+      await lockAccount()
+
+      const response = await request(app)
+        .get(`/api/auth/unlock-account/${tokenFromMail()}`)
+        .expect(200)
+
+      expect(response.body.data.message).toContain('unlocked')
+      await request(app).post('/api/auth/login').send(credentials).expect(200)
+    })
+
+    test('should reject an unknown unlock link', async () => {
+      const response = await request(app)
+        .get(`/api/auth/unlock-account/${'a'.repeat(64)}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_UNLOCK_TOKEN')
+    })
+
+    test('should record security events visible to the user', async () => {
+      await lockAccount()
+      await request(app).get(`/api/auth/unlock-account/${tokenFromMail()}`).expect(200)
+      const login = await request(app).post('/api/auth/login').send(credentials).expect(200)
+
+      const response = await request(app)
+        .get('/api/auth/security-events')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .expect(200)
+
+      const types = response.body.data.events.map(event => event.type)
+      expect(types).toContain('login')
+      expect(types.filter(type => type === 'login-failed')).toHaveLength(5)
+      expect(types).toContain('account-locked')
+      expect(types).toContain('account-unlocked')
+    })
+
+    test('should lift the lockout when the password is reset', async () => {
+      await lockAccount()
+      await request(app).post('/api/auth/forgot-password').send({ email: validUserData.email })
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFromMail(), password: 'newpassword123' })
+        .expect(200)
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: 'newpassword123' })
+        .expect(200)
+    })
+  })
+})
@@ -0,0 +1,330 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Board from '../../models/Board.js'
+import Task from '../../models/Task.js'
+import Comment from '../../models/Comment.js'
+import User from '../../models/User.js'
+import boardRoutes from '../../routes/boards.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/boards', boardRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Board Controller', () => {
+  let mongoServer
+  let testUser
+  let authToken
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Board.deleteMany({})
+    await Task.deleteMany({})
+    await Comment.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+  })
+
+  describe('GET /api/boards', () => {
+    it('should create a default board for users without one', async () => {
+      const response = await request(app)
+        .get('/api/boards')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.boards).toHaveLength(1)
+      expect(response.body.data.boards[0].name).toBe('My Task Board')
+      expect(await Board.countDocuments({ userId: testUser._id })).toBe(1)
+    })
+
+    it('should return only the user\'s boards, oldest first', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+
+      await Board.create({ name: 'First', userId: testUser._id })
+      await Board.create({ name: 'Second', userId: testUser._id })
+      await Board.create({ name: 'Private', userId: otherUser._id })
+
+      const response = await request(app)
+        .get('/api/boards')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.boards.map(board => board.name)).toEqual(['First', 'Second'])
+    })
+  })
+
+  describe('GET /api/boards/:id', () => {
+    it('should not expose another user\'s board', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const board = await Board.create({ name: 'Private', userId: otherUser._id })
+
+      const response = await request(app)
+        .get(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('BOARD_NOT_FOUND')
+    })
+  })
+
+  describe('POST /api/boards', () => {
+    it('should create a board', async () => {
+      const response = await request(app)
+        .post('/api/boards')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Side project', description: 'Weekend work' })
+        .expect(201)
+
+      expect(response.body.data.board).toMatchObject({
+        name: 'Side project',
+        description: 'Weekend work'
+      })
+    })
+
+    it('should require a name', async () => {
+      const response = await request(app)
+        .post('/api/boards')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'Nameless' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+  })
+
+  describe('PUT /api/boards/:id', () => {
+    it('should rename a board', async () => {
+      const board = await Board.create({ name: 'Work', userId: testUser._id })
+
+      const response = await request(app)
+        .put(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Day job' })
+        .expect(200)
+
+      expect(response.body.data.board.name).toBe('Day job')
+    })
+  })
+
+  describe('DELETE /api/boards/:id', () => {
+    it('should delete the board with its tasks and their comments', async () => {
+      await Board.create({ name: 'Keep', userId: testUser._id })
+      const board = await Board.create({ name: 'Drop', userId: testUser._id })
+      const task = await Task.create({ title: 'Gone', userId: testUser._id, boardId: board._id })
+      await Comment.create({ taskId: task._id, userId: testUser._id, body: 'Also gone' })
+
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.deletedTasks).toBe(1)
+      expect(await Board.findById(board._id)).toBeNull()
+      expect(await Task.countDocuments()).toBe(0)
+      expect(await Comment.countDocuments()).toBe(0)
+    })
+
+    it('should not delete the user\'s only board', async () => {
+      const board = await Board.create({ name: 'Only', userId: testUser._id })
+
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('LAST_BOARD')
+      expect(await Board.countDocuments()).toBe(1)
+    })
+  })
+
+  describe('Board members', () => {
+    let otherUser
+    let otherToken
+    let board
+
+    const addMember = (body) => request(app)
+      .post(`/api/boards/${board._id}/members`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+
+    beforeEach(async () => {
+      otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      otherToken = generateTokens(otherUser._id.toString()).accessToken
+      board = await Board.create({ name: 'Team', userId: testUser._id })
+    })
+
+    it('should invite a user by username or email as a viewer by default', async () => {
+      const byUsername = await addMember({ username: 'otheruser' }).expect(201)
+
+      expect(byUsername.body.data.owner.username).toBe('testuser')
+      expect(byUsername.body.data.members).toEqual([
+        expect.objectContaining({ role: 'viewer', userId: expect.objectContaining({ username: 'otheruser' }) })
+      ])
+
+      const thirdUser = await User.create({ username: 'third', email: 'third@example.com', password: 'password123' })
+      await addMember({ email: 'third@example.com', role: 'editor' }).expect(201)
+
+      const saved = await Board.findById(board._id)
+      expect(saved.roleOf(thirdUser._id)).toBe('editor')
+    })
+
+    it('should reject unknown users and people who already have access', async () => {
+      const unknown = await addMember({ username: 'nobody' }).expect(404)
+      expect(unknown.body.error.code).toBe('USER_NOT_FOUND')
+
+      const owner = await addMember({ username: 'testuser' }).expect(409)
+      expect(owner.body.error.code).toBe('ALREADY_MEMBER')
+
+      const badRole = await addMember({ username: 'otheruser', role: 'owner' }).expect(400)
+      expect(badRole.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should list shared boards after the user\'s own boards', async () => {
+      await addMember({ username: 'otheruser' }).expect(201)
+
+      const response = await request(app)
+        .get('/api/boards')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200)
+
+      expect(response.body.data.boards.map(entry => entry.name)).toEqual(['My Task Board', 'Team'])
+    })
+
+    it('should only let the owner manage the board', async () => {
+      board.members.push({ userId: otherUser._id, role: 'editor' })
+      await board.save()
+
+      await request(app)
+        .get(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200)
+
+      const response = await request(app)
+        .put(`/api/boards/${board._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'Taken over' })
+        .expect(403)
+
+      expect(response.body.error).toMatchObject({
+        code: 'INSUFFICIENT_PERMISSION',
+        details: { action: 'manage', role: 'editor' }
+      })
+    })
+
+    it('should change a member\'s role', async () => {
+      board.members.push({ userId: otherUser._id, role: 'viewer' })
+      await board.save()
+
+      const response = await request(app)
+        .patch(`/api/boards/${board._id}/members/${otherUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'commenter' })
+        .expect(200)
+
+      expect(response.body.data.members[0].role).toBe('commenter')
+    })
+
+    it('should let members leave but not remove others', async () => {
+      const thirdUser = await User.create({ username: 'third', email: 'third@example.com', password: 'password123' })
+      board.members.push({ userId: otherUser._id, role: 'editor' }, { userId: thirdUser._id, role: 'viewer' })
+      await board.save()
+
+      const removeOther = await request(app)
+        .delete(`/api/boards/${board._id}/members/${thirdUser._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403)
+      expect(removeOther.body.error.code).toBe('INSUFFICIENT_PERMISSION')
+
+      await request(app)
+        .delete(`/api/boards/${board._id}/members/${otherUser._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200)
+
+      const saved = await Board.findById(board._id)
+      expect(saved.roleOf(otherUser._id)).toBeNull()
+      expect(saved.roleOf(thirdUser._id)).toBe('viewer')
+    })
+
+    it('should unassign removed members from the board\'s tasks', async () => {
+      board.members.push({ userId: otherUser._id, role: 'editor' })
+      await board.save()
+      const task = await Task.create({
+        title: 'Assigned',
+        userId: testUser._id,
+        boardId: board._id,
+        assignees: [otherUser._id, testUser._id]
+      })
+
+      await request(app)
+        .delete(`/api/boards/${board._id}/members/${otherUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      const saved = await Task.findById(task._id)
+      expect(saved.assignees.map(String)).toEqual([testUser._id.toString()])
+    })
+
+    it('should move member sessions in and out of the board room', async () => {
+      const emit = jest.fn()
+      const socketsJoin = jest.fn()
+      const socketsLeave = jest.fn()
+      const io = {
+        to: jest.fn(() => ({ emit })),
+        in: jest.fn(() => ({ socketsJoin, socketsLeave }))
+      }
+      app.set('io', io)
+
+      await addMember({ username: 'otheruser' }).expect(201)
+      expect(io.in).toHaveBeenCalledWith(`user:${otherUser._id}`)
+      expect(socketsJoin).toHaveBeenCalledWith(`board:${board._id}`)
+      expect(io.to).toHaveBeenCalledWith(`board:${board._id}`)
+
+      await request(app)
+        .delete(`/api/boards/${board._id}/members/${otherUser._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+      expect(socketsLeave).toHaveBeenCalledWith(`board:${board._id}`)
+      expect(emit).toHaveBeenCalledWith('board-deleted', expect.objectContaining({ boardId: board._id }))
+
+      app.set('io', undefined)
+    })
+  })
+})
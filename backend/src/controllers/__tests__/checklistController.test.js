@@ -0,0 +1,185 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Task from '../../models/Task.js'
+import User from '../../models/User.js'
+import taskRoutes from '../../routes/tasks.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/tasks', taskRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Checklist Controller', () => {
+  let mongoServer
+  let testUser
+  let authToken
+  let task
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Task.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+
+    task = await Task.create({
+      title: 'Release',
+      userId: testUser._id,
+      checklist: [
+        { text: 'Write changelog', position: 0 },
+        { text: 'Tag release', position: 1 },
+        { text: 'Publish', position: 2 }
+      ]
+    })
+  })
+
+  describe('POST /api/tasks/:id/checklist', () => {
+    it('should append an item at the end of the checklist', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text: 'Announce' })
+        .expect(201)
+
+      expect(response.body.success).toBe(true)
+      expect(response.body.data.item).toMatchObject({ text: 'Announce', done: false, position: 3 })
+      expect(response.body.data.task.checklist).toHaveLength(4)
+    })
+
+    it('should reject empty item text', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text: '   ' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should not allow editing another user\'s task', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const otherToken = generateTokens(otherUser._id.toString()).accessToken
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/checklist`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ text: 'Sneaky' })
+        .expect(404)
+    })
+  })
+
+  describe('PATCH /api/tasks/:id/checklist/:itemId', () => {
+    it('should toggle an item', async () => {
+      const itemId = task.checklist[1]._id
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${itemId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ done: true })
+        .expect(200)
+
+      expect(response.body.data.item.done).toBe(true)
+
+      const updatedTask = await Task.findById(task._id)
+      expect(updatedTask.checklist.id(itemId).done).toBe(true)
+    })
+
+    it('should rename an item', async () => {
+      const itemId = task.checklist[0]._id
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${itemId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ text: 'Write release notes' })
+        .expect(200)
+
+      expect(response.body.data.item.text).toBe('Write release notes')
+    })
+
+    it('should require text or done', async () => {
+      await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${task.checklist[0]._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400)
+    })
+
+    it('should return 404 for an unknown item', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/checklist/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ done: true })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('CHECKLIST_ITEM_NOT_FOUND')
+    })
+  })
+
+  describe('PUT /api/tasks/:id/checklist/order', () => {
+    it('should reorder items', async () => {
+      const [first, second, third] = task.checklist.map(item => item._id.toString())
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/checklist/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ itemIds: [third, first, second] })
+        .expect(200)
+
+      const checklist = response.body.data.task.checklist
+      expect(checklist.map(item => item.text)).toEqual(['Publish', 'Write changelog', 'Tag release'])
+      expect(checklist.map(item => item.position)).toEqual([0, 1, 2])
+    })
+
+    it('should reject an order that omits items', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/checklist/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ itemIds: [task.checklist[0]._id.toString()] })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_CHECKLIST_ORDER')
+    })
+  })
+
+  describe('DELETE /api/tasks/:id/checklist/:itemId', () => {
+    it('should delete an item and renumber the rest', async () => {
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/checklist/${task.checklist[0]._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      const checklist = response.body.data.task.checklist
+      expect(checklist.map(item => item.text)).toEqual(['Tag release', 'Publish'])
+      expect(checklist.map(item => item.position)).toEqual([0, 1])
+    })
+  })
+})
@@ -0,0 +1,211 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Board from '../../models/Board.js'
+import Task from '../../models/Task.js'
+import User from '../../models/User.js'
+import boardRoutes from '../../routes/boards.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/boards', boardRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Column Controller', () => {
+  let mongoServer
+  let testUser
+  let authToken
+  let board
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Board.deleteMany({})
+    await Task.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+
+    board = await Board.create({ name: 'Work', userId: testUser._id })
+  })
+
+  const columnId = (key) => board.columns.find(column => column.key === key)._id
+
+  describe('POST /api/boards/:id/columns', () => {
+    it('should append a column with a generated key', async () => {
+      const response = await request(app)
+        .post(`/api/boards/${board._id}/columns`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Review' })
+        .expect(201)
+
+      expect(response.body.data.column.name).toBe('Review')
+      expect(response.body.data.column.key).toMatch(/^[0-9a-f]{24}$/)
+      expect(response.body.data.board.columns.map(column => column.name))
+        .toEqual(['To Do', 'In Progress', 'Done', 'Review'])
+    })
+
+    it('should move the done flag to a new done column', async () => {
+      const response = await request(app)
+        .post(`/api/boards/${board._id}/columns`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Shipped', isDone: true })
+        .expect(201)
+
+      const doneColumns = response.body.data.board.columns.filter(column => column.isDone)
+      expect(doneColumns.map(column => column.name)).toEqual(['Shipped'])
+    })
+
+    it('should require a name', async () => {
+      const response = await request(app)
+        .post(`/api/boards/${board._id}/columns`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+  })
+
+  describe('PATCH /api/boards/:id/columns/:columnId', () => {
+    it('should rename a column without touching its tasks', async () => {
+      const task = await Task.create({ title: 'Plan', userId: testUser._id, boardId: board._id, status: 'todo' })
+
+      const response = await request(app)
+        .patch(`/api/boards/${board._id}/columns/${columnId('todo')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Backlog' })
+        .expect(200)
+
+      expect(response.body.data.column).toMatchObject({ key: 'todo', name: 'Backlog' })
+      expect((await Task.findById(task._id)).status).toBe('todo')
+    })
+
+    it('should update completedAt when the done column changes', async () => {
+      const doing = await Task.create({ title: 'Doing', userId: testUser._id, boardId: board._id, status: 'inprogress' })
+      const done = await Task.create({ title: 'Done', userId: testUser._id, boardId: board._id, status: 'done' })
+      expect(done.completedAt).toBeInstanceOf(Date)
+
+      await request(app)
+        .patch(`/api/boards/${board._id}/columns/${columnId('inprogress')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ isDone: true })
+        .expect(200)
+
+      expect((await Task.findById(doing._id)).completedAt).toBeInstanceOf(Date)
+      expect((await Task.findById(done._id)).completedAt).toBeNull()
+    })
+
+    it('should return 404 for an unknown column', async () => {
+      const response = await request(app)
+        .patch(`/api/boards/${board._id}/columns/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Nope' })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('COLUMN_NOT_FOUND')
+    })
+  })
+
+  describe('PUT /api/boards/:id/columns/order', () => {
+    it('should reorder the columns', async () => {
+      const response = await request(app)
+        .put(`/api/boards/${board._id}/columns/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ columnIds: [columnId('done'), columnId('todo'), columnId('inprogress')] })
+        .expect(200)
+
+      expect(response.body.data.board.columns.map(column => column.key)).toEqual(['done', 'todo', 'inprogress'])
+    })
+
+    it('should reject orders that do not list every column', async () => {
+      const response = await request(app)
+        .put(`/api/boards/${board._id}/columns/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ columnIds: [columnId('done')] })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_COLUMN_ORDER')
+    })
+  })
+
+  describe('DELETE /api/boards/:id/columns/:columnId', () => {
+    it('should move the column\'s tasks to the end of the target column', async () => {
+      await Task.create([
+        { title: 'Existing', userId: testUser._id, boardId: board._id, status: 'done', position: 0 },
+        { title: 'Moved A', userId: testUser._id, boardId: board._id, status: 'inprogress', position: 0 },
+        { title: 'Moved B', userId: testUser._id, boardId: board._id, status: 'inprogress', position: 1 }
+      ])
+
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}/columns/${columnId('inprogress')}?moveTo=done`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.movedTasks).toBe(2)
+      expect(response.body.data.board.columns.map(column => column.key)).toEqual(['todo', 'done'])
+
+      const moved = await Task.find({ title: /^Moved/ }).sort({ position: 1 })
+      expect(moved.map(task => [task.status, task.position])).toEqual([['done', 1], ['done', 2]])
+      expect(moved.every(task => task.completedAt instanceof Date)).toBe(true)
+    })
+
+    it('should default to the first remaining column', async () => {
+      await Task.create({ title: 'Finished', userId: testUser._id, boardId: board._id, status: 'done' })
+
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}/columns/${columnId('done')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.movedTo).toBe('todo')
+      const task = await Task.findOne({ title: 'Finished' })
+      expect(task.status).toBe('todo')
+      expect(task.completedAt).toBeNull()
+    })
+
+    it('should reject moving tasks into the deleted column itself', async () => {
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}/columns/${columnId('todo')}?moveTo=todo`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_MOVE_TARGET')
+    })
+
+    it('should not delete the last column', async () => {
+      board.columns = [board.columns[0].toObject()]
+      await board.save()
+
+      const response = await request(app)
+        .delete(`/api/boards/${board._id}/columns/${columnId('todo')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('LAST_COLUMN')
+    })
+  })
+})
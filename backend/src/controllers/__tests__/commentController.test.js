@@ -0,0 +1,203 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Comment from '../../models/Comment.js'
+import Task from '../../models/Task.js'
+import Board from '../../models/Board.js'
+import User from '../../models/User.js'
+import taskRoutes from '../../routes/tasks.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/tasks', taskRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Comment Controller', () => {
+  let mongoServer
+  let testUser
+  let authToken
+  let task
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Comment.deleteMany({})
+    await Task.deleteMany({})
+    await Board.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+
+    task = await Task.create({ title: 'Discuss me', userId: testUser._id })
+  })
+
+  const postComment = (body, parentId) => request(app)
+    .post(`/api/tasks/${task._id}/comments`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ body, parentId })
+
+  describe('POST /api/tasks/:id/comments', () => {
+    it('should create a comment and bump the task comment count', async () => {
+      const response = await postComment('First!').expect(201)
+
+      expect(response.body.data.comment).toMatchObject({
+        body: 'First!',
+        parentId: null,
+        userId: { username: 'testuser' }
+      })
+      expect(response.body.data.commentCount).toBe(1)
+
+      const updatedTask = await Task.findById(task._id)
+      expect(updatedTask.commentCount).toBe(1)
+    })
+
+    it('should create a reply to a top-level comment', async () => {
+      const parent = await postComment('Question?').expect(201)
+
+      const response = await postComment('Answer.', parent.body.data.comment._id).expect(201)
+
+      expect(response.body.data.comment.parentId).toBe(parent.body.data.comment._id)
+      expect(response.body.data.commentCount).toBe(2)
+    })
+
+    it('should not allow replies to replies', async () => {
+      const parent = await postComment('Question?').expect(201)
+      const reply = await postComment('Answer.', parent.body.data.comment._id).expect(201)
+
+      const response = await postComment('Nested', reply.body.data.comment._id).expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_PARENT')
+    })
+
+    it('should reject an empty comment', async () => {
+      const response = await postComment('   ').expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should let commenters on a shared board comment, but not viewers', async () => {
+      const owner = await User.create({ username: 'owner', email: 'owner@example.com', password: 'password123' })
+      const board = await Board.create({
+        name: 'Team',
+        userId: owner._id,
+        members: [{ userId: testUser._id, role: 'commenter' }]
+      })
+      task = await Task.create({ title: 'Team task', userId: owner._id, boardId: board._id })
+
+      await postComment('Looks good').expect(201)
+
+      board.members[0].role = 'viewer'
+      await board.save()
+
+      const response = await postComment('Me too').expect(403)
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSION')
+
+      // Viewers can still read the discussion
+      await request(app)
+        .get(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+    })
+  })
+
+  describe('GET /api/tasks/:id/comments', () => {
+    it('should return comments oldest first with author names', async () => {
+      await Comment.create([
+        { taskId: task._id, userId: testUser._id, body: 'later', createdAt: new Date('2030-01-02') },
+        { taskId: task._id, userId: testUser._id, body: 'earlier', createdAt: new Date('2030-01-01') }
+      ])
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.comments.map(comment => comment.body)).toEqual(['earlier', 'later'])
+      expect(response.body.data.comments[0].userId.username).toBe('testuser')
+    })
+  })
+
+  describe('PUT /api/tasks/:id/comments/:commentId', () => {
+    it('should edit the comment and mark it as edited', async () => {
+      const created = await postComment('Typo hre').expect(201)
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${created.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Typo here' })
+        .expect(200)
+
+      expect(response.body.data.comment.body).toBe('Typo here')
+      expect(response.body.data.comment.editedAt).not.toBeNull()
+    })
+
+    it('should not allow editing someone else\'s comment', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const comment = await Comment.create({ taskId: task._id, userId: otherUser._id, body: 'Mine' })
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ body: 'Not yours' })
+        .expect(403)
+
+      expect(response.body.error.code).toBe('NOT_COMMENT_AUTHOR')
+    })
+  })
+
+  describe('DELETE /api/tasks/:id/comments/:commentId', () => {
+    it('should delete the comment with its replies', async () => {
+      const parent = await postComment('Question?').expect(201)
+      await postComment('Answer.', parent.body.data.comment._id).expect(201)
+      await postComment('Unrelated').expect(201)
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${parent.body.data.comment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.deletedIds).toHaveLength(2)
+      expect(response.body.data.commentCount).toBe(1)
+      expect(await Comment.countDocuments({ taskId: task._id })).toBe(1)
+    })
+
+    it('should return 404 for a comment on another task', async () => {
+      const otherTask = await Task.create({ title: 'Other', userId: testUser._id })
+      const comment = await Comment.create({ taskId: otherTask._id, userId: testUser._id, body: 'Elsewhere' })
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('COMMENT_NOT_FOUND')
+    })
+  })
+})
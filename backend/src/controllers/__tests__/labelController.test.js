@@ -0,0 +1,260 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Label from '../../models/Label.js'
+import Task from '../../models/Task.js'
+import Board from '../../models/Board.js'
+import User from '../../models/User.js'
+import labelRoutes from '../../routes/labels.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/labels', labelRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Label Controller', () => {
+  let mongoServer
+  let testUser
+  let authToken
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Label.deleteMany({})
+    await Task.deleteMany({})
+    await Board.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+
+    authToken = generateTokens(testUser._id.toString()).accessToken
+  })
+
+  describe('GET /api/labels', () => {
+    it('should return only the authenticated user\'s labels sorted by name', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+
+      await Label.create([
+        { name: 'frontend', userId: testUser._id },
+        { name: 'backend', userId: testUser._id },
+        { name: 'private', userId: otherUser._id }
+      ])
+
+      const response = await request(app)
+        .get('/api/labels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.labels.map(label => label.name)).toEqual(['backend', 'frontend'])
+    })
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/labels')
+        .expect(401)
+    })
+  })
+
+  describe('POST /api/labels', () => {
+    it('should create a label', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'bug', color: '#FF5630' })
+        .expect(201)
+
+      expect(response.body.data.label.name).toBe('bug')
+      expect(response.body.data.label.color).toBe('#ff5630')
+    })
+
+    it('should reject duplicate label names', async () => {
+      await Label.create({ name: 'bug', userId: testUser._id })
+
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'bug' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('LABEL_EXISTS')
+    })
+
+    it('should reject invalid colors', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'bug', color: 'red' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+  })
+
+  describe('PUT /api/labels/:id', () => {
+    it('should rename and recolor a label', async () => {
+      const label = await Label.create({ name: 'bug', userId: testUser._id })
+
+      const response = await request(app)
+        .put(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'defect', color: '#36b37e' })
+        .expect(200)
+
+      expect(response.body.data.label.name).toBe('defect')
+      expect(response.body.data.label.color).toBe('#36b37e')
+    })
+
+    it('should not allow updating other users labels', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const label = await Label.create({ name: 'theirs', userId: otherUser._id })
+
+      const response = await request(app)
+        .put(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'mine' })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('LABEL_NOT_FOUND')
+    })
+  })
+
+  describe('DELETE /api/labels/:id', () => {
+    it('should delete the label and detach it from tasks', async () => {
+      const label = await Label.create({ name: 'bug', userId: testUser._id })
+      const keep = await Label.create({ name: 'keep', userId: testUser._id })
+      const task = await Task.create({
+        title: 'Labelled Task',
+        userId: testUser._id,
+        labels: [label._id, keep._id]
+      })
+
+      const response = await request(app)
+        .delete(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.detachedFrom).toBe(1)
+      expect(await Label.findById(label._id)).toBeNull()
+
+      const updatedTask = await Task.findById(task._id)
+      expect(updatedTask.labels.map(String)).toEqual([keep._id.toString()])
+    })
+
+    it('should emit a label-deleted event to the user room', async () => {
+      const emit = jest.fn()
+      const io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+
+      const label = await Label.create({ name: 'bug', userId: testUser._id })
+
+      await request(app)
+        .delete(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(io.to).toHaveBeenCalledWith(expect.arrayContaining([`user:${testUser._id}`]))
+      expect(emit).toHaveBeenCalledWith('label-deleted', expect.objectContaining({
+        labelId: label._id
+      }))
+
+      app.set('io', undefined)
+    })
+  })
+
+  describe('Shared boards', () => {
+    let member
+    let board
+    let emit
+    let io
+
+    beforeEach(async () => {
+      member = await User.create({ username: 'member', email: 'member@example.com', password: 'password123' })
+      board = await Board.create({
+        name: 'Team',
+        userId: testUser._id,
+        members: [{ userId: member._id, role: 'editor' }]
+      })
+      emit = jest.fn()
+      io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+    })
+
+    afterEach(() => {
+      app.set('io', undefined)
+    })
+
+    it('should send label events to the rooms of the owner\'s boards', async () => {
+      const created = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'urgent', color: '#eb5a46' })
+        .expect(201)
+
+      await request(app)
+        .put(`/api/labels/${created.body.data.label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'critical' })
+        .expect(200)
+
+      expect(io.to).toHaveBeenCalledTimes(2)
+      expect(io.to).toHaveBeenNthCalledWith(1, [`user:${testUser._id}`, `board:${board._id}`])
+      expect(io.to).toHaveBeenNthCalledWith(2, [`user:${testUser._id}`, `board:${board._id}`])
+      expect(emit).toHaveBeenCalledWith('label-created', expect.objectContaining({
+        label: expect.objectContaining({ name: 'urgent' })
+      }))
+      expect(emit).toHaveBeenCalledWith('label-updated', expect.objectContaining({
+        label: expect.objectContaining({ name: 'critical' })
+      }))
+    })
+
+    it('should send the cards a deleted label was on to their board', async () => {
+      const label = await Label.create({ name: 'bug', userId: testUser._id })
+      const task = await Task.create({
+        title: 'Shared task',
+        userId: member._id,
+        boardId: board._id,
+        labels: [label._id]
+      })
+
+      await request(app)
+        .delete(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(io.to).toHaveBeenCalledWith([`user:${testUser._id}`, `board:${board._id}`])
+      expect(io.to).toHaveBeenCalledWith(`board:${board._id}`)
+      const [, payload] = emit.mock.calls.find(([event]) => event === 'task-updated')
+      expect(payload.task._id).toEqual(task._id)
+      expect(payload.task.labels).toHaveLength(0)
+    })
+  })
+})
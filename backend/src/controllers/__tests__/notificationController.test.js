@@ -0,0 +1,266 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Notification from '../../models/Notification.js'
+import Comment from '../../models/Comment.js'
+import Task from '../../models/Task.js'
+import Board from '../../models/Board.js'
+import User from '../../models/User.js'
+import notificationRoutes from '../../routes/notifications.js'
+import taskRoutes from '../../routes/tasks.js'
+import { notifyUsers } from '../notificationController.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/tasks', taskRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Notification Controller', () => {
+  let mongoServer
+  let owner
+  let ownerToken
+  let editor
+  let editorToken
+  let board
+  let task
+
+  const createUser = async (username) => {
+    const user = await User.create({ username, email: `${username}@example.com`, password: 'password123' })
+    return [user, generateTokens(user._id.toString()).accessToken]
+  }
+
+  const notify = (userId, overrides = {}) => Notification.create({
+    userId,
+    type: 'comment',
+    actorId: editor._id,
+    taskId: task._id,
+    boardId: board._id,
+    taskTitle: task.title,
+    ...overrides
+  })
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Notification.deleteMany({})
+    await Comment.deleteMany({})
+    await Task.deleteMany({})
+    await Board.deleteMany({})
+    await User.deleteMany({})
+
+    ;[owner, ownerToken] = await createUser('owner')
+    ;[editor, editorToken] = await createUser('editor')
+    board = await Board.create({
+      name: 'Team',
+      userId: owner._id,
+      members: [{ userId: editor._id, role: 'editor' }]
+    })
+    task = await Task.create({ title: 'Ship it', userId: owner._id, boardId: board._id })
+  })
+
+  describe('GET /api/notifications', () => {
+    it('should list the user\'s notifications newest first with the unread count', async () => {
+      await notify(owner._id, { createdAt: new Date(Date.now() - 60000), readAt: new Date() })
+      await notify(owner._id, { type: 'assigned' })
+      await notify(editor._id)
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect(response.body.data.notifications.map(entry => entry.type)).toEqual(['assigned', 'comment'])
+      expect(response.body.data.notifications[0].actorId.username).toBe('editor')
+      expect(response.body.data.unreadCount).toBe(1)
+      expect(response.body.data.pagination.total).toBe(2)
+    })
+
+    it('should list only unread notifications when asked', async () => {
+      await notify(owner._id, { readAt: new Date() })
+      await notify(owner._id, { type: 'assigned' })
+
+      const response = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect(response.body.data.notifications.map(entry => entry.type)).toEqual(['assigned'])
+    })
+  })
+
+  describe('Marking notifications read', () => {
+    it('should mark one notification read', async () => {
+      const notification = await notify(owner._id)
+      await notify(owner._id)
+
+      const response = await request(app)
+        .patch(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect(response.body.data.notification.readAt).not.toBeNull()
+      expect(response.body.data.unreadCount).toBe(1)
+    })
+
+    it('should not mark other users\' notifications', async () => {
+      const notification = await notify(editor._id)
+
+      const response = await request(app)
+        .patch(`/api/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('NOTIFICATION_NOT_FOUND')
+      expect((await Notification.findById(notification._id)).readAt).toBeNull()
+    })
+
+    it('should mark all of the user\'s notifications read', async () => {
+      await notify(owner._id)
+      await notify(owner._id)
+      await notify(editor._id)
+
+      const response = await request(app)
+        .patch('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect(response.body.data).toEqual({ updated: 2, unreadCount: 0 })
+      expect(await Notification.unreadCount(editor._id)).toBe(1)
+    })
+  })
+
+  describe('Generating notifications', () => {
+    it('should notify the task\'s creator and assignees about comments, but not the author', async () => {
+      const [viewer] = await createUser('viewer')
+      const [outsider] = await createUser('outsider')
+      board.members.push({ userId: viewer._id, role: 'viewer' })
+      await board.save()
+      task.assignees = [editor._id, viewer._id, outsider._id]
+      await task.save()
+
+      const created = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ body: 'Done on my side' })
+        .expect(201)
+
+      const notifications = await Notification.find({ type: 'comment' })
+      expect(notifications.map(entry => entry.userId.toString()).sort()).toEqual(
+        [owner._id.toString(), viewer._id.toString()].sort()
+      )
+      expect(notifications[0].commentId.toString()).toBe(created.body.data.comment._id)
+      expect(notifications[0].actorId.toString()).toBe(editor._id.toString())
+    })
+
+    it('should notify users assigned to a task and push it to their sockets', async () => {
+      const emit = jest.fn()
+      const io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ assignees: [owner._id, editor._id] })
+        .expect(200)
+
+      const notifications = await Notification.find({ type: 'assigned' })
+      expect(notifications).toHaveLength(1)
+      expect(notifications[0].userId.toString()).toBe(editor._id.toString())
+      expect(notifications[0].taskTitle).toBe('Ship it')
+      expect(io.to).toHaveBeenCalledWith(`user:${editor._id}`)
+      expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({ unreadCount: 1 }))
+
+      app.set('io', undefined)
+    })
+
+    it('should push each recipient their own unread count', async () => {
+      const [viewer] = await createUser('viewer')
+      await notify(owner._id)
+      await notify(owner._id)
+      await notify(owner._id, { readAt: new Date() })
+      const unreadCounts = {}
+      const io = {
+        to: jest.fn(room => ({ emit: (event, data) => { unreadCounts[room] = data.unreadCount } }))
+      }
+
+      await notifyUsers(io, [owner._id, viewer._id], { type: 'assigned', task, actorId: editor._id })
+
+      expect(unreadCounts).toEqual({
+        [`user:${owner._id}`]: 3,
+        [`user:${viewer._id}`]: 1
+      })
+    })
+
+    it('should resolve mentions in descriptions and notify each user once', async () => {
+      await createUser('outsider')
+      const emit = jest.fn()
+      const io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+
+      const update = (description) => request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ description })
+        .expect(200)
+
+      const response = await update('@editor please check with @outsider and @nobody')
+      await update('@editor please check again')
+
+      expect(response.body.data.task.mentions).toEqual([{ userId: editor._id.toString(), username: 'editor' }])
+      const notifications = await Notification.find({ type: 'mention' })
+      expect(notifications).toHaveLength(1)
+      expect(notifications[0].userId.toString()).toBe(editor._id.toString())
+      expect(io.to).toHaveBeenCalledWith([`user:${editor._id}`])
+      expect(emit).toHaveBeenCalledWith('mentioned', expect.objectContaining({
+        commentId: null,
+        mentionedBy: expect.objectContaining({ username: 'owner' })
+      }))
+
+      app.set('io', undefined)
+    })
+
+    it('should notify people mentioned in a comment about the mention instead', async () => {
+      const created = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ body: '@owner can you take a look? @editor is me' })
+        .expect(201)
+
+      expect(created.body.data.comment.mentions.map(mention => mention.username).sort()).toEqual(['editor', 'owner'])
+      const notifications = await Notification.find({})
+      expect(notifications).toHaveLength(1)
+      expect(notifications[0].type).toBe('mention')
+      expect(notifications[0].userId.toString()).toBe(owner._id.toString())
+      expect(notifications[0].commentId.toString()).toBe(created.body.data.comment._id)
+    })
+
+    it('should delete a task\'s notifications with the task', async () => {
+      await notify(editor._id)
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect(await Notification.countDocuments({ taskId: task._id })).toBe(0)
+    })
+  })
+})
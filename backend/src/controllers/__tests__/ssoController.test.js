@@ -0,0 +1,244 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import User from '../../models/User.js'
+import Session from '../../models/Session.js'
+import AuthToken from '../../models/AuthToken.js'
+import SsoAttempt from '../../models/SsoAttempt.js'
+import SecurityEvent from '../../models/SecurityEvent.js'
+import authRoutes from '../../routes/auth.js'
+import { resetOidcCache } from '../../utils/oidc.js'
+import { verifyToken } from '../../utils/jwt.js'
+import { setMailer } from '../../mailer/index.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+import { createMockOidcProvider } from '../../../scripts/mock-oidc-provider.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/auth', authRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('SSO Controller', () => {
+  let mongoServer
+  let provider
+  const sentMail = []
+  const defaultClaims = {
+    sub: 'employee-42',
+    email: 'jane@example.com',
+    email_verified: true,
+    preferred_username: 'jane.doe'
+  }
+
+  // Start a login, let the mock provider approve it and return what the
+  // frontend's callback page would post back
+  const authorize = async () => {
+    const start = await request(app).get('/api/auth/sso/start').expect(200)
+    const { authorizationUrl, ssoToken } = start.body.data
+
+    const redirect = await fetch(authorizationUrl, { redirect: 'manual' })
+    const callbackUrl = new URL(redirect.headers.get('location'))
+    return {
+      code: callbackUrl.searchParams.get('code'),
+      state: callbackUrl.searchParams.get('state'),
+      ssoToken
+    }
+  }
+
+  const ssoLogin = async () => request(app).post('/api/auth/sso/callback').send(await authorize())
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+    setMailer({ name: 'memory', send: async (message) => { sentMail.push(message); return { id: String(sentMail.length) } } })
+
+    provider = createMockOidcProvider()
+    process.env.OIDC_ISSUER = await provider.start()
+    process.env.OIDC_CLIENT_ID = provider.clientId
+    process.env.OIDC_REDIRECT_URI = 'http://localhost:3000/sso/callback'
+    process.env.OIDC_PROVIDER_NAME = 'Acme Login'
+  })
+
+  afterAll(async () => {
+    delete process.env.OIDC_ISSUER
+    delete process.env.OIDC_CLIENT_ID
+    delete process.env.OIDC_REDIRECT_URI
+    delete process.env.OIDC_PROVIDER_NAME
+    await provider.stop()
+    setMailer(null)
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await User.deleteMany({})
+    await Session.deleteMany({})
+    await AuthToken.deleteMany({})
+    await SsoAttempt.deleteMany({})
+    await SecurityEvent.deleteMany({})
+    sentMail.length = 0
+    resetOidcCache()
+    provider.claims = { ...defaultClaims }
+  })
+
+  describe('GET /api/auth/sso/config', () => {
+    it('should report the provider when SSO is configured', async () => {
+      const response = await request(app).get('/api/auth/sso/config').expect(200)
+
+      expect(response.body.data).toEqual({ enabled: true, providerName: 'Acme Login' })
+    })
+
+    it('should report SSO as disabled without an issuer', async () => {
+      const issuer = process.env.OIDC_ISSUER
+      delete process.env.OIDC_ISSUER
+
+      const config = await request(app).get('/api/auth/sso/config').expect(200)
+      const start = await request(app).get('/api/auth/sso/start').expect(404)
+      process.env.OIDC_ISSUER = issuer
+
+      expect(config.body.data.enabled).toBe(false)
+      expect(start.body.error.code).toBe('SSO_NOT_CONFIGURED')
+    })
+  })
+
+  describe('POST /api/auth/sso/callback', () => {
+    it('should create an account on the first login and reuse it afterwards', async () => {
+      const first = await ssoLogin()
+
+      expect(first.status).toBe(200)
+      expect(first.body.data.user).toMatchObject({ username: 'jane_doe', email: 'jane@example.com', emailVerified: true })
+      expect(first.body.data.user.oidcSubject).toBeUndefined()
+      expect(first.body.data.accessToken).toBeDefined()
+      expect(first.body.data.refreshToken).toBeDefined()
+
+      const second = await ssoLogin()
+      expect(second.body.data.user._id).toBe(first.body.data.user._id)
+      expect(await User.countDocuments()).toBe(1)
+
+      const events = await SecurityEvent.find({ type: 'login' })
+      expect(events.map(event => event.details.method)).toEqual(['sso', 'sso'])
+    })
+
+    it('should link an existing account with the same verified email', async () => {
+      const existing = await User.create({ username: 'jane', email: 'jane@example.com', password: 'password123' })
+
+      const response = await ssoLogin()
+
+      expect(response.body.data.user._id).toBe(existing._id.toString())
+      const linked = await User.findById(existing._id).select('+oidcIssuer +oidcSubject')
+      expect(linked.oidcSubject).toBe('employee-42')
+      expect(linked.emailVerified).toBe(true)
+
+      // The password keeps working
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'jane@example.com', password: 'password123' })
+        .expect(200)
+    })
+
+    it('should not link an account when the provider has not verified the email', async () => {
+      await User.create({ username: 'jane', email: 'jane@example.com', password: 'password123' })
+      provider.claims = { ...defaultClaims, email_verified: false }
+
+      const response = await ssoLogin()
+
+      expect(response.status).toBe(409)
+      expect(response.body.error.code).toBe('SSO_ACCOUNT_EXISTS')
+    })
+
+    it('should not link an account that belongs to another provider identity', async () => {
+      const existing = await User.create({
+        username: 'jane',
+        email: 'jane@example.com',
+        password: 'password123',
+        oidcIssuer: process.env.OIDC_ISSUER,
+        oidcSubject: 'employee-7'
+      })
+
+      const response = await ssoLogin()
+
+      expect(response.status).toBe(409)
+      expect(response.body.error.code).toBe('SSO_IDENTITY_MISMATCH')
+      const unchanged = await User.findById(existing._id).select('+oidcIssuer +oidcSubject')
+      expect(unchanged.oidcSubject).toBe('employee-7')
+    })
+
+    it('should pick another username when the preferred one is taken', async () => {
+      await User.create({ username: 'jane_doe', email: 'someone@example.com', password: 'password123' })
+
+      const response = await ssoLogin()
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.user.username).toMatch(/^jane_doe_\d{4}$/)
+    })
+
+    it('should reject a state that does not belong to the login attempt', async () => {
+      const callback = await authorize()
+
+      const response = await request(app)
+        .post('/api/auth/sso/callback')
+        .send({ ...callback, state: 'forged-state' })
+        .expect(401)
+
+      expect(response.body.error.code).toBe('INVALID_SSO_STATE')
+      expect(await User.countDocuments()).toBe(0)
+    })
+
+    it('should fail when the provider refuses the code', async () => {
+      const callback = await authorize()
+      await request(app).post('/api/auth/sso/callback').send(callback).expect(200)
+
+      // Codes work once, even with a fresh login attempt
+      const { state, ssoToken } = await authorize()
+      const response = await request(app)
+        .post('/api/auth/sso/callback')
+        .send({ code: callback.code, state, ssoToken })
+        .expect(401)
+      expect(response.body.error.code).toBe('SSO_LOGIN_FAILED')
+    })
+
+    it('should finish each login attempt once', async () => {
+      const callback = await authorize()
+      await request(app).post('/api/auth/sso/callback').send(callback).expect(200)
+
+      const response = await request(app).post('/api/auth/sso/callback').send(callback).expect(401)
+
+      expect(response.body.error.code).toBe('INVALID_SSO_STATE')
+      expect(await SsoAttempt.countDocuments()).toBe(0)
+    })
+
+    it('should keep the nonce and PKCE verifier out of the ssoToken', async () => {
+      const start = await request(app).get('/api/auth/sso/start').expect(200)
+
+      const payload = verifyToken(start.body.data.ssoToken)
+      expect(payload.codeVerifier).toBeUndefined()
+      expect(payload.nonce).toBeUndefined()
+
+      const stored = await SsoAttempt.findOne({ state: payload.state })
+      expect(stored.codeVerifier).toBeDefined()
+    })
+
+    it('should still ask for the second factor when it is enabled', async () => {
+      await User.create({
+        username: 'jane',
+        email: 'jane@example.com',
+        password: 'password123',
+        twoFactorEnabled: true,
+        twoFactorSecret: 'JBSWY3DPEHPK3PXP'
+      })
+
+      const response = await ssoLogin()
+
+      expect(response.status).toBe(200)
+      expect(response.body.data.mfaRequired).toBe(true)
+      expect(response.body.data.mfaToken).toBeDefined()
+      expect(response.body.data.accessToken).toBeUndefined()
+    })
+  })
+})
@@ -3,6 +3,9 @@ import express from 'express'
 import mongoose from 'mongoose'
 import { MongoMemoryServer } from 'mongodb-memory-server'
 import Task from '../../models/Task.js'
+import Label from '../../models/Label.js'
+import Board from '../../models/Board.js'
+import Comment from '../../models/Comment.js'
 import User from '../../models/User.js'
 import taskRoutes from '../../routes/tasks.js'
 import { generateTokens } from '../../utils/jwt.js'
@@ -40,6 +43,9 @@ describe('Task Controller', () => {
 
   beforeEach(async () => {
     await Task.deleteMany({})
+    await Label.deleteMany({})
+    await Board.deleteMany({})
+    await Comment.deleteMany({})
     await User.deleteMany({})
 
     // Create test user
@@ -128,6 +134,207 @@ describe('Task Controller', () => {
       expect(response.body.data.tasks).toHaveLength(1)
       expect(response.body.data.tasks[0].title).toBe('My Task')
     })
+
+    it('should filter tasks by due date range', async () => {
+      await Task.create([
+        { title: 'Early', userId: testUser._id, dueDate: new Date('2030-01-05') },
+        { title: 'Middle', userId: testUser._id, dueDate: new Date('2030-01-15') },
+        { title: 'Late', userId: testUser._id, dueDate: new Date('2030-01-25') },
+        { title: 'No Due Date', userId: testUser._id }
+      ])
+
+      const response = await request(app)
+        .get('/api/tasks?dueAfter=2030-01-10&dueBefore=2030-01-20')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.tasks).toHaveLength(1)
+      expect(response.body.data.tasks[0].title).toBe('Middle')
+    })
+
+    it('should only return incomplete past-due tasks when overdue=true', async () => {
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000)
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000)
+
+      await Task.create([
+        { title: 'Overdue', userId: testUser._id, status: 'todo', dueDate: yesterday },
+        { title: 'Done Late', userId: testUser._id, status: 'done', dueDate: yesterday },
+        { title: 'Upcoming', userId: testUser._id, status: 'todo', dueDate: tomorrow }
+      ])
+
+      const response = await request(app)
+        .get('/api/tasks?overdue=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.tasks).toHaveLength(1)
+      expect(response.body.data.tasks[0].title).toBe('Overdue')
+    })
+
+    it('should reject invalid due date filters', async () => {
+      const response = await request(app)
+        .get('/api/tasks?dueBefore=not-a-date')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should sort tasks by priority within a status when sort=priority', async () => {
+      await Task.create([
+        { title: 'Low', userId: testUser._id, priority: 'low', position: 0 },
+        { title: 'Urgent', userId: testUser._id, priority: 'urgent', position: 1 },
+        { title: 'Medium', userId: testUser._id, priority: 'medium', position: 2 },
+        { title: 'High', userId: testUser._id, priority: 'high', position: 3 }
+      ])
+
+      const response = await request(app)
+        .get('/api/tasks?sort=priority')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.tasks.map(task => task.title)).toEqual(['Urgent', 'High', 'Medium', 'Low'])
+    })
+
+    it('should filter tasks by priority', async () => {
+      await Task.create([
+        { title: 'Urgent', userId: testUser._id, priority: 'urgent' },
+        { title: 'Low', userId: testUser._id, priority: 'low' }
+      ])
+
+      const response = await request(app)
+        .get('/api/tasks?priority=urgent')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.tasks).toHaveLength(1)
+      expect(response.body.data.tasks[0].title).toBe('Urgent')
+    })
+
+    it('should reject unknown sort options', async () => {
+      const response = await request(app)
+        .get('/api/tasks?sort=title')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should filter tasks by labels with any/all semantics', async () => {
+      const [bug, ui] = await Label.create([
+        { name: 'bug', userId: testUser._id },
+        { name: 'ui', userId: testUser._id }
+      ])
+
+      await Task.create([
+        { title: 'Bug Only', userId: testUser._id, labels: [bug._id] },
+        { title: 'UI Bug', userId: testUser._id, labels: [bug._id, ui._id] },
+        { title: 'Unlabelled', userId: testUser._id }
+      ])
+
+      const anyResponse = await request(app)
+        .get(`/api/tasks?labels=${bug._id},${ui._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(anyResponse.body.data.tasks.map(task => task.title).sort()).toEqual(['Bug Only', 'UI Bug'])
+
+      const allResponse = await request(app)
+        .get(`/api/tasks?labels=${bug._id},${ui._id}&labelMatch=all`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(allResponse.body.data.tasks).toHaveLength(1)
+      expect(allResponse.body.data.tasks[0].title).toBe('UI Bug')
+      expect(allResponse.body.data.tasks[0].labels.map(label => label.name).sort()).toEqual(['bug', 'ui'])
+    })
+
+    it('should reject malformed label filters', async () => {
+      const response = await request(app)
+        .get('/api/tasks?labels=not-an-id')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should only return tasks from the requested board', async () => {
+      const work = await Board.create({ name: 'Work', userId: testUser._id })
+      const home = await Board.create({ name: 'Home', userId: testUser._id })
+
+      await Task.create([
+        { title: 'Ship release', userId: testUser._id, boardId: work._id },
+        { title: 'Water plants', userId: testUser._id, boardId: home._id }
+      ])
+
+      const response = await request(app)
+        .get(`/api/tasks?boardId=${home._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.tasks.map(task => task.title)).toEqual(['Water plants'])
+      expect(response.body.data.pagination.total).toBe(1)
+    })
+  })
+
+  describe('GET /api/tasks/search', () => {
+    beforeAll(async () => {
+      // Searches need the text index to exist
+      await Task.init()
+    })
+
+    beforeEach(async () => {
+      await Task.create([
+        { title: 'Deploy the API', description: 'Roll out the new deployment pipeline', userId: testUser._id },
+        { title: 'Write release notes', description: 'Mention the deploy date', userId: testUser._id },
+        { title: 'Buy groceries', userId: testUser._id }
+      ])
+    })
+
+    it('should rank title matches with highlight segments', async () => {
+      const response = await request(app)
+        .get('/api/tasks/search?q=deploy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      const { results, pagination } = response.body.data
+      expect(pagination.total).toBe(2)
+      expect(results[0].task.title).toBe('Deploy the API')
+      expect(results[0].score).toBeGreaterThan(results[1].score)
+      expect(results[0].highlights.title[0]).toEqual({ text: 'Deploy', match: true })
+      expect(results[1].highlights.description).toContainEqual({ text: 'deploy', match: true })
+    })
+
+    it('should paginate results', async () => {
+      const response = await request(app)
+        .get('/api/tasks/search?q=deploy&limit=1&page=2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.results).toHaveLength(1)
+      expect(response.body.data.pagination).toMatchObject({ page: 2, limit: 1, total: 2, pages: 2 })
+    })
+
+    it('should not return other users\' tasks', async () => {
+      const otherUser = await User.create({ username: 'other', email: 'other@example.com', password: 'password123' })
+      await Task.create({ title: 'Deploy elsewhere', userId: otherUser._id })
+
+      const response = await request(app)
+        .get('/api/tasks/search?q=elsewhere')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.results).toEqual([])
+    })
+
+    it('should require a query', async () => {
+      const response = await request(app)
+        .get('/api/tasks/search?q=')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
   })
 
   describe('POST /api/tasks', () => {
@@ -168,10 +375,12 @@ describe('Task Controller', () => {
     })
 
     it('should auto-increment position for tasks in same status', async () => {
-      // Create existing task
+      // Create existing task on the user's default board
+      const board = await Board.create({ name: 'My Task Board', userId: testUser._id })
       await Task.create({
         title: 'Existing Task',
         userId: testUser._id,
+        boardId: board._id,
         status: 'todo',
         position: 5
       })
@@ -213,6 +422,167 @@ describe('Task Controller', () => {
         .send({ title: 'Task' })
         .expect(401)
     })
+
+    it('should create a task with start and due dates', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Scheduled Task',
+          startDate: '2030-03-01T00:00:00.000Z',
+          dueDate: '2030-03-10T00:00:00.000Z'
+        })
+        .expect(201)
+
+      expect(response.body.data.task.startDate).toBe('2030-03-01T00:00:00.000Z')
+      expect(response.body.data.task.dueDate).toBe('2030-03-10T00:00:00.000Z')
+    })
+
+    it('should fail validation when due date is before start date', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Backwards Task',
+          startDate: '2030-03-10T00:00:00.000Z',
+          dueDate: '2030-03-01T00:00:00.000Z'
+        })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should fail validation with an invalid due date', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Task', dueDate: 'tomorrow-ish' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should default priority to medium and accept a valid priority', async () => {
+      const defaultResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Default Priority' })
+        .expect(201)
+
+      expect(defaultResponse.body.data.task.priority).toBe('medium')
+
+      const urgentResponse = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Urgent Task', priority: 'urgent' })
+        .expect(201)
+
+      expect(urgentResponse.body.data.task.priority).toBe('urgent')
+    })
+
+    it('should fail validation with invalid priority', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Task', priority: 'critical' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+
+    it('should attach labels and return them populated', async () => {
+      const label = await Label.create({ name: 'bug', color: '#ff5630', userId: testUser._id })
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Labelled Task', labels: [label._id.toString()] })
+        .expect(201)
+
+      expect(response.body.data.task.labels).toEqual([
+        expect.objectContaining({ _id: label._id.toString(), name: 'bug', color: '#ff5630' })
+      ])
+    })
+
+    it('should reject labels from another user\'s catalog', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const foreignLabel = await Label.create({ name: 'theirs', userId: otherUser._id })
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Task', labels: [foreignLabel._id.toString()] })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_LABELS')
+    })
+
+    it('should put tasks without a board on the user\'s default board', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Unsorted' })
+        .expect(201)
+
+      const boards = await Board.find({ userId: testUser._id })
+      expect(boards).toHaveLength(1)
+      expect(boards[0].name).toBe('My Task Board')
+      expect(response.body.data.task.boardId).toBe(boards[0]._id.toString())
+    })
+
+    it('should create the task on the requested board', async () => {
+      await Board.create({ name: 'Default', userId: testUser._id })
+      const side = await Board.create({ name: 'Side project', userId: testUser._id })
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Sketch logo', boardId: side._id })
+        .expect(201)
+
+      expect(response.body.data.task.boardId).toBe(side._id.toString())
+    })
+
+    it('should not create tasks on another user\'s board', async () => {
+      const otherUser = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'password123'
+      })
+      const otherBoard = await Board.create({ name: 'Private', userId: otherUser._id })
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Sneaky', boardId: otherBoard._id })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('BOARD_NOT_FOUND')
+      expect(await Task.countDocuments()).toBe(0)
+    })
+
+    it('should start tasks in the board\'s first column', async () => {
+      const board = await Board.create({
+        name: 'Hiring',
+        userId: testUser._id,
+        columns: [
+          { key: 'applied', name: 'Applied' },
+          { key: 'hired', name: 'Hired', isDone: true }
+        ]
+      })
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Candidate', boardId: board._id })
+        .expect(201)
+
+      expect(response.body.data.task.status).toBe('applied')
+    })
   })
 
   describe('PUT /api/tasks/:id', () => {
@@ -261,6 +631,23 @@ describe('Task Controller', () => {
       expect(response.body.data.task.status).toBe('todo')
     })
 
+    it('should reject a start date after the stored due date', async () => {
+      testTask.startDate = new Date('2030-03-01')
+      testTask.dueDate = new Date('2030-03-10')
+      await testTask.save()
+
+      const response = await request(app)
+        .put(`/api/tasks/${testTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ startDate: '2030-03-20T00:00:00.000Z' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('MONGOOSE_VALIDATION_ERROR')
+
+      const stored = await Task.findById(testTask._id)
+      expect(stored.startDate.toISOString()).toBe('2030-03-01T00:00:00.000Z')
+    })
+
     it('should set completedAt when status changes to done', async () => {
       const response = await request(app)
         .put(`/api/tasks/${testTask._id}`)
@@ -316,6 +703,38 @@ describe('Task Controller', () => {
 
       expect(response.body.error.code).toBe('TASK_NOT_FOUND')
     })
+
+    it('should set and clear the due date', async () => {
+      const setResponse = await request(app)
+        .put(`/api/tasks/${testTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ dueDate: '2030-05-01T00:00:00.000Z' })
+        .expect(200)
+
+      expect(setResponse.body.data.task.dueDate).toBe('2030-05-01T00:00:00.000Z')
+
+      const clearResponse = await request(app)
+        .put(`/api/tasks/${testTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ dueDate: null })
+        .expect(200)
+
+      expect(clearResponse.body.data.task.dueDate).toBeNull()
+    })
+
+    it('should move a task to another board', async () => {
+      const work = await Board.create({ name: 'Work', userId: testUser._id })
+      const home = await Board.create({ name: 'Home', userId: testUser._id })
+      const task = await Task.create({ title: 'Misfiled', userId: testUser._id, boardId: work._id })
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ boardId: home._id })
+        .expect(200)
+
+      expect(response.body.data.task.boardId).toBe(home._id.toString())
+    })
   })
 
   describe('DELETE /api/tasks/:id', () => {
@@ -388,6 +807,101 @@ describe('Task Controller', () => {
       const stillExists = await Task.findById(otherTask._id)
       expect(stillExists).toBeTruthy()
     })
+
+    it('should delete the task comments along with the task', async () => {
+      await Comment.create({ taskId: testTask._id, userId: testUser._id, body: 'Bye' })
+
+      await request(app)
+        .delete(`/api/tasks/${testTask._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(await Comment.countDocuments({ taskId: testTask._id })).toBe(0)
+    })
+  })
+
+  describe('PATCH /api/tasks/:id/move', () => {
+    let board
+    let first
+    let second
+    let third
+
+    beforeEach(async () => {
+      board = await Board.create({ name: 'Work', userId: testUser._id })
+      const tasks = await Task.create([
+        { title: 'First', userId: testUser._id, boardId: board._id, status: 'todo', position: 0 },
+        { title: 'Second', userId: testUser._id, boardId: board._id, status: 'todo', position: 1 },
+        { title: 'Third', userId: testUser._id, boardId: board._id, status: 'todo', position: 2 }
+      ])
+      first = tasks[0]
+      second = tasks[1]
+      third = tasks[2]
+    })
+
+    const columnOrder = async (status = 'todo') =>
+      (await Task.find({ boardId: board._id, status }).sort({ position: 1 })).map(task => task.title)
+
+    it('should place the task between its new neighbours without touching them', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${third._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ beforeId: second._id })
+        .expect(200)
+
+      expect(response.body.data.task.position).toBe(0.5)
+      expect(response.body.data.positions).toEqual([])
+      expect(await columnOrder()).toEqual(['First', 'Third', 'Second'])
+      expect((await Task.findById(second._id)).position).toBe(1)
+    })
+
+    it('should move the task to the end of the column without beforeId', async () => {
+      await request(app)
+        .patch(`/api/tasks/${first._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ beforeId: null })
+        .expect(200)
+
+      expect(await columnOrder()).toEqual(['Second', 'Third', 'First'])
+    })
+
+    it('should move the task into another column', async () => {
+      const done = await Task.create({ title: 'Done', userId: testUser._id, boardId: board._id, status: 'done', position: 0 })
+
+      const response = await request(app)
+        .patch(`/api/tasks/${second._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'done', beforeId: done._id })
+        .expect(200)
+
+      expect(response.body.data.task.status).toBe('done')
+      expect(response.body.data.task.completedAt).toBeTruthy()
+      expect(await columnOrder('done')).toEqual(['Second', 'Done'])
+    })
+
+    it('should rebalance the column when ranks are too dense', async () => {
+      await Task.findByIdAndUpdate(second._id, { position: 0.0000001 })
+
+      const response = await request(app)
+        .patch(`/api/tasks/${third._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ beforeId: second._id })
+        .expect(200)
+
+      expect(response.body.data.positions).toHaveLength(2)
+      expect(await columnOrder()).toEqual(['First', 'Third', 'Second'])
+      const positions = (await Task.find({ boardId: board._id }).sort({ position: 1 })).map(task => task.position)
+      expect(positions).toEqual([1, 1.5, 2])
+    })
+
+    it('should reject a beforeId outside the target column', async () => {
+      const response = await request(app)
+        .patch(`/api/tasks/${first._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'done', beforeId: second._id })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_MOVE_TARGET')
+    })
   })
 
   describe('PATCH /api/tasks/:id/status', () => {
@@ -459,5 +973,258 @@ describe('Task Controller', () => {
       expect(response.body.success).toBe(false)
       expect(response.body.error.code).toBe('TASK_NOT_FOUND')
     })
+
+    it('should set completedAt when entering the board\'s custom done column', async () => {
+      const board = await Board.create({
+        name: 'Release',
+        userId: testUser._id,
+        columns: [
+          { key: 'todo', name: 'To Do' },
+          { key: 'shipped', name: 'Shipped', isDone: true }
+        ]
+      })
+      const task = await Task.create({ title: 'Release notes', userId: testUser._id, boardId: board._id })
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'shipped' })
+        .expect(200)
+
+      expect(response.body.data.task.status).toBe('shipped')
+      expect(response.body.data.task.completedAt).toBeTruthy()
+    })
+
+    it('should reject statuses that are not columns on the task\'s board', async () => {
+      const board = await Board.create({ name: 'Release', userId: testUser._id })
+      const task = await Task.create({ title: 'Release notes', userId: testUser._id, boardId: board._id })
+
+      const response = await request(app)
+        .patch(`/api/tasks/${task._id}/status`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'shipped' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+      expect(response.body.error.details[0].msg).toBe('Status must be one of: todo, inprogress, done')
+    })
+  })
+
+  describe('Shared boards', () => {
+    let owner
+    let board
+
+    // Share the owner's board with the test user in the given role
+    const shareBoard = async (role) => {
+      board.members.push({ userId: testUser._id, role })
+      await board.save()
+    }
+
+    beforeEach(async () => {
+      owner = await User.create({ username: 'owner', email: 'owner@example.com', password: 'password123' })
+      board = await Board.create({ name: 'Team', userId: owner._id })
+    })
+
+    it('should show members the tasks on shared boards', async () => {
+      await shareBoard('viewer')
+      await Task.create({ title: 'Team task', userId: owner._id, boardId: board._id })
+
+      const all = await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+      const onBoard = await request(app)
+        .get(`/api/tasks?boardId=${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(all.body.data.tasks.map(task => task.title)).toEqual(['Team task'])
+      expect(onBoard.body.data.tasks.map(task => task.title)).toEqual(['Team task'])
+    })
+
+    it('should not list tasks of boards the user cannot see', async () => {
+      const response = await request(app)
+        .get(`/api/tasks?boardId=${board._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('BOARD_NOT_FOUND')
+    })
+
+    it('should let editors create and change tasks with the owner\'s labels', async () => {
+      await shareBoard('editor')
+      const label = await Label.create({ name: 'team', userId: owner._id })
+
+      const created = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'From a member', boardId: board._id, labels: [label._id] })
+        .expect(201)
+
+      await request(app)
+        .put(`/api/tasks/${created.body.data.task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Edited by a member' })
+        .expect(200)
+
+      const task = await Task.findById(created.body.data.task._id)
+      expect(task.title).toBe('Edited by a member')
+      expect(task.labels.map(String)).toEqual([label._id.toString()])
+    })
+
+    it('should not let viewers or commenters change tasks', async () => {
+      await shareBoard('commenter')
+      const task = await Task.create({ title: 'Read only', userId: owner._id, boardId: board._id })
+
+      const update = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Changed' })
+        .expect(403)
+      const create = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'New', boardId: board._id })
+        .expect(403)
+
+      expect(update.body.error).toMatchObject({
+        code: 'INSUFFICIENT_PERMISSION',
+        details: { action: 'edit', role: 'commenter' }
+      })
+      expect(create.body.error.code).toBe('INSUFFICIENT_PERMISSION')
+      expect((await Task.findById(task._id)).title).toBe('Read only')
+    })
+
+    it('should emit task events to the board room', async () => {
+      await shareBoard('editor')
+      const emit = jest.fn()
+      const io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Broadcast', boardId: board._id })
+        .expect(201)
+
+      expect(io.to).toHaveBeenCalledWith(`board:${board._id}`)
+      expect(emit).toHaveBeenCalledWith('task-created', expect.objectContaining({
+        task: expect.objectContaining({ title: 'Broadcast' })
+      }))
+
+      app.set('io', undefined)
+    })
+  })
+
+  describe('Assignees', () => {
+    let teammate
+    let board
+
+    beforeEach(async () => {
+      teammate = await User.create({ username: 'teammate', email: 'teammate@example.com', password: 'password123' })
+      board = await Board.create({
+        name: 'Team',
+        userId: testUser._id,
+        members: [{ userId: teammate._id, role: 'viewer' }]
+      })
+    })
+
+    it('should assign board members and return their usernames', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Shared work', boardId: board._id, assignees: [teammate._id, testUser._id] })
+        .expect(201)
+
+      expect(response.body.data.task.assignees.map(user => user.username)).toEqual(['teammate', 'testuser'])
+    })
+
+    it('should reject assignees without access to the board', async () => {
+      const outsider = await User.create({ username: 'outsider', email: 'outsider@example.com', password: 'password123' })
+      const task = await Task.create({ title: 'Private', userId: testUser._id, boardId: board._id })
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assignees: [outsider._id] })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_ASSIGNEES')
+      expect((await Task.findById(task._id)).assignees).toHaveLength(0)
+    })
+
+    it('should filter tasks by assignee', async () => {
+      await Task.create([
+        { title: 'Mine', userId: testUser._id, boardId: board._id, assignees: [testUser._id] },
+        { title: 'Theirs', userId: testUser._id, boardId: board._id, assignees: [teammate._id] },
+        { title: 'Nobody', userId: testUser._id, boardId: board._id }
+      ])
+
+      const titlesFor = async (assignee) => {
+        const response = await request(app)
+          .get(`/api/tasks?assignee=${assignee}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200)
+        return response.body.data.tasks.map(task => task.title)
+      }
+
+      expect(await titlesFor('me')).toEqual(['Mine'])
+      expect(await titlesFor(teammate._id)).toEqual(['Theirs'])
+      expect(await titlesFor('none')).toEqual(['Nobody'])
+
+      await request(app)
+        .get('/api/tasks?assignee=someone')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400)
+    })
+
+    it('should notify only newly assigned users', async () => {
+      const task = await Task.create({ title: 'Handover', userId: testUser._id, boardId: board._id })
+      const emit = jest.fn()
+      const io = { to: jest.fn(() => ({ emit })) }
+      app.set('io', io)
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ assignees: [testUser._id, teammate._id] })
+        .expect(200)
+
+      expect(io.to).toHaveBeenCalledWith([`user:${teammate._id}`])
+      expect(emit).toHaveBeenCalledWith('task-assigned', expect.objectContaining({
+        task: expect.objectContaining({ title: 'Handover' }),
+        assignedBy: expect.objectContaining({ username: 'testuser' })
+      }))
+
+      emit.mockClear()
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: 'Handover (renamed)' })
+        .expect(200)
+
+      expect(emit).not.toHaveBeenCalledWith('task-assigned', expect.anything())
+
+      app.set('io', undefined)
+    })
+
+    it('should drop assignees who cannot see the board a task moves to', async () => {
+      const personal = await Board.create({ name: 'Personal', userId: testUser._id })
+      const task = await Task.create({
+        title: 'Moving',
+        userId: testUser._id,
+        boardId: board._id,
+        assignees: [testUser._id, teammate._id]
+      })
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ boardId: personal._id })
+        .expect(200)
+
+      const moved = await Task.findById(task._id)
+      expect(moved.assignees.map(String)).toEqual([testUser._id.toString()])
+    })
   })
-})
\ No newline at end of file
+})
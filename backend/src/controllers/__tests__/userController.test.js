@@ -0,0 +1,262 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import User from '../../models/User.js'
+import Task from '../../models/Task.js'
+import Board from '../../models/Board.js'
+import Comment from '../../models/Comment.js'
+import Session from '../../models/Session.js'
+import AuthToken from '../../models/AuthToken.js'
+import SecurityEvent from '../../models/SecurityEvent.js'
+import authRoutes from '../../routes/auth.js'
+import userRoutes from '../../routes/users.js'
+import { setMailer } from '../../mailer/index.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/auth', authRoutes)
+app.use('/api/users', userRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('User Controller', () => {
+  let mongoServer
+  let authToken
+  const sentMail = []
+  const credentials = { email: 'test@example.com', password: 'password123' }
+
+  const login = async () => {
+    const response = await request(app).post('/api/auth/login').send(credentials).expect(200)
+    return response.body.data.accessToken
+  }
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+    setMailer({ name: 'memory', send: async (message) => { sentMail.push(message); return { id: String(sentMail.length) } } })
+  })
+
+  afterAll(async () => {
+    setMailer(null)
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await User.deleteMany({})
+    await Session.deleteMany({})
+    await AuthToken.deleteMany({})
+    await SecurityEvent.deleteMany({})
+    await Task.deleteMany({})
+    await Board.deleteMany({})
+    await Comment.deleteMany({})
+    sentMail.length = 0
+
+    await User.create({ username: 'testuser', emailVerified: true, ...credentials })
+    await User.create({ username: 'otheruser', email: 'other@example.com', password: 'password123' })
+    authToken = await login()
+  })
+
+  describe('GET /api/users/me', () => {
+    it('should return the profile without secrets', async () => {
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.data.user.username).toBe('testuser')
+      expect(response.body.data.user.password).toBeUndefined()
+    })
+  })
+
+  describe('PATCH /api/users/me', () => {
+    it('should change the username', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'renamed_user' })
+        .expect(200)
+
+      expect(response.body.data.user.username).toBe('renamed_user')
+      expect(response.body.data.user.emailVerified).toBe(true)
+    })
+
+    it('should require verifying a new email address', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'New@Example.com' })
+        .expect(200)
+
+      expect(response.body.data.user.email).toBe('new@example.com')
+      expect(response.body.data.user.emailVerified).toBe(false)
+      expect(sentMail).toHaveLength(1)
+      expect(sentMail[0].to).toBe('new@example.com')
+    })
+
+    it('should reject a username or email taken by someone else', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'other@example.com' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('USER_EXISTS')
+      expect(response.body.error.details.field).toBe('email')
+    })
+
+    it('should apply the registration rules', async () => {
+      const response = await request(app)
+        .patch('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ username: 'no spaces allowed' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+  })
+
+  describe('POST /api/users/me/password', () => {
+    const newPassword = 'N3w-Passw0rd!'
+
+    it('should change the password and sign out other sessions', async () => {
+      const otherDeviceToken = await login()
+
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: credentials.password, newPassword: 'N3wPassw0rd!' })
+        .expect(200)
+
+      expect(response.body.data.revokedCount).toBe(1)
+
+      // This device stays signed in, the other one does not
+      await request(app).get('/api/users/me').set('Authorization', `Bearer ${authToken}`).expect(200)
+      await request(app).get('/api/users/me').set('Authorization', `Bearer ${otherDeviceToken}`).expect(401)
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'N3wPassw0rd!' })
+        .expect(200)
+    })
+
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: 'wrongpassword', newPassword })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_PASSWORD')
+    })
+
+    it('should require a strong new password', async () => {
+      const response = await request(app)
+        .post('/api/users/me/password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword: credentials.password, newPassword: 'weakpass' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR')
+    })
+  })
+
+  describe('GET /api/users/me/export', () => {
+    it('should download the profile and owned records as JSON', async () => {
+      const user = await User.findOne({ email: credentials.email })
+      const other = await User.findOne({ email: 'other@example.com' })
+      await Task.create({ title: 'Mine', userId: user._id })
+      await Task.create({ title: 'Not mine', userId: other._id })
+
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="task-manager-export-testuser-.*\.json"/)
+      expect(response.body.profile.email).toBe(credentials.email)
+      expect(response.body.profile.password).toBeUndefined()
+      expect(response.body.tasks.map(task => task.title)).toEqual(['Mine'])
+      expect(response.body.sessions).toHaveLength(1)
+      expect(response.body.securityEvents.map(event => event.type)).toContain('login')
+    })
+
+    it('should leave out other members\' comments on the user\'s shared tasks', async () => {
+      const user = await User.findOne({ email: credentials.email })
+      const other = await User.findOne({ email: 'other@example.com' })
+      const board = await Board.create({
+        name: 'Team',
+        userId: user._id,
+        members: [{ userId: other._id, role: 'commenter' }]
+      })
+      const task = await Task.create({ title: 'Shared', userId: user._id, boardId: board._id })
+      await Comment.create({ taskId: task._id, userId: user._id, body: 'My note' })
+      await Comment.create({ taskId: task._id, userId: other._id, body: 'Their private thoughts' })
+
+      const response = await request(app)
+        .get('/api/users/me/export')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200)
+
+      expect(response.body.comments.map(comment => comment.body)).toEqual(['My note'])
+      expect(JSON.stringify(response.body)).not.toContain('Their private thoughts')
+    })
+  })
+
+  describe('DELETE /api/users/me', () => {
+    it('should schedule deletion and sign out every session', async () => {
+      const otherDeviceToken = await login()
+
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password })
+        .expect(200)
+
+      const scheduledFor = new Date(response.body.data.deletionScheduledFor)
+      expect(scheduledFor.getTime()).toBeGreaterThan(Date.now() + 13 * 24 * 60 * 60 * 1000)
+
+      await request(app).get('/api/users/me').set('Authorization', `Bearer ${authToken}`).expect(401)
+      await request(app).get('/api/users/me').set('Authorization', `Bearer ${otherDeviceToken}`).expect(401)
+
+      const user = await User.findOne({ email: credentials.email })
+      expect(user.deletionScheduledFor).toEqual(scheduledFor)
+      expect(sentMail.map(mail => mail.to)).toContain(credentials.email)
+      expect(await SecurityEvent.exists({ userId: user._id, type: 'account-deletion-scheduled' })).toBeTruthy()
+    })
+
+    it('should require the password', async () => {
+      const response = await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400)
+
+      expect(response.body.error.code).toBe('INVALID_PASSWORD')
+      const user = await User.findOne({ email: credentials.email })
+      expect(user.deletionScheduledFor).toBeNull()
+    })
+
+    it('should cancel the deletion when the user logs in again', async () => {
+      await request(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password })
+        .expect(200)
+
+      const response = await request(app).post('/api/auth/login').send(credentials).expect(200)
+
+      expect(response.body.data.user.deletionScheduledFor).toBeNull()
+      const user = await User.findOne({ email: credentials.email })
+      expect(user.deletionScheduledFor).toBeNull()
+      expect(await SecurityEvent.exists({ userId: user._id, type: 'account-deletion-cancelled' })).toBeTruthy()
+    })
+  })
+})
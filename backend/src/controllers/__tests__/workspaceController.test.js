@@ -0,0 +1,324 @@
+import request from 'supertest'
+import express from 'express'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Workspace from '../../models/Workspace.js'
+import WorkspaceInvite from '../../models/WorkspaceInvite.js'
+import Board from '../../models/Board.js'
+import Task from '../../models/Task.js'
+import Label from '../../models/Label.js'
+import User from '../../models/User.js'
+import workspaceRoutes from '../../routes/workspaces.js'
+import boardRoutes from '../../routes/boards.js'
+import { generateTokens } from '../../utils/jwt.js'
+import { globalErrorHandler, notFoundHandler } from '../../middleware/errorHandler.js'
+
+const app = express()
+app.use(express.json())
+app.use('/api/workspaces', workspaceRoutes)
+app.use('/api/boards', boardRoutes)
+
+// Add error handling middleware
+app.all('*', notFoundHandler)
+app.use(globalErrorHandler)
+
+describe('Workspace Controller', () => {
+  let mongoServer
+  let owner
+  let ownerToken
+  let member
+  let memberToken
+  let workspace
+
+  const createUser = async (username) => {
+    const user = await User.create({ username, email: `${username}@example.com`, password: 'password123' })
+    return [user, generateTokens(user._id.toString()).accessToken]
+  }
+
+  // Create an invitation link as the user the auth token belongs to
+  const invite = (token, body = {}) => request(app)
+    .post(`/api/workspaces/${workspace._id}/invitations`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = 'test-jwt-secret-key'
+    process.env.JWT_EXPIRES_IN = '15m'
+
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Workspace.deleteMany({})
+    await WorkspaceInvite.deleteMany({})
+    await Board.deleteMany({})
+    await Task.deleteMany({})
+    await Label.deleteMany({})
+    await User.deleteMany({})
+
+    ;[owner, ownerToken] = await createUser('owner')
+    ;[member, memberToken] = await createUser('member')
+    workspace = await Workspace.create({
+      name: 'Acme',
+      userId: owner._id,
+      members: [{ userId: member._id, role: 'member' }]
+    })
+  })
+
+  describe('Workspaces', () => {
+    it('should create workspaces and list only the user\'s own', async () => {
+      const [, outsiderToken] = await createUser('outsider')
+
+      const created = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ name: 'Side project' })
+        .expect(201)
+
+      const response = await request(app)
+        .get('/api/workspaces')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(200)
+
+      expect(created.body.data.workspace.settings).toEqual({ defaultBoardRole: 'editor', membersCanInvite: false })
+      expect(response.body.data.workspaces.map(entry => entry.name)).toEqual(['Side project'])
+    })
+
+    it('should let only admins change settings', async () => {
+      await request(app)
+        .patch(`/api/workspaces/${workspace._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'Renamed' })
+        .expect(403)
+
+      const response = await request(app)
+        .patch(`/api/workspaces/${workspace._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ settings: { defaultBoardRole: 'viewer', membersCanInvite: true } })
+        .expect(200)
+
+      expect(response.body.data.workspace.name).toBe('Acme')
+      expect(response.body.data.workspace.settings).toEqual({ defaultBoardRole: 'viewer', membersCanInvite: true })
+    })
+
+    it('should hide workspaces from people outside them', async () => {
+      const [, outsiderToken] = await createUser('outsider')
+
+      const response = await request(app)
+        .get(`/api/workspaces/${workspace._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('WORKSPACE_NOT_FOUND')
+    })
+
+    it('should list and search the workspace\'s users', async () => {
+      const all = await request(app)
+        .get(`/api/workspaces/${workspace._id}/members`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200)
+      const searched = await request(app)
+        .get(`/api/workspaces/${workspace._id}/members?q=MEM`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200)
+
+      expect(all.body.data.members.map(entry => [entry.userId.username, entry.role])).toEqual([
+        ['owner', 'owner'],
+        ['member', 'member']
+      ])
+      expect(searched.body.data.members.map(entry => entry.userId.username)).toEqual(['member'])
+    })
+  })
+
+  describe('Workspace boards', () => {
+    it('should share new workspace boards with everyone in the workspace', async () => {
+      const response = await request(app)
+        .post('/api/boards')
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'Roadmap', workspaceId: workspace._id })
+        .expect(201)
+
+      const board = await Board.findById(response.body.data.board._id)
+      expect(board.workspaceId.toString()).toBe(workspace._id.toString())
+      expect(board.roleOf(member._id)).toBe('owner')
+      expect(board.roleOf(owner._id)).toBe('editor')
+    })
+
+    it('should not create boards in workspaces the user is not in', async () => {
+      const [, outsiderToken] = await createUser('outsider')
+
+      const response = await request(app)
+        .post('/api/boards')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ name: 'Sneaky', workspaceId: workspace._id })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('WORKSPACE_NOT_FOUND')
+    })
+  })
+
+  describe('Invitations', () => {
+    it('should let admins create links that new users join with', async () => {
+      const [newcomer, newcomerToken] = await createUser('newcomer')
+      const board = await Board.create({ name: 'Team', userId: owner._id, workspaceId: workspace._id })
+
+      const created = await invite(ownerToken, { role: 'admin', expiresInDays: 3 }).expect(201)
+      const { token, url } = created.body.data
+      expect(url).toMatch(new RegExp(`/invite/${token}$`))
+      expect(created.body.data.invite.tokenHash).toBeUndefined()
+
+      const preview = await request(app)
+        .get(`/api/workspaces/invitations/${token}`)
+        .set('Authorization', `Bearer ${newcomerToken}`)
+        .expect(200)
+      expect(preview.body.data).toMatchObject({
+        workspace: { name: 'Acme' },
+        role: 'admin',
+        alreadyMember: false
+      })
+
+      await request(app)
+        .post(`/api/workspaces/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${newcomerToken}`)
+        .expect(200)
+
+      const joined = await Workspace.findById(workspace._id)
+      expect(joined.roleOf(newcomer._id)).toBe('admin')
+      expect((await Board.findById(board._id)).roleOf(newcomer._id)).toBe('editor')
+
+      const again = await request(app)
+        .post(`/api/workspaces/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${newcomerToken}`)
+        .expect(409)
+      expect(again.body.error.code).toBe('ALREADY_MEMBER')
+    })
+
+    it('should reject expired and revoked links', async () => {
+      const [, newcomerToken] = await createUser('newcomer')
+      const created = await invite(ownerToken).expect(201)
+      const { token, invite: link } = created.body.data
+
+      await WorkspaceInvite.updateOne({ _id: link._id }, { expiresAt: new Date(Date.now() - 1000) })
+      const expired = await request(app)
+        .post(`/api/workspaces/invitations/${token}/accept`)
+        .set('Authorization', `Bearer ${newcomerToken}`)
+        .expect(404)
+      expect(expired.body.error.code).toBe('INVITE_INVALID')
+
+      const fresh = await invite(ownerToken).expect(201)
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/invitations/${fresh.body.data.invite._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+      await request(app)
+        .get(`/api/workspaces/invitations/${fresh.body.data.token}`)
+        .set('Authorization', `Bearer ${newcomerToken}`)
+        .expect(404)
+    })
+
+    it('should let members invite only when the workspace allows it', async () => {
+      const denied = await invite(memberToken).expect(403)
+      expect(denied.body.error.code).toBe('INSUFFICIENT_PERMISSION')
+
+      workspace.settings.membersCanInvite = true
+      await workspace.save()
+
+      await invite(memberToken).expect(201)
+      await invite(memberToken, { role: 'admin' }).expect(403)
+    })
+  })
+
+  describe('Removing members', () => {
+    it('should revoke access to every workspace board and hand over their boards', async () => {
+      const ownerBoard = await Board.create({
+        name: 'Team',
+        userId: owner._id,
+        workspaceId: workspace._id,
+        members: [{ userId: member._id, role: 'editor' }]
+      })
+      const label = await Label.create({ name: 'mine', userId: member._id })
+      const memberBoard = await Board.create({
+        name: 'Member board',
+        userId: member._id,
+        workspaceId: workspace._id,
+        members: [{ userId: owner._id, role: 'editor' }]
+      })
+      const task = await Task.create({
+        title: 'Assigned',
+        userId: owner._id,
+        boardId: ownerBoard._id,
+        assignees: [member._id]
+      })
+      const memberTask = await Task.create({
+        title: 'Labelled',
+        userId: member._id,
+        boardId: memberBoard._id,
+        labels: [label._id]
+      })
+
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect((await Workspace.findById(workspace._id)).roleOf(member._id)).toBeNull()
+      expect((await Board.findById(ownerBoard._id)).roleOf(member._id)).toBeNull()
+      const handedOver = await Board.findById(memberBoard._id)
+      expect(handedOver.userId.toString()).toBe(owner._id.toString())
+      expect(handedOver.members).toHaveLength(0)
+      expect((await Task.findById(task._id)).assignees).toHaveLength(0)
+      expect((await Task.findById(memberTask._id)).labels).toHaveLength(0)
+
+      await request(app)
+        .get(`/api/boards/${ownerBoard._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(404)
+    })
+
+    it('should take the removed member\'s sockets out of the workspace rooms', async () => {
+      const board = await Board.create({ name: 'Team', userId: owner._id, workspaceId: workspace._id })
+      const emit = jest.fn()
+      const socketsLeave = jest.fn()
+      const io = {
+        to: jest.fn(() => ({ emit })),
+        in: jest.fn(() => ({ socketsJoin: jest.fn(), socketsLeave }))
+      }
+      app.set('io', io)
+
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${member._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(200)
+
+      expect(io.in).toHaveBeenCalledWith(`user:${member._id}`)
+      expect(socketsLeave).toHaveBeenCalledWith([`workspace:${workspace._id}`, `board:${board._id}`])
+      expect(io.to).toHaveBeenCalledWith(`user:${member._id}`)
+      expect(emit).toHaveBeenCalledWith('workspace-removed', expect.objectContaining({ workspaceId: workspace._id }))
+
+      app.set('io', undefined)
+    })
+
+    it('should not let members remove others or the owner leave', async () => {
+      const [other] = await createUser('other')
+      workspace.members.push({ userId: other._id, role: 'member' })
+      await workspace.save()
+
+      await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${other._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .expect(403)
+
+      const response = await request(app)
+        .delete(`/api/workspaces/${workspace._id}/members/${owner._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(400)
+      expect(response.body.error.code).toBe('OWNER_CANNOT_LEAVE')
+    })
+  })
+})
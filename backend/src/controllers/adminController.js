@@ -0,0 +1,45 @@
+import User, { LOCKOUT_FIELDS } from '../models/User.js'
+import SecurityEvent from '../models/SecurityEvent.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+
+const findUser = async (userId) => {
+  const user = await User.findById(userId).select(LOCKOUT_FIELDS)
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND')
+  }
+  return user
+}
+
+// Lockout state and recent sign-in activity of a user
+export const getUserSecurityEvents = catchAsync(async (req, res) => {
+  const user = await findUser(req.params.id)
+  const events = await SecurityEvent.recentFor(user._id)
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON(),
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockedUntil: user.isLocked() ? user.lockedUntil : null,
+      events
+    }
+  })
+})
+
+// Lift a user's lockout and reset their failure count
+export const unlockUser = catchAsync(async (req, res) => {
+  const user = await findUser(req.params.id)
+
+  await user.clearFailedLogins()
+  await SecurityEvent.record(user._id, 'account-unlocked', req, {
+    method: 'admin',
+    adminId: req.user._id.toString()
+  })
+
+  res.json({
+    success: true,
+    data: {
+      message: `${user.username} has been unlocked`
+    }
+  })
+})
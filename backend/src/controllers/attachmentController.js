@@ -0,0 +1,119 @@
+import Attachment from '../models/Attachment.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { getStorage } from '../storage/index.js'
+
+// Look up an attachment on the current task, or fail with 404
+const findTaskAttachment = async (task, attachmentId) => {
+  const attachment = await Attachment.findOne({ _id: attachmentId, taskId: task._id })
+  if (!attachment) {
+    throw new AppError('Attachment not found', 404, 'ATTACHMENT_NOT_FOUND')
+  }
+  return attachment
+}
+
+// Remove every attachment of a task, files included (used when the task is deleted)
+export const removeTaskAttachments = async (taskId) => {
+  const attachments = await Attachment.find({ taskId })
+  const storage = getStorage()
+  await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)))
+  await Attachment.deleteMany({ taskId })
+}
+
+// List a task's attachments, oldest first
+export const getAttachments = catchAsync(async (req, res) => {
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  const attachments = await Attachment.find({ taskId: task._id }).sort({ createdAt: 1 })
+
+  res.json({
+    success: true,
+    data: {
+      attachments
+    }
+  })
+})
+
+// Store an uploaded file and record it against the task
+export const uploadAttachment = catchAsync(async (req, res) => {
+  // Task and file are already validated and attached by middleware
+  const task = req.task
+  const { buffer, originalname, mimetype } = req.file
+
+  const storage = getStorage()
+  const { key, size } = await storage.save({
+    buffer,
+    originalName: originalname,
+    mimeType: mimetype
+  })
+
+  let attachment
+  try {
+    attachment = await Attachment.create({
+      taskId: task._id,
+      userId: req.user._id,
+      originalName: originalname,
+      mimeType: mimetype,
+      size,
+      storageDriver: storage.name,
+      storageKey: key
+    })
+  } catch (error) {
+    // Don't leave orphaned files behind if the record can't be saved
+    await storage.remove(key)
+    throw error
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      attachment
+    }
+  })
+})
+
+// Stream an attachment back to its owner
+export const downloadAttachment = catchAsync(async (req, res, next) => {
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const attachment = await findTaskAttachment(task, req.params.attachmentId)
+
+  const storage = getStorage()
+  if (!(await storage.exists(attachment.storageKey))) {
+    return next(new AppError('Attachment file is missing', 404, 'ATTACHMENT_FILE_MISSING'))
+  }
+
+  // Images may render inline (previews); everything else downloads
+  const disposition = attachment.mimeType.startsWith('image/') && req.query.inline === 'true'
+    ? 'inline'
+    : 'attachment'
+
+  res.set({
+    'Content-Type': attachment.mimeType,
+    'Content-Length': attachment.size,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+    'X-Content-Type-Options': 'nosniff'
+  })
+
+  const stream = storage.createReadStream(attachment.storageKey)
+  stream.on('error', next)
+  stream.pipe(res)
+})
+
+// Delete an attachment and its stored file
+export const deleteAttachment = catchAsync(async (req, res) => {
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const attachment = await findTaskAttachment(task, req.params.attachmentId)
+
+  await getStorage().remove(attachment.storageKey)
+  await Attachment.findByIdAndDelete(attachment._id)
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Attachment deleted successfully',
+      attachment
+    }
+  })
+})
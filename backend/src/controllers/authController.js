@@ -1,7 +1,125 @@
+import crypto from 'crypto'
+import mongoose from 'mongoose'
 import { validationResult } from 'express-validator'
-import User from '../models/User.js'
-import { generateTokens, verifyToken } from '../utils/jwt.js'
+import User, { TWO_FACTOR_FIELDS, LOCKOUT_FIELDS } from '../models/User.js'
+import Session from '../models/Session.js'
+import AuthToken from '../models/AuthToken.js'
+import SecurityEvent from '../models/SecurityEvent.js'
+import { generateTokens, generateMfaToken, verifyToken, getTokenExpiry } from '../utils/jwt.js'
 import { AppError, catchAsync, handleValidationErrors } from '../middleware/errorHandler.js'
+import { disconnectSessions } from '../socket/index.js'
+import { sendMail } from '../mailer/index.js'
+import { passwordResetEmail, emailVerificationEmail, accountLockedEmail } from '../mailer/templates.js'
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = 60
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS = 24
+
+// How long the unlock link sent with a lockout stays valid
+const ACCOUNT_UNLOCK_TTL_HOURS = 24
+
+// Whether unverified accounts are kept from logging in
+export const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true'
+
+export const emailNotVerifiedError = () =>
+  new AppError('Please verify your email address before logging in', 403, 'EMAIL_NOT_VERIFIED')
+
+// Sign a token pair for a session under a fresh refresh token id
+const signSessionTokens = (userId, sessionId) => {
+  const tokenId = crypto.randomUUID()
+  const tokens = generateTokens(userId, { sessionId, tokenId })
+  return { tokenId, tokens, expiresAt: getTokenExpiry(tokens.refreshToken) }
+}
+
+// Record a new refresh-token session for this device and return its tokens
+const startSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId()
+  const { tokenId, tokens, expiresAt } = signSessionTokens(user._id.toString(), sessionId.toString())
+
+  await Session.create({
+    _id: sessionId,
+    userId: user._id,
+    tokenId,
+    userAgent: (req.get('user-agent') || '').slice(0, 512),
+    ip: req.ip,
+    expiresAt
+  })
+
+  return tokens
+}
+
+const accountLockedError = (lockedUntil) => new AppError(
+  'Account is temporarily locked after too many failed login attempts. Check your email for an unlock link or try again later.',
+  423,
+  'ACCOUNT_LOCKED',
+  { lockedUntil }
+)
+
+// Email a link that lifts the lock early
+const sendUnlockEmail = async (user, lockedUntil) => {
+  const token = await AuthToken.issue(user._id, 'account-unlock', ACCOUNT_UNLOCK_TTL_HOURS * 60 * 60 * 1000)
+  try {
+    await sendMail({
+      to: user.email,
+      ...accountLockedEmail({ username: user.username, token, lockedUntil, expiresInHours: ACCOUNT_UNLOCK_TTL_HOURS })
+    })
+  } catch (error) {
+    console.error('Failed to send account locked email:', error.message)
+  }
+}
+
+// Count a wrong password or code against the account, locking it once there are
+// too many. Resolves to the error to respond with.
+const failLogin = async (req, user, type, error) => {
+  const lockedUntil = await user.registerFailedLogin()
+  await SecurityEvent.record(user._id, type, req, { failedAttempts: user.failedLoginAttempts })
+
+  if (!lockedUntil) return error
+
+  await SecurityEvent.record(user._id, 'account-locked', req, { lockedUntil })
+  await sendUnlockEmail(user, lockedUntil)
+  return accountLockedError(lockedUntil)
+}
+
+// Finish a successful login: reset the failure count, call off a pending account
+// deletion and start a session
+export const signIn = async (req, user, details = {}) => {
+  await user.clearFailedLogins()
+
+  if (user.deletionScheduledFor) {
+    user.deletionScheduledFor = null
+    await user.save()
+    await SecurityEvent.record(user._id, 'account-deletion-cancelled', req)
+  }
+
+  const tokens = await startSession(user, req)
+  await SecurityEvent.record(user._id, 'login', req, details)
+  return tokens
+}
+
+// Force the sockets of revoked sessions offline
+export const disconnectRevokedSessions = (req, sessionIds) => {
+  const io = req.app.get('io')
+  if (io && sessionIds.length > 0) {
+    disconnectSessions(io, sessionIds.map(String))
+  }
+}
+
+// Email a fresh verification link. Delivery problems are logged rather than
+// failing the request, since the user can ask for another link.
+export const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  try {
+    await sendMail({
+      to: user.email,
+      ...emailVerificationEmail({ username: user.username, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS })
+    })
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message)
+  }
+}
 
 // Register new user
 export const register = catchAsync(async (req, res, next) => {
@@ -21,8 +139,20 @@ export const register = catchAsync(async (req, res, next) => {
   const user = new User({ username, email, password })
   await user.save()
 
-  // Generate tokens
-  const tokens = generateTokens(user._id.toString())
+  await sendVerificationEmail(user)
+
+  // Accounts that must be verified first only get a session once they log in afterwards
+  if (isEmailVerificationRequired()) {
+    return res.status(201).json({
+      success: true,
+      data: {
+        user: user.toJSON(),
+        verificationRequired: true
+      }
+    })
+  }
+
+  const tokens = await startSession(user, req)
 
   res.status(201).json({
     success: true,
@@ -38,19 +168,79 @@ export const login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body
 
   // Find user and include password for comparison
-  const user = await User.findOne({ email }).select('+password')
+  const user = await User.findOne({ email }).select(`+password ${LOCKOUT_FIELDS}`)
   if (!user) {
     return next(new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS'))
   }
 
+  // A locked account refuses even the right password, so guessing gains nothing
+  if (user.isLocked()) {
+    return next(accountLockedError(user.lockedUntil))
+  }
+
   // Check password
   const isPasswordValid = await user.comparePassword(password)
   if (!isPasswordValid) {
-    return next(new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS'))
+    return next(await failLogin(req, user, 'login-failed',
+      new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS')))
+  }
+
+  if (isEmailVerificationRequired() && !user.emailVerified) {
+    return next(emailNotVerifiedError())
+  }
+
+  // With two-factor authentication the password only earns a challenge token,
+  // exchanged for a session at POST /api/auth/2fa/verify
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id.toString())
+      }
+    })
+  }
+
+  const tokens = await signIn(req, user)
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON(),
+      ...tokens
+    }
+  })
+})
+
+// Second login step: exchange the challenge token and an authenticator or recovery code for a session
+export const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { mfaToken, code } = req.body
+
+  let decoded
+  try {
+    decoded = verifyToken(mfaToken)
+  } catch {
+    decoded = null
   }
 
-  // Generate tokens
-  const tokens = generateTokens(user._id.toString())
+  const user = decoded?.type === 'mfa' &&
+    await User.findById(decoded.userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`)
+  if (!user || !user.twoFactorEnabled) {
+    return next(new AppError('Login attempt has expired, please log in again', 401, 'INVALID_MFA_TOKEN'))
+  }
+
+  // Wrong codes count towards the lockout too, so codes cannot be brute-forced
+  if (user.isLocked()) {
+    return next(accountLockedError(user.lockedUntil))
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(await failLogin(req, user, 'two-factor-failed',
+      new AppError('Invalid authentication code', 401, 'INVALID_TWO_FACTOR_CODE')))
+  }
+  await user.save()
+
+  const tokens = await signIn(req, user, { twoFactor: true })
 
   res.json({
     success: true,
@@ -61,10 +251,29 @@ export const login = catchAsync(async (req, res, next) => {
   })
 })
 
-// Logout user (client-side token invalidation)
+// Logout user, revoking the session behind the given refresh token
 export const logout = catchAsync(async (req, res) => {
-  // In a JWT-based system, logout is primarily handled client-side
-  // by removing the token. This endpoint confirms the logout action.
+  const { refreshToken } = req.body
+
+  if (typeof refreshToken === 'string') {
+    let decoded = null
+    try {
+      decoded = verifyToken(refreshToken)
+    } catch (error) {
+      // An expired or malformed token has no session left to revoke
+    }
+
+    if (decoded?.type === 'refresh' && decoded.sid) {
+      const result = await Session.updateOne(
+        { _id: decoded.sid, userId: decoded.userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'logout' }
+      )
+      if (result.modifiedCount > 0) {
+        disconnectRevokedSessions(req, [decoded.sid])
+      }
+    }
+  }
+
   res.json({
     success: true,
     data: {
@@ -85,7 +294,7 @@ export const verify = catchAsync(async (req, res) => {
   })
 })
 
-// Refresh access token using refresh token
+// Refresh access token, rotating the session's refresh token
 export const refresh = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body
 
@@ -100,14 +309,47 @@ export const refresh = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid token type', 400, 'INVALID_TOKEN_TYPE'))
   }
 
+  // Tokens issued before sessions existed cannot be rotated, so they need a fresh login
+  if (!decoded.sid || !decoded.jti) {
+    return next(new AppError('Session is no longer valid', 401, 'SESSION_REVOKED'))
+  }
+
+  const session = await Session.findById(decoded.sid)
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    return next(new AppError('Session is no longer valid', 401, 'SESSION_REVOKED'))
+  }
+
+  // An already rotated token being presented again means it leaked: revoke the whole session
+  if (session.tokenId !== decoded.jti) {
+    await session.revoke('reuse')
+    disconnectRevokedSessions(req, [session._id])
+    return next(new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED'))
+  }
+
   // Check if user still exists
   const user = await User.findById(decoded.userId)
   if (!user) {
     return next(new AppError('User no longer exists', 401, 'USER_NOT_FOUND'))
   }
 
-  // Generate new tokens
-  const tokens = generateTokens(user._id.toString())
+  // Sessions can't outlive the verification requirement, e.g. ones started before it was turned on
+  if (isEmailVerificationRequired() && !user.emailVerified) {
+    return next(emailNotVerifiedError())
+  }
+
+  const { tokenId, tokens, expiresAt } = signSessionTokens(user._id.toString(), session._id.toString())
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+    { tokenId, expiresAt, lastUsedAt: new Date(), ip: req.ip },
+    { new: true }
+  )
+  if (!rotated) {
+    await session.revoke('reuse')
+    disconnectRevokedSessions(req, [session._id])
+    return next(new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED'))
+  }
 
   res.json({
     success: true,
@@ -116,4 +358,193 @@ export const refresh = catchAsync(async (req, res, next) => {
       ...tokens
     }
   })
-})
\ No newline at end of file
+})
+
+// List the user's active sessions, flagging the one making this request
+export const getSessions = catchAsync(async (req, res) => {
+  const sessions = await Session.find({
+    userId: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 })
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    }
+  })
+})
+
+// Revoke one of the user's sessions, signing that device out
+export const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findActive(req.params.id, req.user._id)
+  if (!session) {
+    return next(new AppError('Session not found', 404, 'SESSION_NOT_FOUND'))
+  }
+
+  await session.revoke('revoked')
+  disconnectRevokedSessions(req, [session._id])
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Session revoked',
+      sessionId: session._id
+    }
+  })
+})
+
+// Revoke every session except the one making this request
+export const revokeOtherSessions = catchAsync(async (req, res) => {
+  const filter = {
+    userId: req.user._id,
+    revokedAt: null,
+    ...(req.sessionId && { _id: { $ne: req.sessionId } })
+  }
+  const sessionIds = await Session.find(filter).distinct('_id')
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: 'revoked' }
+  )
+  disconnectRevokedSessions(req, sessionIds)
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Signed out of all other sessions',
+      revokedCount: sessionIds.length
+    }
+  })
+})
+
+// Email a password reset link. The response is the same whether or not the
+// address is registered, so it cannot be used to discover accounts.
+export const forgotPassword = catchAsync(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email })
+
+  if (user) {
+    const token = await AuthToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ username: user.username, token, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES })
+      })
+    } catch (error) {
+      console.error('Failed to send password reset email:', error.message)
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    }
+  })
+})
+
+// Set a new password with a reset token, signing out every session
+export const resetPassword = catchAsync(async (req, res, next) => {
+  const { token, password } = req.body
+
+  const resetToken = await AuthToken.consume(token, 'password-reset')
+  const user = resetToken && await User.findById(resetToken.userId)
+  if (!user) {
+    return next(new AppError('Reset link is invalid or has expired', 400, 'INVALID_RESET_TOKEN'))
+  }
+
+  // The new password also lifts any lockout
+  user.password = password
+  user.failedLoginAttempts = 0
+  user.lockedUntil = null
+  await user.save()
+  await SecurityEvent.record(user._id, 'password-reset', req)
+
+  // Whoever knew the old password may hold sessions; end them all
+  const sessionIds = await Session.find({ userId: user._id, revokedAt: null }).distinct('_id')
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: 'password-reset' }
+  )
+  disconnectRevokedSessions(req, sessionIds)
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Password has been reset. Please log in with your new password.'
+    }
+  })
+})
+
+// Confirm an email address with the token from the verification email
+export const verifyEmail = catchAsync(async (req, res, next) => {
+  const verificationToken = await AuthToken.consume(req.params.token, 'email-verification')
+  const user = verificationToken && await User.findByIdAndUpdate(
+    verificationToken.userId,
+    { emailVerified: true },
+    { new: true }
+  )
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400, 'INVALID_VERIFICATION_TOKEN'))
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Email address verified',
+      user: user.toJSON()
+    }
+  })
+})
+
+// Email a new verification link. Like forgot-password, the response does not
+// reveal whether the address is registered.
+export const resendVerification = catchAsync(async (req, res) => {
+  const user = await User.findOne({ email: req.body.email })
+
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'If that address needs verifying, a new link has been sent'
+    }
+  })
+})
+
+// Lift a lockout with the token from the account locked email
+export const unlockAccount = catchAsync(async (req, res, next) => {
+  const unlockToken = await AuthToken.consume(req.params.token, 'account-unlock')
+  const user = unlockToken && await User.findById(unlockToken.userId)
+  if (!user) {
+    return next(new AppError('Unlock link is invalid or has expired', 400, 'INVALID_UNLOCK_TOKEN'))
+  }
+
+  await user.clearFailedLogins()
+  await SecurityEvent.record(user._id, 'account-unlocked', req, { method: 'email' })
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Your account has been unlocked. You can log in again.'
+    }
+  })
+})
+
+// Recent sign-in activity on the account
+export const getSecurityEvents = catchAsync(async (req, res) => {
+  const events = await SecurityEvent.recentFor(req.user._id)
+
+  res.json({
+    success: true,
+    data: {
+      events
+    }
+  })
+})
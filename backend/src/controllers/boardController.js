@@ -0,0 +1,278 @@
+import Board from '../models/Board.js'
+import Task from '../models/Task.js'
+import Comment from '../models/Comment.js'
+import Notification from '../models/Notification.js'
+import User from '../models/User.js'
+import Workspace from '../models/Workspace.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { insufficientPermissionError } from '../middleware/permissions.js'
+import {
+  emitBoardEvent,
+  userRoom,
+  boardRoom,
+  workspaceRoom,
+  joinBoardRoom,
+  joinWorkspaceToBoard,
+  leaveBoardRoom,
+  closeBoardRoom
+} from '../socket/index.js'
+import { removeTaskAttachments } from './attachmentController.js'
+
+// User fields shown in board member lists
+const MEMBER_FIELDS = 'username'
+
+// The board's owner and members with their usernames
+const listMembers = async (boardId) => {
+  const board = await Board.findById(boardId)
+    .select('userId members')
+    .populate('userId', MEMBER_FIELDS)
+    .populate('members.userId', MEMBER_FIELDS)
+
+  return {
+    owner: board.userId,
+    members: board.members
+  }
+}
+
+const findMember = (board, userId) => {
+  const member = board.members.find(entry => entry.userId.equals(userId))
+  if (!member) {
+    throw new AppError('Member not found', 404, 'MEMBER_NOT_FOUND')
+  }
+  return member
+}
+
+// Get the boards the user owns, oldest (default) first, followed by the boards
+// shared with them. Boards in workspaces carry their workspaceId.
+export const getBoards = catchAsync(async (req, res) => {
+  const userId = req.user._id
+
+  const ownedBoards = await Board.find({ userId }).sort({ createdAt: 1 })
+  const sharedBoards = await Board.find({ 'members.userId': userId }).sort({ createdAt: 1 })
+
+  // Every user has at least one personal board to put tasks on
+  if (!ownedBoards.some(board => !board.workspaceId)) {
+    ownedBoards.unshift(await Board.findOrCreateDefault(userId))
+  }
+  const boards = [...ownedBoards, ...sharedBoards]
+
+  res.json({
+    success: true,
+    data: {
+      boards
+    }
+  })
+})
+
+// Get a single board
+export const getBoard = catchAsync(async (req, res) => {
+  // Board is already validated and attached by middleware
+  res.json({
+    success: true,
+    data: {
+      board: req.board
+    }
+  })
+})
+
+// Create a new board, either personal or in a workspace the user is in. Boards in
+// a workspace are shared with everyone in it, in the workspace's default board role.
+export const createBoard = catchAsync(async (req, res, next) => {
+  const { name, description, workspaceId } = req.body
+  const userId = req.user._id
+
+  let workspace = null
+  if (workspaceId) {
+    workspace = await Workspace.findById(workspaceId)
+    if (!workspace || !workspace.roleOf(userId)) {
+      return next(new AppError('Workspace not found or access denied', 404, 'WORKSPACE_NOT_FOUND'))
+    }
+  }
+
+  const members = workspace
+    ? workspace.memberIds()
+      .filter(memberId => !memberId.equals(userId))
+      .map(memberId => ({ userId: memberId, role: workspace.settings.defaultBoardRole }))
+    : []
+  const board = new Board({ name, description, userId, workspaceId: workspace?._id ?? null, members })
+  await board.save()
+
+  // Emit real-time event and let the open sessions of everyone with access follow the new board
+  const io = req.app.get('io')
+  if (io) {
+    if (workspace) {
+      emitBoardEvent(io, workspaceRoom(workspace._id), 'board-created', board)
+      joinWorkspaceToBoard(io, workspace._id, board._id)
+    } else {
+      emitBoardEvent(io, userRoom(userId), 'board-created', board)
+      joinBoardRoom(io, userId, board._id)
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      board
+    }
+  })
+})
+
+// Update an existing board
+export const updateBoard = catchAsync(async (req, res) => {
+  const { name, description } = req.body
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  if (name !== undefined) board.name = name
+  if (description !== undefined) board.description = description
+
+  await board.save()
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      board
+    }
+  })
+})
+
+// Delete a board together with its tasks, their discussions and files
+export const deleteBoard = catchAsync(async (req, res, next) => {
+  const userId = req.user._id
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  // Users always keep at least one personal board
+  const boardCount = await Board.countDocuments({ userId, workspaceId: null })
+  if (!board.workspaceId && boardCount <= 1) {
+    return next(new AppError('You cannot delete your only board', 400, 'LAST_BOARD'))
+  }
+
+  const tasks = await Task.find({ boardId: board._id }).select('_id')
+  const taskIds = tasks.map(task => task._id)
+
+  await Comment.deleteMany({ taskId: { $in: taskIds } })
+  await Notification.deleteMany({ taskId: { $in: taskIds } })
+  await Promise.all(taskIds.map(taskId => removeTaskAttachments(taskId)))
+  await Task.deleteMany({ boardId: board._id })
+  await Board.findByIdAndDelete(board._id)
+
+  // Emit real-time event so other sessions and members can leave the board
+  const io = req.app.get('io')
+  if (io) {
+    emitBoardEvent(io, boardRoom(board._id), 'board-deleted', board)
+    closeBoardRoom(io, board._id)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Board deleted successfully',
+      board,
+      deletedTasks: taskIds.length
+    }
+  })
+})
+
+// Get the board's owner and members
+export const getBoardMembers = catchAsync(async (req, res) => {
+  // Board is already validated and attached by middleware
+  res.json({
+    success: true,
+    data: await listMembers(req.board._id)
+  })
+})
+
+// Share the board with a user, named by username or email. New members are viewers
+// unless a role is given.
+export const addBoardMember = catchAsync(async (req, res, next) => {
+  const { username, email, role = 'viewer' } = req.body
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  const user = await User.findOne(username ? { username } : { email })
+  if (!user) {
+    return next(new AppError('No user with that username or email', 404, 'USER_NOT_FOUND'))
+  }
+  if (board.roleOf(user._id)) {
+    return next(new AppError(`${user.username} already has access to this board`, 409, 'ALREADY_MEMBER'))
+  }
+
+  board.members.push({ userId: user._id, role })
+  await board.save()
+
+  // Tell current members, then bring the new member's open sessions onto the board
+  const io = req.app.get('io')
+  if (io) {
+    emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+    joinBoardRoom(io, user._id, board._id)
+    emitBoardEvent(io, userRoom(user._id), 'board-created', board)
+  }
+
+  res.status(201).json({
+    success: true,
+    data: await listMembers(board._id)
+  })
+})
+
+// Change a member's role
+export const updateBoardMember = catchAsync(async (req, res) => {
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  const member = findMember(board, req.params.userId)
+  member.role = req.body.role
+  await board.save()
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+  }
+
+  res.json({
+    success: true,
+    data: await listMembers(board._id)
+  })
+})
+
+// Remove a member from the board. Members may remove themselves to leave it.
+export const removeBoardMember = catchAsync(async (req, res, next) => {
+  const { userId } = req.params
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  const leaving = req.user._id.equals(userId)
+  if (!leaving && !board.can(req.user._id, 'manage')) {
+    return next(insufficientPermissionError('manage', req.boardRole))
+  }
+
+  findMember(board, userId)
+  board.members = board.members.filter(member => !member.userId.equals(userId))
+  await board.save()
+  // Tasks on the board can no longer be assigned to them
+  await Task.updateMany({ boardId: board._id, assignees: userId }, { $pull: { assignees: userId } })
+
+  // The removed member's sessions drop the board; the rest see the new member list
+  const io = req.app.get('io')
+  if (io) {
+    leaveBoardRoom(io, userId, board._id)
+    emitBoardEvent(io, userRoom(userId), 'board-deleted', board)
+    emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+  }
+
+  res.json({
+    success: true,
+    data: await listMembers(board._id)
+  })
+})
@@ -0,0 +1,132 @@
+import { MAX_CHECKLIST_ITEMS } from '../models/Task.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { emitTaskEvent, taskRoom } from '../socket/index.js'
+import { TASK_POPULATE } from './taskController.js'
+
+// Save the task and broadcast the new checklist to everyone on its board
+const saveAndBroadcast = async (req, task) => {
+  await task.save()
+  await task.populate(TASK_POPULATE)
+
+  const io = req.app.get('io')
+  if (io) {
+    emitTaskEvent(io, taskRoom(task), 'task-updated', task)
+  }
+
+  return task
+}
+
+const findChecklistItem = (task, itemId) => {
+  const item = task.checklist.id(itemId)
+  if (!item) {
+    throw new AppError('Checklist item not found', 404, 'CHECKLIST_ITEM_NOT_FOUND')
+  }
+  return item
+}
+
+// Append an item to the end of a task's checklist
+export const addChecklistItem = catchAsync(async (req, res, next) => {
+  const { text, done = false } = req.body
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  if (task.checklist.length >= MAX_CHECKLIST_ITEMS) {
+    return next(new AppError(
+      `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`,
+      400,
+      'CHECKLIST_FULL'
+    ))
+  }
+
+  const position = task.checklist.reduce((max, item) => Math.max(max, item.position + 1), 0)
+  task.checklist.push({ text, done, position })
+  const item = task.checklist[task.checklist.length - 1]
+
+  await saveAndBroadcast(req, task)
+
+  res.status(201).json({
+    success: true,
+    data: {
+      task,
+      item
+    }
+  })
+})
+
+// Rename and/or toggle a checklist item
+export const updateChecklistItem = catchAsync(async (req, res) => {
+  const { text, done } = req.body
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const item = findChecklistItem(task, req.params.itemId)
+
+  if (text !== undefined) item.text = text
+  if (done !== undefined) item.done = done
+
+  await saveAndBroadcast(req, task)
+
+  res.json({
+    success: true,
+    data: {
+      task,
+      item
+    }
+  })
+})
+
+// Reorder the checklist; itemIds must list every item exactly once
+export const reorderChecklist = catchAsync(async (req, res, next) => {
+  const { itemIds } = req.body
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  const currentIds = task.checklist.map(item => item._id.toString())
+  const requestedIds = itemIds.map(String)
+  const isPermutation = requestedIds.length === currentIds.length &&
+    new Set(requestedIds).size === requestedIds.length &&
+    requestedIds.every(id => currentIds.includes(id))
+
+  if (!isPermutation) {
+    return next(new AppError(
+      'itemIds must contain every checklist item exactly once',
+      400,
+      'INVALID_CHECKLIST_ORDER'
+    ))
+  }
+
+  requestedIds.forEach((id, index) => {
+    task.checklist.id(id).position = index
+  })
+  task.normalizeChecklist()
+
+  await saveAndBroadcast(req, task)
+
+  res.json({
+    success: true,
+    data: {
+      task
+    }
+  })
+})
+
+// Remove a checklist item and close the gap in positions
+export const deleteChecklistItem = catchAsync(async (req, res) => {
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const item = findChecklistItem(task, req.params.itemId)
+
+  task.checklist.pull(item._id)
+  task.normalizeChecklist()
+
+  await saveAndBroadcast(req, task)
+
+  res.json({
+    success: true,
+    data: {
+      task
+    }
+  })
+})
@@ -0,0 +1,192 @@
+import mongoose from 'mongoose'
+import { MAX_COLUMNS } from '../models/Board.js'
+import Task from '../models/Task.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { emitBoardEvent, boardRoom } from '../socket/index.js'
+
+// Save the board and broadcast its new columns to all of its members
+const saveAndBroadcast = async (req, board) => {
+  await board.save()
+
+  const io = req.app.get('io')
+  if (io) {
+    emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+  }
+
+  return board
+}
+
+const findColumn = (board, columnId) => {
+  const column = board.columns.id(columnId)
+  if (!column) {
+    throw new AppError('Column not found', 404, 'COLUMN_NOT_FOUND')
+  }
+  return column
+}
+
+// Only one column counts as done; marking a column done unmarks the others
+const setDoneColumn = (board, column, isDone) => {
+  if (isDone) {
+    board.columns.forEach(other => {
+      other.isDone = false
+    })
+  }
+  column.isDone = isDone
+}
+
+// Bring completedAt in line with the board's done column after it changes
+const syncCompletedAt = async (board) => {
+  const doneStatuses = board.doneStatuses()
+
+  await Task.updateMany(
+    { boardId: board._id, status: { $in: doneStatuses }, completedAt: null },
+    { $set: { completedAt: new Date() } }
+  )
+  await Task.updateMany(
+    { boardId: board._id, status: { $nin: doneStatuses }, completedAt: { $ne: null } },
+    { $set: { completedAt: null } }
+  )
+}
+
+// Append a column to the end of the board
+export const addColumn = catchAsync(async (req, res, next) => {
+  const { name, isDone = false } = req.body
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  if (board.columns.length >= MAX_COLUMNS) {
+    return next(new AppError(
+      `A board cannot have more than ${MAX_COLUMNS} columns`,
+      400,
+      'COLUMN_LIMIT'
+    ))
+  }
+
+  // New columns get an opaque key so renames never touch their tasks
+  board.columns.push({ key: new mongoose.Types.ObjectId().toString(), name })
+  const column = board.columns[board.columns.length - 1]
+  setDoneColumn(board, column, isDone)
+
+  await saveAndBroadcast(req, board)
+  if (isDone) {
+    await syncCompletedAt(board)
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      board,
+      column
+    }
+  })
+})
+
+// Rename a column and/or mark it as the done column
+export const updateColumn = catchAsync(async (req, res) => {
+  const { name, isDone } = req.body
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+  const column = findColumn(board, req.params.columnId)
+
+  const doneChanged = isDone !== undefined && isDone !== column.isDone
+  if (name !== undefined) column.name = name
+  if (isDone !== undefined) setDoneColumn(board, column, isDone)
+
+  await saveAndBroadcast(req, board)
+  if (doneChanged) {
+    await syncCompletedAt(board)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      board,
+      column
+    }
+  })
+})
+
+// Reorder the columns; columnIds must list every column exactly once
+export const reorderColumns = catchAsync(async (req, res, next) => {
+  const { columnIds } = req.body
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+
+  const currentIds = board.columns.map(column => column._id.toString())
+  const requestedIds = columnIds.map(String)
+  const isPermutation = requestedIds.length === currentIds.length &&
+    new Set(requestedIds).size === requestedIds.length &&
+    requestedIds.every(id => currentIds.includes(id))
+
+  if (!isPermutation) {
+    return next(new AppError(
+      'columnIds must contain every column exactly once',
+      400,
+      'INVALID_COLUMN_ORDER'
+    ))
+  }
+
+  board.columns = requestedIds.map(id => board.columns.id(id).toObject())
+
+  await saveAndBroadcast(req, board)
+
+  res.json({
+    success: true,
+    data: {
+      board
+    }
+  })
+})
+
+// Delete a column, moving its tasks to the end of another column
+export const deleteColumn = catchAsync(async (req, res, next) => {
+  const { moveTo } = req.query
+
+  // Board is already validated and attached by middleware
+  const board = req.board
+  const column = findColumn(board, req.params.columnId)
+
+  if (board.columns.length <= 1) {
+    return next(new AppError('A board needs at least one column', 400, 'LAST_COLUMN'))
+  }
+
+  // Tasks go to the named column, or the first remaining one
+  const remaining = board.columns.filter(other => !other._id.equals(column._id))
+  const target = moveTo ? remaining.find(other => other.key === moveTo) : remaining[0]
+  if (!target) {
+    return next(new AppError('moveTo must be another column on this board', 400, 'INVALID_MOVE_TARGET'))
+  }
+
+  const tasks = await Task.find({ boardId: board._id, status: column.key })
+    .sort({ position: 1 })
+    .select('_id')
+  const lastTask = await Task.findOne({ boardId: board._id, status: target.key })
+    .sort({ position: -1 })
+    .select('position')
+  const startPosition = lastTask ? lastTask.position + 1 : 0
+
+  if (tasks.length > 0) {
+    await Task.bulkWrite(tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { status: target.key, position: startPosition + index } }
+      }
+    })))
+  }
+
+  board.columns.pull(column._id)
+  await saveAndBroadcast(req, board)
+  await syncCompletedAt(board)
+
+  res.json({
+    success: true,
+    data: {
+      board,
+      movedTasks: tasks.length,
+      movedTo: target.key
+    }
+  })
+})
@@ -0,0 +1,170 @@
+import Comment from '../models/Comment.js'
+import Task from '../models/Task.js'
+import Notification from '../models/Notification.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { emitCommentEvent, taskRoom } from '../socket/index.js'
+import { notifyUsers } from './notificationController.js'
+import { resolveMentions, notifyMentioned } from './taskController.js'
+
+// Author fields embedded in comment responses
+const AUTHOR_FIELDS = 'username'
+
+// Look up a comment on the current task, or fail with 404
+const findTaskComment = async (task, commentId) => {
+  const comment = await Comment.findOne({ _id: commentId, taskId: task._id })
+  if (!comment) {
+    throw new AppError('Comment not found', 404, 'COMMENT_NOT_FOUND')
+  }
+  return comment
+}
+
+// Only the author may edit or delete a comment
+const assertAuthor = (comment, userId) => {
+  if (!comment.userId.equals(userId)) {
+    throw new AppError('You can only modify your own comments', 403, 'NOT_COMMENT_AUTHOR')
+  }
+}
+
+// People who follow a task's discussion: its creator and assignees, and for a reply
+// the author of the comment replied to. Only those who can still see the task count.
+const followersOf = (task, board, parent) => {
+  const userIds = [task.userId, ...task.assignees, ...(parent ? [parent.userId] : [])]
+  return board ? userIds.filter(id => board.roleOf(id)) : userIds.filter(id => id.equals(task.userId))
+}
+
+// Get every comment on a task, oldest first
+export const getComments = catchAsync(async (req, res) => {
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  const comments = await Comment.find({ taskId: task._id })
+    .sort({ createdAt: 1 })
+    .populate('userId', AUTHOR_FIELDS)
+
+  res.json({
+    success: true,
+    data: {
+      comments
+    }
+  })
+})
+
+// Add a comment, or a reply when parentId is given
+export const createComment = catchAsync(async (req, res, next) => {
+  const { body, parentId = null } = req.body
+  const userId = req.user._id
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  const parent = parentId && await Comment.findOne({ _id: parentId, taskId: task._id })
+  if (parentId && (!parent || parent.parentId)) {
+    return next(new AppError('Replies must target a top-level comment on this task', 400, 'INVALID_PARENT'))
+  }
+
+  const mentions = await resolveMentions(body, req.board, task.userId)
+  const comment = new Comment({ taskId: task._id, userId, parentId, body, mentions })
+  await comment.save()
+  await comment.populate('userId', AUTHOR_FIELDS)
+
+  const { commentCount } = await Task.findByIdAndUpdate(
+    task._id,
+    { $inc: { commentCount: 1 } },
+    { new: true }
+  )
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitCommentEvent(io, taskRoom(task), 'comment-created', { comment, commentCount })
+  }
+  // People mentioned in the comment hear about it as a mention rather than a comment
+  const mentionedIds = new Set(mentions.map(mention => String(mention.userId)))
+  const followers = followersOf(task, req.board, parent).filter(id => !mentionedIds.has(String(id)))
+  await notifyUsers(io, followers, {
+    type: 'comment',
+    task,
+    actorId: userId,
+    commentId: comment._id
+  })
+  await notifyMentioned(req, task, mentions, [], comment._id)
+
+  res.status(201).json({
+    success: true,
+    data: {
+      comment,
+      commentCount
+    }
+  })
+})
+
+// Edit the text of your own comment
+export const updateComment = catchAsync(async (req, res) => {
+  const { body } = req.body
+  const userId = req.user._id
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const comment = await findTaskComment(task, req.params.commentId)
+  assertAuthor(comment, userId)
+  const previousMentions = [...comment.mentions]
+
+  comment.body = body
+  comment.mentions = await resolveMentions(body, req.board, task.userId)
+  comment.editedAt = new Date()
+  await comment.save()
+  await comment.populate('userId', AUTHOR_FIELDS)
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitCommentEvent(io, taskRoom(task), 'comment-updated', { comment })
+  }
+  await notifyMentioned(req, task, comment.mentions, previousMentions, comment._id)
+
+  res.json({
+    success: true,
+    data: {
+      comment
+    }
+  })
+})
+
+// Delete your own comment along with any replies to it
+export const deleteComment = catchAsync(async (req, res) => {
+  const userId = req.user._id
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+  const comment = await findTaskComment(task, req.params.commentId)
+  assertAuthor(comment, userId)
+
+  const replies = await Comment.find({ parentId: comment._id }).select('_id')
+  const deletedIds = [comment._id, ...replies.map(reply => reply._id)]
+  await Comment.deleteMany({ _id: { $in: deletedIds } })
+  await Notification.deleteMany({ commentId: { $in: deletedIds } })
+
+  const { commentCount } = await Task.findByIdAndUpdate(
+    task._id,
+    { $inc: { commentCount: -deletedIds.length } },
+    { new: true }
+  )
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitCommentEvent(io, taskRoom(task), 'comment-deleted', {
+      comment,
+      deletedIds,
+      commentCount
+    })
+  }
+
+  res.json({
+    success: true,
+    data: {
+      deletedIds,
+      commentCount
+    }
+  })
+})
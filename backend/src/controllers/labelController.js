@@ -0,0 +1,130 @@
+import Label from '../models/Label.js'
+import Task from '../models/Task.js'
+import Board from '../models/Board.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { emitLabelEvent, emitTaskEvent, userRoom, boardRoom, taskRoom } from '../socket/index.js'
+import { TASK_POPULATE } from './taskController.js'
+
+// Cards on the owner's boards use the owner's catalog, so label events reach
+// everyone on those boards as well as the owner
+const labelRooms = async (ownerId) => {
+  const boardIds = await Board.find({ userId: ownerId }).distinct('_id')
+  return [userRoom(ownerId), ...boardIds.map(boardRoom)]
+}
+
+// Get the authenticated user's label catalog, or with ?boardId= the catalog of
+// that board's owner
+export const getLabels = catchAsync(async (req, res, next) => {
+  let ownerId = req.user._id
+  if (req.query.boardId) {
+    const board = await Board.findById(req.query.boardId)
+    if (!board || !board.can(req.user._id, 'view')) {
+      return next(new AppError('Board not found or access denied', 404, 'BOARD_NOT_FOUND'))
+    }
+    ownerId = board.userId
+  }
+
+  const labels = await Label.find({ userId: ownerId }).sort({ name: 1 })
+
+  res.json({
+    success: true,
+    data: {
+      labels
+    }
+  })
+})
+
+// Create a new label
+export const createLabel = catchAsync(async (req, res, next) => {
+  const { name, color } = req.body
+  const userId = req.user._id
+
+  // Label names are unique per user
+  const existingLabel = await Label.findOne({ userId, name })
+  if (existingLabel) {
+    return next(new AppError(`Label '${name}' already exists`, 400, 'LABEL_EXISTS', { field: 'name' }))
+  }
+
+  const label = new Label({ name, color, userId })
+  await label.save()
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitLabelEvent(io, await labelRooms(userId), 'label-created', label)
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      label
+    }
+  })
+})
+
+// Update an existing label
+export const updateLabel = catchAsync(async (req, res, next) => {
+  const { name, color } = req.body
+  const userId = req.user._id
+
+  // Label is already validated and attached by middleware
+  const label = req.label
+
+  if (name !== undefined && name !== label.name) {
+    const existingLabel = await Label.findOne({ userId, name })
+    if (existingLabel) {
+      return next(new AppError(`Label '${name}' already exists`, 400, 'LABEL_EXISTS', { field: 'name' }))
+    }
+    label.name = name
+  }
+  if (color !== undefined) label.color = color
+
+  await label.save()
+
+  // Emit real-time event
+  const io = req.app.get('io')
+  if (io) {
+    emitLabelEvent(io, await labelRooms(userId), 'label-updated', label)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      label
+    }
+  })
+})
+
+// Delete a label and detach it from every task that references it
+export const deleteLabel = catchAsync(async (req, res) => {
+  const userId = req.user._id
+
+  // Label is already validated and attached by middleware
+  const label = req.label
+
+  const taskIds = await Task.find({ labels: label._id }).distinct('_id')
+  const { modifiedCount } = await Task.updateMany(
+    { _id: { $in: taskIds } },
+    { $pull: { labels: label._id } }
+  )
+  await Label.findByIdAndDelete(label._id)
+
+  // Emit real-time events so open boards drop the label and refresh the cards it was on
+  const io = req.app.get('io')
+  if (io) {
+    emitLabelEvent(io, await labelRooms(userId), 'label-deleted', label)
+    const tasks = await Task.find({ _id: { $in: taskIds } }).populate(TASK_POPULATE)
+    for (const task of tasks) {
+      emitTaskEvent(io, taskRoom(task), 'task-updated', task)
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Label deleted successfully',
+      label,
+      detachedFrom: modifiedCount
+    }
+  })
+})
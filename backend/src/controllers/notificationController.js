@@ -0,0 +1,120 @@
+import Notification from '../models/Notification.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { emitNotificationEvent, userRoom } from '../socket/index.js'
+
+// Fields of the user who caused a notification
+const ACTOR_FIELDS = 'username'
+
+// Due-date reminders remember which due date they were sent for
+const DUE_DATE_TYPES = ['due_soon', 'overdue']
+
+// Create a notification about the task for each recipient and push it to their
+// sockets. Nobody is notified about their own doing. Also used by the due-date
+// reminder job. Resolves to the created notifications.
+export const notifyUsers = async (io, recipientIds, { type, task, actorId = null, commentId = null }) => {
+  const userIds = [...new Set(recipientIds.map(id => String(id._id || id)))]
+    .filter(id => !actorId || !actorId.equals(id))
+  if (userIds.length === 0) return []
+
+  const notifications = await Notification.insertMany(userIds.map(userId => ({
+    userId,
+    type,
+    actorId,
+    taskId: task._id,
+    boardId: task.boardId || null,
+    commentId,
+    taskTitle: task.title,
+    dueDate: DUE_DATE_TYPES.includes(type) ? task.dueDate : null
+  })))
+  await Notification.populate(notifications, { path: 'actorId', select: ACTOR_FIELDS })
+
+  if (io) {
+    const unreadCounts = await Notification.unreadCounts(userIds)
+    for (const notification of notifications) {
+      emitNotificationEvent(io, userRoom(notification.userId), {
+        notification,
+        unreadCount: unreadCounts.get(String(notification.userId)) || 0
+      })
+    }
+  }
+  return notifications
+}
+
+// Get the user's notifications, newest first, with their unread count (?unread=true
+// lists only unread ones)
+export const getNotifications = catchAsync(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query
+  const userId = req.user._id
+
+  const filter = { userId }
+  if (unread === 'true') {
+    filter.readAt = null
+  }
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit)
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actorId', ACTOR_FIELDS),
+    Notification.countDocuments(filter),
+    Notification.unreadCount(userId)
+  ])
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  })
+})
+
+// Mark one of the user's notifications as read
+export const markNotificationRead = catchAsync(async (req, res, next) => {
+  const userId = req.user._id
+
+  const notification = await Notification.findOne({ _id: req.params.id, userId })
+    .populate('actorId', ACTOR_FIELDS)
+  if (!notification) {
+    return next(new AppError('Notification not found', 404, 'NOTIFICATION_NOT_FOUND'))
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date()
+    await notification.save()
+  }
+
+  res.json({
+    success: true,
+    data: {
+      notification,
+      unreadCount: await Notification.unreadCount(userId)
+    }
+  })
+})
+
+// Mark all of the user's notifications as read
+export const markAllNotificationsRead = catchAsync(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { userId: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  )
+
+  res.json({
+    success: true,
+    data: {
+      updated: modifiedCount,
+      unreadCount: 0
+    }
+  })
+})
@@ -0,0 +1,195 @@
+import crypto from 'crypto'
+import User from '../models/User.js'
+import SsoAttempt, { SSO_ATTEMPT_TTL_MS } from '../models/SsoAttempt.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { generateSsoToken, generateMfaToken, verifyToken } from '../utils/jwt.js'
+import {
+  getOidcConfig,
+  isOidcEnabled,
+  randomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+} from '../utils/oidc.js'
+import { signIn, sendVerificationEmail, isEmailVerificationRequired, emailNotVerifiedError } from './authController.js'
+
+const USERNAME_MAX_LENGTH = 30
+
+const ssoNotConfiguredError = () => new AppError('Single sign-on is not configured', 404, 'SSO_NOT_CONFIGURED')
+
+const invalidSsoStateError = () => new AppError('Single sign-on attempt has expired, please try again', 401, 'INVALID_SSO_STATE')
+
+// Turn the provider's preferred username or the email's local part into a free
+// username that passes our rules, adding a number when it is taken
+const availableUsername = async (claims) => {
+  const source = claims.preferred_username || claims.email.split('@')[0]
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, USERNAME_MAX_LENGTH - 5)
+  if (base.length < 3) {
+    base = `user_${base}`
+  }
+
+  let candidate = base
+  for (let attempt = 0; attempt < 10; attempt++) {
+    if (!await User.exists({ username: candidate })) {
+      return candidate
+    }
+    candidate = `${base}_${crypto.randomInt(1000, 10000)}`
+  }
+  throw new AppError('Could not pick a username for this account', 409, 'USERNAME_UNAVAILABLE')
+}
+
+// Find the account for a provider identity: one already linked to it, else one
+// with the same verified email address, which gets linked, else a new account
+const findOrCreateSsoUser = async (issuer, claims) => {
+  const linkedUser = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub })
+  if (linkedUser) {
+    return linkedUser
+  }
+
+  const email = claims.email.toLowerCase()
+  const emailVerified = claims.email_verified === true
+
+  const existingUser = await User.findOne({ email }).select('+oidcIssuer +oidcSubject')
+  if (existingUser) {
+    // Only an address the provider vouches for may take over a password account
+    if (!emailVerified) {
+      throw new AppError('An account with this email already exists. Log in with your password instead.', 409, 'SSO_ACCOUNT_EXISTS')
+    }
+    // An account stays linked to the identity it was first linked to
+    if (existingUser.oidcSubject && (existingUser.oidcIssuer !== issuer || existingUser.oidcSubject !== claims.sub)) {
+      throw new AppError('This account is linked to another single sign-on identity', 409, 'SSO_IDENTITY_MISMATCH')
+    }
+    existingUser.oidcIssuer = issuer
+    existingUser.oidcSubject = claims.sub
+    existingUser.emailVerified = true
+    await existingUser.save()
+    return existingUser
+  }
+
+  // SSO accounts get a random password; a real one can be set through the reset flow
+  const user = await User.create({
+    username: await availableUsername(claims),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified,
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub
+  })
+  if (!emailVerified) {
+    await sendVerificationEmail(user)
+  }
+  return user
+}
+
+// Whether SSO is available and what to call the provider on the login page
+export const getSsoConfig = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: getOidcConfig().providerName
+    }
+  })
+}
+
+// Start an SSO login: the browser goes to authorizationUrl and keeps ssoToken
+// for the callback. The nonce and PKCE verifier are kept here under the state.
+export const startSsoLogin = catchAsync(async (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return next(ssoNotConfiguredError())
+  }
+
+  const state = randomToken()
+  const nonce = randomToken()
+  const { codeVerifier, codeChallenge } = createPkcePair()
+
+  let authorizationUrl
+  try {
+    authorizationUrl = await buildAuthorizationUrl({ state, nonce, codeChallenge })
+  } catch (error) {
+    console.error('SSO discovery failed:', error.message)
+    return next(new AppError('The identity provider is unavailable', 502, 'SSO_PROVIDER_UNAVAILABLE'))
+  }
+
+  await SsoAttempt.create({ state, nonce, codeVerifier, expiresAt: new Date(Date.now() + SSO_ATTEMPT_TTL_MS) })
+
+  res.json({
+    success: true,
+    data: {
+      authorizationUrl,
+      ssoToken: generateSsoToken(state)
+    }
+  })
+})
+
+// Finish an SSO login with the code the provider sent back. The state must match
+// the one in ssoToken, which only the browser that started the login holds, and
+// each attempt can be finished once.
+export const completeSsoLogin = catchAsync(async (req, res, next) => {
+  if (!isOidcEnabled()) {
+    return next(ssoNotConfiguredError())
+  }
+
+  const { code, state, ssoToken } = req.body
+
+  let attempt
+  try {
+    attempt = verifyToken(ssoToken)
+  } catch {
+    attempt = null
+  }
+  if (attempt?.type !== 'sso' || attempt.state !== state) {
+    return next(invalidSsoStateError())
+  }
+
+  const ssoAttempt = await SsoAttempt.consume(state)
+  if (!ssoAttempt) {
+    return next(invalidSsoStateError())
+  }
+
+  let claims
+  try {
+    const tokens = await exchangeCode(code, ssoAttempt.codeVerifier)
+    claims = await verifyIdToken(tokens.id_token, ssoAttempt.nonce)
+    if (!claims.email && tokens.access_token) {
+      claims = { ...await fetchUserInfo(tokens.access_token), ...claims }
+    }
+  } catch (error) {
+    console.error('SSO login failed:', error.message)
+    return next(new AppError('Single sign-on failed, please try again', 401, 'SSO_LOGIN_FAILED'))
+  }
+
+  if (!claims.email) {
+    return next(new AppError('The identity provider did not share an email address', 400, 'SSO_EMAIL_REQUIRED'))
+  }
+
+  const user = await findOrCreateSsoUser(getOidcConfig().issuer, claims)
+
+  if (isEmailVerificationRequired() && !user.emailVerified) {
+    return next(emailNotVerifiedError())
+  }
+
+  // The provider vouches for the identity, not for our second factor
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaToken(user._id.toString())
+      }
+    })
+  }
+
+  // Lockouts guard against password guessing, so a locked account can still use SSO
+  const tokens = await signIn(req, user, { method: 'sso' })
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON(),
+      ...tokens
+    }
+  })
+})
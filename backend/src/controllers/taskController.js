@@ -1,26 +1,263 @@
-import Task from '../models/Task.js'
+import mongoose from 'mongoose'
+import Task, { TASK_PRIORITIES } from '../models/Task.js'
+import Label from '../models/Label.js'
+import Board from '../models/Board.js'
+import Comment from '../models/Comment.js'
+import Notification from '../models/Notification.js'
+import User from '../models/User.js'
 import { AppError, catchAsync } from '../middleware/errorHandler.js'
-import { emitTaskEvent } from '../socket/index.js'
+import { insufficientPermissionError } from '../middleware/permissions.js'
+import { emitTaskEvent, emitAssignmentEvent, emitMentionEvent, taskRoom, userRoom } from '../socket/index.js'
+import { removeTaskAttachments } from './attachmentController.js'
+import { notifyUsers } from './notificationController.js'
+import { rankBetween } from '../utils/ranking.js'
+import { getSearchTerms, highlight } from '../utils/highlight.js'
+import { extractMentionNames, newlyMentioned } from '../utils/mentions.js'
+
+// Sort orders accepted by getTasks (priorityRank and hasDueDate are computed in the pipeline)
+const TASK_SORTS = {
+  position: { status: 1, position: 1, createdAt: -1 },
+  priority: { status: 1, priorityRank: -1, position: 1 },
+  dueDate: { status: 1, hasDueDate: -1, dueDate: 1, position: 1 },
+  createdAt: { createdAt: -1 }
+}
+
+// Label fields embedded in task responses so cards can render chips
+export const LABEL_FIELDS = 'name color'
+
+// Assignee fields embedded in task responses so cards can render avatars
+const ASSIGNEE_FIELDS = 'username'
+
+// References populated on every task returned to clients
+export const TASK_POPULATE = [
+  { path: 'labels', select: LABEL_FIELDS },
+  { path: 'assignees', select: ASSIGNEE_FIELDS }
+]
+
+// Make sure every referenced label exists in the catalog of the board's owner
+const assertLabelsOwned = async (userId, labelIds) => {
+  const uniqueIds = [...new Set(labelIds.map(String))]
+  const ownedCount = await Label.countDocuments({ _id: { $in: uniqueIds }, userId })
+  if (ownedCount !== uniqueIds.length) {
+    throw new AppError('One or more labels were not found', 400, 'INVALID_LABELS')
+  }
+  return uniqueIds
+}
+
+// Assignees must be able to see the task: anyone with a role on its board, or
+// only the creator for tasks from before boards existed
+const assertAssigneesAllowed = (board, creatorId, assigneeIds) => {
+  const uniqueIds = [...new Set(assigneeIds.map(String))]
+  const allowed = board
+    ? uniqueIds.every(id => board.roleOf(id))
+    : uniqueIds.every(id => creatorId.equals(id))
+  if (!allowed) {
+    throw new AppError('One or more assignees cannot access this task', 400, 'INVALID_ASSIGNEES')
+  }
+  return uniqueIds
+}
+
+// Tell users who were just put on a task, except the one who did it, and leave
+// them a notification
+const notifyNewAssignees = async (req, task, previousIds = []) => {
+  const actorId = req.user._id
+  const previous = new Set(previousIds.map(String))
+  const added = task.assignees
+    .map(assignee => String(assignee._id || assignee))
+    .filter(id => !previous.has(id) && !actorId.equals(id))
+  if (added.length === 0) return
+
+  const io = req.app.get('io')
+  await notifyUsers(io, added, { type: 'assigned', task, actorId })
+  if (io) {
+    emitAssignmentEvent(io, added.map(userRoom), {
+      task,
+      assignedBy: { _id: actorId, username: req.user.username }
+    })
+  }
+}
+
+// Turn the @usernames in a description or comment into references to the users they
+// name. As with assignees, only people who can see the task count; other names stay
+// plain text. Also used for comments.
+export const resolveMentions = async (text, board, creatorId) => {
+  const names = extractMentionNames(text)
+  if (names.length === 0) return []
+
+  const users = await User.find({ username: { $in: names } }).select('username')
+  return users
+    .filter(user => (board ? board.roleOf(user._id) : creatorId.equals(user._id)))
+    .map(user => ({ userId: user._id, username: user.username }))
+}
+
+// Tell users who were just mentioned, except the author, and leave them a
+// notification. Also used for comments, which pass their ID.
+export const notifyMentioned = async (req, task, mentions, previousMentions = [], commentId = null) => {
+  const actorId = req.user._id
+  const added = newlyMentioned(mentions, previousMentions).filter(id => !actorId.equals(id))
+  if (added.length === 0) return
+
+  const io = req.app.get('io')
+  await notifyUsers(io, added, { type: 'mention', task, actorId, commentId })
+  if (io) {
+    emitMentionEvent(io, added.map(userRoom), {
+      task,
+      commentId,
+      mentionedBy: { _id: actorId, username: req.user.username }
+    })
+  }
+}
+
+const boardNotFoundError = () => new AppError('Board not found or access denied', 404, 'BOARD_NOT_FOUND')
+
+// Resolve the board a task is put on, falling back to the user's default board.
+// The user must be allowed to edit tasks there.
+const resolveBoard = async (userId, boardId) => {
+  if (!boardId) {
+    return Board.findOrCreateDefault(userId)
+  }
+  const board = await Board.findById(boardId)
+  const role = board && board.roleOf(userId)
+  if (!role) {
+    throw boardNotFoundError()
+  }
+  if (!board.can(userId, 'edit')) {
+    throw insufficientPermissionError('edit', role)
+  }
+  return board
+}
+
+// Query for the tasks the user can see: those on one board they can view, or
+// on any board they can view plus their own tasks from before boards existed
+const visibleTasksQuery = async (userId, boardId) => {
+  if (boardId) {
+    const board = await Board.findById(boardId)
+    if (!board || !board.can(userId, 'view')) {
+      throw boardNotFoundError()
+    }
+    return { boardId: board._id }
+  }
+
+  const boards = await Board.find(Board.accessibleBy(userId)).select('_id')
+  return {
+    $or: [
+      { boardId: { $in: boards.map(board => board._id) } },
+      { userId, boardId: null }
+    ]
+  }
+}
+
+// Put the task in one of the board's columns and tell the save hook which columns count as done
+const applyStatus = (task, board, status) => {
+  if (!board.getColumn(status)) {
+    const keys = board.columns.map(column => column.key).join(', ')
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', [
+      { location: 'body', param: 'status', value: status, msg: `Status must be one of: ${keys}` }
+    ])
+  }
+  task.status = status
+  task.$locals.doneStatuses = board.doneStatuses()
+}
+
+// Rank that places the task directly in front of beforeId in its current column,
+// or at the end when beforeId is empty. Returns null when the column needs rebalancing.
+const rankInColumn = async (task, beforeId) => {
+  const others = { boardId: task.boardId, status: task.status, _id: { $ne: task._id } }
+
+  let next = null
+  if (beforeId) {
+    next = await Task.findOne({ ...others, _id: beforeId }).select('position')
+    if (!next || next._id.equals(task._id)) {
+      throw new AppError('beforeId must be another task in the target column', 400, 'INVALID_MOVE_TARGET')
+    }
+    // Tasks sharing next's rank cannot be split without renumbering
+    const tied = await Task.exists({ ...others, _id: { $nin: [task._id, next._id] }, position: next.position })
+    if (tied) return null
+  }
+
+  const prev = await Task.findOne(next ? { ...others, position: { $lt: next.position } } : others)
+    .sort({ position: -1 })
+    .select('position')
+
+  return rankBetween(prev ? prev.position : null, next ? next.position : null)
+}
 
 // Get all tasks for the authenticated user
 export const getTasks = catchAsync(async (req, res) => {
   const userId = req.user._id
-  const { status, page = 1, limit = 50 } = req.query
+  const {
+    status,
+    priority,
+    dueBefore,
+    dueAfter,
+    overdue,
+    labels,
+    labelMatch = 'any',
+    assignee,
+    boardId,
+    sort = 'position',
+    page = 1,
+    limit = 50
+  } = req.query
 
   // Build query
-  const query = { userId }
-  if (status && ['todo', 'inprogress', 'done'].includes(status)) {
+  const query = await visibleTasksQuery(userId, boardId)
+  if (status) {
     query.status = status
   }
+  if (priority) {
+    query.priority = priority
+  }
+
+  // Due date range filters
+  if (dueBefore || dueAfter) {
+    query.dueDate = {}
+    if (dueBefore) query.dueDate.$lte = new Date(dueBefore)
+    if (dueAfter) query.dueDate.$gte = new Date(dueAfter)
+  }
+
+  // Overdue tasks are past their due date and not yet completed
+  if (overdue === 'true') {
+    query.dueDate = { ...query.dueDate, $lt: new Date() }
+    query.completedAt = null
+  }
+
+  // Label filters match tasks carrying any (default) or all of the given labels
+  if (labels) {
+    const labelIds = labels.split(',').filter(Boolean).map(id => new mongoose.Types.ObjectId(id))
+    query.labels = labelMatch === 'all' ? { $all: labelIds } : { $in: labelIds }
+  }
+
+  // Assignee filter: the current user (me), nobody (none) or a user ID
+  if (assignee === 'none') {
+    query['assignees.0'] = { $exists: false }
+  } else if (assignee) {
+    query.assignees = assignee === 'me' ? userId : new mongoose.Types.ObjectId(assignee)
+  }
 
   // Calculate pagination
   const skip = (parseInt(page) - 1) * parseInt(limit)
 
-  // Fetch tasks with pagination, sorted by position within status, then by creation date
-  const tasks = await Task.find(query)
-    .sort({ status: 1, position: 1, createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit))
+  // Fetch tasks with pagination. Priorities are ranked by their index in TASK_PRIORITIES
+  // (tasks saved before priorities existed count as medium) and tasks without a due date
+  // sort after dated ones.
+  const results = await Task.aggregate([
+    { $match: query },
+    {
+      $addFields: {
+        priorityRank: { $indexOfArray: [TASK_PRIORITIES, { $ifNull: ['$priority', 'medium'] }] },
+        hasDueDate: { $cond: [{ $ifNull: ['$dueDate', false] }, 1, 0] }
+      }
+    },
+    { $sort: TASK_SORTS[sort] || TASK_SORTS.position },
+    { $skip: skip },
+    { $limit: parseInt(limit) },
+    { $project: { priorityRank: 0, hasDueDate: 0 } }
+  ])
+  const tasks = await Task.populate(
+    results.map(result => Task.hydrate(result)),
+    TASK_POPULATE
+  )
 
   // Get total count for pagination info
   const total = await Task.countDocuments(query)
@@ -39,37 +276,103 @@ export const getTasks = catchAsync(async (req, res) => {
   })
 })
 
+// Characters of description shown around the first match in search results
+const SEARCH_SNIPPET_LENGTH = 160
+
+// Full-text search over the tasks the user can see, best matches first
+export const searchTasks = catchAsync(async (req, res) => {
+  const userId = req.user._id
+  const { q, boardId, page = 1, limit = 20 } = req.query
+
+  const query = { ...await visibleTasksQuery(userId, boardId), $text: { $search: q } }
+
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit)
+
+  const matches = await Task.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, updatedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate(TASK_POPULATE)
+    .lean()
+
+  const total = await Task.countDocuments(query)
+
+  const terms = getSearchTerms(q)
+  const results = matches.map(({ score, ...task }) => ({
+    task,
+    score,
+    highlights: {
+      title: highlight(task.title, terms),
+      description: highlight(task.description, terms, { maxLength: SEARCH_SNIPPET_LENGTH })
+    }
+  }))
+
+  res.json({
+    success: true,
+    data: {
+      results,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  })
+})
+
 // Create a new task
 export const createTask = catchAsync(async (req, res, next) => {
-  const { title, description, status = 'todo', position } = req.body
+  const { title, description, priority, position, startDate, dueDate, labels, assignees, boardId } = req.body
   const userId = req.user._id
 
+  // Tasks created without a board land on the user's default board
+  const board = await resolveBoard(userId, boardId)
+
+  // New tasks start in the board's first column unless told otherwise
+  const status = req.body.status ?? board.columns[0].key
+
   // If position is not provided, set it to the end of the status column
   let taskPosition = position
   if (taskPosition === undefined) {
-    const lastTask = await Task.findOne({ userId, status })
+    const lastTask = await Task.findOne({ boardId: board._id, status })
       .sort({ position: -1 })
       .select('position')
     
-    taskPosition = lastTask ? lastTask.position + 1 : 0
+    taskPosition = rankBetween(lastTask ? lastTask.position : null, null)
   }
 
+  // Only labels from the board owner's catalog can be attached
+  const labelIds = labels ? await assertLabelsOwned(board.userId, labels) : []
+  const assigneeIds = assignees ? assertAssigneesAllowed(board, userId, assignees) : []
+
   // Create new task
   const task = new Task({
     title,
     description,
-    status,
+    mentions: await resolveMentions(description, board, userId),
+    priority,
     userId,
-    position: taskPosition
+    boardId: board._id,
+    position: taskPosition,
+    startDate,
+    dueDate,
+    labels: labelIds,
+    assignees: assigneeIds
   })
+  applyStatus(task, board, status)
 
   await task.save()
+  await task.populate(TASK_POPULATE)
 
   // Emit real-time event
   const io = req.app.get('io')
   if (io) {
-    emitTaskEvent(io, userId.toString(), 'task-created', task)
+    emitTaskEvent(io, taskRoom(task), 'task-created', task)
   }
+  await notifyNewAssignees(req, task)
+  await notifyMentioned(req, task, task.mentions)
 
   res.status(201).json({
     success: true,
@@ -81,25 +384,64 @@ export const createTask = catchAsync(async (req, res, next) => {
 
 // Update an existing task
 export const updateTask = catchAsync(async (req, res, next) => {
-  const { title, description, status, position } = req.body
+  const { title, description, status, priority, position, startDate, dueDate, labels, assignees, boardId } = req.body
   const userId = req.user._id
   
   // Task is already validated and attached by middleware
   const task = req.task
+  const previousRoom = taskRoom(task)
+  const previousAssignees = [...task.assignees]
+  const previousMentions = [...task.mentions]
 
   // Update fields
   if (title !== undefined) task.title = title
   if (description !== undefined) task.description = description
-  if (status !== undefined) task.status = status
+  if (priority !== undefined) task.priority = priority
   if (position !== undefined) task.position = position
+  if (startDate !== undefined) task.startDate = startDate
+  if (dueDate !== undefined) task.dueDate = dueDate
+
+  // Moving boards keeps the status when the new board has the same column, else uses its first
+  let board = req.board
+  if (status !== undefined || boardId !== undefined) {
+    board = await resolveBoard(userId, boardId ?? task.boardId)
+    const nextStatus = status ?? (board.getColumn(task.status) ? task.status : board.columns[0].key)
+    // Labels come from the owner's catalog, so they stay behind on another owner's board
+    if (labels === undefined && req.board && !req.board.userId.equals(board.userId)) {
+      task.labels = []
+    }
+    // Assignees who cannot see the new board are taken off the task
+    if (assignees === undefined) {
+      task.assignees = task.assignees.filter(id => board.roleOf(id))
+    }
+    task.boardId = board._id
+    applyStatus(task, board, nextStatus)
+  }
+
+  if (labels !== undefined) {
+    task.labels = await assertLabelsOwned(board ? board.userId : task.userId, labels)
+  }
+
+  if (assignees !== undefined) {
+    task.assignees = assertAssigneesAllowed(board, task.userId, assignees)
+  }
+
+  // Mentions follow the description, and whoever can no longer see the task drops out
+  if (description !== undefined || board !== req.board) {
+    task.mentions = await resolveMentions(task.description, board, task.userId)
+  }
 
   await task.save()
+  await task.populate(TASK_POPULATE)
 
   // Emit real-time event
   const io = req.app.get('io')
   if (io) {
-    emitTaskEvent(io, userId.toString(), 'task-updated', task)
+    // Members of the board the task left see it go
+    emitTaskEvent(io, [previousRoom, taskRoom(task)], 'task-updated', task)
   }
+  await notifyNewAssignees(req, task, previousAssignees)
+  await notifyMentioned(req, task, task.mentions, previousMentions)
 
   res.json({
     success: true,
@@ -111,18 +453,19 @@ export const updateTask = catchAsync(async (req, res, next) => {
 
 // Delete a task
 export const deleteTask = catchAsync(async (req, res, next) => {
-  const userId = req.user._id
-  
   // Task is already validated and attached by middleware
   const task = req.task
 
-  // Delete the task
+  // Delete the task along with its discussion, files and notifications
   await Task.findByIdAndDelete(task._id)
+  await Comment.deleteMany({ taskId: task._id })
+  await Notification.deleteMany({ taskId: task._id })
+  await removeTaskAttachments(task._id)
 
   // Emit real-time event
   const io = req.app.get('io')
   if (io) {
-    emitTaskEvent(io, userId.toString(), 'task-deleted', task)
+    emitTaskEvent(io, taskRoom(task), 'task-deleted', task)
   }
 
   res.json({
@@ -134,6 +477,53 @@ export const deleteTask = catchAsync(async (req, res, next) => {
   })
 })
 
+// Move a task in front of another card (beforeId) or to the end of a column.
+// Only the moved task is written unless its new neighbours are too close together.
+export const moveTask = catchAsync(async (req, res) => {
+  const { status, beforeId } = req.body
+  const userId = req.user._id
+
+  // Task is already validated and attached by middleware
+  const task = req.task
+
+  const board = await resolveBoard(userId, task.boardId)
+  task.boardId = board._id
+  applyStatus(task, board, status ?? task.status)
+
+  let position = await rankInColumn(task, beforeId)
+  let positions = []
+  if (position === null) {
+    positions = (await Task.rebalanceColumn(task.boardId, task.status))
+      .filter(entry => !entry._id.equals(task._id))
+    position = await rankInColumn(task, beforeId)
+  }
+  task.position = position
+
+  await task.save()
+  await task.populate(TASK_POPULATE)
+
+  // Emit real-time events; a rebalance also changes the rest of the column
+  const io = req.app.get('io')
+  if (io) {
+    emitTaskEvent(io, taskRoom(task), 'task-updated', task)
+    if (positions.length > 0) {
+      emitTaskEvent(io, taskRoom(task), 'tasks-reordered', {
+        boardId: task.boardId,
+        status: task.status,
+        positions
+      })
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      task,
+      positions
+    }
+  })
+})
+
 // Update task status only
 export const updateTaskStatus = catchAsync(async (req, res, next) => {
   const { status, position } = req.body
@@ -143,17 +533,20 @@ export const updateTaskStatus = catchAsync(async (req, res, next) => {
   const task = req.task
 
   // Update status and position
-  task.status = status
+  const board = await resolveBoard(userId, task.boardId)
+  task.boardId = board._id
+  applyStatus(task, board, status)
   if (position !== undefined) {
     task.position = position
   }
 
   await task.save()
+  await task.populate(TASK_POPULATE)
 
   // Emit real-time event
   const io = req.app.get('io')
   if (io) {
-    emitTaskEvent(io, userId.toString(), 'task-status-updated', task)
+    emitTaskEvent(io, taskRoom(task), 'task-status-updated', task)
   }
 
   res.json({
@@ -0,0 +1,90 @@
+import User, { TWO_FACTOR_FIELDS } from '../models/User.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { generateSecret, verifyCode, buildOtpAuthUri } from '../utils/totp.js'
+import { generateRecoveryCodes, hashRecoveryCode } from '../utils/recoveryCodes.js'
+
+const totpIssuer = () => process.env.TOTP_ISSUER || 'Task Manager'
+
+// Start enrollment: generate a secret for the authenticator app. It stays pending
+// until confirmed with a code, so an abandoned setup never locks the user out.
+export const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id)
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED'))
+  }
+
+  const secret = generateSecret()
+  user.twoFactorPendingSecret = secret
+  await user.save()
+
+  res.json({
+    success: true,
+    data: {
+      secret,
+      otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: totpIssuer() })
+    }
+  })
+})
+
+// Finish enrollment with a code from the app. The recovery codes are only ever returned here.
+export const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} +twoFactorPendingSecret`)
+  if (user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400, 'TWO_FACTOR_ALREADY_ENABLED'))
+  }
+  if (!user.twoFactorPendingSecret) {
+    return next(new AppError('Start two-factor setup first', 400, 'TWO_FACTOR_NOT_SET_UP'))
+  }
+
+  const step = verifyCode(user.twoFactorPendingSecret, req.body.code)
+  if (step === null) {
+    return next(new AppError('Invalid authentication code', 400, 'INVALID_TWO_FACTOR_CODE'))
+  }
+
+  const recoveryCodes = generateRecoveryCodes()
+  user.twoFactorEnabled = true
+  user.twoFactorSecret = user.twoFactorPendingSecret
+  user.twoFactorPendingSecret = undefined
+  user.twoFactorLastStep = step
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode)
+  await user.save()
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON(),
+      recoveryCodes
+    }
+  })
+})
+
+// Turn two-factor authentication off; needs both the password and a current code
+export const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code } = req.body
+
+  const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`)
+  if (!user.twoFactorEnabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED'))
+  }
+
+  if (!await user.comparePassword(password)) {
+    return next(new AppError('Password is incorrect', 400, 'INVALID_PASSWORD', { field: 'password' }))
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid authentication code', 400, 'INVALID_TWO_FACTOR_CODE', { field: 'code' }))
+  }
+
+  user.twoFactorEnabled = false
+  user.twoFactorSecret = undefined
+  user.twoFactorRecoveryCodes = undefined
+  user.twoFactorLastStep = undefined
+  await user.save()
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON()
+    }
+  })
+})
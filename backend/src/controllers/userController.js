@@ -0,0 +1,173 @@
+import User from '../models/User.js'
+import Board from '../models/Board.js'
+import Task from '../models/Task.js'
+import Label from '../models/Label.js'
+import Comment from '../models/Comment.js'
+import Attachment from '../models/Attachment.js'
+import Notification from '../models/Notification.js'
+import Session from '../models/Session.js'
+import SecurityEvent from '../models/SecurityEvent.js'
+import Workspace from '../models/Workspace.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { sendMail } from '../mailer/index.js'
+import { accountDeletionEmail } from '../mailer/templates.js'
+import { sendVerificationEmail, disconnectRevokedSessions } from './authController.js'
+
+// Days between a deletion request and the purge, during which logging in cancels it
+const deletionGraceDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14
+
+// Get the authenticated user's profile
+export const getMe = catchAsync(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user.toJSON()
+    }
+  })
+})
+
+// Change username and/or email. A new email address has to be verified again.
+export const updateMe = catchAsync(async (req, res, next) => {
+  const user = req.user
+  const changes = {}
+  if (req.body.username !== undefined && req.body.username !== user.username) {
+    changes.username = req.body.username
+  }
+  if (req.body.email !== undefined && req.body.email !== user.email) {
+    changes.email = req.body.email
+  }
+
+  const conditions = Object.entries(changes).map(([field, value]) => ({ [field]: value }))
+  if (conditions.length > 0) {
+    const existingUser = await User.findOne({ _id: { $ne: user._id }, $or: conditions })
+    if (existingUser) {
+      const field = existingUser.email === changes.email ? 'email' : 'username'
+      return next(new AppError(`User with this ${field} already exists`, 400, 'USER_EXISTS', { field }))
+    }
+  }
+
+  Object.assign(user, changes)
+  if (changes.email) {
+    user.emailVerified = false
+  }
+  await user.save()
+
+  if (changes.email) {
+    await sendVerificationEmail(user)
+    await SecurityEvent.record(user._id, 'email-changed', req)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      user: user.toJSON()
+    }
+  })
+})
+
+// Change the password, signing out every other session
+export const changePassword = catchAsync(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body
+
+  const user = await User.findById(req.user._id).select('+password')
+  if (!await user.comparePassword(currentPassword)) {
+    return next(new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD', { field: 'currentPassword' }))
+  }
+
+  user.password = newPassword
+  await user.save()
+
+  // Other devices may be signed in with the old password; this one stays signed in
+  const sessionIds = await Session.find({
+    userId: user._id,
+    revokedAt: null,
+    ...(req.sessionId && { _id: { $ne: req.sessionId } })
+  }).distinct('_id')
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: 'password-change' }
+  )
+  disconnectRevokedSessions(req, sessionIds)
+  await SecurityEvent.record(user._id, 'password-changed', req, { revokedSessions: sessionIds.length })
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Password changed',
+      revokedCount: sessionIds.length
+    }
+  })
+})
+
+// Download everything stored about the user as a single JSON document
+export const exportMyData = catchAsync(async (req, res) => {
+  const userId = req.user._id
+  // Other people's comments and files on the user's tasks are theirs, not the user's,
+  // so only records the user created are exported
+  const [tasks, workspaces, boards, labels, comments, attachments, notifications, sessions, securityEvents] = await Promise.all([
+    Task.find({ userId }).sort({ createdAt: 1 }),
+    Workspace.find(Workspace.accessibleBy(userId)).sort({ createdAt: 1 }),
+    Board.find({ userId }).sort({ createdAt: 1 }),
+    Label.find({ userId }).sort({ name: 1 }),
+    Comment.find({ userId }).sort({ createdAt: 1 }),
+    Attachment.find({ userId }).sort({ createdAt: 1 }),
+    Notification.find({ userId }).sort({ createdAt: 1 }),
+    Session.find({ userId }).sort({ createdAt: 1 }),
+    SecurityEvent.find({ userId }).sort({ createdAt: 1 })
+  ])
+
+  const exportedAt = new Date()
+  res.attachment(`task-manager-export-${req.user.username}-${exportedAt.toISOString().slice(0, 10)}.json`)
+  res.json({
+    exportedAt,
+    profile: req.user.toJSON(),
+    workspaces,
+    boards,
+    tasks,
+    labels,
+    comments,
+    attachments,
+    notifications,
+    sessions,
+    securityEvents
+  })
+})
+
+// Schedule the account for deletion and sign out everywhere. The data is purged
+// by the account purge job once the grace period is over.
+export const deleteMe = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+password')
+  if (!await user.comparePassword(req.body.password)) {
+    return next(new AppError('Password is incorrect', 400, 'INVALID_PASSWORD', { field: 'password' }))
+  }
+
+  user.deletionScheduledFor = new Date(Date.now() + deletionGraceDays() * 24 * 60 * 60 * 1000)
+  await user.save()
+
+  const sessionIds = await Session.find({ userId: user._id, revokedAt: null }).distinct('_id')
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: 'account-deletion' }
+  )
+  disconnectRevokedSessions(req, sessionIds)
+  await SecurityEvent.record(user._id, 'account-deletion-scheduled', req, {
+    deletionScheduledFor: user.deletionScheduledFor
+  })
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...accountDeletionEmail({ username: user.username, deletionDate: user.deletionScheduledFor })
+    })
+  } catch (error) {
+    console.error('Failed to send account deletion email:', error.message)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Your account will be deleted. Log in again before then to cancel.',
+      deletionScheduledFor: user.deletionScheduledFor
+    }
+  })
+})
@@ -0,0 +1,335 @@
+import Workspace from '../models/Workspace.js'
+import WorkspaceInvite from '../models/WorkspaceInvite.js'
+import Board from '../models/Board.js'
+import Task from '../models/Task.js'
+import { AppError, catchAsync } from '../middleware/errorHandler.js'
+import { workspacePermissionError } from '../middleware/permissions.js'
+import {
+  emitWorkspaceEvent,
+  emitBoardEvent,
+  userRoom,
+  boardRoom,
+  workspaceRoom,
+  joinWorkspaceRooms,
+  leaveWorkspaceRooms
+} from '../socket/index.js'
+import { frontendUrl } from '../mailer/templates.js'
+
+// User fields shown in workspace member lists
+const MEMBER_FIELDS = 'username'
+
+// Invitation links last a week unless the inviter picks another expiry
+const DEFAULT_INVITE_DAYS = 7
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Everyone in the workspace with their role, owner first. The optional search
+// matches the start of usernames.
+const listMembers = async (workspaceId, search = '') => {
+  const workspace = await Workspace.findById(workspaceId)
+    .select('userId members createdAt')
+    .populate('userId', MEMBER_FIELDS)
+    .populate('members.userId', MEMBER_FIELDS)
+
+  const members = [
+    { userId: workspace.userId, role: 'owner', joinedAt: workspace.createdAt },
+    ...workspace.members.map(member => member.toObject())
+  ]
+  const pattern = new RegExp(`^${escapeRegExp(search)}`, 'i')
+
+  return {
+    members: members.filter(member => member.userId && pattern.test(member.userId.username))
+  }
+}
+
+const findMember = (workspace, userId) => {
+  const member = workspace.members.find(entry => entry.userId.equals(userId))
+  if (!member) {
+    throw new AppError('Member not found', 404, 'MEMBER_NOT_FOUND')
+  }
+  return member
+}
+
+// Give a new workspace member the workspace's default role on every board in it
+const addToWorkspaceBoards = async (workspace, userId) => {
+  await Board.updateMany(
+    { workspaceId: workspace._id, userId: { $ne: userId }, 'members.userId': { $ne: userId } },
+    { $push: { members: { userId, role: workspace.settings.defaultBoardRole, addedAt: new Date() } } }
+  )
+  return Board.find({ workspaceId: workspace._id }).distinct('_id')
+}
+
+// Take a user out of a workspace, revoking their access to every board in it. Boards
+// they own are handed to the workspace owner; labels come from the previous owner's
+// catalog, so they are removed from those boards' tasks. Also used by the account
+// purge. Resolves to the IDs of the workspace's boards and of the boards handed over.
+export const removeFromWorkspace = async (workspace, userId) => {
+  workspace.members = workspace.members.filter(member => !member.userId.equals(userId))
+  await workspace.save()
+
+  const boards = await Board.find({ workspaceId: workspace._id })
+  const handedOver = boards.filter(board => board.userId.equals(userId))
+  for (const board of handedOver) {
+    board.userId = workspace.userId
+    board.members = board.members.filter(member => !member.userId.equals(workspace.userId))
+    await board.save()
+  }
+
+  const boardIds = boards.map(board => board._id)
+  const handedOverIds = handedOver.map(board => board._id)
+  await Task.updateMany({ boardId: { $in: handedOverIds } }, { $set: { labels: [] } })
+  await Board.updateMany({ workspaceId: workspace._id }, { $pull: { members: { userId } } })
+  await Task.updateMany({ boardId: { $in: boardIds }, assignees: userId }, { $pull: { assignees: userId } })
+
+  return { boardIds, handedOverIds }
+}
+
+// Get the workspaces the user owns or is a member of, oldest first
+export const getWorkspaces = catchAsync(async (req, res) => {
+  const workspaces = await Workspace.find(Workspace.accessibleBy(req.user._id)).sort({ createdAt: 1 })
+
+  res.json({
+    success: true,
+    data: {
+      workspaces
+    }
+  })
+})
+
+// Create a workspace owned by the user
+export const createWorkspace = catchAsync(async (req, res) => {
+  const userId = req.user._id
+
+  const workspace = await Workspace.create({ name: req.body.name, userId })
+
+  const io = req.app.get('io')
+  if (io) {
+    joinWorkspaceRooms(io, userId, workspace._id)
+    emitWorkspaceEvent(io, userRoom(userId), 'workspace-created', workspace)
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      workspace
+    }
+  })
+})
+
+// Get a single workspace
+export const getWorkspace = catchAsync(async (req, res) => {
+  // Workspace is already validated and attached by middleware
+  res.json({
+    success: true,
+    data: {
+      workspace: req.workspace
+    }
+  })
+})
+
+// Rename the workspace and/or change its settings
+export const updateWorkspace = catchAsync(async (req, res) => {
+  const { name, settings = {} } = req.body
+
+  // Workspace is already validated and attached by middleware
+  const workspace = req.workspace
+
+  if (name !== undefined) workspace.name = name
+  if (settings.defaultBoardRole !== undefined) workspace.settings.defaultBoardRole = settings.defaultBoardRole
+  if (settings.membersCanInvite !== undefined) workspace.settings.membersCanInvite = settings.membersCanInvite
+
+  await workspace.save()
+
+  const io = req.app.get('io')
+  if (io) {
+    emitWorkspaceEvent(io, workspaceRoom(workspace._id), 'workspace-updated', workspace)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      workspace
+    }
+  })
+})
+
+// List the users in the workspace (?q= searches usernames)
+export const getWorkspaceMembers = catchAsync(async (req, res) => {
+  // Workspace is already validated and attached by middleware
+  res.json({
+    success: true,
+    data: await listMembers(req.workspace._id, req.query.q)
+  })
+})
+
+// Change a member's role
+export const updateWorkspaceMember = catchAsync(async (req, res) => {
+  // Workspace is already validated and attached by middleware
+  const workspace = req.workspace
+
+  const member = findMember(workspace, req.params.userId)
+  member.role = req.body.role
+  await workspace.save()
+
+  const io = req.app.get('io')
+  if (io) {
+    emitWorkspaceEvent(io, workspaceRoom(workspace._id), 'workspace-updated', workspace)
+  }
+
+  res.json({
+    success: true,
+    data: await listMembers(workspace._id)
+  })
+})
+
+// Remove a member, who loses access to every board in the workspace and has their
+// sockets taken out of its rooms. Members may remove themselves to leave.
+export const removeWorkspaceMember = catchAsync(async (req, res, next) => {
+  const { userId } = req.params
+
+  // Workspace is already validated and attached by middleware
+  const workspace = req.workspace
+
+  const leaving = req.user._id.equals(userId)
+  if (!leaving && !workspace.can(req.user._id, 'administer')) {
+    return next(workspacePermissionError('administer', req.workspaceRole))
+  }
+  if (workspace.userId.equals(userId)) {
+    return next(new AppError('The owner cannot leave the workspace', 400, 'OWNER_CANNOT_LEAVE'))
+  }
+
+  findMember(workspace, userId)
+  const { boardIds, handedOverIds } = await removeFromWorkspace(workspace, userId)
+
+  const io = req.app.get('io')
+  if (io) {
+    leaveWorkspaceRooms(io, userId, workspace._id, boardIds)
+    emitWorkspaceEvent(io, userRoom(userId), 'workspace-removed', workspace)
+    emitWorkspaceEvent(io, workspaceRoom(workspace._id), 'workspace-updated', workspace)
+    for (const board of await Board.find({ _id: { $in: handedOverIds } })) {
+      emitBoardEvent(io, boardRoom(board._id), 'board-updated', board)
+    }
+  }
+
+  res.json({
+    success: true,
+    data: await listMembers(workspace._id)
+  })
+})
+
+// List the workspace's unexpired invitation links
+export const getWorkspaceInvites = catchAsync(async (req, res) => {
+  const invites = await WorkspaceInvite.find({ workspaceId: req.workspace._id, expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 })
+    .populate('createdBy', MEMBER_FIELDS)
+
+  res.json({
+    success: true,
+    data: {
+      invites
+    }
+  })
+})
+
+// Create an invitation link. Members may do so when the workspace allows it, but
+// only admins can invite other admins. The link is only returned this once.
+export const createWorkspaceInvite = catchAsync(async (req, res, next) => {
+  const { role = 'member', expiresInDays = DEFAULT_INVITE_DAYS } = req.body
+  const userId = req.user._id
+
+  // Workspace is already validated and attached by middleware
+  const workspace = req.workspace
+
+  const isAdmin = workspace.can(userId, 'administer')
+  if (!workspace.canInvite(userId) || (role === 'admin' && !isAdmin)) {
+    return next(workspacePermissionError('administer', req.workspaceRole))
+  }
+
+  const { invite, token } = await WorkspaceInvite.issue({
+    workspaceId: workspace._id,
+    createdBy: userId,
+    role,
+    ttlMs: parseInt(expiresInDays) * 24 * 60 * 60 * 1000
+  })
+
+  res.status(201).json({
+    success: true,
+    data: {
+      invite,
+      token,
+      url: frontendUrl(`/invite/${token}`)
+    }
+  })
+})
+
+// Revoke an invitation link
+export const deleteWorkspaceInvite = catchAsync(async (req, res, next) => {
+  const invite = await WorkspaceInvite.findOneAndDelete({
+    _id: req.params.inviteId,
+    workspaceId: req.workspace._id
+  })
+  if (!invite) {
+    return next(new AppError('Invitation not found', 404, 'INVITE_NOT_FOUND'))
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Invitation revoked',
+      invite
+    }
+  })
+})
+
+const findValidInvite = async (token) => {
+  const invite = await WorkspaceInvite.findValid(token)
+  const workspace = invite && await Workspace.findById(invite.workspaceId)
+  if (!workspace) {
+    throw new AppError('This invitation link is invalid or has expired', 404, 'INVITE_INVALID')
+  }
+  return { invite, workspace }
+}
+
+// Show what an invitation link leads to before it is accepted
+export const getInvitation = catchAsync(async (req, res) => {
+  const { invite, workspace } = await findValidInvite(req.params.token)
+
+  res.json({
+    success: true,
+    data: {
+      workspace: { _id: workspace._id, name: workspace.name },
+      role: invite.role,
+      expiresAt: invite.expiresAt,
+      alreadyMember: Boolean(workspace.roleOf(req.user._id))
+    }
+  })
+})
+
+// Join a workspace through an invitation link, getting access to all of its boards
+export const acceptInvitation = catchAsync(async (req, res, next) => {
+  const userId = req.user._id
+  const { invite, workspace } = await findValidInvite(req.params.token)
+
+  if (workspace.roleOf(userId)) {
+    return next(new AppError('You are already in this workspace', 409, 'ALREADY_MEMBER'))
+  }
+
+  workspace.members.push({ userId, role: invite.role })
+  await workspace.save()
+  const boardIds = await addToWorkspaceBoards(workspace, userId)
+
+  // Tell the rest of the workspace, then bring the new member's sessions into its rooms
+  const io = req.app.get('io')
+  if (io) {
+    emitWorkspaceEvent(io, workspaceRoom(workspace._id), 'workspace-updated', workspace)
+    joinWorkspaceRooms(io, userId, workspace._id, boardIds)
+    emitWorkspaceEvent(io, userRoom(userId), 'workspace-created', workspace)
+  }
+
+  res.json({
+    success: true,
+    data: {
+      workspace
+    }
+  })
+})
@@ -0,0 +1,126 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import User from '../../models/User.js'
+import Board from '../../models/Board.js'
+import Task from '../../models/Task.js'
+import Label from '../../models/Label.js'
+import Comment from '../../models/Comment.js'
+import Attachment from '../../models/Attachment.js'
+import SecurityEvent from '../../models/SecurityEvent.js'
+import Notification from '../../models/Notification.js'
+import { createLocalStorage, setStorage } from '../../storage/index.js'
+import { purgeDueAccounts } from '../accountPurge.js'
+
+describe('Account purge job', () => {
+  let mongoServer
+  let uploadDir
+  let storage
+
+  const createUserWithData = async (username, deletionScheduledFor) => {
+    const user = await User.create({
+      username,
+      email: `${username}@example.com`,
+      password: 'password123',
+      deletionScheduledFor
+    })
+    const board = await Board.create({ name: 'Board', userId: user._id })
+    const task = await Task.create({ title: 'Task', userId: user._id, boardId: board._id })
+    await Label.create({ name: 'Label', userId: user._id })
+    await Comment.create({ taskId: task._id, userId: user._id, body: 'Comment' })
+
+    const { key, size } = await storage.save({ buffer: Buffer.from('file contents'), originalName: 'notes.txt' })
+    await Attachment.create({
+      taskId: task._id,
+      userId: user._id,
+      originalName: 'notes.txt',
+      mimeType: 'text/plain',
+      size,
+      storageDriver: storage.name,
+      storageKey: key
+    })
+    await SecurityEvent.create({ userId: user._id, type: 'login' })
+    await Notification.create({ userId: user._id, type: 'due_soon', taskId: task._id, taskTitle: task.title })
+
+    return { user, storageKey: key }
+  }
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+
+    uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'purge-'))
+    storage = createLocalStorage({ rootDir: uploadDir })
+    setStorage(storage)
+  })
+
+  afterAll(async () => {
+    setStorage(null)
+    await fs.promises.rm(uploadDir, { recursive: true, force: true })
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Promise.all([User, Board, Task, Label, Comment, Attachment, SecurityEvent, Notification].map(model => model.deleteMany({})))
+  })
+
+  it('should delete accounts past their grace period with everything they own', async () => {
+    const { user, storageKey } = await createUserWithData('leaving', new Date(Date.now() - 1000))
+
+    const purged = await purgeDueAccounts()
+
+    expect(purged).toBe(1)
+    expect(await User.exists({ _id: user._id })).toBeNull()
+    for (const model of [Board, Task, Label, Comment, Attachment, SecurityEvent, Notification]) {
+      expect(await model.countDocuments({ userId: user._id })).toBe(0)
+    }
+    expect(await storage.exists(storageKey)).toBe(false)
+  })
+
+  it('should keep accounts that are still in their grace period or not scheduled', async () => {
+    const pending = await createUserWithData('pending', new Date(Date.now() + 60 * 60 * 1000))
+    const staying = await createUserWithData('staying', null)
+
+    const purged = await purgeDueAccounts()
+
+    expect(purged).toBe(0)
+    expect(await User.exists({ _id: pending.user._id })).toBeTruthy()
+    expect(await Task.countDocuments({ userId: staying.user._id })).toBe(1)
+    expect(await storage.exists(staying.storageKey)).toBe(true)
+  })
+
+  it('should leave shared boards and the tasks created or assigned on them to their owner', async () => {
+    const owner = await createUserWithData('owner', null)
+    const leaving = await User.create({
+      username: 'member',
+      email: 'member@example.com',
+      password: 'password123',
+      deletionScheduledFor: new Date(Date.now() - 1000)
+    })
+    const board = await Board.findOne({ userId: owner.user._id })
+    board.members.push({ userId: leaving._id, role: 'editor' })
+    await board.save()
+    const task = await Task.create({
+      title: 'Shared task',
+      userId: leaving._id,
+      boardId: board._id,
+      assignees: [leaving._id]
+    })
+    const mentioning = await Task.create({
+      title: 'Mentioning task',
+      description: 'Ask @member',
+      userId: owner.user._id,
+      boardId: board._id,
+      mentions: [{ userId: leaving._id, username: 'member' }]
+    })
+
+    await purgeDueAccounts()
+
+    expect((await Task.findById(task._id)).assignees).toHaveLength(0)
+    expect((await Task.findById(mentioning._id)).mentions).toHaveLength(0)
+    expect((await Board.findById(board._id)).members).toHaveLength(0)
+  })
+})
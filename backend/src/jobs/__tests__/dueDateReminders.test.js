@@ -0,0 +1,88 @@
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import User from '../../models/User.js'
+import Board from '../../models/Board.js'
+import Task from '../../models/Task.js'
+import Notification from '../../models/Notification.js'
+import { sendDueDateReminders } from '../dueDateReminders.js'
+
+describe('Due date reminder job', () => {
+  let mongoServer
+  let owner
+  let member
+  let board
+
+  const HOUR = 60 * 60 * 1000
+  const now = new Date('2030-06-01T12:00:00.000Z')
+
+  const createTask = (overrides) => Task.create({
+    title: 'Report',
+    userId: owner._id,
+    boardId: board._id,
+    ...overrides
+  })
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Promise.all([User, Board, Task, Notification].map(model => model.deleteMany({})))
+
+    owner = await User.create({ username: 'owner', email: 'owner@example.com', password: 'password123' })
+    member = await User.create({ username: 'member', email: 'member@example.com', password: 'password123' })
+    board = await Board.create({
+      name: 'Team',
+      userId: owner._id,
+      members: [{ userId: member._id, role: 'editor' }]
+    })
+  })
+
+  it('should remind assignees of tasks due soon once per due date', async () => {
+    const task = await createTask({ dueDate: new Date(now.getTime() + 2 * HOUR), assignees: [member._id] })
+    await createTask({ dueDate: new Date(now.getTime() + 48 * HOUR), assignees: [member._id] })
+
+    expect(await sendDueDateReminders(null, now)).toBe(1)
+    expect(await sendDueDateReminders(null, now)).toBe(0)
+
+    const notifications = await Notification.find({})
+    expect(notifications).toHaveLength(1)
+    expect(notifications[0]).toMatchObject({ type: 'due_soon', taskTitle: 'Report' })
+    expect(notifications[0].userId.toString()).toBe(member._id.toString())
+
+    // Moving the due date announces the new one
+    task.dueDate = new Date(now.getTime() + 3 * HOUR)
+    await task.save()
+    expect(await sendDueDateReminders(null, now)).toBe(1)
+  })
+
+  it('should tell the creator of unassigned tasks that just became overdue', async () => {
+    await createTask({ dueDate: new Date(now.getTime() - HOUR) })
+    await createTask({ dueDate: new Date(now.getTime() - 72 * HOUR) })
+    await createTask({ dueDate: new Date(now.getTime() - HOUR), status: 'done', completedAt: now })
+
+    expect(await sendDueDateReminders(null, now)).toBe(1)
+
+    const notification = await Notification.findOne({})
+    expect(notification.type).toBe('overdue')
+    expect(notification.userId.toString()).toBe(owner._id.toString())
+  })
+
+  it('should skip assignees who lost access to the board and push reminders to sockets', async () => {
+    const [outsider] = await User.create([{ username: 'outsider', email: 'outsider@example.com', password: 'password123' }])
+    await createTask({ dueDate: new Date(now.getTime() + HOUR), assignees: [member._id, outsider._id] })
+    const emit = jest.fn()
+    const io = { to: jest.fn(() => ({ emit })) }
+
+    expect(await sendDueDateReminders(io, now)).toBe(1)
+
+    expect(io.to).toHaveBeenCalledWith(`user:${member._id}`)
+    expect(emit).toHaveBeenCalledWith('notification', expect.objectContaining({ unreadCount: 1 }))
+  })
+})
@@ -0,0 +1,93 @@
+import User from '../models/User.js'
+import Board from '../models/Board.js'
+import Task from '../models/Task.js'
+import Label from '../models/Label.js'
+import Comment from '../models/Comment.js'
+import Notification from '../models/Notification.js'
+import Attachment from '../models/Attachment.js'
+import Session from '../models/Session.js'
+import AuthToken from '../models/AuthToken.js'
+import SecurityEvent from '../models/SecurityEvent.js'
+import Workspace from '../models/Workspace.js'
+import WorkspaceInvite from '../models/WorkspaceInvite.js'
+import { getStorage } from '../storage/index.js'
+import { removeFromWorkspace } from '../controllers/workspaceController.js'
+
+// How often accounts past their deletion grace period are looked for
+const PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+// Take the user out of their workspaces. A workspace they own passes to its
+// longest-standing admin, or member, and is deleted when nobody else is in it.
+const leaveWorkspaces = async (userId) => {
+  const workspaces = await Workspace.find(Workspace.accessibleBy(userId))
+  for (const workspace of workspaces) {
+    if (workspace.userId.equals(userId)) {
+      const successor = workspace.members.find(member => member.role === 'admin') || workspace.members[0]
+      if (!successor) {
+        // Its boards are all the user's own and are deleted with the rest
+        await WorkspaceInvite.deleteMany({ workspaceId: workspace._id })
+        await Workspace.deleteOne({ _id: workspace._id })
+        continue
+      }
+      workspace.userId = successor.userId
+      workspace.members = workspace.members.filter(member => !member.userId.equals(successor.userId))
+    }
+    await removeFromWorkspace(workspace, userId)
+  }
+}
+
+// Delete a user and everything they own, attachment files included. Tasks they
+// created on boards shared with them stay with those boards, and boards in a
+// workspace stay in it.
+export const purgeUserData = async (userId) => {
+  await leaveWorkspaces(userId)
+
+  const boardIds = await Board.find({ userId }).distinct('_id')
+  const ownTasks = { $or: [{ boardId: { $in: boardIds } }, { userId, boardId: null }] }
+  const taskIds = await Task.find(ownTasks).distinct('_id')
+
+  const attachments = await Attachment.find({ $or: [{ taskId: { $in: taskIds } }, { userId }] })
+  const storage = getStorage()
+  await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)))
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } })
+
+  await Comment.deleteMany({ $or: [{ taskId: { $in: taskIds } }, { userId }] })
+  await Notification.deleteMany({ $or: [{ taskId: { $in: taskIds } }, { userId }] })
+  await Task.deleteMany(ownTasks)
+  await Board.deleteMany({ userId })
+  await Board.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } })
+  await Task.updateMany({ assignees: userId }, { $pull: { assignees: userId } })
+  await Task.updateMany({ 'mentions.userId': userId }, { $pull: { mentions: { userId } } })
+  await Comment.updateMany({ 'mentions.userId': userId }, { $pull: { mentions: { userId } } })
+  await WorkspaceInvite.deleteMany({ createdBy: userId })
+  await Label.deleteMany({ userId })
+  await Session.deleteMany({ userId })
+  await AuthToken.deleteMany({ userId })
+  await SecurityEvent.deleteMany({ userId })
+  await User.deleteOne({ _id: userId })
+}
+
+// Purge every account whose deletion grace period has ended; resolves to how many were purged
+export const purgeDueAccounts = async (now = new Date()) => {
+  const userIds = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).distinct('_id')
+  for (const userId of userIds) {
+    await purgeUserData(userId)
+  }
+  return userIds.length
+}
+
+// Run the purge at startup and then periodically; the timer does not keep the process alive
+export const startAccountPurgeJob = () => {
+  const run = () => purgeDueAccounts()
+    .then(count => {
+      if (count > 0) {
+        console.log(`Purged ${count} deleted account(s)`)
+      }
+    })
+    .catch(error => console.error('Account purge failed:', error.message))
+
+  run()
+  const timer = setInterval(run, PURGE_INTERVAL_MS)
+  timer.unref()
+  return timer
+}
@@ -0,0 +1,56 @@
+import Task from '../models/Task.js'
+import Board from '../models/Board.js'
+import Notification from '../models/Notification.js'
+import { notifyUsers } from '../controllers/notificationController.js'
+
+// How often tasks are checked for approaching and passed due dates
+const REMINDER_INTERVAL_MS = 15 * 60 * 1000
+
+// Open tasks due within this window get a due-soon reminder
+const DUE_SOON_MS = 24 * 60 * 60 * 1000
+
+// Tasks are announced as overdue within this window after their due date, so
+// tasks that were overdue long before the job first ran stay quiet
+const OVERDUE_WINDOW_MS = 24 * 60 * 60 * 1000
+
+// A task's assignees hear about its due date, or its creator while nobody is
+// assigned, as long as they can still see the task
+const recipientsOf = (task, board) => {
+  const userIds = task.assignees.length > 0 ? task.assignees : [task.userId]
+  return board ? userIds.filter(id => board.roleOf(id)) : userIds.filter(id => id.equals(task.userId))
+}
+
+// Send one reminder of the type per recipient and due date to the open tasks matching
+// the query; resolves to how many were sent
+const remind = async (io, type, dueDateQuery) => {
+  const tasks = await Task.find({ dueDate: dueDateQuery, completedAt: null })
+  let sent = 0
+  for (const task of tasks) {
+    const board = task.boardId && await Board.findById(task.boardId)
+    if (task.boardId && !board) continue
+
+    const reminded = await Notification.find({ taskId: task._id, type, dueDate: task.dueDate }).distinct('userId')
+    const recipients = recipientsOf(task, board).filter(id => !reminded.some(userId => userId.equals(id)))
+    sent += (await notifyUsers(io, recipients, { type, task })).length
+  }
+  return sent
+}
+
+// Remind people of tasks that are due soon or just became overdue; resolves to how
+// many notifications were sent
+export const sendDueDateReminders = async (io, now = new Date()) => {
+  const dueSoon = await remind(io, 'due_soon', { $gt: now, $lte: new Date(now.getTime() + DUE_SOON_MS) })
+  const overdue = await remind(io, 'overdue', { $lte: now, $gt: new Date(now.getTime() - OVERDUE_WINDOW_MS) })
+  return dueSoon + overdue
+}
+
+// Run the reminders at startup and then periodically; the timer does not keep the process alive
+export const startDueDateReminderJob = (io) => {
+  const run = () => sendDueDateReminders(io)
+    .catch(error => console.error('Due date reminders failed:', error.message))
+
+  run()
+  const timer = setInterval(run, REMINDER_INTERVAL_MS)
+  timer.unref()
+  return timer
+}
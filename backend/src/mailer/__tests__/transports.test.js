@@ -0,0 +1,62 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createFileTransport, getMailer, setMailer, sendMail } from '../index.js'
+import { passwordResetEmail } from '../templates.js'
+
+describe('Mailer', () => {
+  afterEach(() => {
+    setMailer(null)
+    delete process.env.MAIL_TRANSPORT
+  })
+
+  describe('file transport', () => {
+    let dir
+
+    beforeEach(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-'))
+    })
+
+    afterEach(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true })
+    })
+
+    it('should write each message to a JSON file', async () => {
+      const transport = createFileTransport({ dir })
+
+      const { id } = await transport.send({ to: 'test@example.com', subject: 'Hello', text: 'Body' })
+
+      const saved = JSON.parse(await fs.promises.readFile(path.join(dir, `${id}.json`), 'utf8'))
+      expect(saved).toMatchObject({ to: 'test@example.com', subject: 'Hello', text: 'Body' })
+      expect(saved.sentAt).toBeDefined()
+    })
+  })
+
+  it('should reject unknown transports', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon'
+
+    expect(() => getMailer()).toThrow('Unknown mail transport: pigeon')
+  })
+
+  it('should send through the active transport with the sender address', async () => {
+    const send = jest.fn().mockResolvedValue({ id: '1' })
+    setMailer({ name: 'fake', send })
+
+    await sendMail({ to: 'test@example.com', subject: 'Hi', text: 'There' })
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      from: expect.any(String),
+      to: 'test@example.com',
+      subject: 'Hi'
+    }))
+  })
+
+  it('should link password reset emails to the frontend', () => {
+    process.env.FRONTEND_URL = 'https://tasks.example.com/'
+
+    const email = passwordResetEmail({ username: 'testuser', token: 'abc', expiresInMinutes: 60 })
+
+    expect(email.text).toContain('https://tasks.example.com/reset-password?token=abc')
+    delete process.env.FRONTEND_URL
+  })
+})
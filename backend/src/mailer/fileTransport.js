@@ -0,0 +1,34 @@
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+
+// Writes each message to a JSON file instead of sending it, for local development
+// and tests that need to read the mail back
+export const createFileTransport = ({ dir }) => {
+  const root = path.resolve(dir)
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const id = `${Date.now()}-${randomUUID()}`
+      await fs.promises.mkdir(root, { recursive: true })
+      await fs.promises.writeFile(
+        path.join(root, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      )
+      return { id }
+    }
+  }
+}
+
+// Prints each message to the console
+export const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(message) {
+    const id = randomUUID()
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`)
+    return { id }
+  }
+})
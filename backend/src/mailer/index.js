@@ -0,0 +1,47 @@
+import { createSmtpTransport } from './smtpTransport.js'
+import { createFileTransport, createConsoleTransport } from './fileTransport.js'
+
+// Mail transports deliver outgoing email. Every transport exposes:
+//   name                              - identifier used in logs
+//   send({ from, to, subject, text }) - resolves to { id }
+const transports = {
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }),
+  file: () => createFileTransport({
+    dir: process.env.MAIL_DIR || 'mail'
+  }),
+  console: () => createConsoleTransport()
+}
+
+let mailer = null
+
+// Lazily create the transport selected by MAIL_TRANSPORT (defaults to the console)
+export const getMailer = () => {
+  if (!mailer) {
+    const transportName = process.env.MAIL_TRANSPORT || 'console'
+    const createTransport = transports[transportName]
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${transportName}`)
+    }
+    mailer = createTransport()
+  }
+  return mailer
+}
+
+// Swap the active transport (used by tests and custom deployments)
+export const setMailer = (transport) => {
+  mailer = transport
+}
+
+// Send a message from the configured sender address
+export const sendMail = (message) => getMailer().send({
+  from: process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>',
+  ...message
+})
+
+export { createSmtpTransport, createFileTransport, createConsoleTransport }
@@ -0,0 +1,20 @@
+import nodemailer from 'nodemailer'
+
+// Delivers mail through an SMTP server
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  })
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message)
+      return { id: info.messageId }
+    }
+  }
+}
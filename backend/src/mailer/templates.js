@@ -0,0 +1,62 @@
+// Plain-text bodies for the emails the app sends. Each template returns { subject, text }.
+
+// Links in emails point at the frontend, which calls the API
+export const frontendUrl = (pathname) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`
+
+export const passwordResetEmail = ({ username, token, expiresInMinutes }) => ({
+  subject: 'Reset your Task Manager password',
+  text: [
+    `Hi ${username},`,
+    '',
+    'We received a request to reset your password. Open the link below to choose a new one:',
+    '',
+    frontendUrl(`/reset-password?token=${token}`),
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not ask for a password reset, you can ignore this email.'
+  ].join('\n')
+})
+
+export const emailVerificationEmail = ({ username, token, expiresInHours }) => ({
+  subject: 'Confirm your Task Manager email address',
+  text: [
+    `Hi ${username},`,
+    '',
+    'Thanks for signing up! Open the link below to confirm your email address:',
+    '',
+    frontendUrl(`/verify-email/${token}`),
+    '',
+    `The link expires in ${expiresInHours} hours.`,
+    'If you did not create an account, you can ignore this email.'
+  ].join('\n')
+})
+
+export const accountLockedEmail = ({ username, token, lockedUntil, expiresInHours }) => ({
+  subject: 'Your Task Manager account has been locked',
+  text: [
+    `Hi ${username},`,
+    '',
+    'We locked your account after several failed login attempts.',
+    `It unlocks by itself at ${lockedUntil.toUTCString()}, or you can unlock it now with the link below:`,
+    '',
+    frontendUrl(`/unlock-account/${token}`),
+    '',
+    `The link expires in ${expiresInHours} hours.`,
+    'If these attempts were not you, consider resetting your password.'
+  ].join('\n')
+})
+
+export const accountDeletionEmail = ({ username, deletionDate }) => ({
+  subject: 'Your Task Manager account will be deleted',
+  text: [
+    `Hi ${username},`,
+    '',
+    `As requested, your account and all of its boards, tasks and files will be deleted on ${deletionDate.toUTCString()}.`,
+    'You have been signed out everywhere.',
+    '',
+    'Changed your mind? Log in before then to keep your account:',
+    '',
+    frontendUrl('/login')
+  ].join('\n')
+})
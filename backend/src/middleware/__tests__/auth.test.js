@@ -1,6 +1,6 @@
 import mongoose from 'mongoose'
 import { MongoMemoryServer } from 'mongodb-memory-server'
-import { authenticate, optionalAuth } from '../auth.js'
+import { authenticate, optionalAuth, requireAdmin } from '../auth.js'
 import { generateAccessToken, generateRefreshToken } from '../../utils/jwt.js'
 import User from '../../models/User.js'
 
@@ -218,4 +218,33 @@ describe('Authentication Middleware', () => {
       expect(next).toHaveBeenCalled()
     })
   })
-})
\ No newline at end of file
+  describe('requireAdmin middleware', () => {
+    const res = () => ({
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    })
+
+    test('should let admins through', () => {
+      const req = { user: { role: 'admin' } }
+      const next = jest.fn()
+
+      requireAdmin(req, res(), next)
+
+      expect(next).toHaveBeenCalled()
+    })
+
+    test('should reject other users', () => {
+      const req = { user: testUser }
+      const response = res()
+      const next = jest.fn()
+
+      requireAdmin(req, response, next)
+
+      expect(next).not.toHaveBeenCalled()
+      expect(response.status).toHaveBeenCalledWith(403)
+      expect(response.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'ADMIN_REQUIRED' })
+      }))
+    })
+  })
+})
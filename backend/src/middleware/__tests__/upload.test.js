@@ -0,0 +1,81 @@
+import request from 'supertest'
+import express from 'express'
+import { uploadSingleFile } from '../upload.js'
+import { validateRequestSize, MAX_UPLOAD_SIZE } from '../validation.js'
+import { globalErrorHandler } from '../errorHandler.js'
+
+const app = express()
+app.post('/upload', validateRequestSize, uploadSingleFile('file'), (req, res) => {
+  res.json({
+    name: req.file.originalname,
+    type: req.file.mimetype,
+    size: req.file.size
+  })
+})
+app.post('/json', validateRequestSize, express.json({ limit: '5mb' }), (req, res) => {
+  res.json({ ok: true })
+})
+app.use(globalErrorHandler)
+
+describe('Upload Middleware', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should accept an allowed file type', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('# Spec'), { filename: 'spec.md', contentType: 'text/markdown' })
+      .expect(200)
+
+    expect(response.body).toEqual({ name: 'spec.md', type: 'text/markdown', size: 6 })
+  })
+
+  it('should reject disallowed file types', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.from('MZ'), { filename: 'tool.exe', contentType: 'application/x-msdownload' })
+      .expect(400)
+
+    expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE')
+  })
+
+  it('should require a file', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .field('note', 'no file here')
+      .expect(400)
+
+    expect(response.body.error.code).toBe('FILE_REQUIRED')
+  })
+
+  it('should reject files over the upload limit', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('file', Buffer.alloc(MAX_UPLOAD_SIZE + 1), { filename: 'huge.png', contentType: 'image/png' })
+
+    expect(response.status).toBe(413)
+    expect(response.body.error.code).toBe('FILE_TOO_LARGE')
+  })
+
+  it('should keep the 1MB limit for JSON bodies', async () => {
+    const response = await request(app)
+      .post('/json')
+      .send({ data: 'x'.repeat(2 * 1024 * 1024) })
+
+    expect(response.status).toBe(413)
+    expect(response.body.error.code).toBe('PAYLOAD_TOO_LARGE')
+  })
+
+  it('should allow multipart bodies larger than the JSON limit', async () => {
+    await request(app)
+      .post('/upload')
+      .attach('file', Buffer.alloc(2 * 1024 * 1024), { filename: 'screenshot.png', contentType: 'image/png' })
+      .expect(200)
+  })
+})
@@ -1,5 +1,6 @@
 import { verifyToken } from '../utils/jwt.js'
 import User from '../models/User.js'
+import Session from '../models/Session.js'
 
 // Authentication middleware
 export const authenticate = async (req, res, next) => {
@@ -23,8 +24,8 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token)
     
-    // Check if it's a refresh token (should not be used for authentication)
-    if (decoded.type === 'refresh') {
+    // Only access tokens are untyped; refresh and MFA tokens cannot authenticate requests
+    if (decoded.type) {
       return res.status(401).json({
         success: false,
         error: {
@@ -34,6 +35,17 @@ export const authenticate = async (req, res, next) => {
       })
     }
 
+    // Tokens issued for a session stop working once it is revoked
+    if (decoded.sid && !(await Session.findActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: 'Session has been revoked.',
+          code: 'SESSION_REVOKED'
+        }
+      })
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId)
     if (!user) {
@@ -46,8 +58,9 @@ export const authenticate = async (req, res, next) => {
       })
     }
 
-    // Add user to request object
+    // Add user and the session the token belongs to to the request object
     req.user = user
+    req.sessionId = decoded.sid || null
     next()
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -81,6 +94,20 @@ export const authenticate = async (req, res, next) => {
   }
 }
 
+// Restrict a route to admins; use after authenticate
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'Admin access required.',
+        code: 'ADMIN_REQUIRED'
+      }
+    })
+  }
+  next()
+}
+
 // Optional authentication middleware (doesn't fail if no token)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -93,7 +120,8 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader.substring(7)
     const decoded = verifyToken(token)
     
-    if (decoded.type !== 'refresh') {
+    const sessionActive = !decoded.sid || await Session.findActive(decoded.sid, decoded.userId)
+    if (!decoded.type && sessionActive) {
       const user = await User.findById(decoded.userId)
       if (user) {
         req.user = user
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose'
+import Board from '../models/Board.js'
+import Task from '../models/Task.js'
+import Workspace from '../models/Workspace.js'
+import { AppError, catchAsync } from './errorHandler.js'
+
+// Boards are shared with roles (see ROLE_PERMISSIONS in models/Board.js). These
+// middlewares load the board or task named in the URL and check that the user's
+// role allows the action. Without any access the resource is reported as missing,
+// so its existence is not revealed.
+
+// Also used by controllers that check a board named in the request body
+export const insufficientPermissionError = (action, role) => new AppError(
+  `Your role on this board (${role}) does not allow this`,
+  403,
+  'INSUFFICIENT_PERMISSION',
+  { action, role }
+)
+
+// Load req.params.id as a board into req.board, with the user's role in req.boardRole
+export const requireBoardPermission = (action) => catchAsync(async (req, _res, next) => {
+  const { id } = req.params
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid board ID format', 400, 'INVALID_ID'))
+  }
+
+  const board = await Board.findById(id)
+  const role = board && board.roleOf(req.user._id)
+  if (!role) {
+    return next(new AppError('Board not found or access denied', 404, 'BOARD_NOT_FOUND'))
+  }
+  if (!board.can(req.user._id, action)) {
+    return next(insufficientPermissionError(action, role))
+  }
+
+  req.board = board
+  req.boardRole = role
+  next()
+})
+
+// Load req.params.id as a task into req.task, checking the role on its board.
+// The task's board is attached as req.board.
+export const requireTaskPermission = (action) => catchAsync(async (req, _res, next) => {
+  const { id } = req.params
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid task ID format', 400, 'INVALID_ID'))
+  }
+
+  const task = await Task.findById(id)
+  const board = task?.boardId && await Board.findById(task.boardId)
+
+  // Tasks from before boards existed belong to their creator alone
+  let role = null
+  if (board) {
+    role = board.roleOf(req.user._id)
+  } else if (task && task.userId.equals(req.user._id)) {
+    role = 'owner'
+  }
+
+  if (!role) {
+    return next(new AppError('Task not found or access denied', 404, 'TASK_NOT_FOUND'))
+  }
+  if (board && !board.can(req.user._id, action)) {
+    return next(insufficientPermissionError(action, role))
+  }
+
+  req.task = task
+  req.board = board || null
+  req.boardRole = role
+  next()
+})
+
+// Also used by the workspace controller for checks that depend on workspace settings
+export const workspacePermissionError = (action, role) => new AppError(
+  `Your role in this workspace (${role}) does not allow this`,
+  403,
+  'INSUFFICIENT_PERMISSION',
+  { action, role }
+)
+
+// Load req.params.id as a workspace into req.workspace, with the user's role in
+// req.workspaceRole. Like boards, a workspace the user is not in is reported as missing.
+export const requireWorkspacePermission = (action) => catchAsync(async (req, _res, next) => {
+  const { id } = req.params
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid workspace ID format', 400, 'INVALID_ID'))
+  }
+
+  const workspace = await Workspace.findById(id)
+  const role = workspace && workspace.roleOf(req.user._id)
+  if (!role) {
+    return next(new AppError('Workspace not found or access denied', 404, 'WORKSPACE_NOT_FOUND'))
+  }
+  if (!workspace.can(req.user._id, action)) {
+    return next(workspacePermissionError(action, role))
+  }
+
+  req.workspace = workspace
+  req.workspaceRole = role
+  next()
+})
@@ -0,0 +1,60 @@
+import multer from 'multer'
+import { AppError } from './errorHandler.js'
+import { MAX_UPLOAD_SIZE } from './validation.js'
+
+// File types accepted as task attachments
+export const ALLOWED_UPLOAD_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip'
+]
+
+// Files are buffered in memory and handed to the storage driver by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 1
+  },
+  fileFilter: (_req, file, callback) => {
+    if (!ALLOWED_UPLOAD_TYPES.includes(file.mimetype)) {
+      return callback(new AppError(
+        `File type ${file.mimetype} is not allowed`,
+        400,
+        'UNSUPPORTED_FILE_TYPE',
+        { allowedTypes: ALLOWED_UPLOAD_TYPES }
+      ))
+    }
+    callback(null, true)
+  }
+})
+
+// Parse a single uploaded file from `fieldName`, translating multer errors into AppErrors
+export const uploadSingleFile = (fieldName = 'file') => (req, res, next) => {
+  upload.single(fieldName)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(
+          `File exceeds the ${Math.round(MAX_UPLOAD_SIZE / (1024 * 1024))}MB limit`,
+          413,
+          'FILE_TOO_LARGE'
+        ))
+      }
+      return next(new AppError(error.message, 400, 'INVALID_UPLOAD'))
+    }
+    if (error) {
+      return next(error)
+    }
+    if (!req.file) {
+      return next(new AppError(`A file is required in the '${fieldName}' field`, 400, 'FILE_REQUIRED'))
+    }
+    next()
+  })
+}
@@ -2,6 +2,9 @@ import { body, param, query, validationResult } from 'express-validator'
 import { AppError } from './errorHandler.js'
 import DOMPurify from 'isomorphic-dompurify'
 import mongoose from 'mongoose'
+import { TASK_PRIORITIES, MAX_ASSIGNEES } from '../models/Task.js'
+import { MEMBER_ROLES } from '../models/Board.js'
+import { WORKSPACE_MEMBER_ROLES } from '../models/Workspace.js'
 
 // Sanitization middleware
 export const sanitizeInput = (req, _res, next) => {
@@ -89,12 +92,16 @@ export const validateObjectId = (paramName = 'id') => [
     .withMessage(`Invalid ${paramName} format`)
 ]
 
+// Statuses are column keys; controllers check them against the board's columns
+const taskStatusRule = (chain) => chain
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Status must be a column key of at most 50 characters')
+
 // Query parameter validation for tasks
 export const validateTaskQuery = [
-  query('status')
-    .optional()
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done'),
+  taskStatusRule(query('status').optional()),
   
   query('page')
     .optional()
@@ -104,23 +111,108 @@ export const validateTaskQuery = [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('dueBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('dueBefore must be a valid ISO 8601 date'),
+
+  query('dueAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('dueAfter must be a valid ISO 8601 date'),
+
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be true or false'),
+
+  query('priority')
+    .optional()
+    .isIn(TASK_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+
+  query('sort')
+    .optional()
+    .isIn(['position', 'priority', 'dueDate', 'createdAt'])
+    .withMessage('Sort must be one of: position, priority, dueDate, createdAt'),
+
+  query('labels')
+    .optional()
+    .custom((value) => {
+      const ids = String(value).split(',').filter(Boolean)
+      if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Labels must be a comma-separated list of label IDs')
+      }
+      return true
+    }),
+
+  query('labelMatch')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('labelMatch must be one of: any, all'),
+
+  query('boardId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid board ID'),
+
+  query('assignee')
+    .optional()
+    .custom((value) => value === 'me' || value === 'none' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('assignee must be me, none or a user ID')
 ]
 
+// Task search validation
+export const validateTaskSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('boardId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid board ID')
+]
+
+// Account field rules shared by registration and the account settings endpoints
+const usernameRule = (chain) => chain
+  .trim()
+  .isLength({ min: 3, max: 30 })
+  .withMessage('Username must be between 3 and 30 characters')
+  .matches(/^[a-zA-Z0-9_]+$/)
+  .withMessage('Username can only contain letters, numbers, and underscores')
+
+const emailRule = (chain) => chain
+  .trim()
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail()
+
+const strongPasswordRule = (chain) => chain
+  .isLength({ min: 8, max: 128 })
+  .withMessage('Password must be between 8 and 128 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character')
+
 // Registration validation
 export const validateRegister = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Username must be between 3 and 30 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
+  usernameRule(body('username')),
   
-  body('email')
-    .trim()
-    .isEmail()
-    .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
+  emailRule(body('email')),
   
   body('password')
     .isLength({ min: 6 })
@@ -140,6 +232,144 @@ export const validateLogin = [
     .withMessage('Password is required')
 ]
 
+// Validation for endpoints that email a link to an address (forgot password, resend verification)
+export const validateEmailRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+]
+
+// Tokens sent by email, like workspace invitation tokens, are 64 hex characters
+const emailTokenRule = (chain, message) => chain
+  .isString()
+  .matches(/^[0-9a-f]{64}$/)
+  .withMessage(message)
+
+// Reset password validation
+export const validateResetPassword = [
+  emailTokenRule(body('token'), 'Invalid reset token'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+]
+
+// Email verification link validation
+export const validateVerifyEmail = [
+  emailTokenRule(param('token'), 'Invalid verification token')
+]
+
+// Account unlock link validation
+export const validateUnlockAccount = [
+  emailTokenRule(param('token'), 'Invalid unlock token')
+]
+
+// Authenticator codes are 6 digits; recovery codes are "xxxxx-xxxxx"
+const twoFactorCodeRule = () => body('code')
+  .isString()
+  .trim()
+  .isLength({ min: 6, max: 20 })
+  .withMessage('Authentication code is required')
+
+// Second login step validation
+export const validateTwoFactorLogin = [
+  body('mfaToken')
+    .isJWT()
+    .withMessage('Invalid login attempt'),
+
+  twoFactorCodeRule()
+]
+
+// Single sign-on callback validation: the provider's code and state plus the
+// token from the start of the attempt
+export const validateSsoCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+
+  body('ssoToken')
+    .isJWT()
+    .withMessage('Invalid login attempt')
+]
+
+// Two-factor enrollment confirmation validation
+export const validateEnableTwoFactor = [
+  twoFactorCodeRule()
+]
+
+// Disabling two-factor authentication validation
+export const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  twoFactorCodeRule()
+]
+
+// Shared start/due date rules for task creation and updates
+const taskDateRules = [
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      const { startDate } = req.body
+      if (startDate && new Date(value) < new Date(startDate)) {
+        throw new Error('Due date cannot be before start date')
+      }
+      return true
+    })
+]
+
+// Priority rule shared by task creation and updates
+const taskPriorityRule = body('priority')
+  .optional()
+  .isIn(TASK_PRIORITIES)
+  .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`)
+
+// Label reference rules shared by task creation and updates
+const taskLabelRules = [
+  body('labels')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Labels must be an array of at most 20 label IDs'),
+
+  body('labels.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid label ID')
+]
+
+// Assignee rules shared by task creation and updates
+const taskAssigneeRules = [
+  body('assignees')
+    .optional()
+    .isArray({ max: MAX_ASSIGNEES })
+    .withMessage(`Assignees must be an array of at most ${MAX_ASSIGNEES} user IDs`),
+
+  body('assignees.*')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid assignee ID')
+]
+
+// Board reference rule shared by task creation and updates
+const taskBoardRule = body('boardId')
+  .optional()
+  .custom((value) => mongoose.Types.ObjectId.isValid(value))
+  .withMessage('Invalid board ID')
+
 // Task creation validation
 export const validateCreateTask = [
   body('title')
@@ -153,15 +383,22 @@ export const validateCreateTask = [
     .isLength({ max: 1000 })
     .withMessage('Task description cannot exceed 1000 characters'),
   
-  body('status')
-    .optional()
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done'),
+  taskStatusRule(body('status').optional()),
   
   body('position')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Position must be a non-negative integer')
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number'),
+
+  taskPriorityRule,
+
+  ...taskDateRules,
+
+  ...taskLabelRules,
+
+  ...taskAssigneeRules,
+
+  taskBoardRule
 ]
 
 // Task update validation
@@ -178,27 +415,365 @@ export const validateUpdateTask = [
     .isLength({ max: 1000 })
     .withMessage('Task description cannot exceed 1000 characters'),
   
-  body('status')
-    .optional()
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done'),
+  taskStatusRule(body('status').optional()),
   
   body('position')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Position must be a non-negative integer')
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number'),
+
+  taskPriorityRule,
+
+  ...taskDateRules,
+
+  ...taskLabelRules,
+
+  ...taskAssigneeRules,
+
+  taskBoardRule
 ]
 
 // Task status update validation
 export const validateUpdateTaskStatus = [
-  body('status')
-    .isIn(['todo', 'inprogress', 'done'])
-    .withMessage('Status must be one of: todo, inprogress, done'),
+  taskStatusRule(body('status')),
   
   body('position')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Position must be a non-negative integer')
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number')
+]
+
+// Task move validation (beforeId: the card the task is dropped in front of; empty for the end)
+export const validateMoveTask = [
+  taskStatusRule(body('status').optional()),
+
+  body('beforeId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('beforeId must be a valid task ID')
+]
+
+// Label catalog query validation
+export const validateLabelQuery = [
+  query('boardId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid board ID')
+]
+
+// Label creation validation
+export const validateCreateLabel = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Label name must be between 1 and 30 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Label color must be a hex color like #1f6feb')
+]
+
+// Label update validation
+export const validateUpdateLabel = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Label name must be between 1 and 30 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Label color must be a hex color like #1f6feb')
+]
+
+// Board creation validation
+export const validateCreateBoard = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Board name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Board description cannot exceed 500 characters'),
+
+  body('workspaceId')
+    .optional({ nullable: true })
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid workspace ID')
+]
+
+// Board update validation
+export const validateUpdateBoard = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Board name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Board description cannot exceed 500 characters')
+]
+
+// Board column creation validation
+export const validateCreateColumn = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Column name must be between 1 and 50 characters'),
+
+  body('isDone')
+    .optional()
+    .isBoolean()
+    .withMessage('isDone must be a boolean')
+]
+
+// Board column update validation (rename and/or mark as done)
+export const validateUpdateColumn = [
+  ...validateObjectId('columnId'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Column name must be between 1 and 50 characters'),
+
+  body('isDone')
+    .optional()
+    .isBoolean()
+    .withMessage('isDone must be a boolean'),
+
+  body()
+    .custom((value) => {
+      if (value.name === undefined && value.isDone === undefined) {
+        throw new Error('Provide name or isDone to update')
+      }
+      return true
+    })
+]
+
+// Board column reorder validation
+export const validateReorderColumns = [
+  body('columnIds')
+    .isArray()
+    .withMessage('columnIds must be an array'),
+
+  body('columnIds.*')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid column ID')
+      }
+      return true
+    })
+]
+
+// Board column deletion validation; moveTo names the column that receives its tasks
+export const validateDeleteColumn = [
+  ...validateObjectId('columnId'),
+
+  query('moveTo')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('moveTo must be a column key')
+]
+
+const memberRoleRule = (chain) => chain
+  .isIn(MEMBER_ROLES)
+  .withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+
+// Board member invitation validation: the invitee is named by username or email
+export const validateAddBoardMember = [
+  usernameRule(body('username').optional()),
+
+  emailRule(body('email').optional()),
+
+  memberRoleRule(body('role').optional()),
+
+  body()
+    .custom((value) => {
+      if (!value.username === !value.email) {
+        throw new Error('Provide either username or email of the person to invite')
+      }
+      return true
+    })
+]
+
+// Board member role change validation
+export const validateUpdateBoardMember = [
+  ...validateObjectId('userId'),
+
+  memberRoleRule(body('role'))
+]
+
+const workspaceRoleRule = (chain) => chain
+  .isIn(WORKSPACE_MEMBER_ROLES)
+  .withMessage(`Role must be one of: ${WORKSPACE_MEMBER_ROLES.join(', ')}`)
+
+const workspaceNameRule = (chain) => chain
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Workspace name must be between 1 and 100 characters')
+
+// Workspace creation validation
+export const validateCreateWorkspace = [
+  workspaceNameRule(body('name'))
+]
+
+// Workspace name and settings update validation
+export const validateUpdateWorkspace = [
+  workspaceNameRule(body('name').optional()),
+
+  memberRoleRule(body('settings.defaultBoardRole').optional()),
+
+  body('settings.membersCanInvite')
+    .optional()
+    .isBoolean()
+    .withMessage('membersCanInvite must be a boolean'),
+
+  body()
+    .custom((value) => {
+      if (value.name === undefined && value.settings === undefined) {
+        throw new Error('Provide a name or settings to update')
+      }
+      return true
+    })
+]
+
+// Notification listing validation
+export const validateNotificationQuery = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('unread must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+]
+
+// Workspace member listing validation (optional username search)
+export const validateWorkspaceMemberQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Search must be at most 30 characters')
+]
+
+// Workspace member role change validation
+export const validateUpdateWorkspaceMember = [
+  ...validateObjectId('userId'),
+
+  workspaceRoleRule(body('role'))
+]
+
+// Workspace invitation link validation
+export const validateCreateWorkspaceInvite = [
+  workspaceRoleRule(body('role').optional()),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('expiresInDays must be between 1 and 30')
+]
+
+// Workspace invitation token validation
+export const validateWorkspaceInviteToken = [
+  emailTokenRule(param('token'), 'Invalid invitation token')
+]
+
+// Checklist item creation validation
+export const validateCreateChecklistItem = [
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist item text must be between 1 and 200 characters'),
+
+  body('done')
+    .optional()
+    .isBoolean()
+    .withMessage('Done must be a boolean')
+]
+
+// Checklist item update validation (rename and/or toggle)
+export const validateUpdateChecklistItem = [
+  ...validateObjectId('itemId'),
+
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist item text must be between 1 and 200 characters'),
+
+  body('done')
+    .optional()
+    .isBoolean()
+    .withMessage('Done must be a boolean'),
+
+  body()
+    .custom((value) => {
+      if (value.text === undefined && value.done === undefined) {
+        throw new Error('Provide text or done to update')
+      }
+      return true
+    })
+]
+
+// Checklist reorder validation: the full list of item ids in their new order
+export const validateReorderChecklist = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array'),
+
+  body('itemIds.*')
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid checklist item ID')
+      }
+      return true
+    })
+]
+
+// Comment creation validation
+export const validateCreateComment = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+
+  body('parentId')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid parent comment ID')
+      }
+      return true
+    })
+]
+
+// Comment update validation
+export const validateUpdateComment = [
+  ...validateObjectId('commentId'),
+
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters')
 ]
 
 // Refresh token validation
@@ -217,16 +792,43 @@ export const validateRefreshToken = [
 
 // Enhanced password validation with security requirements
 export const validateStrongPassword = [
+  strongPasswordRule(body('password'))
+]
+
+// Profile update validation; both fields are optional
+export const validateUpdateProfile = [
+  usernameRule(body('username').optional()),
+
+  emailRule(body('email').optional())
+]
+
+// Account deletion validation
+export const validateDeleteAccount = [
   body('password')
-    .isLength({ min: 8, max: 128 })
-    .withMessage('Password must be between 8 and 128 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character')
+    .notEmpty()
+    .withMessage('Password is required')
 ]
 
+// Password change validation; new passwords must meet the strong password rules
+export const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  strongPasswordRule(body('newPassword'))
+]
+
+// Body size limits: JSON/form bodies stay small, file uploads get their own ceiling
+export const MAX_REQUEST_SIZE = 1024 * 1024 // 1MB
+export const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE) || 10 * 1024 * 1024 // 10MB
+// Multipart bodies carry boundaries and part headers on top of the file itself
+const MULTIPART_OVERHEAD = 64 * 1024
+
 // Request size validation middleware
 export const validateRequestSize = (req, _res, next) => {
-  const maxSize = 1024 * 1024 // 1MB
+  const maxSize = req.is('multipart/form-data')
+    ? MAX_UPLOAD_SIZE + MULTIPART_OVERHEAD
+    : MAX_REQUEST_SIZE
   const contentLength = parseInt(req.get('content-length') || '0')
   
   if (contentLength > maxSize) {
@@ -261,30 +863,28 @@ export const validateNoSqlInjection = (req, _res, next) => {
   }
 }
 
-// User permission validation middleware
-export const validateTaskOwnership = async (req, _res, next) => {
+// Label permission validation middleware
+export const validateLabelOwnership = async (req, _res, next) => {
   try {
     const { id } = req.params
     const userId = req.user._id
 
-    // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      return next(new AppError('Invalid task ID format', 400, 'INVALID_ID'))
+      return next(new AppError('Invalid label ID format', 400, 'INVALID_ID'))
     }
 
-    // Import Task model dynamically to avoid circular dependency
-    const { default: Task } = await import('../models/Task.js')
-    
-    // Check if task exists and belongs to the user
-    const task = await Task.findOne({ _id: id, userId })
-    if (!task) {
-      return next(new AppError('Task not found or access denied', 404, 'TASK_NOT_FOUND'))
+    const { default: Label } = await import('../models/Label.js')
+
+    // Check if label exists and belongs to the user
+    const label = await Label.findOne({ _id: id, userId })
+    if (!label) {
+      return next(new AppError('Label not found or access denied', 404, 'LABEL_NOT_FOUND'))
     }
 
-    // Attach task to request for use in controller
-    req.task = task
+    // Attach label to request for use in controller
+    req.label = label
     next()
   } catch (error) {
-    next(new AppError('Error validating task ownership', 500, 'VALIDATION_ERROR'))
+    next(new AppError('Error validating label ownership', 500, 'VALIDATION_ERROR'))
   }
-}
\ No newline at end of file
+}
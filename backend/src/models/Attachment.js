@@ -0,0 +1,54 @@
+import mongoose from 'mongoose'
+
+const attachmentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'File type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [0, 'File size cannot be negative']
+  },
+  // Where the bytes live: the driver name plus a driver-specific key
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+attachmentSchema.index({ taskId: 1, createdAt: 1 })
+
+// Storage details are internal; clients download through the API
+attachmentSchema.methods.toJSON = function() {
+  const attachmentObject = this.toObject()
+  delete attachmentObject.storageDriver
+  delete attachmentObject.storageKey
+  return attachmentObject
+}
+
+const Attachment = mongoose.model('Attachment', attachmentSchema)
+
+export default Attachment
@@ -0,0 +1,64 @@
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+// Purposes a one-time token can be issued for
+export const AUTH_TOKEN_TYPES = ['password-reset', 'email-verification', 'account-unlock']
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Single-use tokens sent to users by email. Only a hash is stored, so a database
+// leak does not hand out working links.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: AUTH_TOKEN_TYPES,
+    required: [true, 'Token type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Issue a token, replacing any earlier one of the same type; resolves to the raw token
+authTokenSchema.statics.issue = async function(userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex')
+
+  await this.deleteMany({ userId, type })
+  await this.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  })
+
+  return token
+}
+
+// Use up a token: resolves to its document, or null when unknown, expired or already used
+authTokenSchema.statics.consume = function(token, type) {
+  return this.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema)
+
+export default AuthToken
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose'
+
+// Name given to the board created for users who have none yet
+export const DEFAULT_BOARD_NAME = 'My Task Board'
+
+// Workflow every new board starts with; the keys match task statuses from before columns
+export const DEFAULT_COLUMNS = [
+  { key: 'todo', name: 'To Do', isDone: false },
+  { key: 'inprogress', name: 'In Progress', isDone: false },
+  { key: 'done', name: 'Done', isDone: true }
+]
+
+// Upper bound on columns so boards stay usable
+export const MAX_COLUMNS = 20
+
+// Roles on a board, most powerful first. The owner is the board's userId; everyone
+// else is listed in members.
+export const BOARD_ROLES = ['owner', 'editor', 'commenter', 'viewer']
+export const MEMBER_ROLES = BOARD_ROLES.filter(role => role !== 'owner')
+
+// What each role may do: view the board and its tasks, comment on tasks, edit
+// tasks, or manage the board itself (settings, columns, members, deletion)
+export const ROLE_PERMISSIONS = {
+  owner: ['view', 'comment', 'edit', 'manage'],
+  editor: ['view', 'comment', 'edit'],
+  commenter: ['view', 'comment'],
+  viewer: ['view']
+}
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: MEMBER_ROLES,
+      message: `Role must be one of: ${MEMBER_ROLES.join(', ')}`
+    },
+    required: [true, 'Role is required']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+})
+
+// Columns are displayed in array order; tasks reference a column by its key
+const columnSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Column key is required'],
+    trim: true,
+    maxlength: [50, 'Column key cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true,
+    minlength: [1, 'Column name cannot be empty'],
+    maxlength: [50, 'Column name cannot exceed 50 characters']
+  },
+  // Tasks entering this column get completedAt set
+  isDone: {
+    type: Boolean,
+    default: false
+  }
+})
+
+const boardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Board name is required'],
+    trim: true,
+    minlength: [1, 'Board name cannot be empty'],
+    maxlength: [100, 'Board name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Board description cannot exceed 500 characters'],
+    default: ''
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Workspace the board belongs to; null for the owner's personal boards
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // People the owner shared the board with. Boards in a workspace are shared
+  // with everyone in it.
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  columns: {
+    type: [columnSchema],
+    default: () => DEFAULT_COLUMNS.map(column => ({ ...column })),
+    validate: [
+      {
+        validator: (columns) => columns.length >= 1 && columns.length <= MAX_COLUMNS,
+        message: `A board must have between 1 and ${MAX_COLUMNS} columns`
+      },
+      {
+        validator: (columns) => new Set(columns.map(column => column.key)).size === columns.length,
+        message: 'Column keys must be unique'
+      }
+    ]
+  }
+}, {
+  timestamps: true
+})
+
+// Boards are listed oldest first; the oldest one is the user's default board
+boardSchema.index({ userId: 1, createdAt: 1 })
+boardSchema.index({ 'members.userId': 1 })
+boardSchema.index({ workspaceId: 1 })
+
+// Query matching every board the user owns or is a member of
+boardSchema.statics.accessibleBy = function(userId) {
+  return { $or: [{ userId }, { 'members.userId': userId }] }
+}
+
+// The user's role on this board, or null without access
+boardSchema.methods.roleOf = function(userId) {
+  if (this.userId.equals(userId)) return 'owner'
+  const member = this.members.find(entry => entry.userId.equals(userId))
+  return member ? member.role : null
+}
+
+// Whether the user's role allows the action (view, comment, edit or manage)
+boardSchema.methods.can = function(userId, action) {
+  const role = this.roleOf(userId)
+  return Boolean(role && ROLE_PERMISSIONS[role].includes(action))
+}
+
+// Look up a column by the key tasks store in their status
+boardSchema.methods.getColumn = function(key) {
+  return this.columns.find(column => column.key === key) || null
+}
+
+// Keys of the columns whose tasks count as completed
+boardSchema.methods.doneStatuses = function() {
+  return this.columns.filter(column => column.isDone).map(column => column.key)
+}
+
+// Find the user's default board (their oldest personal board), creating it the
+// first time it is needed
+boardSchema.statics.findOrCreateDefault = async function(userId) {
+  const board = await this.findOne({ userId, workspaceId: null }).sort({ createdAt: 1 })
+  return board || this.create({ name: DEFAULT_BOARD_NAME, userId })
+}
+
+const Board = mongoose.model('Board', boardSchema)
+
+export default Board
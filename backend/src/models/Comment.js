@@ -0,0 +1,45 @@
+import mongoose from 'mongoose'
+import { mentionsField } from './Task.js'
+
+const commentSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // Replies point at a top-level comment; threads are one level deep
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Users @mentioned in the body, resolved whenever it is saved
+  mentions: mentionsField,
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+// Threads are always read in chronological order per task
+commentSchema.index({ taskId: 1, createdAt: 1 })
+commentSchema.index({ parentId: 1 })
+commentSchema.index({ 'mentions.userId': 1 })
+
+const Comment = mongoose.model('Comment', commentSchema)
+
+export default Comment
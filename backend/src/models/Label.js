@@ -0,0 +1,32 @@
+import mongoose from 'mongoose'
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    minlength: [1, 'Label name cannot be empty'],
+    maxlength: [30, 'Label name cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Label color must be a hex color like #1f6feb'],
+    default: '#6b778c'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  }
+}, {
+  timestamps: true
+})
+
+// Label names are unique within each user's catalog
+labelSchema.index({ userId: 1, name: 1 }, { unique: true })
+
+const Label = mongoose.model('Label', labelSchema)
+
+export default Label
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose'
+
+// What a notification is about: being assigned to a task, a comment on a task the
+// user follows, being mentioned, or a task of theirs coming due or becoming overdue
+export const NOTIFICATION_TYPES = ['assigned', 'comment', 'mention', 'due_soon', 'overdue']
+
+// How long notifications are kept before they are cleaned up
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: `Type must be one of: ${NOTIFICATION_TYPES.join(', ')}`
+    },
+    required: [true, 'Type is required']
+  },
+  // Who caused it; null for due-date reminders
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task ID is required']
+  },
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Copied from the task so the notification still reads well after it changes
+  taskTitle: {
+    type: String,
+    required: true
+  },
+  // The due date a reminder was sent for, so each due date is only announced once
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+notificationSchema.index({ userId: 1, createdAt: -1 })
+notificationSchema.index({ userId: 1, readAt: 1 })
+notificationSchema.index({ taskId: 1, type: 1, dueDate: 1 })
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS })
+
+// Number of notifications the user has not read yet
+notificationSchema.statics.unreadCount = function(userId) {
+  return this.countDocuments({ userId, readAt: null })
+}
+
+// Unread counts for several users in one query, as a map from user ID to count
+notificationSchema.statics.unreadCounts = async function(userIds) {
+  const results = await this.aggregate([
+    { $match: { userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(String(id))) }, readAt: null } },
+    { $group: { _id: '$userId', count: { $sum: 1 } } }
+  ])
+  return new Map(results.map(result => [String(result._id), result.count]))
+}
+
+const Notification = mongoose.model('Notification', notificationSchema)
+
+export default Notification
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose'
+
+export const SECURITY_EVENT_TYPES = [
+  'login',
+  'login-failed',
+  'two-factor-failed',
+  'account-locked',
+  'account-unlocked',
+  'password-reset',
+  'password-changed',
+  'email-changed',
+  'account-deletion-scheduled',
+  'account-deletion-cancelled'
+]
+
+// How long security events are kept
+const RETENTION_SECONDS = 90 * 24 * 60 * 60
+
+// Audit trail of sign-in activity on an account, so repeated failures and
+// lockouts can be reviewed by the user and by admins
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 512,
+    default: ''
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+securityEventSchema.index({ userId: 1, createdAt: -1 })
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS })
+
+// Record an event for the request that caused it
+securityEventSchema.statics.record = function(userId, type, req, details = {}) {
+  return this.create({
+    userId,
+    type,
+    ip: req.ip || '',
+    userAgent: (req.get('user-agent') || '').slice(0, 512),
+    details
+  })
+}
+
+// Most recent events first
+securityEventSchema.statics.recentFor = function(userId, limit = 50) {
+  return this.find({ userId }).sort({ createdAt: -1 }).limit(limit)
+}
+
+securityEventSchema.methods.toJSON = function() {
+  const event = this.toObject()
+  delete event.__v
+  return event
+}
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema)
+
+export default SecurityEvent
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose'
+
+// One session per login. Every refresh rotates tokenId, so only the most recently
+// issued refresh token is valid; presenting an older one means it leaked and the
+// whole session (the token family) is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // jti of the current refresh token
+  tokenId: {
+    type: String,
+    required: [true, 'Token ID is required']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 512,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Matches the current refresh token's expiry; MongoDB removes the session afterwards
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'revoked', 'password-reset', 'password-change', 'account-deletion'],
+    default: null
+  }
+}, {
+  timestamps: true
+})
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Active session of the user, or null once it has been revoked or has expired
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  if (this.revokedAt) return this
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject()
+  delete session.tokenId
+  delete session.__v
+  return session
+}
+
+const Session = mongoose.model('Session', sessionSchema)
+
+export default Session
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose'
+
+// How long a user has to finish logging in at the provider
+export const SSO_ATTEMPT_TTL_MS = 10 * 60 * 1000
+
+// A single sign-on login in progress, keyed by its state. The nonce and PKCE
+// verifier stay here, so they never reach the browser.
+const ssoAttemptSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+ssoAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Use up an attempt: resolves to its document, or null when unknown, expired or already used
+ssoAttemptSchema.statics.consume = function(state) {
+  return this.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+const SsoAttempt = mongoose.model('SsoAttempt', ssoAttemptSchema)
+
+export default SsoAttempt
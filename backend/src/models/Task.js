@@ -1,4 +1,60 @@
 import mongoose from 'mongoose'
+import { DEFAULT_COLUMNS } from './Board.js'
+import { evenRanks } from '../utils/ranking.js'
+import { MAX_MENTIONS } from '../utils/mentions.js'
+
+// Task priorities, ordered from least to most urgent
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent']
+
+// Upper bound on checklist length so a single task document stays small
+export const MAX_CHECKLIST_ITEMS = 100
+
+// Upper bound on the people a single task can be assigned to
+export const MAX_ASSIGNEES = 10
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    minlength: [1, 'Checklist item text cannot be empty'],
+    maxlength: [200, 'Checklist item text cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,
+    default: 0,
+    min: [0, 'Position cannot be negative']
+  }
+})
+
+// A user @mentioned in a description or comment. The username is kept as it was
+// written so the mention can still be found in the text after a rename.
+export const mentionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  username: {
+    type: String,
+    required: [true, 'Username is required']
+  }
+}, {
+  _id: false
+})
+
+export const mentionsField = {
+  type: [mentionSchema],
+  default: [],
+  validate: {
+    validator: (mentions) => mentions.length <= MAX_MENTIONS,
+    message: `Text cannot mention more than ${MAX_MENTIONS} people`
+  }
+}
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -14,19 +70,64 @@ const taskSchema = new mongoose.Schema({
     maxlength: [1000, 'Task description cannot exceed 1000 characters'],
     default: ''
   },
+  // Users @mentioned in the description, resolved whenever it is saved
+  mentions: mentionsField,
+  // Key of the board column the task sits in
   status: {
+    type: String,
+    trim: true,
+    minlength: [1, 'Status cannot be empty'],
+    maxlength: [50, 'Status cannot exceed 50 characters'],
+    default: DEFAULT_COLUMNS[0].key
+  },
+  priority: {
     type: String,
     enum: {
-      values: ['todo', 'inprogress', 'done'],
-      message: 'Status must be one of: todo, inprogress, done'
+      values: TASK_PRIORITIES,
+      message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
     },
-    default: 'todo'
+    default: 'medium'
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: [true, 'User ID is required']
   },
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  // Users responsible for the task; each must have access to its board
+  assignees: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: [],
+    validate: {
+      validator: (ids) => ids.length <= MAX_ASSIGNEES,
+      message: `A task cannot have more than ${MAX_ASSIGNEES} assignees`
+    }
+  },
+  checklist: {
+    type: [checklistItemSchema],
+    default: [],
+    validate: {
+      validator: (items) => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `A task cannot have more than ${MAX_CHECKLIST_ITEMS} checklist items`
+    }
+  },
+  // Denormalized so the board can show counts without loading threads
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Comment count cannot be negative']
+  },
   position: {
     type: Number,
     default: 0,
@@ -35,6 +136,14 @@ const taskSchema = new mongoose.Schema({
   completedAt: {
     type: Date,
     default: null
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -44,19 +153,70 @@ const taskSchema = new mongoose.Schema({
 taskSchema.index({ userId: 1, status: 1 })
 taskSchema.index({ userId: 1, position: 1 })
 taskSchema.index({ userId: 1, createdAt: -1 })
+taskSchema.index({ userId: 1, dueDate: 1 })
+taskSchema.index({ userId: 1, priority: 1 })
+taskSchema.index({ userId: 1, labels: 1 })
+taskSchema.index({ boardId: 1, status: 1, position: 1 })
+taskSchema.index({ assignees: 1 })
+taskSchema.index({ 'mentions.userId': 1 })
+// Full-text search over titles and descriptions (same index migration 003 creates)
+taskSchema.index({ title: 'text', description: 'text' })
+
+// Status keys that count as done when the caller does not pass the board's own
+const DEFAULT_DONE_STATUSES = DEFAULT_COLUMNS.filter(column => column.isDone).map(column => column.key)
+
+// The due date cannot be before the start date, whichever of the two changed
+taskSchema.pre('validate', function(next) {
+  if (this.startDate && this.dueDate && this.dueDate < this.startDate) {
+    this.invalidate('dueDate', 'Due date cannot be before start date', this.dueDate)
+  }
+  next()
+})
 
-// Pre-save middleware to set completedAt when status changes to 'done'
+// Pre-save middleware to set completedAt when the task enters a done column.
+// Controllers put the board's done column keys in $locals.doneStatuses.
 taskSchema.pre('save', function(next) {
   if (this.isModified('status')) {
-    if (this.status === 'done' && !this.completedAt) {
-      this.completedAt = new Date()
-    } else if (this.status !== 'done') {
+    const doneStatuses = this.$locals.doneStatuses || DEFAULT_DONE_STATUSES
+    if (doneStatuses.includes(this.status)) {
+      if (!this.completedAt) this.completedAt = new Date()
+    } else {
       this.completedAt = null
     }
   }
   next()
 })
 
+// Keep checklist items ordered by position, renumbering them 0..n-1
+taskSchema.methods.normalizeChecklist = function() {
+  const ordered = [...this.checklist].sort((a, b) => a.position - b.position)
+  ordered.forEach((item, index) => {
+    item.position = index
+  })
+  this.checklist = ordered
+  return this.checklist
+}
+
+// Renumber a column's tasks to evenly spaced ranks, keeping their order.
+// Returns the new positions so callers can pass them on to clients.
+taskSchema.statics.rebalanceColumn = async function(boardId, status) {
+  const tasks = await this.find({ boardId, status })
+    .sort({ position: 1, createdAt: -1 })
+    .select('_id')
+  const ranks = evenRanks(tasks.length)
+
+  if (tasks.length > 0) {
+    await this.bulkWrite(tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { position: ranks[index] } }
+      }
+    })))
+  }
+
+  return tasks.map((task, index) => ({ _id: task._id, position: ranks[index] }))
+}
+
 // Instance method to get task data with populated user info (excluding sensitive data)
 taskSchema.methods.toJSON = function() {
   const taskObject = this.toObject()
@@ -1,5 +1,21 @@
 import mongoose from 'mongoose'
 import bcrypt from 'bcryptjs'
+import { verifyCode } from '../utils/totp.js'
+import { hashRecoveryCode } from '../utils/recoveryCodes.js'
+
+// Hidden two-factor fields that checking a code needs; select them with .select(TWO_FACTOR_FIELDS)
+export const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep'
+
+// Hidden lockout fields that the login checks need
+export const LOCKOUT_FIELDS = '+failedLoginAttempts +lockedUntil'
+
+export const USER_ROLES = ['user', 'admin']
+
+// The account locks after this many failed logins in a row. The first lock lasts
+// LOGIN_LOCKOUT_MINUTES; each further failure once it lifts doubles the lock, up to a day.
+const lockoutThreshold = () => parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5
+const lockoutBaseMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,6 +40,66 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
+  },
+  // Set once the user follows the link emailed at signup
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication; the secrets are never selected by default
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret shown during enrollment until the user confirms it with a code
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  },
+  // Consecutive failed logins (wrong password or second-factor code)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Identity at the OpenID Connect provider, once the account has signed in with SSO
+  oidcIssuer: {
+    type: String,
+    select: false
+  },
+  oidcSubject: {
+    type: String,
+    select: false
+  },
+  // Set when the user asks to delete their account; the data is purged after this date
+  // unless they log in again first
+  deletionScheduledFor: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -32,6 +108,10 @@ const userSchema = new mongoose.Schema({
 // Index for performance
 userSchema.index({ email: 1 })
 userSchema.index({ username: 1 })
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+)
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -48,15 +128,72 @@ userSchema.pre('save', async function(next) {
   }
 })
 
+// Whether logins are refused because of too many failures. Requires LOCKOUT_FIELDS.
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date())
+}
+
+// Count a failed login; resolves to the lock expiry when this failure locks the
+// account, otherwise null. The counter is incremented atomically so parallel
+// guesses are all counted.
+userSchema.methods.registerFailedLogin = async function() {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('+failedLoginAttempts')
+  this.failedLoginAttempts = failedLoginAttempts
+
+  const threshold = lockoutThreshold()
+  if (failedLoginAttempts < threshold) return null
+
+  const duration = Math.min(lockoutBaseMs() * 2 ** (failedLoginAttempts - threshold), MAX_LOCKOUT_MS)
+  this.lockedUntil = new Date(Date.now() + duration)
+  await this.constructor.updateOne({ _id: this._id }, { lockedUntil: this.lockedUntil })
+  return this.lockedUntil
+}
+
+// Forget earlier failures after a successful login or an unlock
+userSchema.methods.clearFailedLogins = async function() {
+  this.failedLoginAttempts = 0
+  this.lockedUntil = null
+  await this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, lockedUntil: null })
+}
+
 // Instance method to check password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+// Check a second-factor code: an authenticator code newer than the last one
+// accepted, or an unused recovery code, which is spent. Requires TWO_FACTOR_FIELDS;
+// the caller saves the user.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = verifyCode(this.twoFactorSecret, code)
+  if (step !== null && step > (this.twoFactorLastStep ?? -1)) {
+    this.twoFactorLastStep = step
+    return true
+  }
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashRecoveryCode(code))
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1)
+    return true
+  }
+
+  return false
+}
+
 // Instance method to get user data without sensitive information
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject()
   delete userObject.password
+  delete userObject.twoFactorSecret
+  delete userObject.twoFactorPendingSecret
+  delete userObject.twoFactorRecoveryCodes
+  delete userObject.twoFactorLastStep
+  delete userObject.failedLoginAttempts
+  delete userObject.lockedUntil
   return userObject
 }
 
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose'
+import { MEMBER_ROLES } from './Board.js'
+
+// Roles in a workspace, most powerful first. The owner is the workspace's userId;
+// everyone else is listed in members.
+export const WORKSPACE_ROLES = ['owner', 'admin', 'member']
+export const WORKSPACE_MEMBER_ROLES = WORKSPACE_ROLES.filter(role => role !== 'owner')
+
+// What each role may do: view the workspace and its members, or administer it
+// (settings, members and invitations)
+export const WORKSPACE_ROLE_PERMISSIONS = {
+  owner: ['view', 'administer'],
+  admin: ['view', 'administer'],
+  member: ['view']
+}
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: WORKSPACE_MEMBER_ROLES,
+      message: `Role must be one of: ${WORKSPACE_MEMBER_ROLES.join(', ')}`
+    },
+    required: [true, 'Role is required']
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+})
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [1, 'Workspace name cannot be empty'],
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  // Workspace-wide settings, changed by admins
+  settings: {
+    // Role everyone in the workspace gets on its boards when they join or a board is created
+    defaultBoardRole: {
+      type: String,
+      enum: {
+        values: MEMBER_ROLES,
+        message: `Default board role must be one of: ${MEMBER_ROLES.join(', ')}`
+      },
+      default: 'editor'
+    },
+    // Whether members other than admins may create invitation links
+    membersCanInvite: {
+      type: Boolean,
+      default: false
+    }
+  }
+}, {
+  timestamps: true
+})
+
+workspaceSchema.index({ userId: 1 })
+workspaceSchema.index({ 'members.userId': 1 })
+
+// Query matching every workspace the user owns or is a member of
+workspaceSchema.statics.accessibleBy = function(userId) {
+  return { $or: [{ userId }, { 'members.userId': userId }] }
+}
+
+// The user's role in this workspace, or null when they are not in it
+workspaceSchema.methods.roleOf = function(userId) {
+  if (this.userId.equals(userId)) return 'owner'
+  const member = this.members.find(entry => entry.userId.equals(userId))
+  return member ? member.role : null
+}
+
+// Whether the user's role allows the action (view or administer)
+workspaceSchema.methods.can = function(userId, action) {
+  const role = this.roleOf(userId)
+  return Boolean(role && WORKSPACE_ROLE_PERMISSIONS[role].includes(action))
+}
+
+// Admins can always create invitation links; members only when the workspace allows it
+workspaceSchema.methods.canInvite = function(userId) {
+  return this.can(userId, 'administer') || (this.settings.membersCanInvite && this.can(userId, 'view'))
+}
+
+// IDs of everyone in the workspace, owner first
+workspaceSchema.methods.memberIds = function() {
+  return [this.userId, ...this.members.map(member => member.userId)]
+}
+
+const Workspace = mongoose.model('Workspace', workspaceSchema)
+
+export default Workspace
@@ -0,0 +1,75 @@
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import { WORKSPACE_MEMBER_ROLES } from './Workspace.js'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Shareable invitation links to a workspace. Anyone signed in who opens the link
+// before it expires joins with its role. As with AuthToken only a hash is stored,
+// so the link itself is shown once, when it is created.
+const workspaceInviteSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Workspace ID is required'],
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: WORKSPACE_MEMBER_ROLES,
+      message: `Role must be one of: ${WORKSPACE_MEMBER_ROLES.join(', ')}`
+    },
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+workspaceInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Don't send the token hash to clients
+workspaceInviteSchema.methods.toJSON = function() {
+  const invite = this.toObject()
+  delete invite.tokenHash
+  return invite
+}
+
+// Create an invitation link; resolves to the invite and its raw token
+workspaceInviteSchema.statics.issue = async function({ workspaceId, createdBy, role, ttlMs }) {
+  const token = crypto.randomBytes(32).toString('hex')
+  const invite = await this.create({
+    workspaceId,
+    createdBy,
+    role,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  })
+  return { invite, token }
+}
+
+// Look up an unexpired invitation by its token; links can be used more than once
+workspaceInviteSchema.statics.findValid = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  })
+}
+
+const WorkspaceInvite = mongoose.model('WorkspaceInvite', workspaceInviteSchema)
+
+export default WorkspaceInvite
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Board, { DEFAULT_BOARD_NAME } from '../Board.js'
+import User from '../User.js'
+
+describe('Board Model', () => {
+  let mongoServer
+  let testUser
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Board.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+  })
+
+  it('should create a board with an empty description', async () => {
+    const board = await Board.create({ name: 'Work', userId: testUser._id })
+
+    expect(board.name).toBe('Work')
+    expect(board.description).toBe('')
+  })
+
+  it('should start with the default workflow columns', async () => {
+    const board = await Board.create({ name: 'Work', userId: testUser._id })
+
+    expect(board.columns.map(column => column.key)).toEqual(['todo', 'inprogress', 'done'])
+    expect(board.doneStatuses()).toEqual(['done'])
+    expect(board.getColumn('inprogress').name).toBe('In Progress')
+  })
+
+  it('should reject duplicate column keys', async () => {
+    await expect(Board.create({
+      name: 'Work',
+      userId: testUser._id,
+      columns: [{ key: 'todo', name: 'To Do' }, { key: 'todo', name: 'Also To Do' }]
+    })).rejects.toThrow('Column keys must be unique')
+  })
+
+  it('should fail validation with name too long', async () => {
+    await expect(Board.create({ name: 'a'.repeat(101), userId: testUser._id }))
+      .rejects.toThrow('Board name cannot exceed 100 characters')
+  })
+
+  describe('findOrCreateDefault', () => {
+    it('should create the default board when the user has none', async () => {
+      const board = await Board.findOrCreateDefault(testUser._id)
+
+      expect(board.name).toBe(DEFAULT_BOARD_NAME)
+      expect(await Board.countDocuments({ userId: testUser._id })).toBe(1)
+    })
+
+    it('should return the user\'s oldest board', async () => {
+      const first = await Board.create({ name: 'First', userId: testUser._id })
+      await Board.create({ name: 'Second', userId: testUser._id })
+
+      const board = await Board.findOrCreateDefault(testUser._id)
+
+      expect(board._id.toString()).toBe(first._id.toString())
+      expect(await Board.countDocuments({ userId: testUser._id })).toBe(2)
+    })
+  })
+})
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import Label from '../Label.js'
+import User from '../User.js'
+
+describe('Label Model', () => {
+  let mongoServer
+  let testUser
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create()
+    await mongoose.connect(mongoServer.getUri())
+    await Label.init()
+  })
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    await mongoServer.stop()
+  })
+
+  beforeEach(async () => {
+    await Label.deleteMany({})
+    await User.deleteMany({})
+
+    testUser = await User.create({
+      username: 'testuser',
+      email: 'test@example.com',
+      password: 'password123'
+    })
+  })
+
+  it('should create a label with a default color', async () => {
+    const label = await Label.create({ name: 'bug', userId: testUser._id })
+
+    expect(label.name).toBe('bug')
+    expect(label.color).toBe('#6b778c')
+  })
+
+  it('should normalize colors to lowercase', async () => {
+    const label = await Label.create({ name: 'bug', color: '#FF5630', userId: testUser._id })
+
+    expect(label.color).toBe('#ff5630')
+  })
+
+  it('should fail validation with an invalid color', async () => {
+    await expect(Label.create({ name: 'bug', color: 'red', userId: testUser._id }))
+      .rejects.toThrow('Label color must be a hex color like #1f6feb')
+  })
+
+  it('should fail validation with name too long', async () => {
+    await expect(Label.create({ name: 'a'.repeat(31), userId: testUser._id }))
+      .rejects.toThrow('Label name cannot exceed 30 characters')
+  })
+
+  it('should enforce unique names per user but allow them across users', async () => {
+    const otherUser = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123'
+    })
+
+    await Label.create({ name: 'bug', userId: testUser._id })
+    await expect(Label.create({ name: 'bug', userId: testUser._id })).rejects.toThrow()
+    await expect(Label.create({ name: 'bug', userId: otherUser._id })).resolves.toBeDefined()
+  })
+})
@@ -1,6 +1,6 @@
 import mongoose from 'mongoose'
 import { MongoMemoryServer } from 'mongodb-memory-server'
-import Task from '../Task.js'
+import Task, { MAX_CHECKLIST_ITEMS } from '../Task.js'
 import User from '../User.js'
 
 describe('Task Model', () => {
@@ -84,14 +84,14 @@ describe('Task Model', () => {
       await expect(Task.create(taskData)).rejects.toThrow('User ID is required')
     })
 
-    it('should fail validation with invalid status', async () => {
+    it('should fail validation with status too long', async () => {
       const taskData = {
         title: 'Test Task',
-        status: 'invalid',
+        status: 'a'.repeat(51),
         userId: testUser._id
       }
 
-      await expect(Task.create(taskData)).rejects.toThrow('Status must be one of: todo, inprogress, done')
+      await expect(Task.create(taskData)).rejects.toThrow('Status cannot exceed 50 characters')
     })
 
     it('should fail validation with title too long', async () => {
@@ -135,6 +135,79 @@ describe('Task Model', () => {
       expect(task.title).toBe('Test Task')
       expect(task.description).toBe('Test Description')
     })
+
+    it('should default start and due dates to null', async () => {
+      const task = await Task.create({ title: 'Test Task', userId: testUser._id })
+
+      expect(task.startDate).toBeNull()
+      expect(task.dueDate).toBeNull()
+    })
+
+    it('should fail validation when due date is before start date', async () => {
+      const taskData = {
+        title: 'Test Task',
+        startDate: new Date('2030-01-10'),
+        dueDate: new Date('2030-01-01'),
+        userId: testUser._id
+      }
+
+      await expect(Task.create(taskData)).rejects.toThrow('Due date cannot be before start date')
+    })
+
+    it('should fail validation when only the start date moves past the due date', async () => {
+      const task = await Task.create({
+        title: 'Test Task',
+        startDate: new Date('2030-01-01'),
+        dueDate: new Date('2030-01-10'),
+        userId: testUser._id
+      })
+
+      task.startDate = new Date('2030-01-20')
+
+      await expect(task.save()).rejects.toThrow('Due date cannot be before start date')
+    })
+
+    it('should default priority to medium', async () => {
+      const task = await Task.create({ title: 'Test Task', userId: testUser._id })
+
+      expect(task.priority).toBe('medium')
+    })
+
+    it('should fail validation with invalid priority', async () => {
+      const taskData = {
+        title: 'Test Task',
+        priority: 'critical',
+        userId: testUser._id
+      }
+
+      await expect(Task.create(taskData)).rejects.toThrow('Priority must be one of: low, medium, high, urgent')
+    })
+
+    it('should default checklist to an empty array', async () => {
+      const task = await Task.create({ title: 'Test Task', userId: testUser._id })
+
+      expect(task.checklist).toHaveLength(0)
+    })
+
+    it('should fail validation with an empty checklist item', async () => {
+      const taskData = {
+        title: 'Test Task',
+        checklist: [{ text: '' }],
+        userId: testUser._id
+      }
+
+      await expect(Task.create(taskData)).rejects.toThrow('Checklist item text is required')
+    })
+
+    it('should cap the number of checklist items', async () => {
+      const taskData = {
+        title: 'Test Task',
+        checklist: Array.from({ length: MAX_CHECKLIST_ITEMS + 1 }, (_, i) => ({ text: `Item ${i}`, position: i })),
+        userId: testUser._id
+      }
+
+      await expect(Task.create(taskData)).rejects.toThrow(`more than ${MAX_CHECKLIST_ITEMS} checklist items`)
+    })
   })
 
   describe('Pre-save Middleware', () => {
@@ -195,6 +268,19 @@ describe('Task Model', () => {
 
       expect(task.completedAt.getTime()).toBe(originalCompletedAt.getTime())
     })
+
+    it('should use the done columns passed in $locals', async () => {
+      const task = await Task.create({
+        title: 'Test Task',
+        userId: testUser._id
+      })
+
+      task.status = 'shipped'
+      task.$locals.doneStatuses = ['shipped']
+      await task.save()
+
+      expect(task.completedAt).toBeInstanceOf(Date)
+    })
   })
 
   describe('Indexes', () => {
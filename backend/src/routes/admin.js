@@ -0,0 +1,28 @@
+import express from 'express'
+import { getUserSecurityEvents, unlockUser } from '../controllers/adminController.js'
+import { authenticate, requireAdmin } from '../middleware/auth.js'
+import {
+  validateObjectId,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all admin routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All admin routes require an authenticated admin
+router.use(authenticate, requireAdmin)
+
+// GET /api/admin/users/:id/security-events - Lockout state and sign-in activity of a user
+router.get('/users/:id/security-events', validateObjectId(), handleValidationErrors, getUserSecurityEvents)
+
+// POST /api/admin/users/:id/unlock - Unlock a locked account
+router.post('/users/:id/unlock', validateObjectId(), handleValidationErrors, unlockUser)
+
+export default router
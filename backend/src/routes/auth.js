@@ -1,25 +1,76 @@
 import express from 'express'
+import rateLimit from 'express-rate-limit'
 import { 
   register, 
   login, 
   logout, 
   verify, 
-  refresh 
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  unlockAccount,
+  getSecurityEvents
 } from '../controllers/authController.js'
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor } from '../controllers/twoFactorController.js'
+import { getSsoConfig, startSsoLogin, completeSsoLogin } from '../controllers/ssoController.js'
 import { authenticate } from '../middleware/auth.js'
 import { 
   validateRegister, 
   validateLogin, 
   validateRefreshToken,
+  validateEmailRequest,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateUnlockAccount,
+  validateTwoFactorLogin,
+  validateEnableTwoFactor,
+  validateDisableTwoFactor,
+  validateSsoCallback,
   sanitizeInput,
   validateRequestSize,
   validateNoSqlInjection,
+  validateObjectId,
   handleRefreshTokenValidation
 } from '../middleware/validation.js'
 import { handleValidationErrors } from '../middleware/errorHandler.js'
 
 const router = express.Router()
 
+// Limit the emails sent to one address, so nobody can flood someone's inbox
+const accountEmailLimiter = ({ max, message, code }) => rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max,
+  keyGenerator: (req) => req.body.email,
+  message: {
+    success: false,
+    error: {
+      message,
+      code
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+})
+
+const resendVerificationLimiter = accountEmailLimiter({
+  max: parseInt(process.env.VERIFICATION_EMAIL_RATE_LIMIT_MAX) || 3,
+  message: 'Too many verification emails requested, please try again later',
+  code: 'VERIFICATION_RATE_LIMIT_EXCEEDED'
+})
+
+// Exported so tests can reset the count for an address between cases
+export const passwordResetLimiter = accountEmailLimiter({
+  max: parseInt(process.env.PASSWORD_RESET_EMAIL_RATE_LIMIT_MAX) || 3,
+  message: 'Too many password reset emails requested, please try again later',
+  code: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED'
+})
+
 // Apply security middleware to all auth routes
 router.use(sanitizeInput)
 router.use(validateRequestSize)
@@ -31,6 +82,18 @@ router.post('/register', validateRegister, handleValidationErrors, register)
 // POST /api/auth/login - Login user
 router.post('/login', validateLogin, handleValidationErrors, login)
 
+// POST /api/auth/2fa/verify - Complete a login with a two-factor code
+router.post('/2fa/verify', validateTwoFactorLogin, handleValidationErrors, verifyTwoFactorLogin)
+
+// GET /api/auth/sso/config - Whether single sign-on is available
+router.get('/sso/config', getSsoConfig)
+
+// GET /api/auth/sso/start - Begin a single sign-on login at the identity provider
+router.get('/sso/start', startSsoLogin)
+
+// POST /api/auth/sso/callback - Finish a single sign-on login with the provider's code
+router.post('/sso/callback', validateSsoCallback, handleValidationErrors, completeSsoLogin)
+
 // POST /api/auth/logout - Logout user
 router.post('/logout', logout)
 
@@ -40,4 +103,40 @@ router.get('/verify', authenticate, verify)
 // POST /api/auth/refresh - Refresh access token
 router.post('/refresh', validateRefreshToken, handleRefreshTokenValidation, refresh)
 
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', validateEmailRequest, handleValidationErrors, passwordResetLimiter, forgotPassword)
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', validateResetPassword, handleValidationErrors, resetPassword)
+
+// GET /api/auth/verify-email/:token - Confirm an email address
+router.get('/verify-email/:token', validateVerifyEmail, handleValidationErrors, verifyEmail)
+
+// POST /api/auth/resend-verification - Email a new verification link
+router.post('/resend-verification', validateEmailRequest, handleValidationErrors, resendVerificationLimiter, resendVerification)
+
+// GET /api/auth/unlock-account/:token - Lift a lockout early
+router.get('/unlock-account/:token', validateUnlockAccount, handleValidationErrors, unlockAccount)
+
+// GET /api/auth/security-events - Recent sign-in activity on the account
+router.get('/security-events', authenticate, getSecurityEvents)
+
+// GET /api/auth/sessions - List active sessions
+router.get('/sessions', authenticate, getSessions)
+
+// DELETE /api/auth/sessions - Sign out everywhere else
+router.delete('/sessions', authenticate, revokeOtherSessions)
+
+// DELETE /api/auth/sessions/:id - Revoke a session
+router.delete('/sessions/:id', authenticate, validateObjectId('id'), handleValidationErrors, revokeSession)
+
+// POST /api/auth/2fa/setup - Generate a pending authenticator secret
+router.post('/2fa/setup', authenticate, setupTwoFactor)
+
+// POST /api/auth/2fa/enable - Confirm the secret with a code and get recovery codes
+router.post('/2fa/enable', authenticate, validateEnableTwoFactor, handleValidationErrors, enableTwoFactor)
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication
+router.post('/2fa/disable', authenticate, validateDisableTwoFactor, handleValidationErrors, disableTwoFactor)
+
 export default router
\ No newline at end of file
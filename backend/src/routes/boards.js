@@ -0,0 +1,86 @@
+import express from 'express'
+import {
+  getBoards,
+  getBoard,
+  createBoard,
+  updateBoard,
+  deleteBoard,
+  getBoardMembers,
+  addBoardMember,
+  updateBoardMember,
+  removeBoardMember
+} from '../controllers/boardController.js'
+import {
+  addColumn,
+  updateColumn,
+  reorderColumns,
+  deleteColumn
+} from '../controllers/columnController.js'
+import { authenticate } from '../middleware/auth.js'
+import {
+  validateCreateBoard,
+  validateUpdateBoard,
+  validateCreateColumn,
+  validateUpdateColumn,
+  validateReorderColumns,
+  validateDeleteColumn,
+  validateAddBoardMember,
+  validateUpdateBoardMember,
+  validateObjectId,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { requireBoardPermission } from '../middleware/permissions.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all board routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All board routes require authentication
+router.use(authenticate)
+
+// GET /api/boards - Get user's boards
+router.get('/', getBoards)
+
+// POST /api/boards - Create new board
+router.post('/', validateCreateBoard, handleValidationErrors, createBoard)
+
+// GET /api/boards/:id - Get a single board
+router.get('/:id', validateObjectId(), requireBoardPermission('view'), getBoard)
+
+// PUT /api/boards/:id - Update existing board
+router.put('/:id', validateObjectId(), requireBoardPermission('manage'), validateUpdateBoard, handleValidationErrors, updateBoard)
+
+// DELETE /api/boards/:id - Delete board and its tasks
+router.delete('/:id', validateObjectId(), requireBoardPermission('manage'), deleteBoard)
+
+// POST /api/boards/:id/columns - Add column
+router.post('/:id/columns', validateObjectId(), requireBoardPermission('manage'), validateCreateColumn, handleValidationErrors, addColumn)
+
+// PUT /api/boards/:id/columns/order - Reorder columns
+router.put('/:id/columns/order', validateObjectId(), requireBoardPermission('manage'), validateReorderColumns, handleValidationErrors, reorderColumns)
+
+// PATCH /api/boards/:id/columns/:columnId - Rename column or mark it as done
+router.patch('/:id/columns/:columnId', validateObjectId(), requireBoardPermission('manage'), validateUpdateColumn, handleValidationErrors, updateColumn)
+
+// DELETE /api/boards/:id/columns/:columnId - Delete column, moving its tasks (?moveTo=<column key>)
+router.delete('/:id/columns/:columnId', validateObjectId(), requireBoardPermission('manage'), validateDeleteColumn, handleValidationErrors, deleteColumn)
+
+// GET /api/boards/:id/members - Get the board's owner and members
+router.get('/:id/members', validateObjectId(), requireBoardPermission('view'), getBoardMembers)
+
+// POST /api/boards/:id/members - Share the board with a user by username or email
+router.post('/:id/members', validateObjectId(), requireBoardPermission('manage'), validateAddBoardMember, handleValidationErrors, addBoardMember)
+
+// PATCH /api/boards/:id/members/:userId - Change a member's role
+router.patch('/:id/members/:userId', validateObjectId(), requireBoardPermission('manage'), validateUpdateBoardMember, handleValidationErrors, updateBoardMember)
+
+// DELETE /api/boards/:id/members/:userId - Remove a member, or leave the board when it is yourself
+router.delete('/:id/members/:userId', validateObjectId(), requireBoardPermission('view'), validateObjectId('userId'), handleValidationErrors, removeBoardMember)
+
+export default router
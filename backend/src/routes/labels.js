@@ -0,0 +1,43 @@
+import express from 'express'
+import {
+  getLabels,
+  createLabel,
+  updateLabel,
+  deleteLabel
+} from '../controllers/labelController.js'
+import { authenticate } from '../middleware/auth.js'
+import {
+  validateLabelQuery,
+  validateCreateLabel,
+  validateUpdateLabel,
+  validateObjectId,
+  validateLabelOwnership,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all label routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All label routes require authentication
+router.use(authenticate)
+
+// GET /api/labels - Get user's label catalog (?boardId= for the catalog of a shared board's owner)
+router.get('/', validateLabelQuery, handleValidationErrors, getLabels)
+
+// POST /api/labels - Create new label
+router.post('/', validateCreateLabel, handleValidationErrors, createLabel)
+
+// PUT /api/labels/:id - Update existing label
+router.put('/:id', validateObjectId(), validateLabelOwnership, validateUpdateLabel, handleValidationErrors, updateLabel)
+
+// DELETE /api/labels/:id - Delete label and detach it from tasks
+router.delete('/:id', validateObjectId(), validateLabelOwnership, deleteLabel)
+
+export default router
@@ -0,0 +1,36 @@
+import express from 'express'
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../controllers/notificationController.js'
+import { authenticate } from '../middleware/auth.js'
+import {
+  validateNotificationQuery,
+  validateObjectId,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all notification routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All notification routes require authentication
+router.use(authenticate)
+
+// GET /api/notifications - Get the user's notifications and unread count
+router.get('/', validateNotificationQuery, handleValidationErrors, getNotifications)
+
+// PATCH /api/notifications/read-all - Mark all notifications as read
+router.patch('/read-all', markAllNotificationsRead)
+
+// PATCH /api/notifications/:id/read - Mark a notification as read
+router.patch('/:id/read', validateObjectId(), handleValidationErrors, markNotificationRead)
+
+export default router
@@ -1,23 +1,51 @@
 import express from 'express'
 import {
   getTasks,
+  searchTasks,
   createTask,
   updateTask,
   deleteTask,
-  updateTaskStatus
+  updateTaskStatus,
+  moveTask
 } from '../controllers/taskController.js'
+import {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem
+} from '../controllers/checklistController.js'
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js'
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js'
 import { authenticate } from '../middleware/auth.js'
 import {
   validateCreateTask,
   validateUpdateTask,
   validateUpdateTaskStatus,
+  validateMoveTask,
   validateTaskQuery,
+  validateTaskSearch,
   validateObjectId,
-  validateTaskOwnership,
+  validateCreateChecklistItem,
+  validateUpdateChecklistItem,
+  validateReorderChecklist,
+  validateCreateComment,
+  validateUpdateComment,
   sanitizeInput,
   validateRequestSize,
   validateNoSqlInjection
 } from '../middleware/validation.js'
+import { uploadSingleFile } from '../middleware/upload.js'
+import { requireTaskPermission } from '../middleware/permissions.js'
 import { handleValidationErrors } from '../middleware/errorHandler.js'
 
 const router = express.Router()
@@ -33,16 +61,58 @@ router.use(authenticate)
 // GET /api/tasks - Get all user's tasks
 router.get('/', validateTaskQuery, handleValidationErrors, getTasks)
 
+// GET /api/tasks/search - Full-text search (?q=, optional boardId, page, limit)
+router.get('/search', validateTaskSearch, handleValidationErrors, searchTasks)
+
 // POST /api/tasks - Create new task
 router.post('/', validateCreateTask, handleValidationErrors, createTask)
 
 // PUT /api/tasks/:id - Update existing task
-router.put('/:id', validateObjectId(), validateTaskOwnership, validateUpdateTask, handleValidationErrors, updateTask)
+router.put('/:id', validateObjectId(), requireTaskPermission('edit'), validateUpdateTask, handleValidationErrors, updateTask)
 
 // DELETE /api/tasks/:id - Delete task
-router.delete('/:id', validateObjectId(), validateTaskOwnership, deleteTask)
+router.delete('/:id', validateObjectId(), requireTaskPermission('edit'), deleteTask)
 
 // PATCH /api/tasks/:id/status - Update task status
-router.patch('/:id/status', validateObjectId(), validateTaskOwnership, validateUpdateTaskStatus, handleValidationErrors, updateTaskStatus)
+router.patch('/:id/status', validateObjectId(), requireTaskPermission('edit'), validateUpdateTaskStatus, handleValidationErrors, updateTaskStatus)
+
+// PATCH /api/tasks/:id/move - Move task in front of another card or to the end of a column
+router.patch('/:id/move', validateObjectId(), requireTaskPermission('edit'), validateMoveTask, handleValidationErrors, moveTask)
+
+// POST /api/tasks/:id/checklist - Add checklist item
+router.post('/:id/checklist', validateObjectId(), requireTaskPermission('edit'), validateCreateChecklistItem, handleValidationErrors, addChecklistItem)
+
+// PUT /api/tasks/:id/checklist/order - Reorder checklist items
+router.put('/:id/checklist/order', validateObjectId(), requireTaskPermission('edit'), validateReorderChecklist, handleValidationErrors, reorderChecklist)
+
+// PATCH /api/tasks/:id/checklist/:itemId - Rename or toggle checklist item
+router.patch('/:id/checklist/:itemId', validateObjectId(), requireTaskPermission('edit'), validateUpdateChecklistItem, handleValidationErrors, updateChecklistItem)
+
+// DELETE /api/tasks/:id/checklist/:itemId - Delete checklist item
+router.delete('/:id/checklist/:itemId', validateObjectId(), requireTaskPermission('edit'), validateObjectId('itemId'), handleValidationErrors, deleteChecklistItem)
+
+// GET /api/tasks/:id/comments - Get task comments
+router.get('/:id/comments', validateObjectId(), requireTaskPermission('view'), getComments)
+
+// POST /api/tasks/:id/comments - Add comment or reply
+router.post('/:id/comments', validateObjectId(), requireTaskPermission('comment'), validateCreateComment, handleValidationErrors, createComment)
+
+// PUT /api/tasks/:id/comments/:commentId - Edit own comment
+router.put('/:id/comments/:commentId', validateObjectId(), requireTaskPermission('comment'), validateUpdateComment, handleValidationErrors, updateComment)
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete own comment and its replies
+router.delete('/:id/comments/:commentId', validateObjectId(), requireTaskPermission('comment'), validateObjectId('commentId'), handleValidationErrors, deleteComment)
+
+// GET /api/tasks/:id/attachments - List task attachments
+router.get('/:id/attachments', validateObjectId(), requireTaskPermission('view'), getAttachments)
+
+// POST /api/tasks/:id/attachments - Upload attachment (multipart field "file")
+router.post('/:id/attachments', validateObjectId(), requireTaskPermission('edit'), uploadSingleFile('file'), uploadAttachment)
+
+// GET /api/tasks/:id/attachments/:attachmentId - Download attachment (?inline=true previews images)
+router.get('/:id/attachments/:attachmentId', validateObjectId(), requireTaskPermission('view'), validateObjectId('attachmentId'), handleValidationErrors, downloadAttachment)
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - Delete attachment
+router.delete('/:id/attachments/:attachmentId', validateObjectId(), requireTaskPermission('edit'), validateObjectId('attachmentId'), handleValidationErrors, deleteAttachment)
 
 export default router
\ No newline at end of file
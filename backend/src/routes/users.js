@@ -0,0 +1,39 @@
+import express from 'express'
+import { getMe, updateMe, changePassword, exportMyData, deleteMe } from '../controllers/userController.js'
+import { authenticate } from '../middleware/auth.js'
+import {
+  validateUpdateProfile,
+  validateChangePassword,
+  validateDeleteAccount,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all user routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All user routes require authentication
+router.use(authenticate)
+
+// GET /api/users/me - Get the current user's profile
+router.get('/me', getMe)
+
+// PATCH /api/users/me - Update username and/or email
+router.patch('/me', validateUpdateProfile, handleValidationErrors, updateMe)
+
+// POST /api/users/me/password - Change password and sign out other sessions
+router.post('/me/password', validateChangePassword, handleValidationErrors, changePassword)
+
+// GET /api/users/me/export - Download all of the user's data as JSON
+router.get('/me/export', exportMyData)
+
+// DELETE /api/users/me - Schedule account deletion and sign out everywhere
+router.delete('/me', validateDeleteAccount, handleValidationErrors, deleteMe)
+
+export default router
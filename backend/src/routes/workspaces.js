@@ -0,0 +1,78 @@
+import express from 'express'
+import {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  getWorkspaceMembers,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  getWorkspaceInvites,
+  createWorkspaceInvite,
+  deleteWorkspaceInvite,
+  getInvitation,
+  acceptInvitation
+} from '../controllers/workspaceController.js'
+import { authenticate } from '../middleware/auth.js'
+import {
+  validateCreateWorkspace,
+  validateUpdateWorkspace,
+  validateWorkspaceMemberQuery,
+  validateUpdateWorkspaceMember,
+  validateCreateWorkspaceInvite,
+  validateWorkspaceInviteToken,
+  validateObjectId,
+  sanitizeInput,
+  validateRequestSize,
+  validateNoSqlInjection
+} from '../middleware/validation.js'
+import { requireWorkspacePermission } from '../middleware/permissions.js'
+import { handleValidationErrors } from '../middleware/errorHandler.js'
+
+const router = express.Router()
+
+// Apply security middleware to all workspace routes
+router.use(sanitizeInput)
+router.use(validateRequestSize)
+router.use(validateNoSqlInjection)
+
+// All workspace routes require authentication
+router.use(authenticate)
+
+// GET /api/workspaces - Get the user's workspaces
+router.get('/', getWorkspaces)
+
+// POST /api/workspaces - Create a workspace
+router.post('/', validateCreateWorkspace, handleValidationErrors, createWorkspace)
+
+// GET /api/workspaces/invitations/:token - Show where an invitation link leads
+router.get('/invitations/:token', validateWorkspaceInviteToken, handleValidationErrors, getInvitation)
+
+// POST /api/workspaces/invitations/:token/accept - Join a workspace through an invitation link
+router.post('/invitations/:token/accept', validateWorkspaceInviteToken, handleValidationErrors, acceptInvitation)
+
+// GET /api/workspaces/:id - Get a single workspace
+router.get('/:id', validateObjectId(), requireWorkspacePermission('view'), getWorkspace)
+
+// PATCH /api/workspaces/:id - Rename the workspace or change its settings
+router.patch('/:id', validateObjectId(), requireWorkspacePermission('administer'), validateUpdateWorkspace, handleValidationErrors, updateWorkspace)
+
+// GET /api/workspaces/:id/members - List the workspace's users (?q= searches usernames)
+router.get('/:id/members', validateObjectId(), requireWorkspacePermission('view'), validateWorkspaceMemberQuery, handleValidationErrors, getWorkspaceMembers)
+
+// PATCH /api/workspaces/:id/members/:userId - Change a member's role
+router.patch('/:id/members/:userId', validateObjectId(), requireWorkspacePermission('administer'), validateUpdateWorkspaceMember, handleValidationErrors, updateWorkspaceMember)
+
+// DELETE /api/workspaces/:id/members/:userId - Remove a member, or leave the workspace when it is yourself
+router.delete('/:id/members/:userId', validateObjectId(), requireWorkspacePermission('view'), validateObjectId('userId'), handleValidationErrors, removeWorkspaceMember)
+
+// GET /api/workspaces/:id/invitations - List unexpired invitation links
+router.get('/:id/invitations', validateObjectId(), requireWorkspacePermission('administer'), getWorkspaceInvites)
+
+// POST /api/workspaces/:id/invitations - Create an invitation link
+router.post('/:id/invitations', validateObjectId(), requireWorkspacePermission('view'), validateCreateWorkspaceInvite, handleValidationErrors, createWorkspaceInvite)
+
+// DELETE /api/workspaces/:id/invitations/:inviteId - Revoke an invitation link
+router.delete('/:id/invitations/:inviteId', validateObjectId(), requireWorkspacePermission('administer'), validateObjectId('inviteId'), handleValidationErrors, deleteWorkspaceInvite)
+
+export default router
@@ -9,9 +9,17 @@ import { createServer } from 'http'
 import connectDB, { checkDatabaseHealth } from './config/database.js'
 import authRoutes from './routes/auth.js'
 import taskRoutes from './routes/tasks.js'
+import labelRoutes from './routes/labels.js'
+import boardRoutes from './routes/boards.js'
+import workspaceRoutes from './routes/workspaces.js'
+import notificationRoutes from './routes/notifications.js'
+import adminRoutes from './routes/admin.js'
+import userRoutes from './routes/users.js'
 import { globalErrorHandler, notFoundHandler, gracefulShutdown } from './middleware/errorHandler.js'
 import { enforceHTTPS, additionalSecurityHeaders, securityLogger, cspReportHandler } from './middleware/security.js'
 import { initializeSocket } from './socket/index.js'
+import { startAccountPurgeJob } from './jobs/accountPurge.js'
+import { startDueDateReminderJob } from './jobs/dueDateReminders.js'
 
 // Load environment variables
 dotenv.config()
@@ -160,6 +168,12 @@ app.use(express.urlencoded({
 // Routes
 app.use('/api/auth', authLimiter, authRoutes)
 app.use('/api/tasks', taskRoutes)
+app.use('/api/labels', labelRoutes)
+app.use('/api/boards', boardRoutes)
+app.use('/api/workspaces', workspaceRoutes)
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/users', userRoutes)
+app.use('/api/admin', adminRoutes)
 
 // Basic health check route
 app.get('/api/health', (req, res) => {
@@ -210,5 +224,11 @@ server.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`)
 })
 
+// Delete accounts whose deletion grace period is over
+startAccountPurgeJob()
+
+// Notify people of tasks that are due soon or overdue
+startDueDateReminderJob(io)
+
 // Set up graceful shutdown
 gracefulShutdown(server)
\ No newline at end of file
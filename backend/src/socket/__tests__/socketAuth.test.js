@@ -1,9 +1,11 @@
 import { socketAuth } from '../socketAuth.js'
 import { generateAccessToken, generateRefreshToken } from '../../utils/jwt.js'
 import User from '../../models/User.js'
+import Session from '../../models/Session.js'
 
-// Mock User model
+// Mock User and Session models
 jest.mock('../../models/User.js')
+jest.mock('../../models/Session.js')
 
 // Mock socket object
 const createMockSocket = (token) => ({
@@ -96,6 +98,35 @@ describe('Socket Authentication', () => {
       expect(next.mock.calls[0][0].message).toContain('User not found')
     })
 
+    it('should remember the session of session-bound tokens', async () => {
+      User.findById.mockResolvedValue(testUser)
+      Session.findActive.mockResolvedValue({ _id: 'session-1' })
+
+      const token = generateAccessToken(testUser._id, 'session-1')
+      const socket = createMockSocket(token)
+      const next = jest.fn()
+
+      await socketAuth(socket, next)
+
+      expect(next).toHaveBeenCalledWith()
+      expect(Session.findActive).toHaveBeenCalledWith('session-1', testUser._id)
+      expect(socket.sessionId).toBe('session-1')
+    })
+
+    it('should reject authentication when the session was revoked', async () => {
+      User.findById.mockResolvedValue(testUser)
+      Session.findActive.mockResolvedValue(null)
+
+      const token = generateAccessToken(testUser._id, 'session-1')
+      const socket = createMockSocket(token)
+      const next = jest.fn()
+
+      await socketAuth(socket, next)
+
+      expect(next).toHaveBeenCalledWith(expect.any(Error))
+      expect(next.mock.calls[0][0].message).toContain('Session revoked')
+    })
+
     it('should get token from query parameter if not in auth', async () => {
       // Mock User.findById to return the test user
       User.findById.mockResolvedValue(testUser)
@@ -29,4 +29,24 @@ export const initializeSocket = (server) => {
   return io
 }
 
-export { emitTaskEvent } from './socketHandlers.js'
\ No newline at end of file
+export {
+  userRoom,
+  boardRoom,
+  workspaceRoom,
+  taskRoom,
+  joinBoardRoom,
+  leaveBoardRoom,
+  closeBoardRoom,
+  joinWorkspaceRooms,
+  leaveWorkspaceRooms,
+  joinWorkspaceToBoard,
+  emitTaskEvent,
+  emitLabelEvent,
+  emitBoardEvent,
+  emitCommentEvent,
+  emitWorkspaceEvent,
+  emitAssignmentEvent,
+  emitMentionEvent,
+  emitNotificationEvent,
+  disconnectSessions
+} from './socketHandlers.js'
\ No newline at end of file
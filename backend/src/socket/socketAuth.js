@@ -1,5 +1,6 @@
 import { verifyToken } from '../utils/jwt.js'
 import User from '../models/User.js'
+import Session from '../models/Session.js'
 
 // Socket.IO authentication middleware
 export const socketAuth = async (socket, next) => {
@@ -14,11 +15,15 @@ export const socketAuth = async (socket, next) => {
     // Verify token
     const decoded = verifyToken(token)
     
-    // Check if it's a refresh token (should not be used for authentication)
-    if (decoded.type === 'refresh') {
+    // Only access tokens are untyped; refresh and MFA tokens cannot authenticate
+    if (decoded.type) {
       return next(new Error('Authentication error: Invalid token type'))
     }
 
+    if (decoded.sid && !(await Session.findActive(decoded.sid, decoded.userId))) {
+      return next(new Error('Authentication error: Session revoked'))
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId)
     if (!user) {
@@ -27,6 +32,7 @@ export const socketAuth = async (socket, next) => {
 
     // Add user to socket object
     socket.user = user
+    socket.sessionId = decoded.sid || null
     next()
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -1,18 +1,31 @@
+import Board from '../models/Board.js'
+import Workspace from '../models/Workspace.js'
+
+// Rooms: every socket of a user joins user:<id>, the rooms of all boards the user
+// owns or is a member of, so each member of a board receives its events, and the
+// rooms of their workspaces
+export const userRoom = (userId) => `user:${userId}`
+export const boardRoom = (boardId) => `board:${boardId}`
+export const workspaceRoom = (workspaceId) => `workspace:${workspaceId}`
+
+// Task events go to the task's board; tasks from before boards existed only
+// reach their creator
+export const taskRoom = (task) => task.boardId ? boardRoom(task.boardId) : userRoom(task.userId)
+
 // Socket.IO event handlers
 export const handleConnection = (io) => {
-  return (socket) => {
+  return async (socket) => {
     const userId = socket.user._id.toString()
     
     console.log(`User ${socket.user.username} connected with socket ID: ${socket.id}`)
     
     // Join user-specific room
-    socket.join(`user:${userId}`)
-    
-    // Handle task-related events
-    socket.on('join-task-board', () => {
-      console.log(`User ${socket.user.username} joined task board`)
-      socket.emit('task-board-joined', { message: 'Successfully joined task board' })
-    })
+    socket.join(userRoom(userId))
+
+    // Join the login session's room so revoking the session can disconnect it
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`)
+    }
     
     // Handle disconnection
     socket.on('disconnect', (reason) => {
@@ -23,13 +36,33 @@ export const handleConnection = (io) => {
     socket.on('error', (error) => {
       console.error(`Socket error for user ${socket.user.username}:`, error)
     })
+
+    // Handle task-related events
+    socket.on('join-task-board', () => {
+      console.log(`User ${socket.user.username} joined task board`)
+      socket.emit('task-board-joined', { message: 'Successfully joined task board' })
+    })
+
+    // Join the rooms of shared boards; later membership changes join or leave
+    // through the user's room
+    try {
+      const boards = await Board.find(Board.accessibleBy(socket.user._id)).select('_id')
+      socket.join(boards.map(board => boardRoom(board._id)))
+    } catch (error) {
+      console.error(`Failed to join board rooms for user ${socket.user.username}:`, error)
+    }
+
+    try {
+      const workspaces = await Workspace.find(Workspace.accessibleBy(socket.user._id)).select('_id')
+      socket.join(workspaces.map(workspace => workspaceRoom(workspace._id)))
+    } catch (error) {
+      console.error(`Failed to join workspace rooms for user ${socket.user.username}:`, error)
+    }
   }
 }
 
-// Emit task events to user's room
-export const emitTaskEvent = (io, userId, eventType, taskData) => {
-  const room = `user:${userId}`
-  
+// Emit task events to a board room (see taskRoom)
+export const emitTaskEvent = (io, room, eventType, taskData) => {
   switch (eventType) {
     case 'task-created':
       io.to(room).emit('task-created', {
@@ -59,8 +92,195 @@ export const emitTaskEvent = (io, userId, eventType, taskData) => {
         timestamp: new Date().toISOString()
       })
       break
+
+    // A column was renumbered; taskData holds { boardId, status, positions }
+    case 'tasks-reordered':
+      io.to(room).emit('tasks-reordered', {
+        ...taskData,
+        timestamp: new Date().toISOString()
+      })
+      break
       
     default:
       console.warn(`Unknown task event type: ${eventType}`)
   }
-}
\ No newline at end of file
+}
+
+// Emit label catalog events to a user or board room
+export const emitLabelEvent = (io, room, eventType, labelData) => {
+  switch (eventType) {
+    case 'label-created':
+    case 'label-updated':
+      io.to(room).emit(eventType, {
+        label: labelData,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    case 'label-deleted':
+      io.to(room).emit('label-deleted', {
+        labelId: labelData._id || labelData.id,
+        label: labelData,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    default:
+      console.warn(`Unknown label event type: ${eventType}`)
+  }
+}
+
+// Emit board events to a user or board room
+export const emitBoardEvent = (io, room, eventType, boardData) => {
+  switch (eventType) {
+    case 'board-created':
+    case 'board-updated':
+      io.to(room).emit(eventType, {
+        board: boardData,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    case 'board-deleted':
+      io.to(room).emit('board-deleted', {
+        boardId: boardData._id || boardData.id,
+        board: boardData,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    default:
+      console.warn(`Unknown board event type: ${eventType}`)
+  }
+}
+
+// Emit comment events to the task's room
+export const emitCommentEvent = (io, room, eventType, { comment, commentCount, deletedIds }) => {
+  switch (eventType) {
+    case 'comment-created':
+      io.to(room).emit('comment-created', {
+        taskId: comment.taskId,
+        comment,
+        commentCount,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    case 'comment-updated':
+      io.to(room).emit('comment-updated', {
+        taskId: comment.taskId,
+        comment,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    case 'comment-deleted':
+      io.to(room).emit('comment-deleted', {
+        taskId: comment.taskId,
+        commentId: comment._id,
+        deletedIds,
+        commentCount,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    default:
+      console.warn(`Unknown comment event type: ${eventType}`)
+  }
+}
+
+// Emit workspace events. workspace-created reaches users who created or joined a
+// workspace, workspace-updated everyone in it, and workspace-removed a member who
+// was removed or left.
+export const emitWorkspaceEvent = (io, room, eventType, workspaceData) => {
+  switch (eventType) {
+    case 'workspace-created':
+    case 'workspace-updated':
+      io.to(room).emit(eventType, {
+        workspace: workspaceData,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    case 'workspace-removed':
+      io.to(room).emit('workspace-removed', {
+        workspaceId: workspaceData._id || workspaceData.id,
+        timestamp: new Date().toISOString()
+      })
+      break
+
+    default:
+      console.warn(`Unknown workspace event type: ${eventType}`)
+  }
+}
+
+// Notify newly assigned users in their own rooms, so they hear about the task
+// wherever they are in the app
+export const emitAssignmentEvent = (io, room, { task, assignedBy }) => {
+  io.to(room).emit('task-assigned', {
+    task,
+    assignedBy,
+    timestamp: new Date().toISOString()
+  })
+}
+
+// Tell users they were @mentioned in a task's description or one of its comments
+export const emitMentionEvent = (io, room, { task, commentId, mentionedBy }) => {
+  io.to(room).emit('mentioned', {
+    task,
+    commentId,
+    mentionedBy,
+    timestamp: new Date().toISOString()
+  })
+}
+
+// Push a new notification to its recipient's room with their updated unread count
+export const emitNotificationEvent = (io, room, { notification, unreadCount }) => {
+  io.to(room).emit('notification', {
+    notification,
+    unreadCount,
+    timestamp: new Date().toISOString()
+  })
+}
+
+// Move a user's connected sockets into or out of a board's room when their
+// access to the board changes
+export const joinBoardRoom = (io, userId, boardId) => {
+  io.in(userRoom(userId)).socketsJoin(boardRoom(boardId))
+}
+
+export const leaveBoardRoom = (io, userId, boardId) => {
+  io.in(userRoom(userId)).socketsLeave(boardRoom(boardId))
+}
+
+// Move a user's connected sockets into or out of a workspace's room together with
+// the rooms of its boards
+export const joinWorkspaceRooms = (io, userId, workspaceId, boardIds = []) => {
+  io.in(userRoom(userId)).socketsJoin([workspaceRoom(workspaceId), ...boardIds.map(boardRoom)])
+}
+
+export const leaveWorkspaceRooms = (io, userId, workspaceId, boardIds = []) => {
+  io.in(userRoom(userId)).socketsLeave([workspaceRoom(workspaceId), ...boardIds.map(boardRoom)])
+}
+
+// Bring everyone in a workspace onto one of its new boards
+export const joinWorkspaceToBoard = (io, workspaceId, boardId) => {
+  io.in(workspaceRoom(workspaceId)).socketsJoin(boardRoom(boardId))
+}
+
+// Empty a deleted board's room
+export const closeBoardRoom = (io, boardId) => {
+  io.in(boardRoom(boardId)).socketsLeave(boardRoom(boardId))
+}
+
+// Tell the sockets of revoked sessions why, then force them to disconnect
+export const disconnectSessions = (io, sessionIds) => {
+  for (const sessionId of sessionIds) {
+    const room = `session:${sessionId}`
+    io.to(room).emit('session-revoked', {
+      sessionId,
+      timestamp: new Date().toISOString()
+    })
+    io.in(room).disconnectSockets(true)
+  }
+}
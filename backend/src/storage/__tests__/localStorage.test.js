@@ -0,0 +1,60 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createLocalStorage } from '../localStorage.js'
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = []
+  stream.on('data', chunk => chunks.push(chunk))
+  stream.on('end', () => resolve(Buffer.concat(chunks)))
+  stream.on('error', reject)
+})
+
+describe('Local Storage Driver', () => {
+  let rootDir
+  let storage
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'))
+    storage = createLocalStorage({ rootDir })
+  })
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true })
+  })
+
+  it('should save a file under a generated key and read it back', async () => {
+    const buffer = Buffer.from('hello attachments')
+
+    const { key, size } = await storage.save({ buffer, originalName: 'notes.TXT', mimeType: 'text/plain' })
+
+    expect(size).toBe(buffer.length)
+    expect(key).toMatch(/^\d{4}\/\d{2}\/[0-9a-f-]{36}\.txt$/)
+    expect(await storage.exists(key)).toBe(true)
+    expect(await readStream(storage.createReadStream(key))).toEqual(buffer)
+  })
+
+  it('should not use the original file name in the key', async () => {
+    const { key } = await storage.save({
+      buffer: Buffer.from('x'),
+      originalName: '../../etc/passwd',
+      mimeType: 'text/plain'
+    })
+
+    expect(key).not.toContain('passwd')
+    expect(key).not.toContain('..')
+  })
+
+  it('should remove files and ignore already-missing ones', async () => {
+    const { key } = await storage.save({ buffer: Buffer.from('bye'), originalName: 'bye.txt' })
+
+    await storage.remove(key)
+    expect(await storage.exists(key)).toBe(false)
+
+    await expect(storage.remove(key)).resolves.toBeUndefined()
+  })
+
+  it('should reject keys that escape the storage root', () => {
+    expect(() => storage.createReadStream('../outside.txt')).toThrow('Invalid storage key')
+  })
+})
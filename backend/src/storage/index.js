@@ -0,0 +1,35 @@
+import { createLocalStorage } from './localStorage.js'
+
+// Storage drivers persist attachment bytes. Every driver exposes:
+//   name                                     - identifier stored alongside each file
+//   save({ buffer, originalName, mimeType }) - resolves to { key, size }
+//   createReadStream(key)                    - readable stream of the file
+//   exists(key)                              - resolves to a boolean
+//   remove(key)                              - deletes the file if present
+const drivers = {
+  local: () => createLocalStorage({
+    rootDir: process.env.UPLOAD_DIR || 'uploads'
+  })
+}
+
+let storage = null
+
+// Lazily create the driver selected by STORAGE_DRIVER (defaults to local disk)
+export const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local'
+    const createDriver = drivers[driverName]
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${driverName}`)
+    }
+    storage = createDriver()
+  }
+  return storage
+}
+
+// Swap the active driver (used by tests and custom deployments)
+export const setStorage = (driver) => {
+  storage = driver
+}
+
+export { createLocalStorage }
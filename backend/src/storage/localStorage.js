@@ -0,0 +1,57 @@
+import fs from 'fs'
+import path from 'path'
+import { randomUUID } from 'crypto'
+
+// Stores files under a root directory, bucketed by upload month.
+// Keys are generated server-side so user-supplied names never reach the filesystem.
+export const createLocalStorage = ({ rootDir }) => {
+  const root = path.resolve(rootDir)
+
+  // Map a storage key to an absolute path, refusing anything outside the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+  }
+
+  return {
+    name: 'local',
+
+    async save({ buffer, originalName }) {
+      const now = new Date()
+      const bucket = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`
+      const extension = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '')
+      const key = `${bucket}/${randomUUID()}${extension}`
+
+      const filePath = resolveKey(key)
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      await fs.promises.writeFile(filePath, buffer)
+
+      return { key, size: buffer.length }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key))
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key))
+        return true
+      } catch {
+        return false
+      }
+    },
+
+    // Removing a file that is already gone is not an error
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key))
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import { getSearchTerms, highlight } from '../highlight.js'
+
+describe('Highlight Utilities', () => {
+  describe('getSearchTerms', () => {
+    test('should lowercase, stem and de-duplicate words', () => {
+      expect(getSearchTerms('Deploy deploys DEPLOYING')).toEqual(['deploy'])
+      expect(getSearchTerms('boxes')).toEqual(['box'])
+    })
+
+    test('should skip negated terms and punctuation', () => {
+      expect(getSearchTerms('"release notes" -draft')).toEqual(['release', 'note'])
+    })
+  })
+
+  describe('highlight', () => {
+    test('should mark matching words, including other forms of the term', () => {
+      expect(highlight('Write release notes', ['note'])).toEqual([
+        { text: 'Write release ', match: false },
+        { text: 'notes', match: true }
+      ])
+    })
+
+    test('should only match at the start of words', () => {
+      expect(highlight('Denote the notes', ['note'])).toEqual([
+        { text: 'Denote the ', match: false },
+        { text: 'notes', match: true }
+      ])
+    })
+
+    test('should return no segments for empty text', () => {
+      expect(highlight('', ['note'])).toEqual([])
+      expect(highlight(undefined, ['note'])).toEqual([])
+    })
+
+    test('should cut long text to a window around the first match', () => {
+      const text = `${'a'.repeat(200)} deadline ${'b'.repeat(200)}`
+      const segments = highlight(text, ['deadline'], { maxLength: 80 })
+
+      expect(segments[0]).toEqual({ text: '…', match: false })
+      expect(segments[segments.length - 1]).toEqual({ text: '…', match: false })
+      expect(segments.some(segment => segment.match && segment.text === 'deadline')).toBe(true)
+      expect(segments.slice(1, -1).map(segment => segment.text).join('')).toHaveLength(80)
+    })
+
+    test('should start long text from the beginning when nothing matches', () => {
+      const segments = highlight('x'.repeat(100), ['missing'], { maxLength: 10 })
+
+      expect(segments).toEqual([
+        { text: 'x'.repeat(10), match: false },
+        { text: '…', match: false }
+      ])
+    })
+  })
+})
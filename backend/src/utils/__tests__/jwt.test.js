@@ -45,6 +45,14 @@ describe('JWT Utilities', () => {
       expect(decoded.userId).toBe(testUserId)
       expect(decoded.type).toBe('refresh')
     })
+
+    test('should carry the session and token ids when given', () => {
+      const token = generateRefreshToken(testUserId, { sessionId: 'session-1', tokenId: 'token-1' })
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      expect(decoded.sid).toBe('session-1')
+      expect(decoded.jti).toBe('token-1')
+    })
   })
 
   describe('verifyToken', () => {
@@ -0,0 +1,38 @@
+import { extractMentionNames, newlyMentioned, MAX_MENTIONS } from '../mentions.js'
+
+describe('Mention Utilities', () => {
+  describe('extractMentionNames', () => {
+    test('should find usernames after @ in order without repeats', () => {
+      expect(extractMentionNames('@alice can you pair with @bob_2? cc @alice')).toEqual(['alice', 'bob_2'])
+    })
+
+    test('should ignore email addresses and names of the wrong length', () => {
+      expect(extractMentionNames('mail bob@example.com, ping @al or @@carol')).toEqual([])
+      expect(extractMentionNames(`@${'a'.repeat(31)}`)).toEqual([])
+    })
+
+    test('should stop at punctuation', () => {
+      expect(extractMentionNames('(@alice), @bob.')).toEqual(['alice', 'bob'])
+    })
+
+    test('should cap the number of names', () => {
+      const text = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ')
+      expect(extractMentionNames(text)).toHaveLength(MAX_MENTIONS)
+    })
+
+    test('should handle empty text', () => {
+      expect(extractMentionNames('')).toEqual([])
+      expect(extractMentionNames(undefined)).toEqual([])
+    })
+  })
+
+  describe('newlyMentioned', () => {
+    test('should return the users not mentioned before', () => {
+      const previous = [{ userId: 'a', username: 'alice' }]
+      const mentions = [{ userId: 'a', username: 'alice' }, { userId: 'b', username: 'bob' }]
+
+      expect(newlyMentioned(mentions, previous)).toEqual(['b'])
+      expect(newlyMentioned(mentions)).toEqual(['a', 'b'])
+    })
+  })
+})
@@ -0,0 +1,123 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { createMockOidcProvider } from '../../../scripts/mock-oidc-provider.js'
+import {
+  isOidcEnabled,
+  resetOidcCache,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo
+} from '../oidc.js'
+
+const REDIRECT_URI = 'http://localhost:3000/sso/callback'
+
+describe('OpenID Connect client', () => {
+  let provider
+
+  // Run the authorization step the way a browser would; resolves to the code
+  const authorize = async ({ nonce = 'nonce-1', codeChallenge }) => {
+    const url = await buildAuthorizationUrl({ state: 'state-1', nonce, codeChallenge })
+    const response = await fetch(url, { redirect: 'manual' })
+    return new URL(response.headers.get('location')).searchParams.get('code')
+  }
+
+  beforeAll(async () => {
+    provider = createMockOidcProvider({ clientSecret: 'client-secret' })
+    const issuer = await provider.start()
+
+    process.env.OIDC_ISSUER = issuer
+    process.env.OIDC_CLIENT_ID = provider.clientId
+    process.env.OIDC_CLIENT_SECRET = 'client-secret'
+    process.env.OIDC_REDIRECT_URI = REDIRECT_URI
+  })
+
+  afterAll(async () => {
+    delete process.env.OIDC_ISSUER
+    delete process.env.OIDC_CLIENT_ID
+    delete process.env.OIDC_CLIENT_SECRET
+    delete process.env.OIDC_REDIRECT_URI
+    await provider.stop()
+  })
+
+  beforeEach(() => {
+    resetOidcCache()
+    provider.idTokenOverrides = {}
+  })
+
+  it('should be enabled only when issuer, client id and redirect URI are set', () => {
+    expect(isOidcEnabled()).toBe(true)
+
+    const issuer = process.env.OIDC_ISSUER
+    delete process.env.OIDC_ISSUER
+    expect(isOidcEnabled()).toBe(false)
+    process.env.OIDC_ISSUER = issuer
+  })
+
+  it('should derive the S256 challenge from the verifier', () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/)
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'))
+  })
+
+  it('should build the authorization URL from the discovery document', async () => {
+    const url = new URL(await buildAuthorizationUrl({ state: 's', nonce: 'n', codeChallenge: 'c' }))
+
+    expect(`${url.origin}${url.pathname}`).toBe(`${provider.issuer}/authorize`)
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid email profile',
+      state: 's',
+      nonce: 'n',
+      code_challenge: 'c',
+      code_challenge_method: 'S256'
+    })
+  })
+
+  it('should exchange a code and verify the ID token', async () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const code = await authorize({ codeChallenge })
+
+    const tokens = await exchangeCode(code, codeVerifier)
+    const claims = await verifyIdToken(tokens.id_token, 'nonce-1')
+
+    expect(claims).toMatchObject({ sub: 'mock-user-1', email: 'sso.user@example.com', aud: provider.clientId })
+    expect(await fetchUserInfo(tokens.access_token)).toMatchObject({ sub: 'mock-user-1' })
+  })
+
+  it('should refuse a code exchanged with the wrong verifier', async () => {
+    const { codeChallenge } = createPkcePair()
+    const code = await authorize({ codeChallenge })
+
+    await expect(exchangeCode(code, createPkcePair().codeVerifier)).rejects.toThrow(/PKCE/)
+  })
+
+  it('should reject ID tokens for another login attempt, client or issuer', async () => {
+    const { codeVerifier, codeChallenge } = createPkcePair()
+    const { id_token: idToken } = await exchangeCode(await authorize({ codeChallenge }), codeVerifier)
+    await expect(verifyIdToken(idToken, 'other-nonce')).rejects.toThrow(/nonce/)
+
+    for (const overrides of [{ aud: 'another-client' }, { iss: 'https://evil.example.com' }]) {
+      provider.idTokenOverrides = overrides
+      const pkce = createPkcePair()
+      const tokens = await exchangeCode(await authorize({ codeChallenge: pkce.codeChallenge }), pkce.codeVerifier)
+      await expect(verifyIdToken(tokens.id_token, 'nonce-1')).rejects.toThrow()
+    }
+  })
+
+  it('should reject ID tokens not signed by the provider', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const now = Math.floor(Date.now() / 1000)
+    const forged = jwt.sign(
+      { iss: provider.issuer, aud: provider.clientId, sub: 'attacker', nonce: 'nonce-1', iat: now, exp: now + 60 },
+      privateKey,
+      { algorithm: 'RS256' }
+    )
+
+    await expect(verifyIdToken(forged, 'nonce-1')).rejects.toThrow(/signature/)
+  })
+})
@@ -0,0 +1,50 @@
+import { rankBetween, evenRanks, RANK_STEP, MIN_RANK_GAP } from '../ranking.js'
+
+describe('Ranking Utilities', () => {
+  describe('rankBetween', () => {
+    test('should start an empty column at 0', () => {
+      expect(rankBetween(null, null)).toBe(0)
+    })
+
+    test('should append after the last task', () => {
+      expect(rankBetween(4, null)).toBe(4 + RANK_STEP)
+    })
+
+    test('should take the midpoint between two neighbours', () => {
+      expect(rankBetween(1, 2)).toBe(1.5)
+      expect(rankBetween(1.5, 2)).toBe(1.75)
+    })
+
+    test('should step in front of the first task when there is room', () => {
+      expect(rankBetween(null, 3)).toBe(3 - RANK_STEP)
+      expect(rankBetween(null, 0.5)).toBe(0.25)
+    })
+
+    test('should report that a column needs rebalancing when ranks are too dense', () => {
+      expect(rankBetween(1, 1 + MIN_RANK_GAP / 2)).toBeNull()
+      expect(rankBetween(2, 2)).toBeNull()
+      expect(rankBetween(null, 0)).toBeNull()
+    })
+
+    test('should keep producing distinct ranks until the gap is exhausted', () => {
+      let next = 1
+      const ranks = []
+      let rank = rankBetween(0, next)
+      while (rank !== null) {
+        ranks.push(rank)
+        next = rank
+        rank = rankBetween(0, next)
+      }
+
+      expect(ranks.length).toBeGreaterThan(15)
+      expect(new Set(ranks).size).toBe(ranks.length)
+    })
+  })
+
+  describe('evenRanks', () => {
+    test('should space ranks by the rank step starting after 0', () => {
+      expect(evenRanks(3)).toEqual([RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP])
+      expect(evenRanks(0)).toEqual([])
+    })
+  })
+})
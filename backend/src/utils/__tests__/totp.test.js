@@ -0,0 +1,87 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpAuthUri
+} from '../totp.js'
+import { generateRecoveryCodes, hashRecoveryCode } from '../recoveryCodes.js'
+
+// RFC 6238 appendix B uses this ASCII secret for SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    test('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello two factor')
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes)
+    })
+
+    test('should encode the RFC secret', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ')
+    })
+  })
+
+  describe('generateCode', () => {
+    test.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037']
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+      expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000), 8)).toBe(expected)
+    })
+
+    test('should produce six digits by default', () => {
+      expect(generateCode(generateSecret())).toMatch(/^\d{6}$/)
+    })
+  })
+
+  describe('verifyCode', () => {
+    const secret = generateSecret()
+    const time = 1700000000000
+    const step = getTimeStep(time)
+
+    test('should accept the current code and return its step', () => {
+      expect(verifyCode(secret, generateCode(secret, step), { time })).toBe(step)
+    })
+
+    test('should tolerate one step of clock drift', () => {
+      expect(verifyCode(secret, generateCode(secret, step - 1), { time })).toBe(step - 1)
+      expect(verifyCode(secret, generateCode(secret, step + 1), { time })).toBe(step + 1)
+      expect(verifyCode(secret, generateCode(secret, step - 2), { time })).toBeNull()
+    })
+
+    test('should reject malformed codes', () => {
+      expect(verifyCode(secret, '12345', { time })).toBeNull()
+      expect(verifyCode(secret, 'abcdef', { time })).toBeNull()
+      expect(verifyCode(secret, undefined, { time })).toBeNull()
+    })
+  })
+
+  test('should build a provisioning URI for authenticator apps', () => {
+    const uri = buildOtpAuthUri({ secret: 'ABC', accountName: 'test@example.com', issuer: 'Task Manager' })
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Task%20Manager%3Atest%40example\.com\?/)
+    expect(uri).toContain('secret=ABC')
+    expect(uri).toContain('issuer=Task+Manager')
+  })
+})
+
+describe('Recovery Codes', () => {
+  test('should generate distinct codes', () => {
+    const codes = generateRecoveryCodes()
+
+    expect(codes).toHaveLength(10)
+    expect(new Set(codes).size).toBe(10)
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/))
+  })
+
+  test('should hash codes regardless of case, spaces and dashes', () => {
+    expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode(' abcde12345 '))
+    expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'))
+  })
+})
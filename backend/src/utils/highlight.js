@@ -0,0 +1,61 @@
+// Search highlighting. Results are returned as segments ({ text, match }) rather than
+// HTML so clients can render them without trusting markup from task content.
+
+// Strip common English suffixes so highlights line up with MongoDB's stemmed text matches
+const stem = (word) => {
+  const root = word.replace(/(?:(?<=[sxz]|ch|sh)es|ing|ed|s)$/, '')
+  return root.length >= 3 ? root : word
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Words worth highlighting from a $text query; negated terms ("-word") are skipped
+export const getSearchTerms = (query) => {
+  const words = String(query)
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean)
+
+  return [...new Set(words.map(stem))]
+}
+
+// Split text into highlighted segments. With maxLength, long text is cut to a window
+// around the first match and marked with ellipses.
+export const highlight = (text, terms, { maxLength } = {}) => {
+  if (!text) return []
+
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null
+
+  let start = 0
+  let end = text.length
+  if (maxLength && text.length > maxLength) {
+    const firstMatch = pattern ? text.search(pattern) : -1
+    start = Math.max(0, Math.min(firstMatch - Math.floor(maxLength / 4), text.length - maxLength))
+    end = start + maxLength
+  }
+  const excerpt = text.slice(start, end)
+
+  const segments = []
+  if (start > 0) segments.push({ text: '…', match: false })
+
+  let lastIndex = 0
+  if (pattern) {
+    for (const found of excerpt.matchAll(pattern)) {
+      if (found.index > lastIndex) {
+        segments.push({ text: excerpt.slice(lastIndex, found.index), match: false })
+      }
+      segments.push({ text: found[0], match: true })
+      lastIndex = found.index + found[0].length
+    }
+  }
+  if (lastIndex < excerpt.length) {
+    segments.push({ text: excerpt.slice(lastIndex), match: false })
+  }
+
+  if (end < text.length) segments.push({ text: '…', match: false })
+  return segments
+}
@@ -1,20 +1,46 @@
 import jwt from 'jsonwebtoken'
 
-// Generate access token
-export const generateAccessToken = (userId) => {
+// Generate access token; sessionId ties it to the login it was issued for
+export const generateAccessToken = (userId, sessionId = null) => {
   return jwt.sign(
-    { userId },
+    sessionId ? { userId, sid: sessionId } : { userId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   )
 }
 
-// Generate refresh token
-export const generateRefreshToken = (userId) => {
+// Generate refresh token; session refresh tokens carry the session id and a
+// per-rotation token id (jti)
+export const generateRefreshToken = (userId, session = {}) => {
+  const { sessionId, tokenId } = session
+  const payload = sessionId ? { userId, type: 'refresh', sid: sessionId } : { userId, type: 'refresh' }
   return jwt.sign(
-    { userId, type: 'refresh' },
+    payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+      ...(tokenId && { jwtid: tokenId })
+    }
+  )
+}
+
+// Short-lived token proving the password was checked, exchanged for a session
+// once the second factor is verified
+export const generateMfaToken = (userId) => {
+  return jwt.sign(
+    { userId, type: 'mfa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  )
+}
+
+// Short-lived token binding a single sign-on attempt's state to the browser that
+// started it. It is signed, not encrypted, so it carries nothing secret.
+export const generateSsoToken = (state) => {
+  return jwt.sign(
+    { type: 'sso', state },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
   )
 }
 
@@ -28,10 +54,15 @@ export const verifyToken = (token) => {
   }
 }
 
+// Expiry of a token we signed, as a Date
+export const getTokenExpiry = (token) => {
+  return new Date(jwt.decode(token).exp * 1000)
+}
+
 // Generate both tokens
-export const generateTokens = (userId) => {
-  const accessToken = generateAccessToken(userId)
-  const refreshToken = generateRefreshToken(userId)
+export const generateTokens = (userId, session = {}) => {
+  const accessToken = generateAccessToken(userId, session.sessionId)
+  const refreshToken = generateRefreshToken(userId, session)
   
   return {
     accessToken,
@@ -0,0 +1,26 @@
+// @mentions in task descriptions and comments. Text is stored as written; the users a
+// mention refers to are resolved when it is saved and kept alongside it, so clients
+// can render links without the server storing any markup.
+
+// Upper bound on the people a single description or comment can mention
+export const MAX_MENTIONS = 20
+
+// An @ followed by something shaped like a username (3-30 letters, digits and
+// underscores), not preceded by a word character so email addresses don't count
+const MENTION_PATTERN = /(?<![\w@])@(\w{3,30})(?!\w)/g
+
+// Usernames mentioned in the text, in order of first mention and without repeats
+export const extractMentionNames = (text) => {
+  if (!text) return []
+
+  const names = [...String(text).matchAll(MENTION_PATTERN)].map(match => match[1])
+  return [...new Set(names)].slice(0, MAX_MENTIONS)
+}
+
+// IDs of the users mentioned now who were not mentioned before
+export const newlyMentioned = (mentions, previousMentions = []) => {
+  const previous = new Set(previousMentions.map(mention => String(mention.userId)))
+  return mentions
+    .map(mention => String(mention.userId))
+    .filter(id => !previous.has(id))
+}
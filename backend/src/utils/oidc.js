@@ -0,0 +1,182 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+// OpenID Connect single sign-on: authorization code flow with PKCE against any
+// provider that publishes a discovery document
+
+// Discovery documents and signing keys change rarely; keep them for an hour
+const CACHE_TTL_MS = 60 * 60 * 1000
+
+// Allowed clock difference when checking ID token times
+const CLOCK_TOLERANCE_SECONDS = 60
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+
+let discoveryCache = null
+let jwksCache = null
+
+// Provider settings from the environment; SSO is off unless issuer, client id and redirect URI are set
+export const getOidcConfig = () => ({
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+})
+
+export const isOidcEnabled = () => {
+  const { issuer, clientId, redirectUri } = getOidcConfig()
+  return Boolean(issuer && clientId && redirectUri)
+}
+
+// Forget cached provider metadata, e.g. after the configuration changes
+export const resetOidcCache = () => {
+  discoveryCache = null
+  jwksCache = null
+}
+
+const base64url = (buffer) => buffer.toString('base64url')
+
+export const randomToken = () => base64url(crypto.randomBytes(32))
+
+// RFC 7636 proof key: the S256 challenge goes to the provider in the authorization
+// URL, the verifier only with the code exchange. Callers must keep the verifier server-side.
+export const createPkcePair = () => {
+  const codeVerifier = randomToken()
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  return { codeVerifier, codeChallenge }
+}
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options)
+  const body = await response.json().catch(() => null)
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText
+    throw new Error(`${url} responded with ${response.status}: ${reason}`)
+  }
+  return body
+}
+
+// The provider's discovery document, which names its endpoints and key set
+export const discover = async () => {
+  const { issuer } = getOidcConfig()
+  if (discoveryCache && discoveryCache.issuer === issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document
+  }
+
+  const document = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`)
+  if (document.issuer !== issuer) {
+    throw new Error(`Discovery document is for issuer ${document.issuer}, expected ${issuer}`)
+  }
+
+  discoveryCache = { issuer, document, expiresAt: Date.now() + CACHE_TTL_MS }
+  return document
+}
+
+// Where to send the browser to log in
+export const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { clientId, redirectUri, scopes } = getOidcConfig()
+  const { authorization_endpoint: authorizationEndpoint } = await discover()
+
+  const url = new URL(authorizationEndpoint)
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString()
+  return url.toString()
+}
+
+// Trade the authorization code for tokens. Confidential clients authenticate with
+// HTTP Basic, the default method for OpenID Connect; public clients rely on PKCE alone.
+export const exchangeCode = async (code, codeVerifier) => {
+  const { clientId, clientSecret, redirectUri } = getOidcConfig()
+  const { token_endpoint: tokenEndpoint } = await discover()
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  })
+  if (clientSecret) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+  } else {
+    params.set('client_id', clientId)
+  }
+
+  return fetchJson(tokenEndpoint, { method: 'POST', headers, body: params.toString() })
+}
+
+const getSigningKeys = async ({ refresh = false } = {}) => {
+  const { jwks_uri: jwksUri } = await discover()
+  if (!refresh && jwksCache && jwksCache.uri === jwksUri && jwksCache.expiresAt > Date.now()) {
+    return jwksCache.keys
+  }
+
+  const { keys } = await fetchJson(jwksUri)
+  jwksCache = { uri: jwksUri, keys, expiresAt: Date.now() + CACHE_TTL_MS }
+  return keys
+}
+
+// Find the key an ID token was signed with. An unknown key id means the
+// provider rotated its keys, so the key set is fetched again once.
+const getSigningKey = async (kid) => {
+  const matches = (keys) => keys.filter(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'))
+
+  let candidates = matches(await getSigningKeys())
+  if (candidates.length === 0) {
+    candidates = matches(await getSigningKeys({ refresh: true }))
+  }
+  if (candidates.length === 0) {
+    throw new Error(`No signing key found for key id ${kid}`)
+  }
+
+  return crypto.createPublicKey({ key: candidates[0], format: 'jwk' })
+}
+
+// Check the ID token's signature against the provider's key set, and that it was
+// issued by our provider, for us, recently, and for this login attempt
+export const verifyIdToken = async (idToken, nonce) => {
+  const { issuer, clientId } = getOidcConfig()
+
+  const decoded = jwt.decode(idToken, { complete: true })
+  if (!decoded) {
+    throw new Error('ID token is not a valid JWT')
+  }
+
+  const key = await getSigningKey(decoded.header.kid)
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer,
+    audience: clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  })
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the login attempt')
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token was issued to another client')
+  }
+
+  return claims
+}
+
+// Extra profile claims for providers that leave them out of the ID token
+export const fetchUserInfo = async (accessToken) => {
+  const { userinfo_endpoint: userInfoEndpoint } = await discover()
+  if (!userInfoEndpoint) return {}
+
+  return fetchJson(userInfoEndpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' }
+  })
+}
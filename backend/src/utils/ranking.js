@@ -0,0 +1,25 @@
+// Task positions are fractional ranks: a moved task takes the midpoint of its new
+// neighbours, so only the moved task is written. When neighbours get closer than
+// MIN_RANK_GAP the column is rebalanced back to evenly spaced ranks.
+
+// Spacing between tasks appended to a column or renumbered by a rebalance
+export const RANK_STEP = 1
+
+// Smallest gap a midpoint may split; far above float precision for realistic ranks
+export const MIN_RANK_GAP = 1e-6
+
+// Rank for a task placed between two neighbours (null means no neighbour on that side).
+// Returns null when there is no room left and the column needs rebalancing.
+export const rankBetween = (prev, next) => {
+  if (prev == null && next == null) return 0
+  if (next == null) return prev + RANK_STEP
+
+  // Ranks are non-negative, so the front of the column is bounded by 0
+  const lower = prev ?? 0
+  if (next - lower < MIN_RANK_GAP) return null
+
+  return prev == null && next >= RANK_STEP ? next - RANK_STEP : (lower + next) / 2
+}
+
+// Evenly spaced ranks for a column of the given size, leaving room before the first task
+export const evenRanks = (count) => Array.from({ length: count }, (_, index) => (index + 1) * RANK_STEP)
@@ -0,0 +1,17 @@
+import crypto from 'crypto'
+
+// Number of recovery codes handed out when two-factor authentication is enabled
+export const RECOVERY_CODE_COUNT = 10
+
+// Codes look like "a1b2c-3d4e5"; case, spaces and the dash are ignored when checking
+const normalize = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '')
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex')
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`
+  })
+
+// Only hashes are stored, so the codes cannot be read back from the database
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalize(code)).digest('hex')
@@ -8,7 +8,16 @@ import './App.css'
 // Lazy load components for better performance
 const LoginForm = lazy(() => import('./components/auth/LoginForm'))
 const RegisterForm = lazy(() => import('./components/auth/RegisterForm'))
+const ForgotPassword = lazy(() => import('./components/auth/ForgotPassword'))
+const ResetPassword = lazy(() => import('./components/auth/ResetPassword'))
+const VerifyEmail = lazy(() => import('./components/auth/VerifyEmail'))
+const UnlockAccount = lazy(() => import('./components/auth/UnlockAccount'))
+const SsoCallback = lazy(() => import('./components/auth/SsoCallback'))
 const Dashboard = lazy(() => import('./components/Dashboard'))
+const SessionsPage = lazy(() => import('./components/auth/SessionsPage'))
+const TwoFactorSettings = lazy(() => import('./components/auth/TwoFactorSettings'))
+const SettingsPage = lazy(() => import('./components/auth/SettingsPage'))
+const AcceptInvite = lazy(() => import('./components/workspaces/AcceptInvite'))
 
 // Loading component for Suspense fallback
 const LoadingSpinner = () => (
@@ -33,6 +42,11 @@ function App() {
               <Routes>
                 <Route path="/login" element={<LoginForm />} />
                 <Route path="/register" element={<RegisterForm />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                <Route path="/unlock-account/:token" element={<UnlockAccount />} />
+                <Route path="/sso/callback" element={<SsoCallback />} />
                 <Route 
                   path="/dashboard" 
                   element={
@@ -41,6 +55,46 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/boards/:boardId" 
+                  element={
+                    <ProtectedRoute>
+                      <Dashboard />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/sessions" 
+                  element={
+                    <ProtectedRoute>
+                      <SessionsPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/settings" 
+                  element={
+                    <ProtectedRoute>
+                      <SettingsPage />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/two-factor" 
+                  element={
+                    <ProtectedRoute>
+                      <TwoFactorSettings />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/invite/:token" 
+                  element={
+                    <ProtectedRoute>
+                      <AcceptInvite />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route path="/" element={<Navigate to="/dashboard" replace />} />
               </Routes>
             </Suspense>
@@ -27,6 +27,23 @@ vi.mock('../../services/taskService', () => ({
   }
 }))
 
+vi.mock('../../services/labelService', () => ({
+  default: {
+    getLabels: vi.fn(() => Promise.resolve({ labels: [] })),
+    createLabel: vi.fn(),
+    updateLabel: vi.fn(),
+    deleteLabel: vi.fn()
+  }
+}))
+vi.mock('../../services/boardService', () => ({
+  default: {
+    getBoards: vi.fn(() => Promise.resolve({ boards: [{ _id: 'b1', name: 'My Task Board' }] })),
+    createBoard: vi.fn(),
+    updateBoard: vi.fn(),
+    deleteBoard: vi.fn()
+  }
+}))
+
 vi.mock('../../services/socketService', () => ({
   default: {
     connect: vi.fn(),
@@ -19,6 +19,23 @@ vi.mock('../../services/taskService', () => ({
   }
 }))
 
+vi.mock('../../services/labelService', () => ({
+  default: {
+    getLabels: vi.fn(() => Promise.resolve({ labels: [] })),
+    createLabel: vi.fn(),
+    updateLabel: vi.fn(),
+    deleteLabel: vi.fn()
+  }
+}))
+vi.mock('../../services/boardService', () => ({
+  default: {
+    getBoards: vi.fn(() => Promise.resolve({ boards: [{ _id: 'b1', name: 'My Task Board' }] })),
+    createBoard: vi.fn(),
+    updateBoard: vi.fn(),
+    deleteBoard: vi.fn()
+  }
+}))
+
 vi.mock('../../services/authService', () => ({
   default: {
     verifyToken: vi.fn(() => Promise.resolve({ 
@@ -105,6 +122,9 @@ describe('Task Management Workflow Integration', () => {
         title: 'New Task',
         description: 'New task description',
         status: 'todo',
+        priority: 'medium',
+        startDate: null,
+        dueDate: null,
         createdAt: '2023-01-03T00:00:00.000Z'
       }
       
@@ -146,7 +166,12 @@ describe('Task Management Workflow Integration', () => {
         expect(taskService.createTask).toHaveBeenCalledWith({
           title: 'New Task',
           description: 'New task description',
-          status: 'todo'
+          status: 'todo',
+          priority: 'medium',
+          startDate: null,
+          dueDate: null,
+          labels: [],
+          boardId: 'b1'
         })
       })
       
@@ -269,7 +294,11 @@ describe('Task Management Workflow Integration', () => {
         expect(taskService.updateTask).toHaveBeenCalledWith('1', {
           title: 'Updated Task Title',
           description: 'Updated description',
-          status: 'todo'
+          status: 'todo',
+          priority: 'medium',
+          startDate: null,
+          dueDate: null,
+          labels: []
         })
       })
       
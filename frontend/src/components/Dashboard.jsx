@@ -1,13 +1,38 @@
 import React, { useState, useEffect, Suspense, lazy, useCallback, useMemo } from 'react'
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import { useSocket } from '../contexts/SocketContext'
 import TaskBoard from './tasks/TaskBoard'
+import TaskSearch from './tasks/TaskSearch'
+import AssignmentNotice from './tasks/AssignmentNotice'
+import BoardSwitcher from './boards/BoardSwitcher'
+import ColumnSettings from './boards/ColumnSettings'
+import BoardMembers from './boards/BoardMembers'
+import WorkspaceSwitcher from './workspaces/WorkspaceSwitcher'
+import WorkspaceSettings from './workspaces/WorkspaceSettings'
+import NotificationBell from './notifications/NotificationBell'
+import VerifyEmailBanner from './auth/VerifyEmailBanner'
 import taskService from '../services/taskService'
+import labelService from '../services/labelService'
+import boardService from '../services/boardService'
+import workspaceService from '../services/workspaceService'
+import notificationService from '../services/notificationService'
 import { useDebounceCallback } from '../hooks/useDebounce'
+import { DEFAULT_COLUMNS, findColumn, isDoneStatus, resolveStatus } from '../utils/columns'
+import { getDropPosition, applyPositions } from '../utils/positions'
+import { sortTasks } from '../utils/priorities'
+import { getBoardRole, canOnBoard } from '../utils/boardRoles'
 import styles from './Dashboard.module.css'
 
 // Lazy load TaskModal since it's only needed when user wants to create/edit tasks
 const TaskModal = lazy(() => import('./tasks/TaskModal'))
 
+// Everyone with access to a board (its owner and members) can be assigned its tasks
+const toAssignableUsers = ({ owner, members = [] }) => [
+  ...(owner ? [owner] : []),
+  ...members.map(member => member.userId)
+]
+
 const Dashboard = () => {
   const { user, logout, loading } = useAuth()
   const [tasks, setTasks] = useState([])
@@ -17,12 +42,233 @@ const Dashboard = () => {
   const [editingTask, setEditingTask] = useState(null)
   const [modalInitialStatus, setModalInitialStatus] = useState('todo')
   const [modalLoading, setModalLoading] = useState(false)
+  const [labels, setLabels] = useState([])
+  const [boards, setBoards] = useState([])
+  const [columnSettingsOpen, setColumnSettingsOpen] = useState(false)
+  const [membersOpen, setMembersOpen] = useState(false)
+  const [assignableUsers, setAssignableUsers] = useState([])
+  const [assignmentNotice, setAssignmentNotice] = useState(null)
+  const [workspaces, setWorkspaces] = useState([])
+  const [workspaceSettingsOpen, setWorkspaceSettingsOpen] = useState(false)
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const { socketService, isConnected } = useSocket()
+  const { boardId } = useParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  // Personal boards belong to no workspace (null). Accepting an invitation opens its workspace.
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(location.state?.workspaceId || null)
+
+  // The switcher lists the active workspace's boards. A board opened by its URL is shown
+  // even when it belongs to another workspace, which then becomes the active one; unknown
+  // or deleted board IDs fall back to the workspace's first board.
+  const workspaceBoards = useMemo(
+    () => boards.filter(board => (board.workspaceId || null) === activeWorkspaceId),
+    [boards, activeWorkspaceId]
+  )
+  const activeBoard = boards.find(board => board._id === boardId) || workspaceBoards[0] || null
+  const activeBoardId = activeBoard?._id || null
+  const activeBoardWorkspaceId = activeBoard ? activeBoard.workspaceId || null : undefined
+  const activeWorkspace = workspaces.find(workspace => workspace._id === activeWorkspaceId) || null
+  const columns = activeBoard?.columns || DEFAULT_COLUMNS
+  // Mention links open the board showing the mentioned user's cards (?assignee=<userId>)
+  const assigneeFilter = new URLSearchParams(location.search).get('assignee') || 'all'
+
+  // Boards shared with the user may be read-only; only the owner manages the board
+  const isOwnBoard = getBoardRole(activeBoard, user?._id) === 'owner'
+  // Cards on a board use its owner's label catalog
+  const labelOwnerId = activeBoard?.userId || user?._id
+  const canEditTasks = canOnBoard(activeBoard, user?._id, 'edit')
+  const canManageBoard = canOnBoard(activeBoard, user?._id, 'manage')
+
+  // Load boards and workspaces on component mount
+  useEffect(() => {
+    loadBoards()
+    loadWorkspaces()
+    loadNotifications()
+  }, [])
+
+  // Follow the active board into its workspace
+  useEffect(() => {
+    if (activeBoardWorkspaceId !== undefined && activeBoardWorkspaceId !== activeWorkspaceId) {
+      setActiveWorkspaceId(activeBoardWorkspaceId)
+    }
+  }, [activeBoardWorkspaceId, activeWorkspaceId])
 
-  // Load tasks on component mount
+  // Load the active board's tasks, labels and members whenever the user switches
+  // boards. Shared boards use their owner's label catalog.
   useEffect(() => {
-    loadTasks()
+    if (activeBoardId) {
+      loadTasks(activeBoardId)
+      loadLabels(activeBoardId)
+      loadAssignableUsers(activeBoardId)
+    }
+  }, [activeBoardId])
+
+  // /dashboard shows the default board; stale board URLs are replaced with the board shown
+  useEffect(() => {
+    if (boardId && activeBoardId && boardId !== activeBoardId) {
+      navigate(`/boards/${activeBoardId}`, { replace: true })
+    }
+  }, [activeBoardId, boardId, navigate])
+
+  // Column deletions move tasks on the server; reload when this board's tasks
+  // end up in a column that no longer exists (e.g. deleted from another session)
+  const hasOrphanedTasks = tasks.some(task =>
+    task.boardId === activeBoardId && !findColumn(columns, task.status)
+  )
+  useEffect(() => {
+    if (activeBoardId && hasOrphanedTasks) {
+      loadTasks(activeBoardId)
+    }
+  }, [activeBoardId, hasOrphanedTasks])
+
+  const updateCommentCount = useCallback((taskId, commentCount) => {
+    setTasks(prevTasks =>
+      prevTasks.map(task => task._id === taskId ? { ...task, commentCount } : task)
+    )
   }, [])
 
+  // Forget a workspace the user left or was removed from, along with its boards
+  const dropWorkspace = useCallback((workspaceId) => {
+    setWorkspaces(prevWorkspaces => prevWorkspaces.filter(workspace => workspace._id !== workspaceId))
+    setBoards(prevBoards => prevBoards.filter(board => board.workspaceId !== workspaceId))
+    setActiveWorkspaceId(current => current === workspaceId ? null : current)
+  }, [])
+
+  // Keep boards, workspaces, the label catalog and comment counts in sync with other sessions
+  useEffect(() => {
+    if (!socketService || !isConnected) return
+
+    // Label events arrive for the user's own catalog and for the catalogs of boards
+    // shared with them; only the active board's catalog is shown
+    const handleLabelCreated = (data) => {
+      if (data.label.userId !== labelOwnerId) return
+      setLabels(prevLabels => {
+        if (prevLabels.some(label => label._id === data.label._id)) return prevLabels
+        return [...prevLabels, data.label]
+      })
+    }
+
+    // Renames, recolors and deletions also apply to the labels shown on cards
+    const handleLabelUpdated = (data) => {
+      setLabels(prevLabels =>
+        prevLabels.map(label => label._id === data.label._id ? data.label : label)
+      )
+      setTasks(prevTasks =>
+        prevTasks.map(task => ({
+          ...task,
+          labels: (task.labels || []).map(label =>
+            label._id === data.label._id ? data.label : label
+          )
+        }))
+      )
+    }
+
+    const handleLabelDeleted = (data) => {
+      setLabels(prevLabels => prevLabels.filter(label => label._id !== data.labelId))
+      setTasks(prevTasks =>
+        prevTasks.map(task => ({
+          ...task,
+          labels: (task.labels || []).filter(label => label._id !== data.labelId)
+        }))
+      )
+    }
+
+    // Comment events carry the task's new comment count for the cards
+    const handleCommentCountChanged = (data) => {
+      if (data.commentCount === undefined) return
+      updateCommentCount(data.taskId, data.commentCount)
+    }
+
+    const handleBoardCreated = (data) => {
+      setBoards(prevBoards => {
+        if (prevBoards.some(board => board._id === data.board._id)) return prevBoards
+        return [...prevBoards, data.board]
+      })
+    }
+
+    const handleBoardUpdated = (data) => {
+      setBoards(prevBoards =>
+        prevBoards.map(board => board._id === data.board._id ? data.board : board)
+      )
+    }
+
+    const handleBoardDeleted = (data) => {
+      setBoards(prevBoards => prevBoards.filter(board => board._id !== data.boardId))
+    }
+
+    // Assignments and mentions by other people are announced until dismissed
+    const handleTaskAssigned = (data) => {
+      setAssignmentNotice({ task: data.task, assignedBy: data.assignedBy })
+    }
+
+    const handleMentioned = (data) => {
+      setAssignmentNotice({ task: data.task, mentionedBy: data.mentionedBy })
+    }
+
+    socketService.onLabelCreated(handleLabelCreated)
+    socketService.onLabelUpdated(handleLabelUpdated)
+    socketService.onLabelDeleted(handleLabelDeleted)
+    socketService.onCommentCreated(handleCommentCountChanged)
+    socketService.onCommentDeleted(handleCommentCountChanged)
+    socketService.onBoardCreated(handleBoardCreated)
+    socketService.onBoardUpdated(handleBoardUpdated)
+    socketService.onBoardDeleted(handleBoardDeleted)
+    // Joining a workspace gives access to its boards, so the board list is refetched
+    const handleWorkspaceCreated = (data) => {
+      setWorkspaces(prevWorkspaces => {
+        if (prevWorkspaces.some(workspace => workspace._id === data.workspace._id)) return prevWorkspaces
+        return [...prevWorkspaces, data.workspace]
+      })
+      boardService.getBoards()
+        .then(response => setBoards(response.boards || []))
+        .catch(error => console.error('Failed to load boards:', error))
+    }
+
+    const handleWorkspaceUpdated = (data) => {
+      setWorkspaces(prevWorkspaces =>
+        prevWorkspaces.map(workspace => workspace._id === data.workspace._id ? data.workspace : workspace)
+      )
+    }
+
+    const handleWorkspaceRemoved = (data) => {
+      dropWorkspace(data.workspaceId)
+    }
+
+    const handleNotification = (data) => {
+      setNotifications(prevNotifications => {
+        if (prevNotifications.some(notification => notification._id === data.notification._id)) return prevNotifications
+        return [data.notification, ...prevNotifications]
+      })
+      setUnreadCount(data.unreadCount)
+    }
+
+    socketService.onTaskAssigned(handleTaskAssigned)
+    socketService.onMentioned(handleMentioned)
+    socketService.onNotification(handleNotification)
+    socketService.onWorkspaceCreated(handleWorkspaceCreated)
+    socketService.onWorkspaceUpdated(handleWorkspaceUpdated)
+    socketService.onWorkspaceRemoved(handleWorkspaceRemoved)
+
+    return () => {
+      socketService.offLabelCreated(handleLabelCreated)
+      socketService.offLabelUpdated(handleLabelUpdated)
+      socketService.offLabelDeleted(handleLabelDeleted)
+      socketService.offCommentCreated(handleCommentCountChanged)
+      socketService.offCommentDeleted(handleCommentCountChanged)
+      socketService.offBoardCreated(handleBoardCreated)
+      socketService.offBoardUpdated(handleBoardUpdated)
+      socketService.offBoardDeleted(handleBoardDeleted)
+      socketService.offTaskAssigned(handleTaskAssigned)
+      socketService.offMentioned(handleMentioned)
+      socketService.offNotification(handleNotification)
+      socketService.offWorkspaceCreated(handleWorkspaceCreated)
+      socketService.offWorkspaceUpdated(handleWorkspaceUpdated)
+      socketService.offWorkspaceRemoved(handleWorkspaceRemoved)
+    }
+  }, [socketService, isConnected, updateCommentCount, labelOwnerId, dropWorkspace])
+
   // Cleanup pending requests on unmount
   useEffect(() => {
     return () => {
@@ -30,11 +276,49 @@ const Dashboard = () => {
     }
   }, [])
 
-  const loadTasks = async () => {
+  const loadBoards = async () => {
+    setTasksLoading(true)
+    try {
+      const response = await boardService.getBoards()
+      const loadedBoards = response.boards || []
+      setBoards(loadedBoards)
+      if (loadedBoards.length === 0) {
+        setTasksLoading(false)
+      }
+    } catch (error) {
+      // Without a board there is nothing to load tasks into
+      console.error('Failed to load boards:', error)
+      setTasksError(error.response?.data?.error?.message || 'Failed to load boards')
+      setTasksLoading(false)
+    }
+  }
+
+  const loadWorkspaces = async () => {
+    try {
+      const response = await workspaceService.getWorkspaces()
+      setWorkspaces(response.workspaces || [])
+    } catch (error) {
+      // Personal boards still work without the workspace list
+      console.error('Failed to load workspaces:', error)
+    }
+  }
+
+  const loadNotifications = async () => {
+    try {
+      const response = await notificationService.getNotifications()
+      setNotifications(response.notifications || [])
+      setUnreadCount(response.unreadCount || 0)
+    } catch (error) {
+      // The bell stays empty; the rest of the dashboard is unaffected
+      console.error('Failed to load notifications:', error)
+    }
+  }
+
+  const loadTasks = async (boardIdToLoad) => {
     setTasksLoading(true)
     setTasksError(null)
     try {
-      const response = await taskService.getTasks()
+      const response = await taskService.getTasks(boardIdToLoad)
       setTasks(response.tasks || response.data || [])
     } catch (error) {
       console.error('Failed to load tasks:', error)
@@ -44,6 +328,172 @@ const Dashboard = () => {
     }
   }
 
+  const loadLabels = async (boardIdToLoad) => {
+    try {
+      const response = await labelService.getLabels(boardIdToLoad)
+      setLabels(response.labels || [])
+    } catch (error) {
+      // Labels are optional decoration; the board still works without them
+      console.error('Failed to load labels:', error)
+    }
+  }
+
+  const applyMemberList = useCallback((memberList) => {
+    if (memberList) {
+      setAssignableUsers(toAssignableUsers(memberList))
+    }
+    return memberList
+  }, [])
+
+  const loadAssignableUsers = async (boardIdToLoad) => {
+    try {
+      setAssignableUsers(toAssignableUsers(await boardService.getMembers(boardIdToLoad)))
+    } catch (error) {
+      // Without the member list tasks can still be edited, just not assigned
+      console.error('Failed to load board members:', error)
+      setAssignableUsers([])
+    }
+  }
+
+  const handleLabelCreate = useCallback(async (labelData) => {
+    const response = await labelService.createLabel(labelData)
+    const newLabel = response.label
+    if (newLabel) {
+      setLabels(prevLabels => {
+        if (prevLabels.some(label => label._id === newLabel._id)) return prevLabels
+        return [...prevLabels, newLabel]
+      })
+    }
+    return newLabel
+  }, [])
+
+  const handleBoardSelect = useCallback((nextBoardId) => {
+    navigate(`/boards/${nextBoardId}`)
+  }, [navigate])
+
+  // Boards created while a workspace is active are shared with the whole workspace
+  const handleBoardCreate = useCallback(async (boardData) => {
+    const response = await boardService.createBoard(
+      activeWorkspaceId ? { ...boardData, workspaceId: activeWorkspaceId } : boardData
+    )
+    const newBoard = response.board
+    if (newBoard) {
+      setBoards(prevBoards => {
+        if (prevBoards.some(board => board._id === newBoard._id)) return prevBoards
+        return [...prevBoards, newBoard]
+      })
+      navigate(`/boards/${newBoard._id}`)
+    }
+    return newBoard
+  }, [navigate, activeWorkspaceId])
+
+  const handleWorkspaceSelect = useCallback((workspaceId) => {
+    setActiveWorkspaceId(workspaceId)
+    const firstBoard = boards.find(board => (board.workspaceId || null) === workspaceId)
+    navigate(firstBoard ? `/boards/${firstBoard._id}` : '/dashboard')
+  }, [boards, navigate])
+
+  // New workspaces have no boards yet; the user starts with an empty board list
+  const handleWorkspaceCreate = useCallback(async (workspaceData) => {
+    const response = await workspaceService.createWorkspace(workspaceData)
+    const newWorkspace = response.workspace
+    if (newWorkspace) {
+      setWorkspaces(prevWorkspaces => {
+        if (prevWorkspaces.some(workspace => workspace._id === newWorkspace._id)) return prevWorkspaces
+        return [...prevWorkspaces, newWorkspace]
+      })
+      setActiveWorkspaceId(newWorkspace._id)
+      navigate('/dashboard')
+    }
+    return newWorkspace
+  }, [navigate])
+
+  // The active board falls back to the first remaining board once this one is gone
+  const handleBoardDelete = useCallback(async (board) => {
+    try {
+      await boardService.deleteBoard(board._id)
+      setBoards(prevBoards => prevBoards.filter(existing => existing._id !== board._id))
+    } catch (error) {
+      console.error('Failed to delete board:', error)
+      alert(error.response?.data?.error?.message || 'Failed to delete board')
+    }
+  }, [])
+
+  const applyBoardUpdate = useCallback((updatedBoard) => {
+    if (updatedBoard) {
+      setBoards(prevBoards =>
+        prevBoards.map(board => board._id === updatedBoard._id ? updatedBoard : board)
+      )
+    }
+  }, [])
+
+  const openColumnSettings = useCallback(() => setColumnSettingsOpen(true), [])
+  const closeColumnSettings = useCallback(() => setColumnSettingsOpen(false), [])
+  const openMembers = useCallback(() => setMembersOpen(true), [])
+  const closeMembers = useCallback(() => setMembersOpen(false), [])
+  const openWorkspaceSettings = useCallback(() => setWorkspaceSettingsOpen(true), [])
+  const closeWorkspaceSettings = useCallback(() => setWorkspaceSettingsOpen(false), [])
+
+  // Member changes return the new member list; errors are shown by BoardMembers
+  const memberActions = useMemo(() => ({
+    load: async () => applyMemberList(await boardService.getMembers(activeBoardId)),
+    add: async (invitee, role) =>
+      applyMemberList(await boardService.addMember(activeBoardId, invitee, role)),
+    update: async (memberId, role) =>
+      applyMemberList(await boardService.updateMember(activeBoardId, memberId, role)),
+    remove: async (memberId) => {
+      const result = applyMemberList(await boardService.removeMember(activeBoardId, memberId))
+      // Leaving a board drops it from the list; the first remaining board is shown
+      if (memberId === user?._id) {
+        setBoards(prevBoards => prevBoards.filter(board => board._id !== activeBoardId))
+      }
+      return result
+    }
+  }), [activeBoardId, user?._id, applyMemberList])
+
+  // Workspace administration for the settings dialog, which shows the errors
+  const workspaceActions = useMemo(() => ({
+    loadMembers: (search) => workspaceService.getMembers(activeWorkspaceId, search),
+    update: async (changes) => {
+      const { workspace: updated } = await workspaceService.updateWorkspace(activeWorkspaceId, changes)
+      if (updated) {
+        setWorkspaces(prevWorkspaces =>
+          prevWorkspaces.map(workspace => workspace._id === updated._id ? updated : workspace)
+        )
+      }
+    },
+    updateMember: (memberId, role) => workspaceService.updateMember(activeWorkspaceId, memberId, role),
+    removeMember: async (memberId) => {
+      const result = await workspaceService.removeMember(activeWorkspaceId, memberId)
+      // Leaving takes the user back to their personal boards
+      if (memberId === user?._id) {
+        dropWorkspace(activeWorkspaceId)
+      }
+      return result
+    },
+    loadInvites: () => workspaceService.getInvites(activeWorkspaceId),
+    createInvite: (options) => workspaceService.createInvite(activeWorkspaceId, options),
+    deleteInvite: (inviteId) => workspaceService.deleteInvite(activeWorkspaceId, inviteId)
+  }), [activeWorkspaceId, user?._id, dropWorkspace])
+
+  // Column edits return the updated board; errors are shown by ColumnSettings
+  const columnActions = useMemo(() => ({
+    add: async (columnData) =>
+      applyBoardUpdate((await boardService.addColumn(activeBoardId, columnData)).board),
+    update: async (columnId, changes) => {
+      applyBoardUpdate((await boardService.updateColumn(activeBoardId, columnId, changes)).board)
+      // Changing the done column changes which tasks count as completed
+      if (changes.isDone !== undefined) {
+        loadTasks(activeBoardId)
+      }
+    },
+    reorder: async (columnIds) =>
+      applyBoardUpdate((await boardService.reorderColumns(activeBoardId, columnIds)).board),
+    // Tasks left in the deleted column are reloaded by the effect watching columns
+    remove: async (columnId, moveTo) =>
+      applyBoardUpdate((await boardService.deleteColumn(activeBoardId, columnId, moveTo)).board)
+  }), [activeBoardId, applyBoardUpdate])
+
   const handleLogout = useCallback(() => {
     logout()
   }, [logout])
@@ -53,6 +503,63 @@ const Dashboard = () => {
     setModalOpen(true)
   }, [])
 
+  // Search results can live on another board; switch to it before opening the task
+  const handleSearchSelect = useCallback((task) => {
+    if (task.boardId && task.boardId !== activeBoardId) {
+      navigate(`/boards/${task.boardId}`)
+    }
+    setEditingTask(task)
+    setModalOpen(true)
+  }, [activeBoardId, navigate])
+
+  const dismissAssignmentNotice = useCallback(() => setAssignmentNotice(null), [])
+
+  // Mark the notification read and open its task, which may be on another board.
+  // Tasks that are gone or no longer visible just leave the user on the board.
+  const handleNotificationSelect = useCallback(async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const response = await notificationService.markRead(notification._id)
+        setNotifications(prevNotifications =>
+          prevNotifications.map(existing => existing._id === notification._id ? response.notification : existing)
+        )
+        setUnreadCount(response.unreadCount)
+      } catch (error) {
+        console.error('Failed to mark notification read:', error)
+      }
+    }
+
+    try {
+      const response = await taskService.getTasks(notification.boardId || undefined)
+      const task = (response.tasks || []).find(existing => existing._id === notification.taskId)
+      if (task) {
+        handleSearchSelect(task)
+      } else if (notification.boardId) {
+        navigate(`/boards/${notification.boardId}`)
+      }
+    } catch (error) {
+      console.error('Failed to open task:', error)
+    }
+  }, [handleSearchSelect, navigate])
+
+  const handleMarkAllRead = useCallback(async () => {
+    try {
+      const response = await notificationService.markAllRead()
+      const readAt = new Date().toISOString()
+      setNotifications(prevNotifications =>
+        prevNotifications.map(notification => notification.readAt ? notification : { ...notification, readAt })
+      )
+      setUnreadCount(response.unreadCount)
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error)
+    }
+  }, [])
+
+  const handleAssignmentOpen = useCallback((task) => {
+    setAssignmentNotice(null)
+    handleSearchSelect(task)
+  }, [handleSearchSelect])
+
   const handleTaskDelete = useCallback(async (taskId) => {
     if (!window.confirm('Are you sure you want to delete this task?')) {
       return
@@ -67,13 +574,15 @@ const Dashboard = () => {
     }
   }, [])
 
-  const handleTaskAdd = useCallback((status = 'todo') => {
+  const handleTaskAdd = useCallback((status) => {
     setEditingTask(null)
-    setModalInitialStatus(status)
+    setModalInitialStatus(resolveStatus(columns, status))
     setModalOpen(true)
-  }, [])
+  }, [columns])
 
-  const handleTaskDrop = useCallback(async (taskId, newStatus) => {
+  // Columns report drops as (taskId, status, beforeId); beforeId is the card the task
+  // was dropped in front of, or null for the end of the column
+  const handleTaskDrop = useCallback(async (taskId, newStatus, beforeId = null) => {
     // Find the task being moved
     const taskToMove = tasks.find(task => task._id === taskId)
     if (!taskToMove) {
@@ -81,21 +590,19 @@ const Dashboard = () => {
       return
     }
 
-    // Don't do anything if the status hasn't changed
-    if (taskToMove.status === newStatus) {
-      return
-    }
-
     // Optimistically update the UI
     const originalTasks = [...tasks]
+    const movingToDone = isDoneStatus(columns, newStatus)
+    const columnTasks = sortTasks(tasks.filter(task => task.status === newStatus))
     const updatedTask = { 
       ...taskToMove, 
       status: newStatus, 
+      position: getDropPosition(columnTasks, taskId, beforeId),
       updatedAt: new Date().toISOString(),
-      // Add completion timestamp if moving to done
-      ...(newStatus === 'done' && { completedAt: new Date().toISOString() }),
-      // Remove completion timestamp if moving away from done
-      ...(newStatus !== 'done' && taskToMove.completedAt && { completedAt: null })
+      // Add completion timestamp if moving to the done column
+      ...(movingToDone && { completedAt: new Date().toISOString() }),
+      // Remove completion timestamp if moving away from the done column
+      ...(!movingToDone && taskToMove.completedAt && { completedAt: null })
     }
 
     setTasks(prevTasks => 
@@ -105,8 +612,14 @@ const Dashboard = () => {
     )
 
     try {
-      // Update the task status on the server (debounced in taskService)
-      await taskService.updateTaskStatus(taskId, newStatus)
+      // The server picks the final position and may renumber the rest of the column
+      const response = await taskService.moveTask(taskId, newStatus, beforeId)
+      setTasks(prevTasks =>
+        applyPositions(
+          prevTasks.map(task => task._id === taskId && response.task ? response.task : task),
+          response.positions
+        )
+      )
     } catch (error) {
       console.error('Failed to update task status:', error)
       // Revert the optimistic update on error
@@ -118,7 +631,7 @@ const Dashboard = () => {
                           'Failed to update task status. Please try again.'
       alert(errorMessage)
     }
-  }, [tasks])
+  }, [tasks, columns])
 
   const handleModalSubmit = useCallback(async (taskData, taskId) => {
     setModalLoading(true)
@@ -134,7 +647,7 @@ const Dashboard = () => {
         )
       } else {
         // Create new task
-        const response = await taskService.createTask(taskData)
+        const response = await taskService.createTask({ ...taskData, boardId: activeBoardId })
         const newTask = response.task || response.data
         setTasks(prevTasks => [...prevTasks, newTask])
       }
@@ -144,6 +657,29 @@ const Dashboard = () => {
     } finally {
       setModalLoading(false)
     }
+  }, [activeBoardId])
+
+  // Checklist edits are saved immediately; each action returns the updated task
+  const checklistActions = useMemo(() => {
+    const applyTaskUpdate = (updatedTask) => {
+      if (updatedTask) {
+        setTasks(prevTasks =>
+          prevTasks.map(task => task._id === updatedTask._id ? updatedTask : task)
+        )
+      }
+      return updatedTask
+    }
+
+    return {
+      add: async (taskId, text) =>
+        applyTaskUpdate((await taskService.addChecklistItem(taskId, text)).task),
+      update: async (taskId, itemId, changes) =>
+        applyTaskUpdate((await taskService.updateChecklistItem(taskId, itemId, changes)).task),
+      reorder: async (taskId, itemIds) =>
+        applyTaskUpdate((await taskService.reorderChecklist(taskId, itemIds)).task),
+      remove: async (taskId, itemId) =>
+        applyTaskUpdate((await taskService.deleteChecklistItem(taskId, itemId)).task)
+    }
   }, [])
 
   const handleModalClose = useCallback(() => {
@@ -163,25 +699,101 @@ const Dashboard = () => {
   return (
     <div className={styles.dashboard}>
       <header className={styles.header}>
-        <h1>Task Manager</h1>
+        <div className={styles.headerLeft}>
+          <h1>Task Manager</h1>
+          <WorkspaceSwitcher
+            workspaces={workspaces}
+            currentWorkspaceId={activeWorkspaceId}
+            onSelect={handleWorkspaceSelect}
+            onCreate={handleWorkspaceCreate}
+            onManage={openWorkspaceSettings}
+          />
+          <BoardSwitcher
+            boards={workspaceBoards}
+            currentBoardId={activeBoardId}
+            currentUserId={user?._id}
+            onSelect={handleBoardSelect}
+            onCreate={handleBoardCreate}
+            onDelete={canManageBoard ? handleBoardDelete : undefined}
+            onShare={openMembers}
+          />
+        </div>
+        <TaskSearch boards={boards} onSelect={handleSearchSelect} />
         <div className={styles.userInfo}>
+          <NotificationBell
+            notifications={notifications}
+            unreadCount={unreadCount}
+            onOpen={loadNotifications}
+            onSelect={handleNotificationSelect}
+            onMarkAllRead={handleMarkAllRead}
+          />
           <span>Welcome, {user?.username || 'User'}</span>
+          <Link to="/settings" className={styles.headerLink}>Settings</Link>
           <button onClick={handleLogout} className={styles.logoutBtn}>
             Logout
           </button>
         </div>
       </header>
+      {user?.emailVerified === false && <VerifyEmailBanner email={user.email} />}
+      <AssignmentNotice
+        notice={assignmentNotice}
+        onOpen={handleAssignmentOpen}
+        onDismiss={dismissAssignmentNotice}
+      />
       <main className={styles.main}>
         <TaskBoard
           tasks={tasks}
+          boardId={activeBoardId}
+          currentUserId={user?._id}
+          assigneeUsers={assignableUsers}
+          defaultAssigneeFilter={assigneeFilter}
+          title={activeBoard?.name}
+          columns={columns}
           loading={tasksLoading}
           error={tasksError}
           onTaskEdit={handleTaskEdit}
-          onTaskDelete={handleTaskDelete}
-          onTaskAdd={handleTaskAdd}
-          onTaskDrop={handleTaskDrop}
+          onTaskDelete={canEditTasks ? handleTaskDelete : undefined}
+          onTaskAdd={canEditTasks ? handleTaskAdd : undefined}
+          onTaskDrop={canEditTasks ? handleTaskDrop : undefined}
+          onEditColumns={canManageBoard ? openColumnSettings : undefined}
         />
       </main>
+
+      <ColumnSettings
+        isOpen={columnSettingsOpen}
+        onClose={closeColumnSettings}
+        columns={columns}
+        onAdd={columnActions.add}
+        onUpdate={columnActions.update}
+        onReorder={columnActions.reorder}
+        onDelete={columnActions.remove}
+      />
+
+      <BoardMembers
+        isOpen={membersOpen}
+        onClose={closeMembers}
+        boardName={activeBoard?.name}
+        currentUserId={user?._id}
+        canManage={canManageBoard}
+        onLoad={memberActions.load}
+        onAdd={memberActions.add}
+        onUpdate={memberActions.update}
+        onRemove={memberActions.remove}
+      />
+
+      <WorkspaceSettings
+        isOpen={workspaceSettingsOpen}
+        onClose={closeWorkspaceSettings}
+        workspace={activeWorkspace}
+        currentUserId={user?._id}
+        onLoadMembers={workspaceActions.loadMembers}
+        onUpdate={workspaceActions.update}
+        onUpdateMember={workspaceActions.updateMember}
+        onRemoveMember={workspaceActions.removeMember}
+        onLoadInvites={workspaceActions.loadInvites}
+        onCreateInvite={workspaceActions.createInvite}
+        onDeleteInvite={workspaceActions.deleteInvite}
+      />
       
       {modalOpen && (
         <Suspense fallback={<div>Loading modal...</div>}>
@@ -191,7 +803,16 @@ const Dashboard = () => {
             onSubmit={handleModalSubmit}
             task={editingTask}
             initialStatus={modalInitialStatus}
+            columns={columns}
             loading={modalLoading}
+            labels={labels}
+            onCreateLabel={isOwnBoard ? handleLabelCreate : undefined}
+            assignableUsers={canEditTasks ? assignableUsers : []}
+            mentionableUsers={assignableUsers}
+            checklistActions={checklistActions}
+            currentUserId={user?._id}
+            onCommentCountChange={updateCommentCount}
+            showAttachments
           />
         </Suspense>
       )}
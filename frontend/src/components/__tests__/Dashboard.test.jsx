@@ -19,6 +19,23 @@ vi.mock('../../services/taskService', () => ({
   }
 }))
 
+vi.mock('../../services/labelService', () => ({
+  default: {
+    getLabels: vi.fn(() => Promise.resolve({ labels: [] })),
+    createLabel: vi.fn(),
+    updateLabel: vi.fn(),
+    deleteLabel: vi.fn()
+  }
+}))
+vi.mock('../../services/boardService', () => ({
+  default: {
+    getBoards: vi.fn(() => Promise.resolve({ boards: [{ _id: 'b1', name: 'My Task Board' }] })),
+    createBoard: vi.fn(),
+    updateBoard: vi.fn(),
+    deleteBoard: vi.fn()
+  }
+}))
+
 vi.mock('../../services/authService', () => ({
   default: {
     verifyToken: vi.fn(() => Promise.resolve({ 
@@ -121,7 +138,7 @@ describe('Dashboard', () => {
       )
       
       await waitFor(() => {
-        expect(screen.getByText('My Task Board')).toBeInTheDocument()
+        expect(screen.getByRole('heading', { name: 'My Task Board' })).toBeInTheDocument()
       })
     })
 
@@ -195,6 +212,19 @@ describe('Dashboard', () => {
         expect(screen.getByText('Failed to load tasks')).toBeInTheDocument()
       })
     })
+
+    it('loads tasks for the default board and shows the board switcher', async () => {
+      render(
+        <TestWrapper>
+          <Dashboard />
+        </TestWrapper>
+      )
+
+      await waitFor(() => {
+        expect(taskService.getTasks).toHaveBeenCalledWith('b1')
+      })
+      expect(screen.getByLabelText('Current board')).toHaveValue('b1')
+    })
   })
 
   describe('Task Operations', () => {
@@ -364,6 +394,9 @@ describe('Dashboard', () => {
         title: 'New Task',
         description: 'New Description',
         status: 'todo',
+        priority: 'medium',
+        startDate: null,
+        dueDate: null,
         createdAt: '2023-01-03T00:00:00.000Z'
       }
       taskService.createTask.mockResolvedValue({ task: newTask })
@@ -397,7 +430,12 @@ describe('Dashboard', () => {
         expect(taskService.createTask).toHaveBeenCalledWith({
           title: 'New Task',
           description: 'New Description',
-          status: 'todo'
+          status: 'todo',
+          priority: 'medium',
+          startDate: null,
+          dueDate: null,
+          labels: [],
+          boardId: 'b1'
         })
       })
     })
@@ -438,7 +476,11 @@ describe('Dashboard', () => {
         expect(taskService.updateTask).toHaveBeenCalledWith('1', {
           title: 'Updated Task',
           description: 'Todo Description',
-          status: 'todo'
+          status: 'todo',
+          priority: 'medium',
+          startDate: null,
+          dueDate: null,
+          labels: []
         })
       })
     })
@@ -0,0 +1,76 @@
+import React, { useState, memo } from 'react'
+import { Link } from 'react-router-dom'
+import authService from '../../services/authService'
+import styles from './AuthForms.module.css'
+
+const ForgotPassword = memo(() => {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [successMessage, setSuccessMessage] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!email) {
+      setError('Email is required')
+      return
+    }
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError('')
+    try {
+      setSuccessMessage(await authService.forgotPassword(email))
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to send reset link')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Forgot password</h2>
+
+        {successMessage ? (
+          <div className={styles.successMessage}>{successMessage}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={error ? styles.inputError : ''}
+                disabled={isSubmitting}
+              />
+              {error && <span className={styles.error}>{error}</span>}
+            </div>
+
+            <button
+              type="submit"
+              className={styles.submitBtn}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.authLink}>
+          <p>Remembered it? <Link to="/login">Back to login</Link></p>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default ForgotPassword
@@ -1,6 +1,7 @@
-import React, { useState, memo } from 'react'
-import { Link } from 'react-router-dom'
+import React, { useState, useEffect, memo } from 'react'
+import { Link, useLocation } from 'react-router-dom'
 import { useAuth } from '../../contexts/AuthContext'
+import authService from '../../services/authService'
 import styles from './AuthForms.module.css'
 
 const LoginForm = memo(() => {
@@ -10,7 +11,32 @@ const LoginForm = memo(() => {
   })
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const { login } = useAuth()
+  const [needsVerification, setNeedsVerification] = useState(false)
+  const [verificationNotice, setVerificationNotice] = useState('')
+  const location = useLocation()
+  // Set once the password is accepted for an account with two-factor authentication;
+  // a single sign-on login hands its challenge over through the location state
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || null)
+  const [code, setCode] = useState('')
+  const [sso, setSso] = useState(null)
+  const { login, verifyTwoFactor } = useAuth()
+
+  useEffect(() => {
+    let cancelled = false
+    const loadSsoConfig = async () => {
+      try {
+        const config = await authService.getSsoConfig()
+        if (!cancelled) setSso(config)
+      } catch {
+        // Without the config the login page simply offers no SSO button
+      }
+    }
+
+    loadSsoConfig()
+    return () => {
+      cancelled = true
+    }
+  }, [])
 
   const validateForm = () => {
     const newErrors = {}
@@ -58,13 +84,118 @@ const LoginForm = memo(() => {
     setIsSubmitting(true)
     const result = await login(formData)
     
-    if (!result.success) {
+    if (result.mfaRequired) {
+      setMfaToken(result.mfaToken)
+      setErrors({})
+    } else if (!result.success) {
       setErrors({ submit: result.error })
+      setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED')
     }
     
     setIsSubmitting(false)
   }
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault()
+
+    if (!code.trim()) {
+      setErrors({ code: 'Authentication code is required' })
+      return
+    }
+
+    setIsSubmitting(true)
+    const result = await verifyTwoFactor(mfaToken, code.trim())
+
+    if (!result.success) {
+      // The challenge expired; start over from the password step
+      if (result.code === 'INVALID_MFA_TOKEN') {
+        setMfaToken(null)
+      }
+      setErrors({ submit: result.error })
+      setCode('')
+    }
+
+    setIsSubmitting(false)
+  }
+
+  const handleBackToPassword = () => {
+    setMfaToken(null)
+    setCode('')
+    setErrors({})
+  }
+
+  // Send the browser to the identity provider. The token comes back to SsoCallback
+  // through session storage, so only this tab can finish the login.
+  const handleSsoLogin = async () => {
+    setIsSubmitting(true)
+    try {
+      const { authorizationUrl, ssoToken } = await authService.startSso()
+      sessionStorage.setItem('ssoToken', ssoToken)
+      window.location.assign(authorizationUrl)
+    } catch (error) {
+      setErrors({ submit: error.response?.data?.error?.message || 'Single sign-on is unavailable' })
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleResendVerification = async () => {
+    try {
+      setVerificationNotice(await authService.resendVerification(formData.email))
+    } catch (error) {
+      setVerificationNotice(error.response?.data?.error?.message || 'Failed to send verification email')
+    }
+  }
+
+  if (mfaToken) {
+    return (
+      <div className={styles.authContainer}>
+        <div className={styles.authCard}>
+          <h2>Two-factor authentication</h2>
+          <p className={styles.description}>
+            Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+          </p>
+          <form onSubmit={handleVerifyCode} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="code">Authentication code</label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value)
+                  setErrors({})
+                }}
+                className={errors.code ? styles.inputError : ''}
+                autoComplete="one-time-code"
+                disabled={isSubmitting}
+              />
+              {errors.code && <span className={styles.error}>{errors.code}</span>}
+            </div>
+
+            {errors.submit && (
+              <div className={styles.submitError}>{errors.submit}</div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitBtn}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className={styles.authLink}>
+            <button type="button" className={styles.linkBtn} onClick={handleBackToPassword}>
+              Back to login
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className={styles.authContainer}>
       <div className={styles.authCard}>
@@ -102,6 +233,16 @@ const LoginForm = memo(() => {
             <div className={styles.submitError}>{errors.submit}</div>
           )}
 
+          {needsVerification && (
+            verificationNotice
+              ? <div className={styles.successMessage}>{verificationNotice}</div>
+              : (
+                <button type="button" className={styles.linkBtn} onClick={handleResendVerification}>
+                  Resend verification email
+                </button>
+              )
+          )}
+
           <button 
             type="submit" 
             className={styles.submitBtn}
@@ -111,7 +252,22 @@ const LoginForm = memo(() => {
           </button>
         </form>
 
+        {sso?.enabled && (
+          <>
+            <div className={styles.divider}>or</div>
+            <button
+              type="button"
+              className={styles.ssoBtn}
+              onClick={handleSsoLogin}
+              disabled={isSubmitting}
+            >
+              Sign in with {sso.providerName}
+            </button>
+          </>
+        )}
+
         <div className={styles.authLink}>
+          <p><Link to="/forgot-password">Forgot your password?</Link></p>
           <p>Don't have an account? <Link to="/register">Register here</Link></p>
         </div>
       </div>
@@ -0,0 +1,140 @@
+import React, { useState, memo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import authService from '../../services/authService'
+import styles from './AuthForms.module.css'
+
+const ResetPassword = memo(() => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  })
+  const [errors, setErrors] = useState({})
+  const [successMessage, setSuccessMessage] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const validateForm = () => {
+    const newErrors = {}
+
+    if (!formData.password) {
+      newErrors.password = 'Password is required'
+    } else if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters'
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match'
+    }
+
+    return newErrors
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }))
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }))
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const formErrors = validateForm()
+    if (Object.keys(formErrors).length > 0) {
+      setErrors(formErrors)
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      setSuccessMessage(await authService.resetPassword(token, formData.password))
+    } catch (err) {
+      setErrors({ submit: err.response?.data?.error?.message || 'Failed to reset password' })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className={styles.authContainer}>
+        <div className={styles.authCard}>
+          <h2>Reset password</h2>
+          <div className={styles.submitError}>This reset link is incomplete. Request a new one.</div>
+          <div className={styles.authLink}>
+            <p><Link to="/forgot-password">Request a new link</Link></p>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Reset password</h2>
+
+        {successMessage ? (
+          <div className={styles.successMessage}>{successMessage}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <div className={styles.formGroup}>
+              <label htmlFor="password">New password</label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                className={errors.password ? styles.inputError : ''}
+                disabled={isSubmitting}
+              />
+              {errors.password && <span className={styles.error}>{errors.password}</span>}
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="confirmPassword">Confirm new password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                className={errors.confirmPassword ? styles.inputError : ''}
+                disabled={isSubmitting}
+              />
+              {errors.confirmPassword && <span className={styles.error}>{errors.confirmPassword}</span>}
+            </div>
+
+            {errors.submit && (
+              <div className={styles.submitError}>{errors.submit}</div>
+            )}
+
+            <button
+              type="submit"
+              className={styles.submitBtn}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : 'Set new password'}
+            </button>
+          </form>
+        )}
+
+        <div className={styles.authLink}>
+          <p><Link to="/login">Back to login</Link></p>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default ResetPassword
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react'
+import authService from '../../services/authService'
+import { describeUserAgent } from '../../utils/userAgent'
+import styles from './SessionsPage.module.css'
+
+const EVENT_LABELS = {
+  login: 'Signed in',
+  'login-failed': 'Failed login: wrong password',
+  'two-factor-failed': 'Failed login: wrong authentication code',
+  'account-locked': 'Account locked after failed logins',
+  'account-unlocked': 'Account unlocked',
+  'password-reset': 'Password reset',
+  'password-changed': 'Password changed',
+  'email-changed': 'Email address changed',
+  'account-deletion-scheduled': 'Account deletion requested',
+  'account-deletion-cancelled': 'Account deletion cancelled'
+}
+
+const WARNING_EVENTS = ['login-failed', 'two-factor-failed', 'account-locked']
+
+// Recent sign-in activity, so failed attempts on the account are visible to its owner
+const SecurityActivity = () => {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const loadEvents = async () => {
+      try {
+        setEvents(await authService.getSecurityEvents())
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'Failed to load security activity')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadEvents()
+  }, [])
+
+  return (
+    <section className={styles.activity} aria-labelledby="security-activity-title">
+      <h2 id="security-activity-title">Recent security activity</h2>
+
+      {error && <p className={styles.errorMessage}>{error}</p>}
+      {loading && <p className={styles.status}>Loading activity...</p>}
+      {!loading && !error && events.length === 0 && (
+        <p className={styles.status}>No recent activity.</p>
+      )}
+
+      {events.length > 0 && (
+        <ul className={styles.sessionList}>
+          {events.map(event => (
+            <li key={event._id} className={styles.sessionItem}>
+              <div className={styles.sessionInfo}>
+                <span className={WARNING_EVENTS.includes(event.type) ? styles.warningEvent : styles.device}>
+                  {EVENT_LABELS[event.type] || event.type}
+                </span>
+                <span className={styles.meta}>
+                  {describeUserAgent(event.userAgent)} · {event.ip || 'Unknown IP'} · {new Date(event.createdAt).toLocaleString()}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default SecurityActivity
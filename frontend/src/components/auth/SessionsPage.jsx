@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import authService from '../../services/authService'
+import { describeUserAgent } from '../../utils/userAgent'
+import SecurityActivity from './SecurityActivity'
+import styles from './SessionsPage.module.css'
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+const SessionsPage = () => {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        setSessions(await authService.getSessions())
+      } catch (err) {
+        setError(err.response?.data?.error?.message || 'Failed to load sessions')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadSessions()
+  }, [])
+
+  // Run a revocation, then drop the revoked sessions from the list
+  const run = async (action, isRevoked) => {
+    setBusy(true)
+    setError('')
+    try {
+      await action()
+      setSessions(prev => prev.filter(session => !isRevoked(session)))
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to sign out session')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRevoke = (sessionId) => run(
+    () => authService.revokeSession(sessionId),
+    session => session._id === sessionId
+  )
+
+  const handleRevokeOthers = () => run(
+    () => authService.revokeOtherSessions(),
+    session => !session.current
+  )
+
+  const hasOtherSessions = sessions.some(session => !session.current)
+
+  return (
+    <div className={styles.sessionsPage}>
+      <div className={styles.panel}>
+        <div className={styles.header}>
+          <h1>Active sessions</h1>
+          <Link to="/dashboard" className={styles.backLink}>Back to board</Link>
+        </div>
+        <p className={styles.intro}>
+          These devices are signed in to your account. Sign out any you do not recognise.
+        </p>
+
+        {error && <p className={styles.errorMessage}>{error}</p>}
+
+        {loading ? (
+          <p className={styles.status}>Loading sessions...</p>
+        ) : (
+          <ul className={styles.sessionList}>
+            {sessions.map(session => (
+              <li key={session._id} className={styles.sessionItem}>
+                <div className={styles.sessionInfo}>
+                  <span className={styles.device} title={session.userAgent}>
+                    {describeUserAgent(session.userAgent)}
+                    {session.current && <span className={styles.currentBadge}>This device</span>}
+                  </span>
+                  <span className={styles.meta}>
+                    {session.ip || 'Unknown IP'} · Last active {formatTimestamp(session.lastUsedAt)}
+                  </span>
+                  <span className={styles.meta}>Signed in {formatTimestamp(session.createdAt)}</span>
+                </div>
+                {!session.current && (
+                  <button
+                    type="button"
+                    className={styles.revokeBtn}
+                    onClick={() => handleRevoke(session._id)}
+                    disabled={busy}
+                    aria-label={`Sign out ${describeUserAgent(session.userAgent)} (${session.ip || 'unknown IP'})`}
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {hasOtherSessions && (
+          <button
+            type="button"
+            className={styles.revokeAllBtn}
+            onClick={handleRevokeOthers}
+            disabled={busy}
+          >
+            Sign out everywhere else
+          </button>
+        )}
+
+        <SecurityActivity />
+      </div>
+    </div>
+  )
+}
+
+export default SessionsPage
@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import userService from '../../services/userService'
+import { validateUsername, validateEmail, validateStrongPassword } from '../../utils/accountValidation'
+import styles from './SettingsPage.module.css'
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' }
+
+// Turn an API error into form errors, keyed by field when the API names one
+const apiErrors = (err, fallback) => {
+  const error = err.response?.data?.error
+  const field = error?.details?.field
+  return field ? { [field]: error.message } : { submit: error?.message || fallback }
+}
+
+const Field = ({ label, name, type = 'text', value, error, onChange, disabled, autoComplete }) => (
+  <div className={styles.field}>
+    <label htmlFor={name}>{label}</label>
+    <input
+      type={type}
+      id={name}
+      name={name}
+      value={value}
+      onChange={onChange}
+      className={error ? styles.inputError : ''}
+      disabled={disabled}
+      autoComplete={autoComplete}
+    />
+    {error && <span className={styles.error}>{error}</span>}
+  </div>
+)
+
+const SettingsPage = () => {
+  const { user, updateUser, logout } = useAuth()
+  const [profile, setProfile] = useState({ username: '', email: '' })
+  const [profileErrors, setProfileErrors] = useState({})
+  const [profileMessage, setProfileMessage] = useState('')
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS)
+  const [passwordErrors, setPasswordErrors] = useState({})
+  const [passwordMessage, setPasswordMessage] = useState('')
+  const [deletePassword, setDeletePassword] = useState('')
+  const [dataErrors, setDataErrors] = useState({})
+  const [saving, setSaving] = useState(null)
+
+  useEffect(() => {
+    if (user) {
+      setProfile({ username: user.username, email: user.email })
+    }
+  }, [user])
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target
+    setProfile(prev => ({ ...prev, [name]: value }))
+    setProfileErrors(prev => ({ ...prev, [name]: '', submit: '' }))
+    setProfileMessage('')
+  }
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target
+    setPasswords(prev => ({ ...prev, [name]: value }))
+    setPasswordErrors(prev => ({ ...prev, [name]: '', submit: '' }))
+    setPasswordMessage('')
+  }
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+
+    const errors = {
+      username: validateUsername(profile.username),
+      email: validateEmail(profile.email)
+    }
+    if (errors.username || errors.email) {
+      setProfileErrors(errors)
+      return
+    }
+
+    // Only send what changed
+    const changes = {}
+    if (profile.username.trim() !== user.username) changes.username = profile.username.trim()
+    if (profile.email.trim() !== user.email) changes.email = profile.email.trim()
+    if (Object.keys(changes).length === 0) {
+      setProfileMessage('Nothing to update')
+      return
+    }
+
+    setSaving('profile')
+    try {
+      const updated = await userService.updateProfile(changes)
+      updateUser(updated)
+      setProfileMessage(changes.email
+        ? 'Profile saved. Check your inbox to verify your new email address.'
+        : 'Profile saved')
+    } catch (err) {
+      setProfileErrors(apiErrors(err, 'Failed to save profile'))
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
+
+    const errors = {}
+    if (!passwords.currentPassword) errors.currentPassword = 'Current password is required'
+    const newPasswordError = validateStrongPassword(passwords.newPassword)
+    if (newPasswordError) errors.newPassword = newPasswordError
+    if (passwords.confirmPassword !== passwords.newPassword) errors.confirmPassword = 'Passwords do not match'
+    if (Object.keys(errors).length > 0) {
+      setPasswordErrors(errors)
+      return
+    }
+
+    setSaving('password')
+    try {
+      const { revokedCount } = await userService.changePassword(passwords.currentPassword, passwords.newPassword)
+      setPasswords(EMPTY_PASSWORDS)
+      setPasswordMessage(revokedCount > 0
+        ? `Password changed. Signed out of ${revokedCount} other ${revokedCount === 1 ? 'session' : 'sessions'}.`
+        : 'Password changed')
+    } catch (err) {
+      setPasswordErrors(apiErrors(err, 'Failed to change password'))
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  const handleExport = async () => {
+    setDataErrors({})
+    setSaving('export')
+    try {
+      const blob = await userService.exportData()
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `task-manager-export-${user.username}.json`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setDataErrors({ submit: err.response?.data?.error?.message || 'Failed to export your data' })
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  const handleDeleteSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!deletePassword) {
+      setDataErrors({ deletePassword: 'Password is required' })
+      return
+    }
+    if (!window.confirm('Delete your account? You will be signed out everywhere and your data will be deleted after a grace period unless you log in again.')) return
+
+    setSaving('delete')
+    try {
+      await userService.deleteAccount(deletePassword)
+      // Every session was revoked server-side, this one included
+      logout()
+    } catch (err) {
+      const error = err.response?.data?.error
+      setDataErrors(error?.details?.field === 'password'
+        ? { deletePassword: error.message }
+        : { submit: error?.message || 'Failed to delete account' })
+    } finally {
+      setSaving(null)
+    }
+  }
+
+  return (
+    <div className={styles.settingsPage}>
+      <div className={styles.panel}>
+        <div className={styles.header}>
+          <h1>Account settings</h1>
+          <Link to="/dashboard" className={styles.backLink}>Back to board</Link>
+        </div>
+
+        <form onSubmit={handleProfileSubmit} className={styles.section} aria-labelledby="profile-title">
+          <h2 id="profile-title">Profile</h2>
+          <Field
+            label="Username"
+            name="username"
+            value={profile.username}
+            error={profileErrors.username}
+            onChange={handleProfileChange}
+            disabled={saving === 'profile'}
+            autoComplete="username"
+          />
+          <Field
+            label="Email"
+            name="email"
+            type="email"
+            value={profile.email}
+            error={profileErrors.email}
+            onChange={handleProfileChange}
+            disabled={saving === 'profile'}
+            autoComplete="email"
+          />
+          {profileErrors.submit && <p className={styles.submitError}>{profileErrors.submit}</p>}
+          {profileMessage && <p className={styles.successMessage}>{profileMessage}</p>}
+          <button type="submit" className={styles.primaryBtn} disabled={saving === 'profile'}>
+            {saving === 'profile' ? 'Saving...' : 'Save profile'}
+          </button>
+        </form>
+
+        <form onSubmit={handlePasswordSubmit} className={styles.section} aria-labelledby="password-title">
+          <h2 id="password-title">Change password</h2>
+          <p className={styles.hint}>Changing your password signs you out on every other device.</p>
+          <Field
+            label="Current password"
+            name="currentPassword"
+            type="password"
+            value={passwords.currentPassword}
+            error={passwordErrors.currentPassword}
+            onChange={handlePasswordChange}
+            disabled={saving === 'password'}
+            autoComplete="current-password"
+          />
+          <Field
+            label="New password"
+            name="newPassword"
+            type="password"
+            value={passwords.newPassword}
+            error={passwordErrors.newPassword}
+            onChange={handlePasswordChange}
+            disabled={saving === 'password'}
+            autoComplete="new-password"
+          />
+          <Field
+            label="Confirm new password"
+            name="confirmPassword"
+            type="password"
+            value={passwords.confirmPassword}
+            error={passwordErrors.confirmPassword}
+            onChange={handlePasswordChange}
+            disabled={saving === 'password'}
+            autoComplete="new-password"
+          />
+          {passwordErrors.submit && <p className={styles.submitError}>{passwordErrors.submit}</p>}
+          {passwordMessage && <p className={styles.successMessage}>{passwordMessage}</p>}
+          <button type="submit" className={styles.primaryBtn} disabled={saving === 'password'}>
+            {saving === 'password' ? 'Changing...' : 'Change password'}
+          </button>
+        </form>
+
+        <div className={styles.section}>
+          <h2>Security</h2>
+          <p className={styles.links}>
+            <Link to="/two-factor">Two-factor authentication</Link>
+            <Link to="/sessions">Active sessions and security activity</Link>
+          </p>
+        </div>
+
+        <form onSubmit={handleDeleteSubmit} className={styles.section} aria-labelledby="data-title">
+          <h2 id="data-title">Your data</h2>
+          <p className={styles.hint}>Download a copy of your profile, boards, tasks and everything attached to them.</p>
+          <button type="button" className={styles.secondaryBtn} onClick={handleExport} disabled={saving === 'export'}>
+            {saving === 'export' ? 'Preparing...' : 'Export my data'}
+          </button>
+          <p className={styles.hint}>
+            Deleting your account signs you out everywhere. Your data is removed after a grace period;
+            logging in again before then keeps your account.
+          </p>
+          <Field
+            label="Confirm with your password"
+            name="deletePassword"
+            type="password"
+            value={deletePassword}
+            error={dataErrors.deletePassword}
+            onChange={(e) => {
+              setDeletePassword(e.target.value)
+              setDataErrors({})
+            }}
+            disabled={saving === 'delete'}
+            autoComplete="current-password"
+          />
+          {dataErrors.submit && <p className={styles.submitError}>{dataErrors.submit}</p>}
+          <button type="submit" className={styles.dangerBtn} disabled={saving === 'delete'}>
+            {saving === 'delete' ? 'Deleting...' : 'Delete account'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SettingsPage
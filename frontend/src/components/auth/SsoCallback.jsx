@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import styles from './AuthForms.module.css'
+
+// Where the identity provider sends the browser back after a single sign-on login
+const SsoCallback = memo(() => {
+  const [searchParams] = useSearchParams()
+  const { completeSso } = useAuth()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+  // Authorization codes are single use, so the request must not repeat on re-render
+  const requestRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    if (!requestRef.current) {
+      const ssoToken = sessionStorage.getItem('ssoToken')
+      sessionStorage.removeItem('ssoToken')
+
+      const providerError = searchParams.get('error')
+      const code = searchParams.get('code')
+      const state = searchParams.get('state')
+
+      if (providerError) {
+        requestRef.current = Promise.resolve({
+          success: false,
+          error: searchParams.get('error_description') || 'The identity provider did not sign you in'
+        })
+      } else if (!code || !state || !ssoToken) {
+        requestRef.current = Promise.resolve({
+          success: false,
+          error: 'This sign-in link is incomplete or was already used. Please start again.'
+        })
+      } else {
+        requestRef.current = completeSso(code, state, ssoToken)
+      }
+    }
+
+    requestRef.current.then((result) => {
+      if (cancelled) return
+      // A successful login navigates to the dashboard by itself
+      if (result.mfaRequired) {
+        navigate('/login', { replace: true, state: { mfaToken: result.mfaToken } })
+      } else if (!result.success) {
+        setError(result.error)
+      }
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [searchParams, completeSso, navigate])
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Single sign-on</h2>
+
+        {error
+          ? <div className={styles.submitError}>{error}</div>
+          : <p>Signing you in...</p>}
+
+        <div className={styles.authLink}>
+          <p><Link to="/login">Back to login</Link></p>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default SsoCallback
@@ -0,0 +1,178 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import QRCode from 'qrcode'
+import { useAuth } from '../../contexts/AuthContext'
+import authService from '../../services/authService'
+import styles from './TwoFactorSettings.module.css'
+
+const errorMessage = (err, fallback) => err.response?.data?.error?.message || fallback
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth()
+  // Enrollment in progress: the pending secret and its QR code
+  const [setup, setSetup] = useState(null)
+  // Shown once, right after enabling
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (action, fallback) => {
+    setBusy(true)
+    setError('')
+    try {
+      await action()
+    } catch (err) {
+      setError(errorMessage(err, fallback))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleStartSetup = () => run(async () => {
+    const { secret, otpauthUri } = await authService.setupTwoFactor()
+    // SVG output needs no canvas, so it renders the same everywhere
+    const svg = await QRCode.toString(otpauthUri, { type: 'svg', margin: 1 })
+    setSetup({ secret, qrCodeUrl: `data:image/svg+xml;utf8,${encodeURIComponent(svg)}` })
+    setCode('')
+  }, 'Failed to start two-factor setup')
+
+  const handleEnable = (e) => {
+    e.preventDefault()
+    if (!code.trim()) {
+      setError('Enter the code from your authenticator app')
+      return
+    }
+
+    run(async () => {
+      const data = await authService.enableTwoFactor(code.trim())
+      setRecoveryCodes(data.recoveryCodes)
+      setSetup(null)
+      setCode('')
+      updateUser({ twoFactorEnabled: true })
+    }, 'Failed to enable two-factor authentication')
+  }
+
+  const handleDisable = (e) => {
+    e.preventDefault()
+    if (!password || !code.trim()) {
+      setError('Enter your password and an authentication code')
+      return
+    }
+
+    run(async () => {
+      const updated = await authService.disableTwoFactor(password, code.trim())
+      setPassword('')
+      setCode('')
+      updateUser({ twoFactorEnabled: updated.twoFactorEnabled })
+    }, 'Failed to disable two-factor authentication')
+  }
+
+  const renderContent = () => {
+    if (recoveryCodes) {
+      return (
+        <>
+          <p className={styles.success}>Two-factor authentication is on.</p>
+          <p className={styles.intro}>
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose
+            your authenticator app, and they will not be shown again.
+          </p>
+          <ul className={styles.recoveryCodes} aria-label="Recovery codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <button type="button" className={styles.primaryBtn} onClick={() => setRecoveryCodes(null)}>
+            I have saved my codes
+          </button>
+        </>
+      )
+    }
+
+    if (user?.twoFactorEnabled) {
+      return (
+        <form onSubmit={handleDisable} className={styles.form}>
+          <p className={styles.success}>Two-factor authentication is on.</p>
+          <p className={styles.intro}>To turn it off, confirm your password and a current code.</p>
+          <label className={styles.field}>
+            Password
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={busy}
+            />
+          </label>
+          <label className={styles.field}>
+            Authentication code
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              disabled={busy}
+            />
+          </label>
+          <button type="submit" className={styles.dangerBtn} disabled={busy}>
+            Disable two-factor authentication
+          </button>
+        </form>
+      )
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable} className={styles.form}>
+          <p className={styles.intro}>
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCodeUrl} alt="Two-factor QR code" className={styles.qrCode} />
+          <p className={styles.intro}>
+            Cannot scan it? Enter this key instead: <code className={styles.secret}>{setup.secret}</code>
+          </p>
+          <label className={styles.field}>
+            Authentication code
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              disabled={busy}
+            />
+          </label>
+          <button type="submit" className={styles.primaryBtn} disabled={busy}>
+            {busy ? 'Verifying...' : 'Enable'}
+          </button>
+        </form>
+      )
+    }
+
+    return (
+      <>
+        <p className={styles.intro}>
+          Protect your account with a code from an authenticator app in addition to your password.
+        </p>
+        <button type="button" className={styles.primaryBtn} onClick={handleStartSetup} disabled={busy}>
+          Set up two-factor authentication
+        </button>
+      </>
+    )
+  }
+
+  return (
+    <div className={styles.settingsPage}>
+      <div className={styles.panel}>
+        <div className={styles.header}>
+          <h1>Two-factor authentication</h1>
+          <Link to="/dashboard" className={styles.backLink}>Back to board</Link>
+        </div>
+
+        {renderContent()}
+
+        {error && <p className={styles.errorMessage}>{error}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import authService from '../../services/authService'
+import styles from './AuthForms.module.css'
+
+const UnlockAccount = memo(() => {
+  const { token } = useParams()
+  const [status, setStatus] = useState('unlocking')
+  const [message, setMessage] = useState('')
+  // Unlock links are single use, so the request must not repeat on re-render
+  const requestRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    requestRef.current = requestRef.current || authService.unlockAccount(token)
+
+    requestRef.current
+      .then((result) => {
+        if (cancelled) return
+        setStatus('unlocked')
+        setMessage(result)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setStatus('failed')
+        setMessage(err.response?.data?.error?.message || 'Failed to unlock account')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Unlock account</h2>
+
+        {status === 'unlocking' && <p>Unlocking your account...</p>}
+        {status === 'unlocked' && <div className={styles.successMessage}>{message}</div>}
+        {status === 'failed' && <div className={styles.submitError}>{message}</div>}
+
+        <div className={styles.authLink}>
+          <p><Link to="/login">Go to login</Link></p>
+          {status === 'failed' && <p><Link to="/forgot-password">Reset your password instead</Link></p>}
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default UnlockAccount
@@ -0,0 +1,58 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { useAuth } from '../../contexts/AuthContext'
+import authService from '../../services/authService'
+import styles from './AuthForms.module.css'
+
+const VerifyEmail = memo(() => {
+  const { token } = useParams()
+  const { user, updateUser } = useAuth()
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('')
+  // Verification links are single use, so the request must not repeat on re-render
+  const requestRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    requestRef.current = requestRef.current || authService.verifyEmail(token)
+
+    requestRef.current
+      .then((data) => {
+        if (cancelled) return
+        setStatus('verified')
+        setMessage(data.message)
+        updateUser({ emailVerified: true })
+      })
+      .catch((err) => {
+        if (cancelled) return
+        setStatus('failed')
+        setMessage(err.response?.data?.error?.message || 'Failed to verify email address')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token, updateUser])
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Email verification</h2>
+
+        {status === 'verifying' && <p>Verifying your email address...</p>}
+        {status === 'verified' && <div className={styles.successMessage}>{message}</div>}
+        {status === 'failed' && <div className={styles.submitError}>{message}</div>}
+
+        <div className={styles.authLink}>
+          <p>
+            {user
+              ? <Link to="/dashboard">Go to your board</Link>
+              : <Link to="/login">Go to login</Link>}
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default VerifyEmail
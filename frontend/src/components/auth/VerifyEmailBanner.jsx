@@ -0,0 +1,43 @@
+import React, { useState, memo } from 'react'
+import authService from '../../services/authService'
+import styles from './VerifyEmailBanner.module.css'
+
+// Reminds users with unconfirmed addresses to follow the emailed link
+const VerifyEmailBanner = memo(({ email }) => {
+  const [sending, setSending] = useState(false)
+  const [notice, setNotice] = useState('')
+
+  const handleResend = async () => {
+    setSending(true)
+    try {
+      await authService.resendVerification(email)
+      setNotice('Verification email sent')
+    } catch (err) {
+      setNotice(err.response?.data?.error?.message || 'Failed to send verification email')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className={styles.banner} role="status">
+      <span>
+        Please confirm your email address. We sent a link to <strong>{email}</strong>.
+      </span>
+      {notice ? (
+        <span className={styles.notice}>{notice}</span>
+      ) : (
+        <button
+          type="button"
+          className={styles.resendBtn}
+          onClick={handleResend}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  )
+})
+
+export default VerifyEmailBanner
@@ -0,0 +1,48 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import ForgotPassword from '../ForgotPassword'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    forgotPassword: vi.fn()
+  }
+}))
+
+describe('ForgotPassword', () => {
+  const renderPage = () => render(
+    <MemoryRouter>
+      <ForgotPassword />
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('requests a reset link and shows the confirmation', async () => {
+    const user = userEvent.setup()
+    authService.forgotPassword.mockResolvedValue('If an account exists for that email, a password reset link has been sent')
+    renderPage()
+
+    await user.type(screen.getByLabelText('Email'), 'test@example.com')
+    await user.click(screen.getByRole('button', { name: 'Send reset link' }))
+
+    expect(authService.forgotPassword).toHaveBeenCalledWith('test@example.com')
+    expect(await screen.findByText(/a password reset link has been sent/)).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Send reset link' })).not.toBeInTheDocument()
+  })
+
+  it('validates the email before sending', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(screen.getByRole('button', { name: 'Send reset link' }))
+
+    expect(screen.getByText('Email is required')).toBeInTheDocument()
+    expect(authService.forgotPassword).not.toHaveBeenCalled()
+  })
+})
@@ -5,11 +5,16 @@ import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { BrowserRouter } from 'react-router-dom'
 import LoginForm from '../LoginForm'
 import { AuthProvider } from '../../../contexts/AuthContext'
+import authService from '../../../services/authService'
 
 // Mock the auth service
 vi.mock('../../../services/authService', () => ({
   default: {
-    verifyToken: vi.fn(() => Promise.resolve({ user: null }))
+    verifyToken: vi.fn(() => Promise.resolve({ user: null })),
+    login: vi.fn(),
+    verifyTwoFactor: vi.fn(),
+    getSsoConfig: vi.fn(),
+    startSso: vi.fn()
   }
 }))
 
@@ -276,4 +281,85 @@ describe('LoginForm', () => {
       expect(emailInput.className).not.toContain('inputError')
     })
   })
-})
\ No newline at end of file
+
+  describe('Two-factor authentication', () => {
+    const submitPassword = async (user) => {
+      await user.type(screen.getByLabelText('Email'), 'test@example.com')
+      await user.type(screen.getByLabelText('Password'), 'password123')
+      await user.click(screen.getByRole('button', { name: 'Login' }))
+    }
+
+    it('asks for a code after the password and completes the login', async () => {
+      const user = userEvent.setup()
+      authService.login.mockResolvedValue({ mfaRequired: true, mfaToken: 'mfa-token' })
+      authService.verifyTwoFactor.mockResolvedValue({ user: { _id: 'u1' }, token: 'access', refreshToken: 'refresh' })
+      render(
+        <TestWrapper>
+          <LoginForm />
+        </TestWrapper>
+      )
+
+      await submitPassword(user)
+      await user.type(await screen.findByLabelText('Authentication code'), '123456')
+      await user.click(screen.getByRole('button', { name: 'Verify' }))
+
+      expect(authService.verifyTwoFactor).toHaveBeenCalledWith('mfa-token', '123456')
+      await waitFor(() => {
+        expect(localStorage.getItem('token')).toBe('access')
+      })
+    })
+
+    it('shows an error for a wrong code and can go back to the password step', async () => {
+      const user = userEvent.setup()
+      authService.login.mockResolvedValue({ mfaRequired: true, mfaToken: 'mfa-token' })
+      authService.verifyTwoFactor.mockRejectedValue({
+        response: { data: { error: { message: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' } } }
+      })
+      render(
+        <TestWrapper>
+          <LoginForm />
+        </TestWrapper>
+      )
+
+      await submitPassword(user)
+      await user.type(await screen.findByLabelText('Authentication code'), '000000')
+      await user.click(screen.getByRole('button', { name: 'Verify' }))
+
+      expect(await screen.findByText('Invalid authentication code')).toBeInTheDocument()
+
+      await user.click(screen.getByRole('button', { name: 'Back to login' }))
+
+      expect(screen.getByLabelText('Email')).toBeInTheDocument()
+    })
+  })
+
+  describe('Single sign-on', () => {
+    it('offers no SSO button when it is not configured', async () => {
+      authService.getSsoConfig.mockResolvedValue({ enabled: false, providerName: 'SSO' })
+      render(
+        <TestWrapper>
+          <LoginForm />
+        </TestWrapper>
+      )
+
+      await waitFor(() => expect(authService.getSsoConfig).toHaveBeenCalled())
+      expect(screen.queryByRole('button', { name: /Sign in with/ })).not.toBeInTheDocument()
+    })
+
+    it('starts the login at the identity provider', async () => {
+      const user = userEvent.setup()
+      authService.getSsoConfig.mockResolvedValue({ enabled: true, providerName: 'SSO' })
+      authService.startSso.mockResolvedValue({ authorizationUrl: 'http://localhost/authorize', ssoToken: 'sso-token' })
+      render(
+        <TestWrapper>
+          <LoginForm />
+        </TestWrapper>
+      )
+
+      await user.click(await screen.findByRole('button', { name: 'Sign in with SSO' }))
+
+      expect(authService.startSso).toHaveBeenCalled()
+      expect(sessionStorage.getItem('ssoToken')).toBe('sso-token')
+    })
+  })
+})
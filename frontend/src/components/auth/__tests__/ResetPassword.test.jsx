@@ -0,0 +1,73 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import ResetPassword from '../ResetPassword'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    resetPassword: vi.fn()
+  }
+}))
+
+describe('ResetPassword', () => {
+  const renderPage = (path = '/reset-password?token=abc123') => render(
+    <MemoryRouter initialEntries={[path]}>
+      <ResetPassword />
+    </MemoryRouter>
+  )
+
+  const fillPasswords = async (user, password, confirmation = password) => {
+    await user.type(screen.getByLabelText('New password'), password)
+    await user.type(screen.getByLabelText('Confirm new password'), confirmation)
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('sets a new password with the token from the link', async () => {
+    const user = userEvent.setup()
+    authService.resetPassword.mockResolvedValue('Password has been reset. Please log in with your new password.')
+    renderPage()
+
+    await fillPasswords(user, 'newpassword456')
+    await user.click(screen.getByRole('button', { name: 'Set new password' }))
+
+    expect(authService.resetPassword).toHaveBeenCalledWith('abc123', 'newpassword456')
+    expect(await screen.findByText(/Password has been reset/)).toBeInTheDocument()
+  })
+
+  it('requires matching passwords', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await fillPasswords(user, 'newpassword456', 'different789')
+    await user.click(screen.getByRole('button', { name: 'Set new password' }))
+
+    expect(screen.getByText('Passwords do not match')).toBeInTheDocument()
+    expect(authService.resetPassword).not.toHaveBeenCalled()
+  })
+
+  it('shows API errors for expired links', async () => {
+    const user = userEvent.setup()
+    authService.resetPassword.mockRejectedValue({
+      response: { data: { error: { message: 'Reset link is invalid or has expired' } } }
+    })
+    renderPage()
+
+    await fillPasswords(user, 'newpassword456')
+    await user.click(screen.getByRole('button', { name: 'Set new password' }))
+
+    expect(await screen.findByText('Reset link is invalid or has expired')).toBeInTheDocument()
+  })
+
+  it('asks for a new link when the token is missing', () => {
+    renderPage('/reset-password')
+
+    expect(screen.getByText('Request a new link')).toBeInTheDocument()
+    expect(screen.queryByLabelText('New password')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,116 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import SessionsPage from '../SessionsPage'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    getSessions: vi.fn(),
+    revokeSession: vi.fn(),
+    revokeOtherSessions: vi.fn(),
+    getSecurityEvents: vi.fn()
+  }
+}))
+
+describe('SessionsPage', () => {
+  const sessions = [
+    {
+      _id: 's1',
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+      ip: '10.0.0.1',
+      createdAt: '2024-01-01T10:00:00.000Z',
+      lastUsedAt: '2024-01-02T10:00:00.000Z',
+      current: true
+    },
+    {
+      _id: 's2',
+      userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+      ip: '10.0.0.2',
+      createdAt: '2024-01-01T09:00:00.000Z',
+      lastUsedAt: '2024-01-01T12:00:00.000Z',
+      current: false
+    },
+    {
+      _id: 's3',
+      userAgent: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0',
+      ip: '10.0.0.3',
+      createdAt: '2024-01-01T08:00:00.000Z',
+      lastUsedAt: '2024-01-01T11:00:00.000Z',
+      current: false
+    }
+  ]
+
+  const renderPage = () => render(
+    <MemoryRouter>
+      <SessionsPage />
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    authService.getSessions.mockResolvedValue(sessions)
+    authService.getSecurityEvents.mockResolvedValue([])
+  })
+
+  it('lists sessions with device, IP and the current device marked', async () => {
+    renderPage()
+
+    expect(await screen.findByText('Chrome on macOS')).toBeInTheDocument()
+    expect(screen.getByText('Safari on iOS')).toBeInTheDocument()
+    expect(screen.getByText('Firefox on Linux')).toBeInTheDocument()
+    expect(screen.getByText('This device')).toBeInTheDocument()
+    expect(screen.getByText(/10\.0\.0\.2/)).toBeInTheDocument()
+    // The current session is signed out with the regular logout button
+    expect(screen.getAllByRole('button', { name: /^Sign out .*\(/ })).toHaveLength(2)
+  })
+
+  it('signs out a single session', async () => {
+    const user = userEvent.setup()
+    authService.revokeSession.mockResolvedValue()
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Sign out Safari on iOS (10.0.0.2)' }))
+
+    expect(authService.revokeSession).toHaveBeenCalledWith('s2')
+    await waitFor(() => {
+      expect(screen.queryByText('Safari on iOS')).not.toBeInTheDocument()
+    })
+    expect(screen.getByText('Firefox on Linux')).toBeInTheDocument()
+  })
+
+  it('signs out everywhere else', async () => {
+    const user = userEvent.setup()
+    authService.revokeOtherSessions.mockResolvedValue(2)
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Sign out everywhere else' }))
+
+    await waitFor(() => {
+      expect(screen.queryByText('Firefox on Linux')).not.toBeInTheDocument()
+    })
+    expect(screen.getByText('Chrome on macOS')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Sign out everywhere else' })).not.toBeInTheDocument()
+  })
+
+  it('shows errors from the API', async () => {
+    authService.getSessions.mockRejectedValue({
+      response: { data: { error: { message: 'Session has been revoked.' } } }
+    })
+    renderPage()
+
+    expect(await screen.findByText('Session has been revoked.')).toBeInTheDocument()
+  })
+  it('shows recent security activity with failed logins', async () => {
+    authService.getSecurityEvents.mockResolvedValue([
+      { _id: 'e1', type: 'account-locked', ip: '10.0.0.9', userAgent: '', createdAt: '2024-01-02T10:00:00.000Z' },
+      { _id: 'e2', type: 'login-failed', ip: '10.0.0.9', userAgent: '', createdAt: '2024-01-02T09:59:00.000Z' }
+    ])
+    renderPage()
+
+    expect(await screen.findByText('Account locked after failed logins')).toBeInTheDocument()
+    expect(screen.getByText('Failed login: wrong password')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,127 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import SettingsPage from '../SettingsPage'
+import { AuthProvider } from '../../../contexts/AuthContext'
+import authService from '../../../services/authService'
+import userService from '../../../services/userService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    verifyToken: vi.fn(),
+    logout: vi.fn()
+  }
+}))
+
+vi.mock('../../../services/userService', () => ({
+  default: {
+    updateProfile: vi.fn(),
+    changePassword: vi.fn(),
+    deleteAccount: vi.fn()
+  }
+}))
+
+describe('SettingsPage', () => {
+  const renderPage = () => render(
+    <MemoryRouter>
+      <AuthProvider>
+        <SettingsPage />
+      </AuthProvider>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+    localStorage.setItem('token', 'access-token')
+    authService.verifyToken.mockResolvedValue({ _id: 'u1', username: 'testuser', email: 'test@example.com' })
+  })
+
+  it('saves only the changed profile fields', async () => {
+    const user = userEvent.setup()
+    userService.updateProfile.mockResolvedValue({ _id: 'u1', username: 'renamed', email: 'test@example.com' })
+    renderPage()
+
+    const usernameInput = await screen.findByDisplayValue('testuser')
+    await user.clear(usernameInput)
+    await user.type(usernameInput, 'renamed')
+    await user.click(screen.getByRole('button', { name: 'Save profile' }))
+
+    expect(userService.updateProfile).toHaveBeenCalledWith({ username: 'renamed' })
+    expect(await screen.findByText('Profile saved')).toBeInTheDocument()
+  })
+
+  it('shows field errors from the registration rules and the API', async () => {
+    const user = userEvent.setup()
+    userService.updateProfile.mockRejectedValue({
+      response: { data: { error: { message: 'User with this email already exists', details: { field: 'email' } } } }
+    })
+    renderPage()
+
+    const usernameInput = await screen.findByDisplayValue('testuser')
+    await user.type(usernameInput, ' x')
+    await user.click(screen.getByRole('button', { name: 'Save profile' }))
+
+    expect(screen.getByText('Username can only contain letters, numbers, and underscores')).toBeInTheDocument()
+    expect(userService.updateProfile).not.toHaveBeenCalled()
+
+    await user.clear(usernameInput)
+    await user.type(usernameInput, 'testuser')
+    const emailInput = screen.getByLabelText('Email')
+    await user.clear(emailInput)
+    await user.type(emailInput, 'taken@example.com')
+    await user.click(screen.getByRole('button', { name: 'Save profile' }))
+
+    expect(await screen.findByText('User with this email already exists')).toBeInTheDocument()
+  })
+
+  it('changes the password after checking the new one', async () => {
+    const user = userEvent.setup()
+    userService.changePassword.mockResolvedValue({ message: 'Password changed', revokedCount: 2 })
+    renderPage()
+
+    await user.type(await screen.findByLabelText('Current password'), 'password123')
+    await user.type(screen.getByLabelText('New password'), 'weakpass')
+    await user.type(screen.getByLabelText('Confirm new password'), 'weakpass')
+    await user.click(screen.getByRole('button', { name: 'Change password' }))
+
+    expect(screen.getByText(/one uppercase letter/)).toBeInTheDocument()
+    expect(userService.changePassword).not.toHaveBeenCalled()
+
+    await user.clear(screen.getByLabelText('New password'))
+    await user.type(screen.getByLabelText('New password'), 'N3wPassw0rd!')
+    await user.clear(screen.getByLabelText('Confirm new password'))
+    await user.type(screen.getByLabelText('Confirm new password'), 'N3wPassw0rd!')
+    await user.click(screen.getByRole('button', { name: 'Change password' }))
+
+    expect(userService.changePassword).toHaveBeenCalledWith('password123', 'N3wPassw0rd!')
+    expect(await screen.findByText('Password changed. Signed out of 2 other sessions.')).toBeInTheDocument()
+  })
+
+  it('deletes the account after confirmation and signs out', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    localStorage.setItem('refreshToken', 'refresh-token')
+    userService.deleteAccount
+      .mockRejectedValueOnce({
+        response: { data: { error: { message: 'Password is incorrect', details: { field: 'password' } } } }
+      })
+      .mockResolvedValueOnce({ deletionScheduledFor: '2026-11-02T00:00:00.000Z' })
+    renderPage()
+
+    await user.type(await screen.findByLabelText('Confirm with your password'), 'wrongpassword')
+    await user.click(screen.getByRole('button', { name: 'Delete account' }))
+    expect(await screen.findByText('Password is incorrect')).toBeInTheDocument()
+    expect(localStorage.getItem('token')).toBe('access-token')
+
+    await user.clear(screen.getByLabelText('Confirm with your password'))
+    await user.type(screen.getByLabelText('Confirm with your password'), 'password123')
+    await user.click(screen.getByRole('button', { name: 'Delete account' }))
+
+    expect(userService.deleteAccount).toHaveBeenLastCalledWith('password123')
+    await waitFor(() => expect(localStorage.getItem('token')).toBeNull())
+    expect(authService.logout).toHaveBeenCalledWith('refresh-token')
+  })
+})
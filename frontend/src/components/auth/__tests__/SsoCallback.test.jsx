@@ -0,0 +1,62 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import SsoCallback from '../SsoCallback'
+import LoginForm from '../LoginForm'
+import { AuthProvider } from '../../../contexts/AuthContext'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    verifyToken: vi.fn(),
+    completeSso: vi.fn(),
+    getSsoConfig: vi.fn()
+  }
+}))
+
+describe('SsoCallback', () => {
+  const renderPage = (search) => render(
+    <MemoryRouter initialEntries={[`/sso/callback${search}`]}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/sso/callback" element={<SsoCallback />} />
+          <Route path="/login" element={<LoginForm />} />
+          <Route path="/dashboard" element={<div>Dashboard</div>} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+    sessionStorage.clear()
+    sessionStorage.setItem('ssoToken', 'sso-token')
+  })
+
+  it('finishes the login with the code from the provider', async () => {
+    authService.completeSso.mockResolvedValue({ user: { _id: 'u1' }, token: 'access', refreshToken: 'refresh' })
+    renderPage('?code=auth-code&state=state-1')
+
+    expect(await screen.findByText('Dashboard')).toBeInTheDocument()
+    expect(authService.completeSso).toHaveBeenCalledTimes(1)
+    expect(authService.completeSso).toHaveBeenCalledWith('auth-code', 'state-1', 'sso-token')
+    expect(localStorage.getItem('token')).toBe('access')
+    expect(sessionStorage.getItem('ssoToken')).toBeNull()
+  })
+
+  it('shows the error the provider reported', async () => {
+    renderPage('?error=access_denied&error_description=User%20cancelled%20the%20login')
+
+    expect(await screen.findByText('User cancelled the login')).toBeInTheDocument()
+    expect(authService.completeSso).not.toHaveBeenCalled()
+  })
+
+  it('continues with the second factor when the account has one', async () => {
+    authService.completeSso.mockResolvedValue({ mfaRequired: true, mfaToken: 'mfa-token' })
+    renderPage('?code=auth-code&state=state-1')
+
+    expect(await screen.findByLabelText('Authentication code')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,96 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import TwoFactorSettings from '../TwoFactorSettings'
+import { AuthProvider } from '../../../contexts/AuthContext'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    verifyToken: vi.fn(),
+    setupTwoFactor: vi.fn(),
+    enableTwoFactor: vi.fn(),
+    disableTwoFactor: vi.fn()
+  }
+}))
+
+describe('TwoFactorSettings', () => {
+  const renderPage = () => render(
+    <MemoryRouter>
+      <AuthProvider>
+        <TwoFactorSettings />
+      </AuthProvider>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+    localStorage.setItem('token', 'access-token')
+  })
+
+  it('enrolls with a QR code and shows the recovery codes once', async () => {
+    const user = userEvent.setup()
+    authService.verifyToken.mockResolvedValue({ _id: 'u1', twoFactorEnabled: false })
+    authService.setupTwoFactor.mockResolvedValue({
+      secret: 'JBSWY3DPEHPK3PXP',
+      otpauthUri: 'otpauth://totp/Task%20Manager%3Atest%40example.com?secret=JBSWY3DPEHPK3PXP'
+    })
+    authService.enableTwoFactor.mockResolvedValue({
+      user: { twoFactorEnabled: true },
+      recoveryCodes: ['aaaaa-11111', 'bbbbb-22222']
+    })
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Set up two-factor authentication' }))
+
+    expect(await screen.findByAltText('Two-factor QR code')).toHaveAttribute('src', expect.stringContaining('data:image/svg+xml'))
+    expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument()
+
+    await user.type(screen.getByLabelText('Authentication code'), '123456')
+    await user.click(screen.getByRole('button', { name: 'Enable' }))
+
+    expect(authService.enableTwoFactor).toHaveBeenCalledWith('123456')
+    expect(await screen.findByText('aaaaa-11111')).toBeInTheDocument()
+    expect(screen.getByText('bbbbb-22222')).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'I have saved my codes' }))
+
+    expect(screen.queryByText('aaaaa-11111')).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Disable two-factor authentication' })).toBeInTheDocument()
+  })
+
+  it('shows API errors for a wrong code', async () => {
+    const user = userEvent.setup()
+    authService.verifyToken.mockResolvedValue({ _id: 'u1', twoFactorEnabled: false })
+    authService.setupTwoFactor.mockResolvedValue({ secret: 'JBSWY3DPEHPK3PXP', otpauthUri: 'otpauth://totp/x?secret=JBSWY3DPEHPK3PXP' })
+    authService.enableTwoFactor.mockRejectedValue({
+      response: { data: { error: { message: 'Invalid authentication code' } } }
+    })
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'Set up two-factor authentication' }))
+    await user.type(await screen.findByLabelText('Authentication code'), '000000')
+    await user.click(screen.getByRole('button', { name: 'Enable' }))
+
+    expect(await screen.findByText('Invalid authentication code')).toBeInTheDocument()
+  })
+
+  it('disables two-factor authentication with password and code', async () => {
+    const user = userEvent.setup()
+    authService.verifyToken.mockResolvedValue({ _id: 'u1', twoFactorEnabled: true })
+    authService.disableTwoFactor.mockResolvedValue({ _id: 'u1', twoFactorEnabled: false })
+    renderPage()
+
+    await user.type(await screen.findByLabelText('Password'), 'password123')
+    await user.type(screen.getByLabelText('Authentication code'), '654321')
+    await user.click(screen.getByRole('button', { name: 'Disable two-factor authentication' }))
+
+    expect(authService.disableTwoFactor).toHaveBeenCalledWith('password123', '654321')
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Set up two-factor authentication' })).toBeInTheDocument()
+    })
+  })
+})
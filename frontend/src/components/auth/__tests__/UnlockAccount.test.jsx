@@ -0,0 +1,47 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import UnlockAccount from '../UnlockAccount'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    unlockAccount: vi.fn()
+  }
+}))
+
+describe('UnlockAccount', () => {
+  const token = 'b'.repeat(64)
+
+  const renderPage = () => render(
+    <MemoryRouter initialEntries={[`/unlock-account/${token}`]}>
+      <Routes>
+        <Route path="/unlock-account/:token" element={<UnlockAccount />} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('unlocks the account from the link', async () => {
+    authService.unlockAccount.mockResolvedValue('Your account has been unlocked. You can log in again.')
+    renderPage()
+
+    expect(await screen.findByText('Your account has been unlocked. You can log in again.')).toBeInTheDocument()
+    expect(authService.unlockAccount).toHaveBeenCalledTimes(1)
+    expect(authService.unlockAccount).toHaveBeenCalledWith(token)
+  })
+
+  it('shows an error for an expired link', async () => {
+    authService.unlockAccount.mockRejectedValue({
+      response: { data: { error: { message: 'Unlock link is invalid or has expired' } } }
+    })
+    renderPage()
+
+    expect(await screen.findByText('Unlock link is invalid or has expired')).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Reset your password instead' })).toBeInTheDocument()
+  })
+})
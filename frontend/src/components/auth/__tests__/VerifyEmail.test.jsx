@@ -0,0 +1,52 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import VerifyEmail from '../VerifyEmail'
+import { AuthProvider } from '../../../contexts/AuthContext'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    verifyEmail: vi.fn(),
+    verifyToken: vi.fn()
+  }
+}))
+
+describe('VerifyEmail', () => {
+  const token = 'a'.repeat(64)
+
+  const renderPage = () => render(
+    <MemoryRouter initialEntries={[`/verify-email/${token}`]}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+  })
+
+  it('verifies the token from the link once', async () => {
+    authService.verifyEmail.mockResolvedValue({ message: 'Email address verified', user: {} })
+    renderPage()
+
+    expect(await screen.findByText('Email address verified')).toBeInTheDocument()
+    expect(authService.verifyEmail).toHaveBeenCalledTimes(1)
+    expect(authService.verifyEmail).toHaveBeenCalledWith(token)
+    expect(screen.getByText('Go to login')).toBeInTheDocument()
+  })
+
+  it('explains expired links', async () => {
+    authService.verifyEmail.mockRejectedValue({
+      response: { data: { error: { message: 'Verification link is invalid or has expired' } } }
+    })
+    renderPage()
+
+    expect(await screen.findByText('Verification link is invalid or has expired')).toBeInTheDocument()
+  })
+})
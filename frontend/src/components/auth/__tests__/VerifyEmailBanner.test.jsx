@@ -0,0 +1,42 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import VerifyEmailBanner from '../VerifyEmailBanner'
+import authService from '../../../services/authService'
+
+vi.mock('../../../services/authService', () => ({
+  default: {
+    resendVerification: vi.fn()
+  }
+}))
+
+describe('VerifyEmailBanner', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('resends the verification email', async () => {
+    const user = userEvent.setup()
+    authService.resendVerification.mockResolvedValue('sent')
+    render(<VerifyEmailBanner email="test@example.com" />)
+
+    expect(screen.getByText('test@example.com')).toBeInTheDocument()
+    await user.click(screen.getByRole('button', { name: 'Resend email' }))
+
+    expect(authService.resendVerification).toHaveBeenCalledWith('test@example.com')
+    expect(await screen.findByText('Verification email sent')).toBeInTheDocument()
+  })
+
+  it('shows rate limit errors', async () => {
+    const user = userEvent.setup()
+    authService.resendVerification.mockRejectedValue({
+      response: { data: { error: { message: 'Too many verification emails requested, please try again later' } } }
+    })
+    render(<VerifyEmailBanner email="test@example.com" />)
+
+    await user.click(screen.getByRole('button', { name: 'Resend email' }))
+
+    expect(await screen.findByText(/Too many verification emails/)).toBeInTheDocument()
+  })
+})
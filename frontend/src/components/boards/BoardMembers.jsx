@@ -0,0 +1,220 @@
+import React, { useState, useEffect, memo } from 'react'
+import { MEMBER_ROLES, getRoleLabel } from '../../utils/boardRoles'
+import styles from './BoardMembers.module.css'
+
+const BoardMembers = memo(({
+  isOpen,
+  onClose,
+  boardName = '',
+  currentUserId,
+  canManage = false,
+  onLoad,
+  onAdd,
+  onUpdate,
+  onRemove
+}) => {
+  const [owner, setOwner] = useState(null)
+  const [members, setMembers] = useState([])
+  const [invitee, setInvitee] = useState('')
+  const [inviteRole, setInviteRole] = useState('viewer')
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const applyMembers = (result) => {
+    if (!result) return
+    setOwner(result.owner || null)
+    setMembers(result.members || [])
+  }
+
+  // Fetch the member list each time the dialog opens
+  useEffect(() => {
+    if (!isOpen) {
+      setInvitee('')
+      setInviteRole('viewer')
+      setError('')
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    onLoad()
+      .then(result => {
+        if (!cancelled) applyMembers(result)
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load members')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, onLoad])
+
+  // Run a membership change, surfacing API errors inside the dialog
+  const run = async (action) => {
+    setSaving(true)
+    setError('')
+    try {
+      applyMembers(await action())
+      return true
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to update members')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const value = invitee.trim()
+    if (!value) {
+      setError('Enter a username or email address')
+      return
+    }
+
+    const target = value.includes('@') ? { email: value } : { username: value }
+    if (await run(() => onAdd(target, inviteRole))) {
+      setInvitee('')
+    }
+  }
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.userId.username} from this board?`)) return
+    run(() => onRemove(member.userId._id))
+  }
+
+  // Leaving closes the dialog; the board disappears from the user's list
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave "${boardName}"? You will lose access to its tasks.`)) return
+    setSaving(true)
+    setError('')
+    try {
+      await onRemove(currentUserId)
+      onClose()
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to leave the board')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !saving) {
+      onClose()
+    }
+  }
+
+  if (!isOpen) return null
+
+  const isMember = members.some(member => member.userId._id === currentUserId)
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleBackdropClick}>
+      <div className={styles.modal} role="dialog" aria-labelledby="board-members-title">
+        <div className={styles.modalHeader}>
+          <h2 id="board-members-title" className={styles.modalTitle}>Share &quot;{boardName}&quot;</h2>
+          <button
+            className={styles.closeBtn}
+            onClick={onClose}
+            disabled={saving}
+            aria-label="Close board members"
+          >
+            ×
+          </button>
+        </div>
+
+        {loading ? (
+          <p className={styles.loading}>Loading members...</p>
+        ) : (
+          <ul className={styles.memberList}>
+            {owner && (
+              <li className={styles.memberItem}>
+                <span className={styles.memberName}>{owner.username}</span>
+                <span className={styles.roleLabel}>{getRoleLabel('owner')}</span>
+              </li>
+            )}
+            {members.map(member => (
+              <li key={member.userId._id} className={styles.memberItem}>
+                <span className={styles.memberName}>
+                  {member.userId.username}
+                  {member.userId._id === currentUserId && ' (you)'}
+                </span>
+                {canManage ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) => run(() => onUpdate(member.userId._id, e.target.value))}
+                      className={styles.roleSelect}
+                      aria-label={`Role of ${member.userId.username}`}
+                      disabled={saving}
+                    >
+                      {MEMBER_ROLES.map(role => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      className={styles.linkBtn}
+                      onClick={() => handleRemove(member)}
+                      disabled={saving}
+                      aria-label={`Remove ${member.userId.username}`}
+                    >
+                      Remove
+                    </button>
+                  </>
+                ) : (
+                  <span className={styles.roleLabel}>{getRoleLabel(member.role)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canManage && (
+          <form className={styles.inviteForm} onSubmit={handleInvite}>
+            <input
+              type="text"
+              value={invitee}
+              onChange={(e) => setInvitee(e.target.value)}
+              className={styles.inviteInput}
+              placeholder="Username or email"
+              aria-label="Username or email to invite"
+              disabled={saving}
+            />
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className={styles.roleSelect}
+              aria-label="Role for the invited user"
+              disabled={saving}
+            >
+              {MEMBER_ROLES.map(role => (
+                <option key={role.value} value={role.value}>{role.label}</option>
+              ))}
+            </select>
+            <button type="submit" className={styles.primaryBtn} disabled={saving}>
+              Invite
+            </button>
+          </form>
+        )}
+
+        {!canManage && isMember && (
+          <div className={styles.leaveRow}>
+            <button type="button" className={styles.dangerBtn} onClick={handleLeave} disabled={saving}>
+              Leave board
+            </button>
+          </div>
+        )}
+
+        {error && <p className={styles.errorMessage}>{error}</p>}
+      </div>
+    </div>
+  )
+})
+
+export default BoardMembers
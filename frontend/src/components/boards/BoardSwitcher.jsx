@@ -0,0 +1,117 @@
+import React, { useState, memo } from 'react'
+import { getBoardRole } from '../../utils/boardRoles'
+import styles from './BoardSwitcher.module.css'
+
+const BoardSwitcher = memo(({
+  boards = [],
+  currentBoardId,
+  currentUserId,
+  onSelect,
+  onCreate,
+  onDelete,
+  onShare
+}) => {
+  const [isCreating, setIsCreating] = useState(false)
+  const [newBoardName, setNewBoardName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const currentBoard = boards.find(board => board._id === currentBoardId)
+
+  const closeCreateForm = () => {
+    setIsCreating(false)
+    setNewBoardName('')
+    setError('')
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const name = newBoardName.trim()
+    if (!name) {
+      setError('Board name is required')
+      return
+    }
+    if (name.length > 100) {
+      setError('Board name must be 100 characters or less')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      await onCreate({ name })
+      closeCreateForm()
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to create board')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = () => {
+    if (!currentBoard) return
+    if (!window.confirm(`Delete "${currentBoard.name}" and all of its tasks?`)) return
+    onDelete(currentBoard)
+  }
+
+  return (
+    <div className={styles.boardSwitcher}>
+      <select
+        value={currentBoardId || ''}
+        onChange={(e) => onSelect(e.target.value)}
+        className={styles.boardSelect}
+        aria-label="Current board"
+        disabled={boards.length === 0}
+      >
+        {boards.map(board => (
+          <option key={board._id} value={board._id}>
+            {board.name}{getBoardRole(board, currentUserId) === 'owner' ? '' : ' (shared)'}
+          </option>
+        ))}
+      </select>
+
+      {isCreating ? (
+        <form className={styles.createForm} onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={newBoardName}
+            onChange={(e) => setNewBoardName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && closeCreateForm()}
+            className={styles.nameInput}
+            placeholder="Board name"
+            aria-label="New board name"
+            maxLength={100}
+            disabled={saving}
+            autoFocus
+          />
+          <button type="submit" className={styles.primaryBtn} disabled={saving}>
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+          <button type="button" className={styles.linkBtn} onClick={closeCreateForm} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <button type="button" className={styles.linkBtn} onClick={() => setIsCreating(true)}>
+            New board
+          </button>
+          {onShare && currentBoard && (
+            <button type="button" className={styles.linkBtn} onClick={onShare}>
+              {getBoardRole(currentBoard, currentUserId) === 'owner' ? 'Share' : 'Members'}
+            </button>
+          )}
+          {onDelete && boards.length > 1 && (
+            <button type="button" className={styles.linkBtn} onClick={handleDelete}>
+              Delete board
+            </button>
+          )}
+        </>
+      )}
+
+      {error && <span className={styles.errorMessage}>{error}</span>}
+    </div>
+  )
+})
+
+export default BoardSwitcher
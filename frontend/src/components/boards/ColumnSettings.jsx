@@ -0,0 +1,242 @@
+import React, { useState, useEffect, memo } from 'react'
+import styles from './ColumnSettings.module.css'
+
+const MAX_COLUMN_NAME_LENGTH = 50
+
+const ColumnSettings = memo(({
+  isOpen,
+  onClose,
+  columns = [],
+  onAdd,
+  onUpdate,
+  onReorder,
+  onDelete
+}) => {
+  const [names, setNames] = useState({})
+  const [newColumnName, setNewColumnName] = useState('')
+  const [deleting, setDeleting] = useState(null)
+  const [moveTo, setMoveTo] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  // Keep the rename inputs in step with the board, e.g. after a socket update
+  useEffect(() => {
+    setNames(Object.fromEntries(columns.map(column => [column._id, column.name])))
+  }, [columns])
+
+  useEffect(() => {
+    if (!isOpen) {
+      setNewColumnName('')
+      setDeleting(null)
+      setError('')
+    }
+  }, [isOpen])
+
+  // Run a column change, surfacing API errors inside the dialog
+  const run = async (action) => {
+    setSaving(true)
+    setError('')
+    try {
+      await action()
+      return true
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to update columns')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const validateName = (name) => {
+    if (!name) return 'Column name is required'
+    if (name.length > MAX_COLUMN_NAME_LENGTH) {
+      return `Column name must be ${MAX_COLUMN_NAME_LENGTH} characters or less`
+    }
+    return ''
+  }
+
+  const handleRename = (column) => {
+    const name = (names[column._id] || '').trim()
+    if (name === column.name) return
+
+    const nameError = validateName(name)
+    if (nameError) {
+      setError(nameError)
+      setNames(prev => ({ ...prev, [column._id]: column.name }))
+      return
+    }
+
+    run(() => onUpdate(column._id, { name }))
+  }
+
+  const handleMove = (index, offset) => {
+    const ids = columns.map(column => column._id)
+    const [moved] = ids.splice(index, 1)
+    ids.splice(index + offset, 0, moved)
+    run(() => onReorder(ids))
+  }
+
+  const startDelete = (column) => {
+    setDeleting(column._id)
+    setMoveTo(columns.find(other => other._id !== column._id)?.key || '')
+  }
+
+  const handleDelete = async (column) => {
+    if (await run(() => onDelete(column._id, moveTo))) {
+      setDeleting(null)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    const name = newColumnName.trim()
+    const nameError = validateName(name)
+    if (nameError) {
+      setError(nameError)
+      return
+    }
+
+    if (await run(() => onAdd({ name }))) {
+      setNewColumnName('')
+    }
+  }
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !saving) {
+      onClose()
+    }
+  }
+
+  if (!isOpen) return null
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleBackdropClick}>
+      <div className={styles.modal} role="dialog" aria-labelledby="column-settings-title">
+        <div className={styles.modalHeader}>
+          <h2 id="column-settings-title" className={styles.modalTitle}>Edit columns</h2>
+          <button
+            className={styles.closeBtn}
+            onClick={onClose}
+            disabled={saving}
+            aria-label="Close column settings"
+          >
+            ×
+          </button>
+        </div>
+
+        <ul className={styles.columnList}>
+          {columns.map((column, index) => (
+            <li key={column._id} className={styles.columnItem}>
+              <div className={styles.columnRow}>
+                <input
+                  type="text"
+                  value={names[column._id] ?? column.name}
+                  onChange={(e) => setNames(prev => ({ ...prev, [column._id]: e.target.value }))}
+                  onBlur={() => handleRename(column)}
+                  onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                  className={styles.nameInput}
+                  aria-label={`Name of column ${column.name}`}
+                  maxLength={MAX_COLUMN_NAME_LENGTH}
+                  disabled={saving}
+                />
+                <label className={styles.doneToggle}>
+                  <input
+                    type="radio"
+                    name="doneColumn"
+                    checked={column.isDone}
+                    onChange={() => run(() => onUpdate(column._id, { isDone: true }))}
+                    disabled={saving}
+                  />
+                  Done
+                </label>
+                <button
+                  type="button"
+                  className={styles.iconBtn}
+                  onClick={() => handleMove(index, -1)}
+                  disabled={saving || index === 0}
+                  aria-label={`Move ${column.name} up`}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className={styles.iconBtn}
+                  onClick={() => handleMove(index, 1)}
+                  disabled={saving || index === columns.length - 1}
+                  aria-label={`Move ${column.name} down`}
+                >
+                  ↓
+                </button>
+                {columns.length > 1 && (
+                  <button
+                    type="button"
+                    className={styles.linkBtn}
+                    onClick={() => startDelete(column)}
+                    disabled={saving}
+                    aria-label={`Delete ${column.name}`}
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+
+              {deleting === column._id && (
+                <div className={styles.deleteConfirm}>
+                  <label>
+                    Move its tasks to
+                    <select
+                      value={moveTo}
+                      onChange={(e) => setMoveTo(e.target.value)}
+                      className={styles.moveSelect}
+                      disabled={saving}
+                    >
+                      {columns.filter(other => other._id !== column._id).map(other => (
+                        <option key={other._id} value={other.key}>{other.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button
+                    type="button"
+                    className={styles.dangerBtn}
+                    onClick={() => handleDelete(column)}
+                    disabled={saving}
+                  >
+                    Delete column
+                  </button>
+                  <button
+                    type="button"
+                    className={styles.linkBtn}
+                    onClick={() => setDeleting(null)}
+                    disabled={saving}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <form className={styles.addForm} onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newColumnName}
+            onChange={(e) => setNewColumnName(e.target.value)}
+            className={styles.nameInput}
+            placeholder="Column name"
+            aria-label="New column name"
+            maxLength={MAX_COLUMN_NAME_LENGTH}
+            disabled={saving}
+          />
+          <button type="submit" className={styles.primaryBtn} disabled={saving}>
+            Add column
+          </button>
+        </form>
+
+        {error && <p className={styles.errorMessage}>{error}</p>}
+      </div>
+    </div>
+  )
+})
+
+export default ColumnSettings
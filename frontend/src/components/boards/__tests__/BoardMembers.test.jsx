@@ -0,0 +1,115 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import BoardMembers from '../BoardMembers'
+
+describe('BoardMembers', () => {
+  const memberList = {
+    owner: { _id: 'u1', username: 'alice' },
+    members: [
+      { userId: { _id: 'u2', username: 'bob' }, role: 'editor' }
+    ]
+  }
+
+  const mockProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    boardName: 'Team',
+    currentUserId: 'u1',
+    canManage: true,
+    onLoad: vi.fn(),
+    onAdd: vi.fn(),
+    onUpdate: vi.fn(),
+    onRemove: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockProps.onLoad.mockResolvedValue(memberList)
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+  })
+
+  it('renders nothing when closed', () => {
+    render(<BoardMembers {...mockProps} isOpen={false} />)
+
+    expect(screen.queryByText('Share "Team"')).not.toBeInTheDocument()
+    expect(mockProps.onLoad).not.toHaveBeenCalled()
+  })
+
+  it('lists the owner and members', async () => {
+    render(<BoardMembers {...mockProps} />)
+
+    expect(await screen.findByText('bob')).toBeInTheDocument()
+    expect(screen.getByText('alice')).toBeInTheDocument()
+    expect(screen.getByText('Owner')).toBeInTheDocument()
+    expect(screen.getByLabelText('Role of bob')).toHaveValue('editor')
+  })
+
+  it('invites by email or username with the chosen role', async () => {
+    const user = userEvent.setup()
+    mockProps.onAdd.mockResolvedValue(memberList)
+    render(<BoardMembers {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.type(screen.getByLabelText('Username or email to invite'), 'carol@example.com')
+    await user.selectOptions(screen.getByLabelText('Role for the invited user'), 'commenter')
+    await user.click(screen.getByRole('button', { name: 'Invite' }))
+
+    expect(mockProps.onAdd).toHaveBeenCalledWith({ email: 'carol@example.com' }, 'commenter')
+    await waitFor(() => {
+      expect(screen.getByLabelText('Username or email to invite')).toHaveValue('')
+    })
+
+    await user.type(screen.getByLabelText('Username or email to invite'), 'dave')
+    await user.click(screen.getByRole('button', { name: 'Invite' }))
+
+    expect(mockProps.onAdd).toHaveBeenLastCalledWith({ username: 'dave' }, 'commenter')
+  })
+
+  it('shows invitation errors from the API', async () => {
+    const user = userEvent.setup()
+    mockProps.onAdd.mockRejectedValue({
+      response: { data: { error: { message: 'No user with that username or email' } } }
+    })
+    render(<BoardMembers {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.type(screen.getByLabelText('Username or email to invite'), 'nobody')
+    await user.click(screen.getByRole('button', { name: 'Invite' }))
+
+    expect(await screen.findByText('No user with that username or email')).toBeInTheDocument()
+  })
+
+  it('changes roles and removes members', async () => {
+    const user = userEvent.setup()
+    mockProps.onUpdate.mockResolvedValue(memberList)
+    mockProps.onRemove.mockResolvedValue({ ...memberList, members: [] })
+    render(<BoardMembers {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.selectOptions(screen.getByLabelText('Role of bob'), 'viewer')
+    expect(mockProps.onUpdate).toHaveBeenCalledWith('u2', 'viewer')
+
+    await user.click(screen.getByRole('button', { name: 'Remove bob' }))
+    expect(mockProps.onRemove).toHaveBeenCalledWith('u2')
+    await waitFor(() => {
+      expect(screen.queryByText('bob')).not.toBeInTheDocument()
+    })
+  })
+
+  it('lets members see roles and leave the board', async () => {
+    const user = userEvent.setup()
+    mockProps.onRemove.mockResolvedValue(memberList)
+    render(<BoardMembers {...mockProps} currentUserId="u2" canManage={false} />)
+    await screen.findByText('Editor')
+
+    expect(screen.queryByLabelText('Username or email to invite')).not.toBeInTheDocument()
+    expect(screen.queryByLabelText('Role of bob')).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Leave board' }))
+
+    expect(mockProps.onRemove).toHaveBeenCalledWith('u2')
+    expect(mockProps.onClose).toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,120 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import BoardSwitcher from '../BoardSwitcher'
+
+describe('BoardSwitcher', () => {
+  const boards = [
+    { _id: 'b1', name: 'My Task Board' },
+    { _id: 'b2', name: 'Side project' }
+  ]
+
+  const mockProps = {
+    boards,
+    currentBoardId: 'b1',
+    onSelect: vi.fn(),
+    onCreate: vi.fn(),
+    onDelete: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows the current board and switches on selection', async () => {
+    const user = userEvent.setup()
+    render(<BoardSwitcher {...mockProps} />)
+
+    const select = screen.getByLabelText('Current board')
+    expect(select).toHaveValue('b1')
+
+    await user.selectOptions(select, 'b2')
+
+    expect(mockProps.onSelect).toHaveBeenCalledWith('b2')
+  })
+
+  it('creates a board from the inline form', async () => {
+    const user = userEvent.setup()
+    mockProps.onCreate.mockResolvedValue({ _id: 'b3', name: 'Errands' })
+    render(<BoardSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'New board' }))
+    await user.type(screen.getByLabelText('New board name'), '  Errands  ')
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(mockProps.onCreate).toHaveBeenCalledWith({ name: 'Errands' })
+    await waitFor(() => {
+      expect(screen.queryByLabelText('New board name')).not.toBeInTheDocument()
+    })
+  })
+
+  it('requires a board name', async () => {
+    const user = userEvent.setup()
+    render(<BoardSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'New board' }))
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(screen.getByText('Board name is required')).toBeInTheDocument()
+    expect(mockProps.onCreate).not.toHaveBeenCalled()
+  })
+
+  it('keeps the form open and shows server errors', async () => {
+    const user = userEvent.setup()
+    mockProps.onCreate.mockRejectedValue({
+      response: { data: { error: { message: 'Validation failed' } } }
+    })
+    render(<BoardSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'New board' }))
+    await user.type(screen.getByLabelText('New board name'), 'Errands')
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(await screen.findByText('Validation failed')).toBeInTheDocument()
+    expect(screen.getByLabelText('New board name')).toHaveValue('Errands')
+  })
+
+  it('deletes the current board after confirmation', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    render(<BoardSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'Delete board' }))
+
+    expect(window.confirm).toHaveBeenCalledWith('Delete "My Task Board" and all of its tasks?')
+    expect(mockProps.onDelete).toHaveBeenCalledWith(boards[0])
+  })
+
+  it('does not offer to delete the only board', () => {
+    render(<BoardSwitcher {...mockProps} boards={[boards[0]]} />)
+
+    expect(screen.queryByRole('button', { name: 'Delete board' })).not.toBeInTheDocument()
+  })
+
+  it('marks boards shared with the user and opens the member list', async () => {
+    const user = userEvent.setup()
+    const onShare = vi.fn()
+    const sharedBoards = [
+      { _id: 'b1', name: 'My Task Board', userId: 'u1', members: [] },
+      { _id: 'b2', name: 'Team', userId: 'u2', members: [{ userId: 'u1', role: 'viewer' }] }
+    ]
+    render(
+      <BoardSwitcher
+        {...mockProps}
+        boards={sharedBoards}
+        currentBoardId="b2"
+        currentUserId="u1"
+        onDelete={undefined}
+        onShare={onShare}
+      />
+    )
+
+    expect(screen.getByRole('option', { name: 'Team (shared)' })).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Delete board' })).not.toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Members' }))
+
+    expect(onShare).toHaveBeenCalled()
+  })
+})
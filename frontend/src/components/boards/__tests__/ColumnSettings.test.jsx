@@ -0,0 +1,105 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import ColumnSettings from '../ColumnSettings'
+
+describe('ColumnSettings', () => {
+  const columns = [
+    { _id: 'c1', key: 'todo', name: 'To Do', isDone: false },
+    { _id: 'c2', key: 'inprogress', name: 'In Progress', isDone: false },
+    { _id: 'c3', key: 'done', name: 'Done', isDone: true }
+  ]
+
+  const mockProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    columns,
+    onAdd: vi.fn(),
+    onUpdate: vi.fn(),
+    onReorder: vi.fn(),
+    onDelete: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('renders nothing when closed', () => {
+    render(<ColumnSettings {...mockProps} isOpen={false} />)
+
+    expect(screen.queryByText('Edit columns')).not.toBeInTheDocument()
+  })
+
+  it('renames a column when the input loses focus', async () => {
+    const user = userEvent.setup()
+    mockProps.onUpdate.mockResolvedValue()
+    render(<ColumnSettings {...mockProps} />)
+
+    const input = screen.getByLabelText('Name of column To Do')
+    await user.clear(input)
+    await user.type(input, 'Backlog{Enter}')
+
+    expect(mockProps.onUpdate).toHaveBeenCalledWith('c1', { name: 'Backlog' })
+  })
+
+  it('marks a different column as done', async () => {
+    const user = userEvent.setup()
+    mockProps.onUpdate.mockResolvedValue()
+    render(<ColumnSettings {...mockProps} />)
+
+    await user.click(screen.getAllByRole('radio')[1])
+
+    expect(mockProps.onUpdate).toHaveBeenCalledWith('c2', { isDone: true })
+  })
+
+  it('moves a column up', async () => {
+    const user = userEvent.setup()
+    mockProps.onReorder.mockResolvedValue()
+    render(<ColumnSettings {...mockProps} />)
+
+    expect(screen.getByLabelText('Move To Do up')).toBeDisabled()
+    await user.click(screen.getByLabelText('Move Done up'))
+
+    expect(mockProps.onReorder).toHaveBeenCalledWith(['c1', 'c3', 'c2'])
+  })
+
+  it('deletes a column, moving its tasks to the chosen column', async () => {
+    const user = userEvent.setup()
+    mockProps.onDelete.mockResolvedValue()
+    render(<ColumnSettings {...mockProps} />)
+
+    await user.click(screen.getByLabelText('Delete In Progress'))
+    await user.selectOptions(screen.getByLabelText('Move its tasks to'), 'done')
+    await user.click(screen.getByRole('button', { name: 'Delete column' }))
+
+    expect(mockProps.onDelete).toHaveBeenCalledWith('c2', 'done')
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Delete column' })).not.toBeInTheDocument()
+    })
+  })
+
+  it('adds a column and shows API errors', async () => {
+    const user = userEvent.setup()
+    mockProps.onAdd.mockRejectedValue({
+      response: { data: { error: { message: 'A board cannot have more than 20 columns' } } }
+    })
+    render(<ColumnSettings {...mockProps} />)
+
+    await user.type(screen.getByLabelText('New column name'), 'Review')
+    await user.click(screen.getByRole('button', { name: 'Add column' }))
+
+    expect(mockProps.onAdd).toHaveBeenCalledWith({ name: 'Review' })
+    expect(await screen.findByText('A board cannot have more than 20 columns')).toBeInTheDocument()
+  })
+
+  it('requires a name for new columns', async () => {
+    const user = userEvent.setup()
+    render(<ColumnSettings {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'Add column' }))
+
+    expect(screen.getByText('Column name is required')).toBeInTheDocument()
+    expect(mockProps.onAdd).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import { describeNotification, formatUnreadCount } from '../../utils/notifications'
+import styles from './NotificationBell.module.css'
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+// Bell in the header with the unread count; opens a dropdown of recent notifications
+const NotificationBell = memo(({
+  notifications = [],
+  unreadCount = 0,
+  onOpen,
+  onSelect,
+  onMarkAllRead
+}) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close when clicking outside the dropdown or pressing Escape
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+
+    document.addEventListener('mousedown', handleClick)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClick)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [isOpen])
+
+  const toggle = () => {
+    if (!isOpen && onOpen) onOpen()
+    setIsOpen(!isOpen)
+  }
+
+  const handleSelect = (notification) => {
+    setIsOpen(false)
+    onSelect(notification)
+  }
+
+  return (
+    <div className={styles.notificationBell} ref={containerRef}>
+      <button
+        type="button"
+        className={styles.bellBtn}
+        onClick={toggle}
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <span aria-hidden="true">🔔</span>
+        {unreadCount > 0 && (
+          <span className={styles.badge} aria-hidden="true">{formatUnreadCount(unreadCount)}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className={styles.dropdown} role="region" aria-label="Notifications">
+          <div className={styles.dropdownHeader}>
+            <span className={styles.dropdownTitle}>Notifications</span>
+            {unreadCount > 0 && (
+              <button type="button" className={styles.linkBtn} onClick={onMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className={styles.empty}>You&apos;re all caught up.</p>
+          ) : (
+            <ul className={styles.list}>
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    type="button"
+                    className={`${styles.item} ${notification.readAt ? '' : styles.unread}`}
+                    onClick={() => handleSelect(notification)}
+                  >
+                    <span className={styles.itemText}>{describeNotification(notification)}</span>
+                    <span className={styles.itemTime}>{formatTimestamp(notification.createdAt)}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default NotificationBell
@@ -0,0 +1,90 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import NotificationBell from '../NotificationBell'
+
+describe('NotificationBell', () => {
+  const notifications = [
+    {
+      _id: 'n1',
+      type: 'comment',
+      actorId: { _id: 'u2', username: 'bob' },
+      taskId: 't1',
+      taskTitle: 'Write report',
+      readAt: null,
+      createdAt: '2030-01-02T10:00:00.000Z'
+    },
+    {
+      _id: 'n2',
+      type: 'overdue',
+      actorId: null,
+      taskId: 't2',
+      taskTitle: 'Pay invoice',
+      readAt: '2030-01-01T12:00:00.000Z',
+      createdAt: '2030-01-01T10:00:00.000Z'
+    }
+  ]
+
+  const mockProps = {
+    notifications,
+    unreadCount: 1,
+    onOpen: vi.fn(),
+    onSelect: vi.fn(),
+    onMarkAllRead: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows the unread count on the bell', () => {
+    render(<NotificationBell {...mockProps} unreadCount={120} />)
+
+    expect(screen.getByRole('button', { name: 'Notifications (120 unread)' })).toBeInTheDocument()
+    expect(screen.getByText('99+')).toBeInTheDocument()
+    expect(screen.queryByText('bob commented on "Write report"')).not.toBeInTheDocument()
+  })
+
+  it('lists notifications when opened', async () => {
+    const user = userEvent.setup()
+    render(<NotificationBell {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'Notifications (1 unread)' }))
+
+    expect(mockProps.onOpen).toHaveBeenCalled()
+    expect(screen.getByText('bob commented on "Write report"')).toBeInTheDocument()
+    expect(screen.getByText('"Pay invoice" is overdue')).toBeInTheDocument()
+  })
+
+  it('opens a notification and closes the dropdown', async () => {
+    const user = userEvent.setup()
+    render(<NotificationBell {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'Notifications (1 unread)' }))
+    await user.click(screen.getByText('bob commented on "Write report"'))
+
+    expect(mockProps.onSelect).toHaveBeenCalledWith(notifications[0])
+    expect(screen.queryByRole('region', { name: 'Notifications' })).not.toBeInTheDocument()
+  })
+
+  it('marks everything read', async () => {
+    const user = userEvent.setup()
+    render(<NotificationBell {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'Notifications (1 unread)' }))
+    await user.click(screen.getByRole('button', { name: 'Mark all as read' }))
+
+    expect(mockProps.onMarkAllRead).toHaveBeenCalled()
+  })
+
+  it('says so when there is nothing to show', async () => {
+    const user = userEvent.setup()
+    render(<NotificationBell {...mockProps} notifications={[]} unreadCount={0} />)
+
+    await user.click(screen.getByRole('button', { name: 'Notifications' }))
+
+    expect(screen.getByText('You\'re all caught up.')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Mark all as read' })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,47 @@
+import React, { memo } from 'react'
+import { getInitials, getAvatarColor } from '../../utils/assignees'
+import styles from './AssigneePicker.module.css'
+
+const AssigneePicker = memo(({
+  users = [],
+  selectedIds = [],
+  onChange,
+  currentUserId,
+  disabled = false
+}) => {
+  const toggleUser = (user) => {
+    if (disabled) return
+    const isSelected = selectedIds.includes(user._id)
+    onChange(isSelected
+      ? selectedIds.filter(id => id !== user._id)
+      : [...selectedIds, user._id]
+    )
+  }
+
+  return (
+    <div className={styles.assigneeList}>
+      {users.map(user => (
+        <button
+          key={user._id}
+          type="button"
+          className={styles.assigneeOption}
+          onClick={() => toggleUser(user)}
+          aria-pressed={selectedIds.includes(user._id)}
+          disabled={disabled}
+        >
+          <span
+            className={styles.avatar}
+            style={{ backgroundColor: getAvatarColor(user.username) }}
+            aria-hidden="true"
+          >
+            {getInitials(user.username)}
+          </span>
+          {user.username}
+          {user._id === currentUserId && ' (you)'}
+        </button>
+      ))}
+    </div>
+  )
+})
+
+export default AssigneePicker
@@ -0,0 +1,33 @@
+import React, { memo } from 'react'
+import styles from './AssignmentNotice.module.css'
+
+// Banner telling the user someone assigned them to a task, or mentioned them in one
+// (notices with mentionedBy)
+const AssignmentNotice = memo(({ notice, onOpen, onDismiss }) => {
+  if (!notice) return null
+
+  const { task, assignedBy, mentionedBy } = notice
+  const isMention = Boolean(mentionedBy)
+  const actor = (isMention ? mentionedBy : assignedBy)?.username || 'Someone'
+
+  return (
+    <div className={styles.notice} role="status">
+      <span>
+        <strong>{actor}</strong> {isMention ? 'mentioned you in' : 'assigned you to'} &quot;{task.title}&quot;
+      </span>
+      <button type="button" className={styles.openBtn} onClick={() => onOpen(task)}>
+        Open task
+      </button>
+      <button
+        type="button"
+        className={styles.dismissBtn}
+        onClick={onDismiss}
+        aria-label={isMention ? 'Dismiss mention notice' : 'Dismiss assignment notice'}
+      >
+        ×
+      </button>
+    </div>
+  )
+})
+
+export default AssignmentNotice
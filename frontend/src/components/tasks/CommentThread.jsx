@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useMemo, memo } from 'react'
+import { useSocket } from '../../contexts/SocketContext'
+import commentService from '../../services/commentService'
+import MentionInput from './MentionInput'
+import MentionText from './MentionText'
+import styles from './CommentThread.module.css'
+
+const formatTimestamp = (dateString) => new Date(dateString).toLocaleString()
+
+// Merge a comment into the list, replacing any copy we already have
+const upsertComment = (comments, comment) => {
+  if (comments.some(existing => existing._id === comment._id)) {
+    return comments.map(existing => existing._id === comment._id ? comment : existing)
+  }
+  return [...comments, comment]
+}
+
+const CommentThread = memo(({
+  taskId,
+  boardId = null,
+  currentUserId,
+  mentionableUsers = [],
+  onMentionNavigate,
+  onCommentCountChange
+}) => {
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [newBody, setNewBody] = useState('')
+  const [replyTo, setReplyTo] = useState(null)
+  const [replyBody, setReplyBody] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editBody, setEditBody] = useState('')
+  const [saving, setSaving] = useState(false)
+  const { socketService, isConnected } = useSocket()
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadComments = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const response = await commentService.getComments(taskId)
+        if (!cancelled) setComments(response.comments)
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load comments')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadComments()
+    return () => {
+      cancelled = true
+    }
+  }, [taskId])
+
+  // Pick up comments written in other sessions while the thread is open
+  useEffect(() => {
+    if (!socketService || !isConnected) return
+
+    const handleCommentSaved = (data) => {
+      if (data.taskId !== taskId) return
+      setComments(prevComments => upsertComment(prevComments, data.comment))
+    }
+
+    const handleCommentDeleted = (data) => {
+      if (data.taskId !== taskId) return
+      setComments(prevComments =>
+        prevComments.filter(comment => !data.deletedIds.includes(comment._id))
+      )
+    }
+
+    socketService.onCommentCreated(handleCommentSaved)
+    socketService.onCommentUpdated(handleCommentSaved)
+    socketService.onCommentDeleted(handleCommentDeleted)
+
+    return () => {
+      socketService.offCommentCreated(handleCommentSaved)
+      socketService.offCommentUpdated(handleCommentSaved)
+      socketService.offCommentDeleted(handleCommentDeleted)
+    }
+  }, [socketService, isConnected, taskId])
+
+  const threads = useMemo(() => {
+    const topLevel = comments.filter(comment => !comment.parentId)
+    return topLevel.map(comment => ({
+      comment,
+      replies: comments.filter(reply => reply.parentId === comment._id)
+    }))
+  }, [comments])
+
+  // Wrap a request so the thread shows one shared saving state and error line
+  const runRequest = async (request) => {
+    setSaving(true)
+    setError('')
+    try {
+      await request()
+      return true
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to save comment')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCreate = async (body, parentId = null) => {
+    const text = body.trim()
+    if (!text) return false
+
+    return runRequest(async () => {
+      const { comment, commentCount } = await commentService.createComment(taskId, text, parentId)
+      setComments(prevComments => upsertComment(prevComments, comment))
+      onCommentCountChange?.(commentCount)
+    })
+  }
+
+  const handleAddComment = async () => {
+    if (await handleCreate(newBody)) {
+      setNewBody('')
+    }
+  }
+
+  const handleAddReply = async () => {
+    if (await handleCreate(replyBody, replyTo)) {
+      setReplyTo(null)
+      setReplyBody('')
+    }
+  }
+
+  const handleSaveEdit = async () => {
+    const text = editBody.trim()
+    if (!text) return
+
+    const saved = await runRequest(async () => {
+      const { comment } = await commentService.updateComment(taskId, editingId, text)
+      setComments(prevComments => upsertComment(prevComments, comment))
+    })
+    if (saved) {
+      setEditingId(null)
+      setEditBody('')
+    }
+  }
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return
+
+    await runRequest(async () => {
+      const { deletedIds, commentCount } = await commentService.deleteComment(taskId, comment._id)
+      setComments(prevComments =>
+        prevComments.filter(existing => !deletedIds.includes(existing._id))
+      )
+      onCommentCountChange?.(commentCount)
+    })
+  }
+
+  const startEditing = (comment) => {
+    setEditingId(comment._id)
+    setEditBody(comment.body)
+  }
+
+  const renderComment = (comment, isReply = false) => {
+    const isOwn = comment.userId?._id === currentUserId
+
+    return (
+      <div className={`${styles.comment} ${isReply ? styles.reply : ''}`}>
+        <div className={styles.commentHeader}>
+          <span className={styles.author}>{comment.userId?.username || 'Unknown user'}</span>
+          <span className={styles.timestamp}>
+            {formatTimestamp(comment.createdAt)}
+            {comment.editedAt && ' (edited)'}
+          </span>
+        </div>
+
+        {editingId === comment._id ? (
+          <div className={styles.editor}>
+            <MentionInput
+              value={editBody}
+              users={mentionableUsers}
+              onChange={(e) => setEditBody(e.target.value)}
+              className={styles.textarea}
+              aria-label="Edit comment"
+              rows={2}
+              maxLength={2000}
+              disabled={saving}
+            />
+            <div className={styles.editorActions}>
+              <button type="button" className={styles.linkBtn} onClick={() => setEditingId(null)}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={styles.primaryBtn}
+                onClick={handleSaveEdit}
+                disabled={saving || !editBody.trim()}
+              >
+                Save
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className={styles.body}>
+            <MentionText
+              text={comment.body}
+              mentions={comment.mentions}
+              boardId={boardId}
+              onNavigate={onMentionNavigate}
+            />
+          </p>
+        )}
+
+        <div className={styles.commentActions}>
+          {!isReply && (
+            <button type="button" className={styles.linkBtn} onClick={() => setReplyTo(comment._id)}>
+              Reply
+            </button>
+          )}
+          {isOwn && editingId !== comment._id && (
+            <>
+              <button type="button" className={styles.linkBtn} onClick={() => startEditing(comment)}>
+                Edit
+              </button>
+              <button type="button" className={styles.linkBtn} onClick={() => handleDelete(comment)}>
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={styles.commentThread}>
+      {loading ? (
+        <p className={styles.hint}>Loading comments...</p>
+      ) : threads.length === 0 ? (
+        <p className={styles.hint}>No comments yet.</p>
+      ) : (
+        <ul className={styles.threadList}>
+          {threads.map(({ comment, replies }) => (
+            <li key={comment._id}>
+              {renderComment(comment)}
+              {replies.map(reply => (
+                <React.Fragment key={reply._id}>{renderComment(reply, true)}</React.Fragment>
+              ))}
+              {replyTo === comment._id && (
+                <div className={`${styles.editor} ${styles.reply}`}>
+                  <MentionInput
+                    value={replyBody}
+                    users={mentionableUsers}
+                    onChange={(e) => setReplyBody(e.target.value)}
+                    className={styles.textarea}
+                    placeholder="Write a reply..."
+                    aria-label="Reply"
+                    rows={2}
+                    maxLength={2000}
+                    disabled={saving}
+                  />
+                  <div className={styles.editorActions}>
+                    <button type="button" className={styles.linkBtn} onClick={() => setReplyTo(null)}>
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      className={styles.primaryBtn}
+                      onClick={handleAddReply}
+                      disabled={saving || !replyBody.trim()}
+                    >
+                      Post reply
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.editor}>
+        <MentionInput
+          value={newBody}
+          users={mentionableUsers}
+          onChange={(e) => setNewBody(e.target.value)}
+          className={styles.textarea}
+          placeholder="Write a comment..."
+          aria-label="New comment"
+          rows={2}
+          maxLength={2000}
+          disabled={saving}
+        />
+        <div className={styles.editorActions}>
+          <button
+            type="button"
+            className={styles.primaryBtn}
+            onClick={handleAddComment}
+            disabled={saving || !newBody.trim()}
+          >
+            Comment
+          </button>
+        </div>
+      </div>
+
+      {error && <span className={styles.errorMessage}>{error}</span>}
+    </div>
+  )
+})
+
+export default CommentThread
@@ -0,0 +1,47 @@
+import React, { memo } from 'react'
+import styles from './LabelChip.module.css'
+
+// Pick dark or light text depending on the label color's brightness
+const getTextColor = (hexColor = '') => {
+  const hex = hexColor.replace('#', '')
+  if (hex.length !== 6) return '#ffffff'
+
+  const r = parseInt(hex.slice(0, 2), 16)
+  const g = parseInt(hex.slice(2, 4), 16)
+  const b = parseInt(hex.slice(4, 6), 16)
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000
+
+  return brightness > 150 ? '#172b4d' : '#ffffff'
+}
+
+const LabelChip = memo(({ label, selected = false, onClick }) => {
+  const style = {
+    backgroundColor: label.color,
+    color: getTextColor(label.color)
+  }
+  const className = `${styles.labelChip} ${onClick ? styles.clickable : ''} ${
+    onClick && !selected ? styles.unselected : ''
+  }`
+
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={className}
+        style={style}
+        onClick={() => onClick(label)}
+        aria-pressed={selected}
+      >
+        {label.name}
+      </button>
+    )
+  }
+
+  return (
+    <span className={className} style={style}>
+      {label.name}
+    </span>
+  )
+})
+
+export default LabelChip
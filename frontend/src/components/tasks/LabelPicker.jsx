@@ -0,0 +1,116 @@
+import React, { useState, memo } from 'react'
+import LabelChip from './LabelChip'
+import styles from './LabelPicker.module.css'
+
+const DEFAULT_LABEL_COLOR = '#0079bf'
+
+const LabelPicker = memo(({
+  labels = [],
+  selectedIds = [],
+  onChange,
+  onCreateLabel,
+  disabled = false
+}) => {
+  const [newLabelName, setNewLabelName] = useState('')
+  const [newLabelColor, setNewLabelColor] = useState(DEFAULT_LABEL_COLOR)
+  const [creating, setCreating] = useState(false)
+  const [error, setError] = useState('')
+
+  const toggleLabel = (label) => {
+    if (disabled) return
+    const isSelected = selectedIds.includes(label._id)
+    onChange(isSelected
+      ? selectedIds.filter(id => id !== label._id)
+      : [...selectedIds, label._id]
+    )
+  }
+
+  const handleCreate = async () => {
+    const name = newLabelName.trim()
+    if (!name) {
+      setError('Label name is required')
+      return
+    }
+    if (name.length > 30) {
+      setError('Label name must be 30 characters or less')
+      return
+    }
+
+    setCreating(true)
+    setError('')
+    try {
+      const label = await onCreateLabel({ name, color: newLabelColor })
+      if (label?._id) {
+        onChange([...selectedIds, label._id])
+      }
+      setNewLabelName('')
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to create label')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    // Enter creates the label instead of submitting the surrounding task form
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      handleCreate()
+    }
+  }
+
+  return (
+    <div className={styles.labelPicker}>
+      {labels.length === 0 ? (
+        <p className={styles.emptyHint}>No labels yet. Create one below.</p>
+      ) : (
+        <div className={styles.labelList}>
+          {labels.map(label => (
+            <LabelChip
+              key={label._id}
+              label={label}
+              selected={selectedIds.includes(label._id)}
+              onClick={toggleLabel}
+            />
+          ))}
+        </div>
+      )}
+
+      {onCreateLabel && (
+        <div className={styles.createRow}>
+          <input
+            type="text"
+            value={newLabelName}
+            onChange={(e) => setNewLabelName(e.target.value)}
+            onKeyDown={handleKeyDown}
+            className={styles.nameInput}
+            placeholder="New label..."
+            aria-label="New label name"
+            maxLength={30}
+            disabled={disabled || creating}
+          />
+          <input
+            type="color"
+            value={newLabelColor}
+            onChange={(e) => setNewLabelColor(e.target.value)}
+            className={styles.colorInput}
+            aria-label="New label color"
+            disabled={disabled || creating}
+          />
+          <button
+            type="button"
+            onClick={handleCreate}
+            className={styles.addBtn}
+            disabled={disabled || creating}
+          >
+            {creating ? 'Adding...' : 'Add label'}
+          </button>
+        </div>
+      )}
+
+      {error && <span className={styles.errorMessage}>{error}</span>}
+    </div>
+  )
+})
+
+export default LabelPicker
@@ -0,0 +1,100 @@
+import React, { useState, useRef, useEffect, useId, memo } from 'react'
+import { getMentionQuery, getMentionSuggestions, insertMention } from '../../utils/mentions'
+import styles from './MentionInput.module.css'
+
+// Textarea that suggests usernames while an @mention is typed. Arrow keys move
+// through the suggestions, Enter or Tab picks one and Escape dismisses them.
+// Other props are passed to the textarea.
+const MentionInput = memo(({
+  value,
+  onChange,
+  users = [],
+  name,
+  ...textareaProps
+}) => {
+  const [mention, setMention] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const textareaRef = useRef(null)
+  const pendingCaret = useRef(null)
+  const listId = useId()
+
+  const suggestions = mention ? getMentionSuggestions(users, mention.query) : []
+  const isOpen = suggestions.length > 0
+
+  // Put the caret after a mention once the picked username is in the text
+  useEffect(() => {
+    if (pendingCaret.current !== null && textareaRef.current) {
+      textareaRef.current.setSelectionRange(pendingCaret.current, pendingCaret.current)
+      pendingCaret.current = null
+    }
+  }, [value])
+
+  const handleChange = (e) => {
+    onChange(e)
+    const caret = e.target.selectionStart
+    const found = getMentionQuery(e.target.value, caret)
+    setMention(found && { ...found, caret })
+    setActiveIndex(0)
+  }
+
+  const pickUser = (user) => {
+    const next = insertMention(value, mention.start, mention.caret, user.username)
+    pendingCaret.current = next.caret
+    onChange({ target: { name, value: next.text } })
+    setMention(null)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex(index => (index + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      pickUser(suggestions[activeIndex])
+    } else if (e.key === 'Escape') {
+      setMention(null)
+    }
+  }
+
+  return (
+    <div className={styles.mentionInput}>
+      <textarea
+        {...textareaProps}
+        ref={textareaRef}
+        name={name}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setMention(null)}
+        aria-autocomplete="list"
+        aria-controls={isOpen ? listId : undefined}
+        aria-activedescendant={isOpen ? `${listId}-${activeIndex}` : undefined}
+      />
+      {isOpen && (
+        <ul id={listId} role="listbox" aria-label="Mention suggestions" className={styles.suggestions}>
+          {suggestions.map((user, index) => (
+            <li
+              key={user._id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={styles.suggestion}
+              // Pick on mousedown so the textarea keeps focus
+              onMouseDown={(e) => {
+                e.preventDefault()
+                pickUser(user)
+              }}
+            >
+              @{user.username}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+})
+
+export default MentionInput
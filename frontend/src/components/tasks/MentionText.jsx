@@ -0,0 +1,36 @@
+import React, { memo } from 'react'
+import { Link } from 'react-router-dom'
+import { splitMentions, getMentionPath } from '../../utils/mentions'
+import styles from './MentionText.module.css'
+
+// Text with its resolved @mentions linked to the mentioned user's cards on the board.
+// Anything else, including @names that matched nobody, stays plain text.
+const MentionText = memo(({ text = '', mentions = [], boardId = null, onNavigate }) => (
+  <>
+    {splitMentions(text, mentions).map((segment, index) => {
+      if (!segment.mention) {
+        return <React.Fragment key={index}>{segment.text}</React.Fragment>
+      }
+      // Tasks from before boards existed have nowhere to link to
+      if (!boardId) {
+        return <span key={index} className={styles.mention}>{segment.text}</span>
+      }
+      return (
+        <Link
+          key={index}
+          to={getMentionPath(boardId, segment.mention.userId)}
+          className={styles.mention}
+          title={`Show cards assigned to ${segment.mention.username}`}
+          onClick={(e) => {
+            e.stopPropagation()
+            onNavigate?.()
+          }}
+        >
+          {segment.text}
+        </Link>
+      )
+    })}
+  </>
+))
+
+export default MentionText
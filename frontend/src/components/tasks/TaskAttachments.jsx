@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import attachmentService from '../../services/attachmentService'
+import {
+  ALLOWED_ATTACHMENT_TYPES,
+  formatFileSize,
+  getAttachmentError,
+  isImageAttachment
+} from '../../utils/attachments'
+import styles from './TaskAttachments.module.css'
+
+const TaskAttachments = memo(({ taskId }) => {
+  const [attachments, setAttachments] = useState([])
+  const [previews, setPreviews] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+  const previewUrlsRef = useRef([])
+  const requestedPreviewsRef = useRef(new Set())
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadAttachments = async () => {
+      setLoading(true)
+      setError('')
+      try {
+        const response = await attachmentService.getAttachments(taskId)
+        if (!cancelled) setAttachments(response.attachments)
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load attachments')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadAttachments()
+    return () => {
+      cancelled = true
+    }
+  }, [taskId])
+
+  // Image previews need the auth header, so they are fetched as blobs
+  useEffect(() => {
+    attachments
+      .filter(attachment => isImageAttachment(attachment) && !requestedPreviewsRef.current.has(attachment._id))
+      .forEach(async (attachment) => {
+        requestedPreviewsRef.current.add(attachment._id)
+        try {
+          const blob = await attachmentService.getAttachmentBlob(taskId, attachment._id, { inline: true })
+          const url = URL.createObjectURL(blob)
+          previewUrlsRef.current.push(url)
+          setPreviews(prev => ({ ...prev, [attachment._id]: url }))
+        } catch (err) {
+          // A missing preview is not worth an error message; the file row still shows
+          console.error('Failed to load attachment preview:', err)
+        }
+      })
+  }, [attachments, taskId])
+
+  // Release preview blobs when the modal closes
+  useEffect(() => {
+    const previewUrls = previewUrlsRef.current
+    return () => {
+      previewUrls.forEach(url => URL.revokeObjectURL(url))
+    }
+  }, [])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    const fileError = getAttachmentError(file)
+    if (fileError) {
+      setError(fileError)
+      return
+    }
+
+    setError('')
+    setUploadProgress(0)
+    try {
+      const { attachment } = await attachmentService.uploadAttachment(taskId, file, setUploadProgress)
+      setAttachments(prev => [...prev, attachment])
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to upload file')
+    } finally {
+      setUploadProgress(null)
+    }
+  }
+
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await attachmentService.getAttachmentBlob(taskId, attachment._id)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = attachment.originalName
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to download file')
+    }
+  }
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.originalName}?`)) return
+
+    try {
+      await attachmentService.deleteAttachment(taskId, attachment._id)
+      setAttachments(prev => prev.filter(existing => existing._id !== attachment._id))
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to delete file')
+    }
+  }
+
+  return (
+    <div className={styles.attachments}>
+      {loading ? (
+        <p className={styles.hint}>Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className={styles.hint}>No attachments yet.</p>
+      ) : (
+        <ul className={styles.attachmentList}>
+          {attachments.map(attachment => (
+            <li key={attachment._id} className={styles.attachment}>
+              <div className={styles.thumbnail}>
+                {previews[attachment._id] ? (
+                  <img src={previews[attachment._id]} alt={attachment.originalName} />
+                ) : (
+                  <span aria-hidden="true">📄</span>
+                )}
+              </div>
+              <div className={styles.details}>
+                <span className={styles.fileName}>{attachment.originalName}</span>
+                <span className={styles.fileSize}>{formatFileSize(attachment.size)}</span>
+              </div>
+              <div className={styles.actions}>
+                <button
+                  type="button"
+                  className={styles.linkBtn}
+                  onClick={() => handleDownload(attachment)}
+                  aria-label={`Download ${attachment.originalName}`}
+                >
+                  Download
+                </button>
+                <button
+                  type="button"
+                  className={styles.linkBtn}
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Delete ${attachment.originalName}`}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.uploadRow}>
+        <input
+          ref={fileInputRef}
+          type="file"
+          className={styles.fileInput}
+          onChange={handleFileChange}
+          accept={ALLOWED_ATTACHMENT_TYPES.join(',')}
+          aria-label="Attach file"
+          disabled={uploadProgress !== null}
+        />
+        <button
+          type="button"
+          className={styles.uploadBtn}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploadProgress !== null}
+        >
+          {uploadProgress !== null ? `Uploading... ${uploadProgress}%` : 'Attach file'}
+        </button>
+      </div>
+
+      {error && <span className={styles.errorMessage}>{error}</span>}
+    </div>
+  )
+})
+
+export default TaskAttachments
@@ -3,6 +3,9 @@ import { DndProvider } from 'react-dnd'
 import { HTML5Backend } from 'react-dnd-html5-backend'
 import { useSocket } from '../../contexts/SocketContext'
 import TaskColumn from './TaskColumn'
+import { DEFAULT_COLUMNS } from '../../utils/columns'
+import { applyPositions } from '../../utils/positions'
+import { ASSIGNEE_FILTERS, filterTasksByAssignee } from '../../utils/assignees'
 import styles from './TaskBoard.module.css'
 
 const TaskBoard = memo(({ 
@@ -11,22 +14,40 @@ const TaskBoard = memo(({
   onTaskDelete, 
   onTaskAdd,
   onTaskDrop,
+  onEditColumns,
+  boardId = null,
+  currentUserId,
+  assigneeUsers = [],
+  defaultAssigneeFilter = 'all',
+  columns = DEFAULT_COLUMNS,
+  title = 'My Task Board',
   loading = false,
   error = null 
 }) => {
   const [boardTasks, setBoardTasks] = useState(tasks)
+  const [sortBy, setSortBy] = useState('position')
+  const [assigneeFilter, setAssigneeFilter] = useState(defaultAssigneeFilter)
   const { socketService, isConnected } = useSocket()
 
   useEffect(() => {
     setBoardTasks(tasks)
   }, [tasks])
 
+  // Links to someone's cards (e.g. from a mention) ask for a different filter
+  useEffect(() => {
+    setAssigneeFilter(defaultAssigneeFilter)
+  }, [defaultAssigneeFilter])
+
   // Set up Socket.IO event listeners for real-time updates
   useEffect(() => {
     if (!socketService || !isConnected) return
 
+    // Task events arrive for every board the user can see
+    const isOnThisBoard = (task) => !boardId || task.boardId === boardId
+
     const handleTaskCreated = (data) => {
       console.log('Real-time task created:', data.task)
+      if (!isOnThisBoard(data.task)) return
       setBoardTasks(prevTasks => {
         // Check if task already exists to avoid duplicates
         const taskExists = prevTasks.some(task => task._id === data.task._id)
@@ -38,6 +59,11 @@ const TaskBoard = memo(({
 
     const handleTaskUpdated = (data) => {
       console.log('Real-time task updated:', data.task)
+      // Tasks moved to another board leave this one
+      if (!isOnThisBoard(data.task)) {
+        setBoardTasks(prevTasks => prevTasks.filter(task => task._id !== data.task._id))
+        return
+      }
       setBoardTasks(prevTasks => 
         prevTasks.map(task => 
           task._id === data.task._id ? data.task : task
@@ -61,11 +87,18 @@ const TaskBoard = memo(({
       )
     }
 
+    // A rebalanced column renumbers cards the move itself did not touch
+    const handleTasksReordered = (data) => {
+      if (boardId && data.boardId !== boardId) return
+      setBoardTasks(prevTasks => applyPositions(prevTasks, data.positions))
+    }
+
     // Set up event listeners
     socketService.onTaskCreated(handleTaskCreated)
     socketService.onTaskUpdated(handleTaskUpdated)
     socketService.onTaskDeleted(handleTaskDeleted)
     socketService.onTaskStatusUpdated(handleTaskStatusUpdated)
+    socketService.onTasksReordered(handleTasksReordered)
 
     // Cleanup event listeners on unmount
     return () => {
@@ -73,19 +106,16 @@ const TaskBoard = memo(({
       socketService.offTaskUpdated(handleTaskUpdated)
       socketService.offTaskDeleted(handleTaskDeleted)
       socketService.offTaskStatusUpdated(handleTaskStatusUpdated)
+      socketService.offTasksReordered(handleTasksReordered)
     }
-  }, [socketService, isConnected])
-
-  const columns = [
-    { id: 'todo', title: 'To Do', status: 'todo' },
-    { id: 'inprogress', title: 'In Progress', status: 'inprogress' },
-    { id: 'done', title: 'Done', status: 'done' }
-  ]
+  }, [socketService, isConnected, boardId])
 
   const handleAddTask = (status) => {
     onTaskAdd(status)
   }
 
+  const visibleTasks = filterTasksByAssignee(boardTasks, assigneeFilter, currentUserId)
+
   if (loading) {
     return (
       <div className={styles.taskBoard}>
@@ -118,25 +148,68 @@ const TaskBoard = memo(({
     <DndProvider backend={HTML5Backend}>
       <div className={styles.taskBoard}>
         <div className={styles.boardHeader}>
-          <h1 className={styles.boardTitle}>My Task Board</h1>
+          <h1 className={styles.boardTitle}>{title}</h1>
           <div className={styles.boardStats}>
+            <label className={styles.sortControl}>
+              Sort by
+              <select
+                value={sortBy}
+                onChange={(e) => setSortBy(e.target.value)}
+                className={styles.sortSelect}
+                aria-label="Sort cards by"
+              >
+                <option value="position">Manual order</option>
+                <option value="priority">Priority</option>
+              </select>
+            </label>
+            {currentUserId && (
+              <label className={styles.sortControl}>
+                Show
+                <select
+                  value={assigneeFilter}
+                  onChange={(e) => setAssigneeFilter(e.target.value)}
+                  className={styles.sortSelect}
+                  aria-label="Show cards assigned to"
+                >
+                  {ASSIGNEE_FILTERS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                  {assigneeUsers
+                    .filter(user => user._id !== currentUserId)
+                    .map(user => (
+                      <option key={user._id} value={user._id}>Assigned to {user.username}</option>
+                    ))}
+                </select>
+              </label>
+            )}
             <span className={styles.totalTasks}>
-              Total Tasks: {boardTasks.length}
+              Total Tasks: {visibleTasks.length}
             </span>
+            {onEditColumns && (
+              <button
+                type="button"
+                className={styles.editColumnsBtn}
+                onClick={onEditColumns}
+              >
+                Edit columns
+              </button>
+            )}
           </div>
         </div>
         
         <div className={styles.columnsContainer}>
           {columns.map(column => (
             <TaskColumn
-              key={column.id}
-              title={column.title}
-              status={column.status}
-              tasks={boardTasks}
+              key={column.key}
+              title={column.name}
+              status={column.key}
+              isDone={column.isDone}
+              tasks={visibleTasks}
               onTaskEdit={onTaskEdit}
               onTaskDelete={onTaskDelete}
-              onAddTask={handleAddTask}
+              onAddTask={onTaskAdd ? handleAddTask : undefined}
               onTaskDrop={onTaskDrop}
+              sortBy={sortBy}
             />
           ))}
         </div>
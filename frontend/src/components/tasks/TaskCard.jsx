@@ -1,16 +1,51 @@
-import React, { memo } from 'react'
-import { useDrag } from 'react-dnd'
+import React, { memo, useRef, useState } from 'react'
+import { useDrag, useDrop } from 'react-dnd'
+import { getDueStatus } from '../../utils/dueDates'
+import { DEFAULT_PRIORITY, getPriorityLabel } from '../../utils/priorities'
+import { getInitials, getAvatarColor } from '../../utils/assignees'
+import LabelChip from './LabelChip'
+import MentionText from './MentionText'
 import styles from './TaskCard.module.css'
 
-const TaskCard = memo(({ task, onEdit, onDelete }) => {
+const TaskCard = memo(({ task, onEdit, onDelete, onCardDrop, canDrag = true }) => {
+  const cardRef = useRef(null)
+  const [placement, setPlacement] = useState('before')
+
   const [{ isDragging }, drag] = useDrag({
     type: 'TASK',
     item: { id: task._id, status: task.status },
+    canDrag,
     collect: (monitor) => ({
       isDragging: monitor.isDragging(),
     }),
   })
 
+  // Cards dropped on the top half go in front of this card, the bottom half after it
+  const getPlacement = (monitor) => {
+    const offset = monitor.getClientOffset()
+    if (!cardRef.current || !offset) return 'before'
+    const rect = cardRef.current.getBoundingClientRect()
+    return offset.y < rect.top + rect.height / 2 ? 'before' : 'after'
+  }
+
+  const [{ isOver }, drop] = useDrop({
+    accept: 'TASK',
+    canDrop: (item) => Boolean(onCardDrop) && item.id !== task._id,
+    hover: (item, monitor) => {
+      if (monitor.canDrop()) {
+        setPlacement(getPlacement(monitor))
+      }
+    },
+    drop: (item, monitor) => {
+      onCardDrop(item, task, getPlacement(monitor))
+    },
+    collect: (monitor) => ({
+      isOver: monitor.isOver() && monitor.canDrop(),
+    }),
+  })
+
+  drag(drop(cardRef))
+
   const handleEdit = () => {
     onEdit(task)
   }
@@ -24,10 +59,25 @@ const TaskCard = memo(({ task, onEdit, onDelete }) => {
     return new Date(dateString).toLocaleDateString()
   }
 
+  const dueStatus = getDueStatus(task)
+  const checklist = task.checklist || []
+  const checklistDone = checklist.filter(item => item.done).length
+  // Only populated assignees have a name to show
+  const assignees = (task.assignees || []).filter(assignee => assignee && assignee.username)
+  const priority = task.priority || DEFAULT_PRIORITY
+  const priorityClassNames = {
+    low: styles.priorityLow,
+    medium: styles.priorityMedium,
+    high: styles.priorityHigh,
+    urgent: styles.priorityUrgent
+  }
+
   return (
     <div 
-      ref={drag}
-      className={`${styles.taskCard} ${isDragging ? styles.dragging : ''}`}
+      ref={cardRef}
+      className={`${styles.taskCard} ${isDragging ? styles.dragging : ''} ${
+        isOver ? (placement === 'before' ? styles.dropBefore : styles.dropAfter) : ''
+      }`}
       style={{ opacity: isDragging ? 0.5 : 1 }}
     >
       <div className={styles.taskHeader}>
@@ -40,18 +90,76 @@ const TaskCard = memo(({ task, onEdit, onDelete }) => {
           >
             ✏️
           </button>
-          <button 
-            className={styles.deleteBtn}
-            onClick={handleDelete}
-            aria-label="Delete task"
-          >
-            🗑️
-          </button>
+          {onDelete && (
+            <button 
+              className={styles.deleteBtn}
+              onClick={handleDelete}
+              aria-label="Delete task"
+            >
+              🗑️
+            </button>
+          )}
         </div>
       </div>
       
+      <div className={styles.taskMeta}>
+        <span
+          className={`${styles.priority} ${priorityClassNames[priority] || ''}`}
+          title={`Priority: ${getPriorityLabel(priority)}`}
+        >
+          {getPriorityLabel(priority)}
+        </span>
+        {checklist.length > 0 && (
+          <span
+            className={`${styles.checklistProgress} ${
+              checklistDone === checklist.length ? styles.checklistComplete : ''
+            }`}
+            title={`Checklist: ${checklistDone} of ${checklist.length} done`}
+          >
+            ☑ {checklistDone}/{checklist.length}
+          </span>
+        )}
+        {task.commentCount > 0 && (
+          <span
+            className={styles.commentCount}
+            title={`${task.commentCount} comment${task.commentCount === 1 ? '' : 's'}`}
+          >
+            💬 {task.commentCount}
+          </span>
+        )}
+        {/* Only populated labels can be rendered; bare ids are skipped */}
+        {(task.labels || [])
+          .filter(label => label && label.name)
+          .map(label => (
+            <LabelChip key={label._id} label={label} />
+          ))}
+      </div>
+
       {task.description && (
-        <p className={styles.taskDescription}>{task.description}</p>
+        <p className={styles.taskDescription}>
+          <MentionText text={task.description} mentions={task.mentions} boardId={task.boardId} />
+        </p>
+      )}
+
+      {(task.startDate || task.dueDate) && (
+        <div className={styles.taskSchedule}>
+          {task.startDate && (
+            <span className={styles.startDate}>
+              Starts: {formatDate(task.startDate)}
+            </span>
+          )}
+          {task.dueDate && (
+            <span className={styles.dueDate}>
+              Due: {formatDate(task.dueDate)}
+            </span>
+          )}
+          {dueStatus === 'overdue' && (
+            <span className={`${styles.dueBadge} ${styles.overdue}`}>Overdue</span>
+          )}
+          {dueStatus === 'due-soon' && (
+            <span className={`${styles.dueBadge} ${styles.dueSoon}`}>Due soon</span>
+          )}
+        </div>
       )}
       
       <div className={styles.taskFooter}>
@@ -63,6 +171,21 @@ const TaskCard = memo(({ task, onEdit, onDelete }) => {
             Completed: {formatDate(task.completedAt)}
           </span>
         )}
+        {assignees.length > 0 && (
+          <span className={styles.assignees}>
+            {assignees.map(assignee => (
+              <span
+                key={assignee._id}
+                className={styles.avatar}
+                style={{ backgroundColor: getAvatarColor(assignee.username) }}
+                title={`Assigned to ${assignee.username}`}
+                aria-label={`Assigned to ${assignee.username}`}
+              >
+                {getInitials(assignee.username)}
+              </span>
+            ))}
+          </span>
+        )}
       </div>
     </div>
   )
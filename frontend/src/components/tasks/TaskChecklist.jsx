@@ -0,0 +1,131 @@
+import React, { useState, memo } from 'react'
+import styles from './TaskChecklist.module.css'
+
+const TaskChecklist = memo(({
+  items = [],
+  onAdd,
+  onToggle,
+  onDelete,
+  onReorder,
+  disabled = false
+}) => {
+  const [newItemText, setNewItemText] = useState('')
+
+  const orderedItems = [...items].sort((a, b) => a.position - b.position)
+  const doneCount = orderedItems.filter(item => item.done).length
+
+  const handleAdd = async () => {
+    const text = newItemText.trim()
+    if (!text) return
+
+    // Keep the text around so it can be retried if the parent reports a failure
+    const added = await onAdd(text)
+    if (added !== false) {
+      setNewItemText('')
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    // Enter adds the item instead of submitting the surrounding task form
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      handleAdd()
+    }
+  }
+
+  const handleMove = (index, offset) => {
+    const targetIndex = index + offset
+    if (targetIndex < 0 || targetIndex >= orderedItems.length) return
+
+    const itemIds = orderedItems.map(item => item._id)
+    ;[itemIds[index], itemIds[targetIndex]] = [itemIds[targetIndex], itemIds[index]]
+    onReorder(itemIds)
+  }
+
+  return (
+    <div className={styles.checklist}>
+      {orderedItems.length > 0 && (
+        <div className={styles.progress}>
+          <div className={styles.progressBar}>
+            <div
+              className={styles.progressFill}
+              style={{ width: `${Math.round((doneCount / orderedItems.length) * 100)}%` }}
+            />
+          </div>
+          <span className={styles.progressText}>
+            {doneCount}/{orderedItems.length}
+          </span>
+        </div>
+      )}
+
+      <ul className={styles.itemList}>
+        {orderedItems.map((item, index) => (
+          <li key={item._id} className={styles.item}>
+            <label className={`${styles.itemLabel} ${item.done ? styles.itemDone : ''}`}>
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={() => onToggle(item)}
+                disabled={disabled}
+              />
+              <span>{item.text}</span>
+            </label>
+            <div className={styles.itemActions}>
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={() => handleMove(index, -1)}
+                disabled={disabled || index === 0}
+                aria-label={`Move "${item.text}" up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={() => handleMove(index, 1)}
+                disabled={disabled || index === orderedItems.length - 1}
+                aria-label={`Move "${item.text}" down`}
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                className={styles.iconBtn}
+                onClick={() => onDelete(item)}
+                disabled={disabled}
+                aria-label={`Delete "${item.text}"`}
+              >
+                ×
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className={styles.addRow}>
+        <input
+          type="text"
+          value={newItemText}
+          onChange={(e) => setNewItemText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          className={styles.addInput}
+          placeholder="Add an item..."
+          aria-label="New checklist item"
+          maxLength={200}
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          className={styles.addBtn}
+          disabled={disabled || !newItemText.trim()}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  )
+})
+
+export default TaskChecklist
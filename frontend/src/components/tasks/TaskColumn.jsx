@@ -1,24 +1,54 @@
-import React, { memo } from 'react'
+import React, { memo, useMemo } from 'react'
 import { useDrop } from 'react-dnd'
 import TaskCard from './TaskCard'
+import { sortTasks } from '../../utils/priorities'
 import styles from './TaskColumn.module.css'
 
 const TaskColumn = memo(({ 
   title, 
   status, 
+  isDone = false,
   tasks, 
   onTaskEdit, 
   onTaskDelete,
   onAddTask,
-  onTaskDrop
+  onTaskDrop,
+  sortBy = 'position'
 }) => {
-  const filteredTasks = tasks.filter(task => task.status === status)
+  const filteredTasks = useMemo(
+    () => sortTasks(tasks.filter(task => task.status === status), sortBy),
+    [tasks, status, sortBy]
+  )
+
+  // Manual order only makes sense while cards are shown in position order
+  const canReorder = sortBy === 'position'
+
+  // Move a dragged card in front of beforeId (null for the end), skipping drops
+  // that would leave a card where it already is
+  const moveCard = (item, beforeId) => {
+    if (!onTaskDrop) return
+    if (item.status === status) {
+      const index = filteredTasks.findIndex(task => task._id === item.id)
+      const currentNextId = filteredTasks[index + 1]?._id ?? null
+      if (beforeId === item.id || beforeId === currentNextId) return
+    }
+    onTaskDrop(item.id, status, beforeId)
+  }
+
+  const handleCardDrop = (item, targetTask, placement) => {
+    const index = filteredTasks.findIndex(task => task._id === targetTask._id)
+    const beforeId = placement === 'before' ? targetTask._id : filteredTasks[index + 1]?._id ?? null
+    moveCard(item, beforeId)
+  }
 
   const [{ isOver, canDrop }, drop] = useDrop({
     accept: 'TASK',
-    drop: (item) => {
-      if (item.status !== status && onTaskDrop) {
-        onTaskDrop(item.id, status)
+    drop: (item, monitor) => {
+      // Drops on a card were already handled by the card
+      if (monitor.didDrop()) return
+      // Dropping on the column itself moves the card to the end
+      if (item.status !== status || canReorder) {
+        moveCard(item, null)
       }
     },
     collect: (monitor) => ({
@@ -32,6 +62,8 @@ const TaskColumn = memo(({
   }
 
   const getColumnIcon = (status) => {
+    if (isDone) return '✅'
+
     switch (status) {
       case 'todo':
         return '📋'
@@ -60,25 +92,29 @@ const TaskColumn = memo(({
             {filteredTasks.length}
           </span>
         </div>
-        <button 
-          className={styles.addTaskBtn}
-          onClick={handleAddTask}
-          aria-label={`Add task to ${title}`}
-        >
-          +
-        </button>
+        {onAddTask && (
+          <button 
+            className={styles.addTaskBtn}
+            onClick={handleAddTask}
+            aria-label={`Add task to ${title}`}
+          >
+            +
+          </button>
+        )}
       </div>
       
       <div className={styles.taskList}>
         {filteredTasks.length === 0 ? (
           <div className={styles.emptyState}>
             <p>No tasks yet</p>
-            <button 
-              className={styles.emptyAddBtn}
-              onClick={handleAddTask}
-            >
-              Add your first task
-            </button>
+            {onAddTask && (
+              <button 
+                className={styles.emptyAddBtn}
+                onClick={handleAddTask}
+              >
+                Add your first task
+              </button>
+            )}
           </div>
         ) : (
           filteredTasks.map(task => (
@@ -87,6 +123,8 @@ const TaskColumn = memo(({
               task={task}
               onEdit={onTaskEdit}
               onDelete={onTaskDelete}
+              onCardDrop={canReorder ? handleCardDrop : undefined}
+              canDrag={Boolean(onTaskDrop)}
             />
           ))
         )}
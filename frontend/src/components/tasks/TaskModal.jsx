@@ -1,5 +1,14 @@
 import React, { useState, useEffect, useRef, memo } from 'react'
 import { useDebounceCallback } from '../../hooks/useDebounce'
+import { toDateInputValue, fromDateInputValue } from '../../utils/dueDates'
+import { PRIORITIES, DEFAULT_PRIORITY } from '../../utils/priorities'
+import { DEFAULT_COLUMNS, findColumn } from '../../utils/columns'
+import LabelPicker from './LabelPicker'
+import AssigneePicker from './AssigneePicker'
+import TaskChecklist from './TaskChecklist'
+import CommentThread from './CommentThread'
+import TaskAttachments from './TaskAttachments'
+import MentionInput from './MentionInput'
 import styles from './TaskModal.module.css'
 
 const TaskModal = memo(({ 
@@ -8,16 +17,33 @@ const TaskModal = memo(({
   onSubmit, 
   task = null, 
   initialStatus = 'todo',
-  loading = false 
+  columns = DEFAULT_COLUMNS,
+  loading = false,
+  labels = [],
+  onCreateLabel,
+  assignableUsers = [],
+  mentionableUsers = [],
+  checklistActions,
+  currentUserId,
+  onCommentCountChange,
+  showAttachments = false
 }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: initialStatus
+    status: initialStatus,
+    priority: DEFAULT_PRIORITY,
+    startDate: '',
+    dueDate: '',
+    labels: [],
+    assignees: []
   })
+  const [checklist, setChecklist] = useState([])
+  const [checklistBusy, setChecklistBusy] = useState(false)
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
   const titleInputRef = useRef(null)
+  const modalRef = useRef(null)
 
   const isEditing = Boolean(task)
 
@@ -33,23 +59,39 @@ const TaskModal = memo(({
         setFormData({
           title: task.title || '',
           description: task.description || '',
-          status: task.status || 'todo'
+          status: task.status || 'todo',
+          priority: task.priority || DEFAULT_PRIORITY,
+          startDate: toDateInputValue(task.startDate),
+          dueDate: toDateInputValue(task.dueDate),
+          // Tasks arrive with populated labels; the form only tracks ids
+          labels: (task.labels || []).map(label => label._id || label),
+          assignees: (task.assignees || []).map(assignee => assignee._id || assignee)
         })
       } else {
         setFormData({
           title: '',
           description: '',
-          status: initialStatus
+          status: initialStatus,
+          priority: DEFAULT_PRIORITY,
+          startDate: '',
+          dueDate: '',
+          labels: [],
+          assignees: []
         })
       }
+      // Checklist items are saved one by one, independently of the form
+      setChecklist(task?.checklist || [])
       setErrors({})
       
-      // Focus on title input when modal opens
-      setTimeout(() => {
-        if (titleInputRef.current) {
+      // Focus on title input when modal opens, unless the user has already
+      // clicked into another field
+      const focusTimer = setTimeout(() => {
+        if (titleInputRef.current && !modalRef.current?.contains(document.activeElement)) {
           titleInputRef.current.focus()
         }
       }, 100)
+
+      return () => clearTimeout(focusTimer)
     }
   }, [isOpen, task, initialStatus])
 
@@ -70,12 +112,21 @@ const TaskModal = memo(({
       newErrors.description = 'Description must be less than 500 characters'
     }
 
-    // Status validation
-    const validStatuses = ['todo', 'inprogress', 'done']
-    if (!validStatuses.includes(formData.status)) {
+    // Status validation: the status must be one of the board's columns
+    if (!findColumn(columns, formData.status)) {
       newErrors.status = 'Invalid status selected'
     }
 
+    // Priority validation
+    if (!PRIORITIES.some(p => p.value === formData.priority)) {
+      newErrors.priority = 'Invalid priority selected'
+    }
+
+    // Date validation (both optional, but the due date cannot precede the start date)
+    if (formData.startDate && formData.dueDate && formData.dueDate < formData.startDate) {
+      newErrors.dueDate = 'Due date cannot be before start date'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -99,6 +150,41 @@ const TaskModal = memo(({
     debouncedValidation()
   }
 
+  const handleLabelsChange = (labelIds) => {
+    setFormData(prev => ({
+      ...prev,
+      labels: labelIds
+    }))
+  }
+
+  const handleAssigneesChange = (userIds) => {
+    setFormData(prev => ({
+      ...prev,
+      assignees: userIds
+    }))
+  }
+
+  // Run a checklist request and adopt the checklist from the returned task
+  const runChecklistAction = async (action, ...args) => {
+    setChecklistBusy(true)
+    setErrors(prev => ({ ...prev, checklist: '' }))
+    try {
+      const updatedTask = await checklistActions[action](task._id, ...args)
+      if (updatedTask?.checklist) {
+        setChecklist(updatedTask.checklist)
+      }
+      return true
+    } catch (error) {
+      setErrors(prev => ({
+        ...prev,
+        checklist: error.response?.data?.error?.message || 'Failed to update checklist'
+      }))
+      return false
+    } finally {
+      setChecklistBusy(false)
+    }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     
@@ -112,7 +198,15 @@ const TaskModal = memo(({
       const taskData = {
         title: formData.title.trim(),
         description: formData.description.trim(),
-        status: formData.status
+        status: formData.status,
+        priority: formData.priority,
+        startDate: fromDateInputValue(formData.startDate),
+        dueDate: fromDateInputValue(formData.dueDate, { endOfDay: true }),
+        labels: formData.labels
+      }
+      // Assignees are only sent when there are board members to pick from
+      if (assignableUsers.length > 0) {
+        taskData.assignees = formData.assignees
       }
 
       await onSubmit(taskData, task?._id)
@@ -147,7 +241,7 @@ const TaskModal = memo(({
 
   return (
     <div className={styles.modalOverlay} onClick={handleBackdropClick}>
-      <div className={styles.modal}>
+      <div className={styles.modal} ref={modalRef}>
         <div className={styles.modalHeader}>
           <h2 className={styles.modalTitle}>
             {isEditing ? 'Edit Task' : 'Create New Task'}
@@ -188,11 +282,12 @@ const TaskModal = memo(({
             <label htmlFor="description" className={styles.label}>
               Description
             </label>
-            <textarea
+            <MentionInput
               id="description"
               name="description"
               value={formData.description}
               onChange={handleInputChange}
+              users={mentionableUsers}
               className={`${styles.textarea} ${errors.description ? styles.inputError : ''}`}
               placeholder="Enter task description..."
               disabled={isSubmitting}
@@ -219,15 +314,144 @@ const TaskModal = memo(({
               className={`${styles.select} ${errors.status ? styles.inputError : ''}`}
               disabled={isSubmitting}
             >
-              <option value="todo">To Do</option>
-              <option value="inprogress">In Progress</option>
-              <option value="done">Done</option>
+              {columns.map(column => (
+                <option key={column.key} value={column.key}>{column.name}</option>
+              ))}
             </select>
             {errors.status && (
               <span className={styles.errorMessage}>{errors.status}</span>
             )}
           </div>
 
+          <div className={styles.formGroup}>
+            <label htmlFor="priority" className={styles.label}>
+              Priority
+            </label>
+            <select
+              id="priority"
+              name="priority"
+              value={formData.priority}
+              onChange={handleInputChange}
+              className={`${styles.select} ${errors.priority ? styles.inputError : ''}`}
+              disabled={isSubmitting}
+            >
+              {PRIORITIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {errors.priority && (
+              <span className={styles.errorMessage}>{errors.priority}</span>
+            )}
+          </div>
+
+          <div className={styles.formRow}>
+            <div className={styles.formGroup}>
+              <label htmlFor="startDate" className={styles.label}>
+                Start date
+              </label>
+              <input
+                type="date"
+                id="startDate"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleInputChange}
+                className={`${styles.input} ${errors.startDate ? styles.inputError : ''}`}
+                disabled={isSubmitting}
+              />
+              {errors.startDate && (
+                <span className={styles.errorMessage}>{errors.startDate}</span>
+              )}
+            </div>
+
+            <div className={styles.formGroup}>
+              <label htmlFor="dueDate" className={styles.label}>
+                Due date
+              </label>
+              <input
+                type="date"
+                id="dueDate"
+                name="dueDate"
+                value={formData.dueDate}
+                onChange={handleInputChange}
+                className={`${styles.input} ${errors.dueDate ? styles.inputError : ''}`}
+                disabled={isSubmitting}
+              />
+              {errors.dueDate && (
+                <span className={styles.errorMessage}>{errors.dueDate}</span>
+              )}
+            </div>
+          </div>
+
+          <div className={styles.formGroup}>
+            <span className={styles.label}>Labels</span>
+            <LabelPicker
+              labels={labels}
+              selectedIds={formData.labels}
+              onChange={handleLabelsChange}
+              onCreateLabel={onCreateLabel}
+              disabled={isSubmitting}
+            />
+            {errors.labels && (
+              <span className={styles.errorMessage}>{errors.labels}</span>
+            )}
+          </div>
+
+          {assignableUsers.length > 0 && (
+            <div className={styles.formGroup}>
+              <span className={styles.label}>Assignees</span>
+              <AssigneePicker
+                users={assignableUsers}
+                selectedIds={formData.assignees}
+                onChange={handleAssigneesChange}
+                currentUserId={currentUserId}
+                disabled={isSubmitting}
+              />
+              {errors.assignees && (
+                <span className={styles.errorMessage}>{errors.assignees}</span>
+              )}
+            </div>
+          )}
+
+          <div className={styles.formGroup}>
+            <span className={styles.label}>Checklist</span>
+            {isEditing && checklistActions ? (
+              <TaskChecklist
+                items={checklist}
+                onAdd={(text) => runChecklistAction('add', text)}
+                onToggle={(item) => runChecklistAction('update', item._id, { done: !item.done })}
+                onDelete={(item) => runChecklistAction('remove', item._id)}
+                onReorder={(itemIds) => runChecklistAction('reorder', itemIds)}
+                disabled={isSubmitting || checklistBusy}
+              />
+            ) : (
+              <p className={styles.hint}>Save the task to start a checklist.</p>
+            )}
+            {errors.checklist && (
+              <span className={styles.errorMessage}>{errors.checklist}</span>
+            )}
+          </div>
+
+          {isEditing && showAttachments && (
+            <div className={styles.formGroup}>
+              <span className={styles.label}>Attachments</span>
+              <TaskAttachments taskId={task._id} />
+            </div>
+          )}
+
+          {isEditing && currentUserId && (
+            <div className={styles.formGroup}>
+              <span className={styles.label}>Comments</span>
+              <CommentThread
+                taskId={task._id}
+                boardId={task.boardId}
+                currentUserId={currentUserId}
+                mentionableUsers={mentionableUsers}
+                onMentionNavigate={handleClose}
+                onCommentCountChange={(count) => onCommentCountChange?.(task._id, count)}
+              />
+            </div>
+          )}
+
           {errors.submit && (
             <div className={styles.submitError}>
               {errors.submit}
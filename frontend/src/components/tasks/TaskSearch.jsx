@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useRef, memo } from 'react'
+import { useDebounce } from '../../hooks/useDebounce'
+import taskService from '../../services/taskService'
+import styles from './TaskSearch.module.css'
+
+const MIN_QUERY_LENGTH = 2
+const PAGE_SIZE = 10
+
+// Render server-provided highlight segments, marking the matched words
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => segment.match
+      ? <mark key={index}>{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )}
+  </>
+)
+
+const TaskSearch = memo(({ boards = [], onSelect }) => {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const containerRef = useRef(null)
+  // Only the latest request may update the results
+  const requestIdRef = useRef(0)
+
+  const debouncedQuery = useDebounce(query.trim(), 300)
+  const isSearchable = debouncedQuery.length >= MIN_QUERY_LENGTH
+
+  const runSearch = async (searchQuery, page) => {
+    const requestId = ++requestIdRef.current
+    setLoading(true)
+    setError('')
+    try {
+      const response = await taskService.searchTasks(searchQuery, { page, limit: PAGE_SIZE })
+      if (requestId !== requestIdRef.current) return
+      setResults(prev => page === 1 ? response.results : [...prev, ...response.results])
+      setPagination(response.pagination)
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return
+      setError(err.response?.data?.error?.message || 'Search failed')
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false)
+      }
+    }
+  }
+
+  useEffect(() => {
+    setActiveIndex(-1)
+    if (!isSearchable) {
+      requestIdRef.current++
+      setResults([])
+      setPagination(null)
+      setLoading(false)
+      return
+    }
+    runSearch(debouncedQuery, 1)
+  }, [debouncedQuery, isSearchable])
+
+  // Close the dropdown when clicking anywhere else on the page
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [isOpen])
+
+  const boardName = (boardId) => boards.find(board => board._id === boardId)?.name
+
+  const handleSelect = (task) => {
+    setQuery('')
+    setIsOpen(false)
+    onSelect(task)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false)
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault()
+      setIsOpen(true)
+      setActiveIndex(index => Math.min(index + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault()
+      setActiveIndex(index => Math.max(index - 1, 0))
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault()
+      handleSelect(results[activeIndex].task)
+    }
+  }
+
+  const showDropdown = isOpen && isSearchable
+  const hasMore = pagination && pagination.page < pagination.pages
+
+  return (
+    <div className={styles.taskSearch} ref={containerRef}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setIsOpen(true)
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        className={styles.searchInput}
+        placeholder="Search tasks..."
+        aria-label="Search tasks"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="task-search-results"
+        aria-autocomplete="list"
+      />
+
+      {showDropdown && (
+        <div className={styles.dropdown}>
+          {error && <p className={styles.status}>{error}</p>}
+          {!error && results.length === 0 && (
+            <p className={styles.status}>
+              {loading ? 'Searching...' : `No tasks match "${debouncedQuery}"`}
+            </p>
+          )}
+
+          {results.length > 0 && (
+            <ul id="task-search-results" role="listbox" className={styles.resultList}>
+              {results.map((result, index) => (
+                <li
+                  key={result.task._id}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`${styles.result} ${index === activeIndex ? styles.activeResult : ''}`}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => handleSelect(result.task)}
+                >
+                  <span className={styles.resultTitle}>
+                    <Highlighted segments={result.highlights.title} />
+                  </span>
+                  {result.highlights.description.length > 0 && (
+                    <span className={styles.resultSnippet}>
+                      <Highlighted segments={result.highlights.description} />
+                    </span>
+                  )}
+                  {boardName(result.task.boardId) && (
+                    <span className={styles.resultBoard}>{boardName(result.task.boardId)}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasMore && (
+            <button
+              type="button"
+              className={styles.loadMoreBtn}
+              onClick={() => runSearch(debouncedQuery, pagination.page + 1)}
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Show more results'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+})
+
+export default TaskSearch
@@ -0,0 +1,46 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import AssignmentNotice from '../AssignmentNotice'
+
+describe('AssignmentNotice', () => {
+  const notice = {
+    task: { _id: 't1', title: 'Write release notes' },
+    assignedBy: { _id: 'u2', username: 'bob' }
+  }
+
+  it('renders nothing without a notice', () => {
+    const { container } = render(<AssignmentNotice notice={null} onOpen={vi.fn()} onDismiss={vi.fn()} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('says who assigned which task and opens it', () => {
+    const onOpen = vi.fn()
+    render(<AssignmentNotice notice={notice} onOpen={onOpen} onDismiss={vi.fn()} />)
+
+    expect(screen.getByRole('status')).toHaveTextContent('bob assigned you to "Write release notes"')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Open task' }))
+    expect(onOpen).toHaveBeenCalledWith(notice.task)
+  })
+
+  it('can be dismissed', () => {
+    const onDismiss = vi.fn()
+    render(<AssignmentNotice notice={notice} onOpen={vi.fn()} onDismiss={onDismiss} />)
+
+    fireEvent.click(screen.getByLabelText('Dismiss assignment notice'))
+    expect(onDismiss).toHaveBeenCalled()
+  })
+
+  it('announces mentions', () => {
+    const mention = { task: notice.task, mentionedBy: { _id: 'u3', username: 'carol' } }
+    const onDismiss = vi.fn()
+    render(<AssignmentNotice notice={mention} onOpen={vi.fn()} onDismiss={onDismiss} />)
+
+    expect(screen.getByRole('status')).toHaveTextContent('carol mentioned you in "Write release notes"')
+
+    fireEvent.click(screen.getByLabelText('Dismiss mention notice'))
+    expect(onDismiss).toHaveBeenCalled()
+  })
+})
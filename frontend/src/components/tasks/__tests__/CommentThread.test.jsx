@@ -0,0 +1,175 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import CommentThread from '../CommentThread'
+import commentService from '../../../services/commentService'
+
+vi.mock('../../../services/commentService', () => ({
+  default: {
+    getComments: vi.fn(),
+    createComment: vi.fn(),
+    updateComment: vi.fn(),
+    deleteComment: vi.fn()
+  }
+}))
+
+vi.mock('../../../contexts/SocketContext', () => ({
+  useSocket: () => ({ socketService: null, isConnected: false })
+}))
+
+describe('CommentThread', () => {
+  const me = { _id: 'u1', username: 'me' }
+  const someoneElse = { _id: 'u2', username: 'someone' }
+
+  const comments = [
+    { _id: 'c1', taskId: 't1', userId: me, parentId: null, body: 'Should we ship?', createdAt: '2030-01-01T10:00:00.000Z', editedAt: null },
+    { _id: 'c2', taskId: 't1', userId: someoneElse, parentId: 'c1', body: 'Yes, today.', createdAt: '2030-01-01T11:00:00.000Z', editedAt: null },
+    { _id: 'c3', taskId: 't1', userId: someoneElse, parentId: null, body: 'Docs are missing', createdAt: '2030-01-01T12:00:00.000Z', editedAt: '2030-01-01T12:30:00.000Z' }
+  ]
+
+  const mockOnCommentCountChange = vi.fn()
+
+  const renderThread = () => render(
+    <CommentThread taskId="t1" currentUserId="u1" onCommentCountChange={mockOnCommentCountChange} />
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    commentService.getComments.mockResolvedValue({ comments })
+  })
+
+  it('renders comments with replies nested under their parent', async () => {
+    renderThread()
+
+    expect(await screen.findByText('Should we ship?')).toBeInTheDocument()
+    expect(commentService.getComments).toHaveBeenCalledWith('t1')
+
+    const reply = screen.getByText('Yes, today.').closest('[class*="comment"]')
+    expect(reply.className).toMatch(/reply/)
+    expect(screen.getByText(/\(edited\)/)).toBeInTheDocument()
+  })
+
+  it('shows an empty state', async () => {
+    commentService.getComments.mockResolvedValue({ comments: [] })
+    renderThread()
+
+    expect(await screen.findByText('No comments yet.')).toBeInTheDocument()
+  })
+
+  it('only offers edit and delete on your own comments', async () => {
+    renderThread()
+    await screen.findByText('Should we ship?')
+
+    expect(screen.getAllByText('Edit')).toHaveLength(1)
+    expect(screen.getAllByText('Delete')).toHaveLength(1)
+    // Replies can only be made to top-level comments
+    expect(screen.getAllByText('Reply')).toHaveLength(2)
+  })
+
+  it('posts a new comment and reports the new count', async () => {
+    const user = userEvent.setup()
+    commentService.createComment.mockResolvedValue({
+      comment: { _id: 'c4', taskId: 't1', userId: me, parentId: null, body: 'On it', createdAt: '2030-01-01T13:00:00.000Z' },
+      commentCount: 4
+    })
+
+    renderThread()
+    await screen.findByText('Should we ship?')
+
+    await user.type(screen.getByLabelText('New comment'), 'On it')
+    await user.click(screen.getByRole('button', { name: 'Comment' }))
+
+    expect(commentService.createComment).toHaveBeenCalledWith('t1', 'On it', null)
+    expect(await screen.findByText('On it')).toBeInTheDocument()
+    expect(screen.getByLabelText('New comment')).toHaveValue('')
+    expect(mockOnCommentCountChange).toHaveBeenCalledWith(4)
+  })
+
+  it('replies to a top-level comment', async () => {
+    const user = userEvent.setup()
+    commentService.createComment.mockResolvedValue({
+      comment: { _id: 'c5', taskId: 't1', userId: me, parentId: 'c3', body: 'Writing them now', createdAt: '2030-01-01T13:00:00.000Z' },
+      commentCount: 4
+    })
+
+    renderThread()
+    await screen.findByText('Docs are missing')
+
+    await user.click(screen.getAllByText('Reply')[1])
+    await user.type(screen.getByLabelText('Reply'), 'Writing them now')
+    await user.click(screen.getByText('Post reply'))
+
+    expect(commentService.createComment).toHaveBeenCalledWith('t1', 'Writing them now', 'c3')
+    expect(await screen.findByText('Writing them now')).toBeInTheDocument()
+  })
+
+  it('edits your own comment', async () => {
+    const user = userEvent.setup()
+    commentService.updateComment.mockResolvedValue({
+      comment: { ...comments[0], body: 'Should we ship Friday?', editedAt: '2030-01-02T00:00:00.000Z' }
+    })
+
+    renderThread()
+    await screen.findByText('Should we ship?')
+
+    await user.click(screen.getByText('Edit'))
+    const editor = screen.getByLabelText('Edit comment')
+    await user.clear(editor)
+    await user.type(editor, 'Should we ship Friday?')
+    await user.click(screen.getByText('Save'))
+
+    expect(commentService.updateComment).toHaveBeenCalledWith('t1', 'c1', 'Should we ship Friday?')
+    expect(await screen.findByText('Should we ship Friday?')).toBeInTheDocument()
+  })
+
+  it('deletes a comment together with its replies', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    commentService.deleteComment.mockResolvedValue({ deletedIds: ['c1', 'c2'], commentCount: 1 })
+
+    renderThread()
+    await screen.findByText('Should we ship?')
+
+    await user.click(screen.getByText('Delete'))
+
+    await waitFor(() => {
+      expect(screen.queryByText('Should we ship?')).not.toBeInTheDocument()
+    })
+    expect(screen.queryByText('Yes, today.')).not.toBeInTheDocument()
+    expect(screen.getByText('Docs are missing')).toBeInTheDocument()
+    expect(mockOnCommentCountChange).toHaveBeenCalledWith(1)
+  })
+
+  it('shows an error when posting fails', async () => {
+    const user = userEvent.setup()
+    commentService.createComment.mockRejectedValue({
+      response: { data: { error: { message: 'Comment must be between 1 and 2000 characters' } } }
+    })
+
+    renderThread()
+    await screen.findByText('Should we ship?')
+
+    await user.type(screen.getByLabelText('New comment'), 'Oops')
+    await user.click(screen.getByRole('button', { name: 'Comment' }))
+
+    expect(await screen.findByText('Comment must be between 1 and 2000 characters')).toBeInTheDocument()
+    expect(screen.getByLabelText('New comment')).toHaveValue('Oops')
+  })
+
+  it('links mentions in comments to the mentioned user\'s cards', async () => {
+    commentService.getComments.mockResolvedValue({
+      comments: [{ ...comments[0], body: 'Ping @someone', mentions: [{ userId: 'u2', username: 'someone' }] }]
+    })
+
+    render(
+      <MemoryRouter>
+        <CommentThread taskId="t1" boardId="b1" currentUserId="u1" />
+      </MemoryRouter>
+    )
+
+    const link = await screen.findByRole('link', { name: '@someone' })
+    expect(link).toHaveAttribute('href', '/boards/b1?assignee=u2')
+  })
+})
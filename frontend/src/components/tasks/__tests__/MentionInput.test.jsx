@@ -0,0 +1,79 @@
+import React, { useState } from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect } from 'vitest'
+import MentionInput from '../MentionInput'
+
+describe('MentionInput', () => {
+  const users = [
+    { _id: 'u1', username: 'alice' },
+    { _id: 'u2', username: 'bob' },
+    { _id: 'u3', username: 'bobby' }
+  ]
+
+  const ControlledInput = () => {
+    const [value, setValue] = useState('')
+    return (
+      <MentionInput
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        users={users}
+        aria-label="Description"
+      />
+    )
+  }
+
+  // Type into the textarea with the caret at the end, as a user would
+  const type = (textarea, value) => {
+    fireEvent.change(textarea, { target: { value, selectionStart: value.length } })
+  }
+
+  it('suggests users whose names start with what follows the @', () => {
+    render(<ControlledInput />)
+
+    type(screen.getByLabelText('Description'), 'Ask @BO')
+
+    const options = screen.getAllByRole('option')
+    expect(options.map(option => option.textContent)).toEqual(['@bob', '@bobby'])
+  })
+
+  it('does not suggest anything outside a mention', () => {
+    render(<ControlledInput />)
+
+    type(screen.getByLabelText('Description'), 'mail bob@ex')
+
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument()
+  })
+
+  it('picks the highlighted suggestion with the keyboard', () => {
+    render(<ControlledInput />)
+    const textarea = screen.getByLabelText('Description')
+
+    type(textarea, 'Ask @bo')
+    fireEvent.keyDown(textarea, { key: 'ArrowDown' })
+    fireEvent.keyDown(textarea, { key: 'Enter' })
+
+    expect(textarea).toHaveValue('Ask @bobby ')
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument()
+  })
+
+  it('picks a suggestion with the mouse', () => {
+    render(<ControlledInput />)
+    const textarea = screen.getByLabelText('Description')
+
+    type(textarea, '@a')
+    fireEvent.mouseDown(screen.getByRole('option', { name: '@alice' }))
+
+    expect(textarea).toHaveValue('@alice ')
+  })
+
+  it('closes the suggestions on Escape', () => {
+    render(<ControlledInput />)
+    const textarea = screen.getByLabelText('Description')
+
+    type(textarea, '@b')
+    fireEvent.keyDown(textarea, { key: 'Escape' })
+
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument()
+    expect(textarea).toHaveValue('@b')
+  })
+})
@@ -0,0 +1,41 @@
+import React from 'react'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import { MemoryRouter } from 'react-router-dom'
+import MentionText from '../MentionText'
+
+describe('MentionText', () => {
+  const mentions = [{ userId: 'u2', username: 'bob' }]
+
+  const renderText = (props) => render(
+    <MemoryRouter>
+      <p data-testid="text">
+        <MentionText text="Ask @bob and @nobody about it" mentions={mentions} {...props} />
+      </p>
+    </MemoryRouter>
+  )
+
+  it('links resolved mentions to the mentioned user\'s cards on the board', () => {
+    renderText({ boardId: 'b1' })
+
+    const link = screen.getByRole('link', { name: '@bob' })
+    expect(link).toHaveAttribute('href', '/boards/b1?assignee=u2')
+    expect(screen.getByTestId('text')).toHaveTextContent('Ask @bob and @nobody about it')
+    expect(screen.getAllByRole('link')).toHaveLength(1)
+  })
+
+  it('tells the parent when a mention is followed', () => {
+    const onNavigate = vi.fn()
+    renderText({ boardId: 'b1', onNavigate })
+
+    fireEvent.click(screen.getByRole('link', { name: '@bob' }))
+    expect(onNavigate).toHaveBeenCalled()
+  })
+
+  it('does not link mentions on tasks without a board', () => {
+    renderText()
+
+    expect(screen.queryByRole('link')).not.toBeInTheDocument()
+    expect(screen.getByText('@bob')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,109 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import TaskAttachments from '../TaskAttachments'
+import attachmentService from '../../../services/attachmentService'
+
+vi.mock('../../../services/attachmentService', () => ({
+  default: {
+    getAttachments: vi.fn(),
+    uploadAttachment: vi.fn(),
+    getAttachmentBlob: vi.fn(),
+    deleteAttachment: vi.fn()
+  }
+}))
+
+describe('TaskAttachments', () => {
+  const attachments = [
+    { _id: 'a1', taskId: 't1', originalName: 'spec.pdf', mimeType: 'application/pdf', size: 2048 },
+    { _id: 'a2', taskId: 't1', originalName: 'mockup.png', mimeType: 'image/png', size: 512 }
+  ]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    // jsdom has no object URLs
+    URL.createObjectURL = vi.fn(() => 'blob:preview')
+    URL.revokeObjectURL = vi.fn()
+    attachmentService.getAttachments.mockResolvedValue({ attachments })
+    attachmentService.getAttachmentBlob.mockResolvedValue(new Blob(['png']))
+  })
+
+  it('lists attachments with sizes and image previews', async () => {
+    render(<TaskAttachments taskId="t1" />)
+
+    expect(await screen.findByText('spec.pdf')).toBeInTheDocument()
+    expect(screen.getByText('2.0 KB')).toBeInTheDocument()
+    expect(attachmentService.getAttachments).toHaveBeenCalledWith('t1')
+
+    expect(await screen.findByAltText('mockup.png')).toHaveAttribute('src', 'blob:preview')
+    expect(attachmentService.getAttachmentBlob).toHaveBeenCalledWith('t1', 'a2', { inline: true })
+    expect(attachmentService.getAttachmentBlob).not.toHaveBeenCalledWith('t1', 'a1', { inline: true })
+  })
+
+  it('shows an empty state', async () => {
+    attachmentService.getAttachments.mockResolvedValue({ attachments: [] })
+    render(<TaskAttachments taskId="t1" />)
+
+    expect(await screen.findByText('No attachments yet.')).toBeInTheDocument()
+  })
+
+  it('uploads a selected file and adds it to the list', async () => {
+    const user = userEvent.setup()
+    attachmentService.getAttachments.mockResolvedValue({ attachments: [] })
+    attachmentService.uploadAttachment.mockResolvedValue({
+      attachment: { _id: 'a3', taskId: 't1', originalName: 'notes.txt', mimeType: 'text/plain', size: 5 }
+    })
+    render(<TaskAttachments taskId="t1" />)
+    await screen.findByText('No attachments yet.')
+
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' })
+    await user.upload(screen.getByLabelText('Attach file'), file)
+
+    expect(await screen.findByText('notes.txt')).toBeInTheDocument()
+    expect(attachmentService.uploadAttachment).toHaveBeenCalledWith('t1', file, expect.any(Function))
+  })
+
+  it('rejects unsupported files before uploading', async () => {
+    attachmentService.getAttachments.mockResolvedValue({ attachments: [] })
+    render(<TaskAttachments taskId="t1" />)
+    await screen.findByText('No attachments yet.')
+
+    // userEvent.upload honours the accept attribute, so dispatch the change directly
+    const input = screen.getByLabelText('Attach file')
+    const file = new File(['MZ'], 'tool.exe', { type: 'application/x-msdownload' })
+    Object.defineProperty(input, 'files', { value: [file], configurable: true })
+    input.dispatchEvent(new Event('change', { bubbles: true }))
+
+    expect(await screen.findByText('tool.exe is not a supported file type')).toBeInTheDocument()
+    expect(attachmentService.uploadAttachment).not.toHaveBeenCalled()
+  })
+
+  it('deletes an attachment after confirmation', async () => {
+    const user = userEvent.setup()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    attachmentService.deleteAttachment.mockResolvedValue({})
+    render(<TaskAttachments taskId="t1" />)
+
+    await user.click(await screen.findByRole('button', { name: 'Delete spec.pdf' }))
+
+    await waitFor(() => {
+      expect(screen.queryByText('spec.pdf')).not.toBeInTheDocument()
+    })
+    expect(attachmentService.deleteAttachment).toHaveBeenCalledWith('t1', 'a1')
+  })
+
+  it('surfaces upload errors from the server', async () => {
+    const user = userEvent.setup()
+    attachmentService.getAttachments.mockResolvedValue({ attachments: [] })
+    attachmentService.uploadAttachment.mockRejectedValue({
+      response: { data: { error: { message: 'File exceeds the 10 MB limit' } } }
+    })
+    render(<TaskAttachments taskId="t1" />)
+    await screen.findByText('No attachments yet.')
+
+    await user.upload(screen.getByLabelText('Attach file'), new File(['x'], 'a.txt', { type: 'text/plain' }))
+
+    expect(await screen.findByText('File exceeds the 10 MB limit')).toBeInTheDocument()
+  })
+})
@@ -1,5 +1,5 @@
 import React from 'react'
-import { render, screen } from '@testing-library/react'
+import { render, screen, fireEvent } from '@testing-library/react'
 import { describe, it, expect, vi } from 'vitest'
 import { BrowserRouter } from 'react-router-dom'
 import TaskBoard from '../TaskBoard'
@@ -84,6 +84,17 @@ describe('TaskBoard', () => {
     expect(screen.getByText('Total Tasks: 3')).toBeInTheDocument()
   })
 
+  it('renders the current board name as the title', () => {
+    render(
+      <TestWrapper>
+        <TaskBoard {...mockProps} boardId="b2" title="Side project" />
+      </TestWrapper>
+    )
+
+    expect(screen.getByText('Side project')).toBeInTheDocument()
+    expect(screen.queryByText('My Task Board')).not.toBeInTheDocument()
+  })
+
   it('renders all three columns', () => {
     render(
       <TestWrapper>
@@ -96,6 +107,36 @@ describe('TaskBoard', () => {
     expect(screen.getByText('Done')).toBeInTheDocument()
   })
 
+  it('renders the board\'s own columns in order', () => {
+    const columns = [
+      { key: 'backlog', name: 'Backlog', isDone: false },
+      { key: 'todo', name: 'Next Up', isDone: false },
+      { key: 'shipped', name: 'Shipped', isDone: true }
+    ]
+    render(
+      <TestWrapper>
+        <TaskBoard {...mockProps} columns={columns} />
+      </TestWrapper>
+    )
+
+    const headings = screen.getAllByRole('heading', { level: 2 }).map(heading => heading.textContent)
+    expect(headings).toEqual(['Backlog', 'Next Up', 'Shipped'])
+    expect(screen.getByText('Todo Task')).toBeInTheDocument()
+    expect(screen.queryByText('Done Task')).not.toBeInTheDocument()
+  })
+
+  it('shows the edit columns button when a handler is given', () => {
+    const onEditColumns = vi.fn()
+    render(
+      <TestWrapper>
+        <TaskBoard {...mockProps} onEditColumns={onEditColumns} />
+      </TestWrapper>
+    )
+
+    fireEvent.click(screen.getByRole('button', { name: 'Edit columns' }))
+    expect(onEditColumns).toHaveBeenCalled()
+  })
+
   it('shows loading state when loading is true', () => {
     render(
       <TestWrapper>
@@ -158,4 +199,55 @@ describe('TaskBoard', () => {
     )
     expect(screen.getByText('Total Tasks: 2')).toBeInTheDocument()
   })
-})
\ No newline at end of file
+
+  it('filters cards by assignee', () => {
+    const assignedTasks = [
+      { ...mockTasks[0], assignees: [{ _id: 'u1', username: 'alice' }] },
+      { ...mockTasks[1], assignees: [{ _id: 'u2', username: 'bob' }] },
+      mockTasks[2]
+    ]
+
+    render(
+      <TestWrapper>
+        <TaskBoard {...mockProps} tasks={assignedTasks} currentUserId="u1" />
+      </TestWrapper>
+    )
+
+    const filter = screen.getByLabelText('Show cards assigned to')
+    fireEvent.change(filter, { target: { value: 'me' } })
+    expect(screen.getByText('Todo Task')).toBeInTheDocument()
+    expect(screen.queryByText('In Progress Task')).not.toBeInTheDocument()
+    expect(screen.getByText('Total Tasks: 1')).toBeInTheDocument()
+
+    fireEvent.change(filter, { target: { value: 'none' } })
+    expect(screen.getByText('Done Task')).toBeInTheDocument()
+    expect(screen.queryByText('Todo Task')).not.toBeInTheDocument()
+  })
+
+  it('filters cards by a teammate, starting from the requested filter', () => {
+    const assignedTasks = [
+      { ...mockTasks[0], assignees: [{ _id: 'u1', username: 'alice' }] },
+      { ...mockTasks[1], assignees: [{ _id: 'u2', username: 'bob' }] },
+      mockTasks[2]
+    ]
+    const users = [{ _id: 'u1', username: 'alice' }, { _id: 'u2', username: 'bob' }]
+
+    render(
+      <TestWrapper>
+        <TaskBoard
+          {...mockProps}
+          tasks={assignedTasks}
+          currentUserId="u1"
+          assigneeUsers={users}
+          defaultAssigneeFilter="u2"
+        />
+      </TestWrapper>
+    )
+
+    const filter = screen.getByLabelText('Show cards assigned to')
+    expect(filter).toHaveValue('u2')
+    expect(screen.getByText('In Progress Task')).toBeInTheDocument()
+    expect(screen.queryByText('Todo Task')).not.toBeInTheDocument()
+    expect(screen.queryByRole('option', { name: 'Assigned to alice' })).not.toBeInTheDocument()
+  })
+})
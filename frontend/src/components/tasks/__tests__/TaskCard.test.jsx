@@ -55,6 +55,13 @@ describe('TaskCard', () => {
     expect(mockProps.onDelete).toHaveBeenCalledWith(mockTask._id)
   })
 
+  it('hides the delete button when the task cannot be deleted', () => {
+    renderWithDnd(<TaskCard {...mockProps} onDelete={undefined} />)
+
+    expect(screen.getByLabelText('Edit task')).toBeInTheDocument()
+    expect(screen.queryByLabelText('Delete task')).not.toBeInTheDocument()
+  })
+
   it('shows completed date when task is completed', () => {
     const completedTask = {
       ...mockTask,
@@ -85,4 +92,123 @@ describe('TaskCard', () => {
     const taskCard = screen.getByText('Test Task').closest('[class*="taskCard"]')
     expect(taskCard).toBeInTheDocument()
   })
-})
\ No newline at end of file
+
+  it('shows due date and an overdue badge for past-due tasks', () => {
+    const overdueTask = {
+      ...mockTask,
+      dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={overdueTask} />)
+
+    expect(screen.getByText(/Due:/)).toBeInTheDocument()
+    expect(screen.getByText('Overdue')).toBeInTheDocument()
+  })
+
+  it('shows a due soon badge for tasks due within two days', () => {
+    const dueSoonTask = {
+      ...mockTask,
+      dueDate: new Date(Date.now() + 12 * 60 * 60 * 1000).toISOString()
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={dueSoonTask} />)
+
+    expect(screen.getByText('Due soon')).toBeInTheDocument()
+    expect(screen.queryByText('Overdue')).not.toBeInTheDocument()
+  })
+
+  it('does not flag completed tasks as overdue', () => {
+    const completedLateTask = {
+      ...mockTask,
+      status: 'done',
+      dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      completedAt: new Date().toISOString()
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={completedLateTask} />)
+
+    expect(screen.getByText(/Due:/)).toBeInTheDocument()
+    expect(screen.queryByText('Overdue')).not.toBeInTheDocument()
+  })
+
+  it('shows the task priority, defaulting to medium', () => {
+    const { rerender } = renderWithDnd(<TaskCard {...mockProps} />)
+
+    expect(screen.getByTitle('Priority: Medium')).toHaveTextContent('Medium')
+
+    rerender(
+      <DndProvider backend={HTML5Backend}>
+        <TaskCard {...mockProps} task={{ ...mockTask, priority: 'urgent' }} />
+      </DndProvider>
+    )
+
+    expect(screen.getByTitle('Priority: Urgent')).toHaveTextContent('Urgent')
+  })
+
+  it('renders a chip for each populated label', () => {
+    const labeledTask = {
+      ...mockTask,
+      labels: [
+        { _id: 'l1', name: 'Bug', color: '#eb5a46' },
+        { _id: 'l2', name: 'Frontend', color: '#61bd4f' }
+      ]
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={labeledTask} />)
+
+    expect(screen.getByText('Bug')).toHaveStyle({ backgroundColor: '#eb5a46' })
+    expect(screen.getByText('Frontend')).toBeInTheDocument()
+  })
+
+  it('shows checklist progress', () => {
+    const checklistTask = {
+      ...mockTask,
+      checklist: [
+        { _id: 'c1', text: 'One', done: true, position: 0 },
+        { _id: 'c2', text: 'Two', done: false, position: 1 },
+        { _id: 'c3', text: 'Three', done: true, position: 2 }
+      ]
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={checklistTask} />)
+
+    expect(screen.getByTitle('Checklist: 2 of 3 done')).toHaveTextContent('2/3')
+  })
+
+  it('hides checklist progress when the task has no checklist', () => {
+    renderWithDnd(<TaskCard {...mockProps} />)
+
+    expect(screen.queryByTitle(/Checklist:/)).not.toBeInTheDocument()
+  })
+
+  it('shows the comment count when a task has comments', () => {
+    const { rerender } = renderWithDnd(<TaskCard {...mockProps} task={{ ...mockTask, commentCount: 3 }} />)
+
+    expect(screen.getByTitle('3 comments')).toHaveTextContent('3')
+
+    rerender(
+      <DndProvider backend={HTML5Backend}>
+        <TaskCard {...mockProps} task={{ ...mockTask, commentCount: 0 }} />
+      </DndProvider>
+    )
+
+    expect(screen.queryByTitle(/comment/)).not.toBeInTheDocument()
+  })
+
+  it('shows initials for each assignee', () => {
+    const assignedTask = {
+      ...mockTask,
+      assignees: [
+        { _id: 'u1', username: 'alice' },
+        { _id: 'u2', username: 'bob.smith' },
+        'u3'
+      ]
+    }
+
+    renderWithDnd(<TaskCard {...mockProps} task={assignedTask} />)
+
+    expect(screen.getByLabelText('Assigned to alice')).toHaveTextContent('AL')
+    expect(screen.getByLabelText('Assigned to bob.smith')).toHaveTextContent('BS')
+    expect(screen.getAllByLabelText(/Assigned to/)).toHaveLength(2)
+  })
+})
@@ -1,5 +1,5 @@
 import React from 'react'
-import { render, screen, fireEvent } from '@testing-library/react'
+import { render, screen, fireEvent, createEvent } from '@testing-library/react'
 import { describe, it, expect, vi } from 'vitest'
 import { DndProvider } from 'react-dnd'
 import { HTML5Backend } from 'react-dnd-html5-backend'
@@ -90,6 +90,14 @@ describe('TaskColumn', () => {
     expect(mockProps.onAddTask).toHaveBeenCalledWith('todo')
   })
 
+  it('hides the add buttons on read-only boards', () => {
+    renderWithDnd(<TaskColumn {...mockProps} tasks={[]} onAddTask={undefined} />)
+
+    expect(screen.getByText('No tasks yet')).toBeInTheDocument()
+    expect(screen.queryByLabelText('Add task to To Do')).not.toBeInTheDocument()
+    expect(screen.queryByText('Add your first task')).not.toBeInTheDocument()
+  })
+
   it('displays correct icon for different statuses', () => {
     const { rerender } = renderWithDnd(<TaskColumn {...mockProps} />)
     expect(screen.getByText('📋')).toBeInTheDocument()
@@ -119,4 +127,94 @@ describe('TaskColumn', () => {
     // In a real test environment, we would simulate drag and drop events
     expect(onTaskDrop).not.toHaveBeenCalled()
   })
+
+  it('orders cards by position by default and by priority when requested', () => {
+    const rankedTasks = [
+      { _id: 'a', title: 'Low First', status: 'todo', priority: 'low', position: 0 },
+      { _id: 'b', title: 'Urgent Second', status: 'todo', priority: 'urgent', position: 1 },
+      { _id: 'c', title: 'High Third', status: 'todo', priority: 'high', position: 2 }
+    ]
+
+    const { rerender } = renderWithDnd(<TaskColumn {...mockProps} tasks={rankedTasks} />)
+
+    const titles = () => screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent)
+    expect(titles()).toEqual(['Low First', 'Urgent Second', 'High Third'])
+
+    rerender(
+      <DndProvider backend={HTML5Backend}>
+        <TaskColumn {...mockProps} tasks={rankedTasks} sortBy="priority" />
+      </DndProvider>
+    )
+
+    expect(titles()).toEqual(['Urgent Second', 'High Third', 'Low First'])
+  })
+
+  describe('Reordering', () => {
+    const rankedTasks = [
+      { _id: 'a', title: 'First', status: 'todo', position: 0 },
+      { _id: 'b', title: 'Second', status: 'todo', position: 1 },
+      { _id: 'c', title: 'Third', status: 'todo', position: 2 }
+    ]
+
+    const cardFor = (title) => screen.getByText(title).closest('[draggable="true"]')
+
+    // jsdom has no DragEvent, so pointer coordinates are set on the event by hand
+    const fireDragEvent = (type, element, dataTransfer, clientY = 0) => {
+      const event = createEvent[type](element, { dataTransfer })
+      Object.defineProperties(event, {
+        clientX: { value: 10 },
+        clientY: { value: clientY }
+      })
+      fireEvent(element, event)
+    }
+
+    // Drag one card over another with the HTML5 backend; cards are 100px tall at y=0
+    const dragCard = (source, target, clientY) => {
+      const dataTransfer = { setData: vi.fn(), getData: vi.fn(), setDragImage: vi.fn(), types: [] }
+      vi.spyOn(target, 'getBoundingClientRect').mockReturnValue({ top: 0, height: 100 })
+      fireDragEvent('dragStart', source, dataTransfer)
+      fireDragEvent('dragEnter', target, dataTransfer, clientY)
+      fireDragEvent('dragOver', target, dataTransfer, clientY)
+      fireDragEvent('drop', target, dataTransfer, clientY)
+      fireDragEvent('dragEnd', source, dataTransfer)
+    }
+
+    it('moves a card in front of the card it is dropped on', () => {
+      const onTaskDrop = vi.fn()
+      renderWithDnd(<TaskColumn {...mockProps} tasks={rankedTasks} onTaskDrop={onTaskDrop} />)
+
+      dragCard(cardFor('Third'), cardFor('First'), 20)
+
+      expect(onTaskDrop).toHaveBeenCalledWith('c', 'todo', 'a')
+    })
+
+    it('moves a card after the card when dropped on its lower half', () => {
+      const onTaskDrop = vi.fn()
+      renderWithDnd(<TaskColumn {...mockProps} tasks={rankedTasks} onTaskDrop={onTaskDrop} />)
+
+      dragCard(cardFor('First'), cardFor('Third'), 80)
+
+      expect(onTaskDrop).toHaveBeenCalledWith('a', 'todo', null)
+    })
+
+    it('ignores drops that leave the card where it is', () => {
+      const onTaskDrop = vi.fn()
+      renderWithDnd(<TaskColumn {...mockProps} tasks={rankedTasks} onTaskDrop={onTaskDrop} />)
+
+      dragCard(cardFor('First'), cardFor('Second'), 20)
+
+      expect(onTaskDrop).not.toHaveBeenCalled()
+    })
+
+    it('does not reorder cards while sorted by priority', () => {
+      const onTaskDrop = vi.fn()
+      renderWithDnd(
+        <TaskColumn {...mockProps} tasks={rankedTasks} onTaskDrop={onTaskDrop} sortBy="priority" />
+      )
+
+      dragCard(cardFor('Third'), cardFor('First'), 20)
+
+      expect(onTaskDrop).not.toHaveBeenCalled()
+    })
+  })
 })
\ No newline at end of file
@@ -60,6 +60,19 @@ describe('TaskModal', () => {
       expect(screen.getByText('Cancel')).toBeInTheDocument()
       expect(screen.getByText('Create Task')).toBeInTheDocument()
     })
+
+    it('offers the board\'s columns as statuses', () => {
+      const columns = [
+        { key: 'backlog', name: 'Backlog', isDone: false },
+        { key: 'shipped', name: 'Shipped', isDone: true }
+      ]
+      render(<TaskModal {...defaultProps} initialStatus="backlog" columns={columns} />)
+
+      const options = screen.getAllByRole('option').map(option => option.textContent)
+      expect(options).toEqual(expect.arrayContaining(['Backlog', 'Shipped']))
+      expect(options).not.toContain('To Do')
+      expect(screen.getByLabelText('Status')).toHaveValue('backlog')
+    })
   })
 
   describe('Form Interaction', () => {
@@ -172,6 +185,20 @@ describe('TaskModal', () => {
       
       expect(screen.queryByText('Title is required')).not.toBeInTheDocument()
     })
+
+    it('shows error when due date is before start date', async () => {
+      const user = userEvent.setup()
+      render(<TaskModal {...defaultProps} />)
+
+      await user.type(screen.getByLabelText('Title *'), 'Valid Title')
+      fireEvent.change(screen.getByLabelText('Start date'), { target: { value: '2030-01-10' } })
+      fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2030-01-05' } })
+
+      await user.click(screen.getByText('Create Task'))
+
+      expect(screen.getByText('Due date cannot be before start date')).toBeInTheDocument()
+      expect(mockOnSubmit).not.toHaveBeenCalled()
+    })
   })
 
   describe('Form Submission', () => {
@@ -195,7 +222,11 @@ describe('TaskModal', () => {
       expect(mockOnSubmit).toHaveBeenCalledWith({
         title: 'New Task',
         description: 'Task description',
-        status: 'inprogress'
+        status: 'inprogress',
+        priority: 'medium',
+        startDate: null,
+        dueDate: null,
+        labels: []
       }, undefined)
     })
 
@@ -215,7 +246,11 @@ describe('TaskModal', () => {
       expect(mockOnSubmit).toHaveBeenCalledWith({
         title: 'Updated Task',
         description: 'Test Description',
-        status: 'inprogress'
+        status: 'inprogress',
+        priority: 'medium',
+        startDate: null,
+        dueDate: null,
+        labels: []
       }, '1')
     })
 
@@ -297,6 +332,150 @@ describe('TaskModal', () => {
         expect(screen.getByText('Generic server error')).toBeInTheDocument()
       })
     })
+
+    it('submits start and due dates as ISO strings', async () => {
+      const user = userEvent.setup()
+      mockOnSubmit.mockResolvedValue()
+
+      render(<TaskModal {...defaultProps} />)
+
+      await user.type(screen.getByLabelText('Title *'), 'Dated Task')
+      fireEvent.change(screen.getByLabelText('Start date'), { target: { value: '2030-01-05' } })
+      fireEvent.change(screen.getByLabelText('Due date'), { target: { value: '2030-01-10' } })
+
+      await user.click(screen.getByText('Create Task'))
+
+      const [taskData] = mockOnSubmit.mock.calls[0]
+      expect(taskData.startDate).toBe(new Date(2030, 0, 5).toISOString())
+      expect(taskData.dueDate).toBe(new Date(2030, 0, 10, 23, 59, 59, 999).toISOString())
+    })
+
+    it('pre-fills date inputs when editing a task with dates', () => {
+      const datedTask = {
+        ...mockTask,
+        startDate: new Date(2030, 0, 5).toISOString(),
+        dueDate: new Date(2030, 0, 10, 23, 59, 59, 999).toISOString()
+      }
+
+      render(<TaskModal {...defaultProps} task={datedTask} />)
+
+      expect(screen.getByLabelText('Start date')).toHaveValue('2030-01-05')
+      expect(screen.getByLabelText('Due date')).toHaveValue('2030-01-10')
+    })
+
+    it('submits the selected priority', async () => {
+      const user = userEvent.setup()
+      mockOnSubmit.mockResolvedValue()
+
+      render(<TaskModal {...defaultProps} task={mockTask} />)
+
+      await user.selectOptions(screen.getByLabelText('Priority'), 'urgent')
+      await user.click(screen.getByText('Update Task'))
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ priority: 'urgent' }),
+        '1'
+      )
+    })
+
+    it('pre-selects the task labels and submits label ids', async () => {
+      const user = userEvent.setup()
+      mockOnSubmit.mockResolvedValue()
+      const labels = [
+        { _id: 'l1', name: 'Bug', color: '#eb5a46' },
+        { _id: 'l2', name: 'Frontend', color: '#61bd4f' }
+      ]
+
+      render(
+        <TaskModal
+          {...defaultProps}
+          task={{ ...mockTask, labels: [labels[0]] }}
+          labels={labels}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: 'Bug' })).toHaveAttribute('aria-pressed', 'true')
+      expect(screen.getByRole('button', { name: 'Frontend' })).toHaveAttribute('aria-pressed', 'false')
+
+      await user.click(screen.getByRole('button', { name: 'Bug' }))
+      await user.click(screen.getByRole('button', { name: 'Frontend' }))
+      await user.click(screen.getByText('Update Task'))
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ labels: ['l2'] }),
+        '1'
+      )
+    })
+
+    it('creates a label inline and selects it', async () => {
+      const user = userEvent.setup()
+      const mockOnCreateLabel = vi.fn().mockResolvedValue({
+        _id: 'l3', name: 'Urgent fix', color: '#0079bf'
+      })
+      mockOnSubmit.mockResolvedValue()
+
+      const { rerender } = render(
+        <TaskModal {...defaultProps} onCreateLabel={mockOnCreateLabel} />
+      )
+
+      await user.type(screen.getByLabelText('New label name'), 'Urgent fix')
+      await user.click(screen.getByText('Add label'))
+
+      expect(mockOnCreateLabel).toHaveBeenCalledWith({ name: 'Urgent fix', color: '#0079bf' })
+
+      // The parent owns the catalog and passes the new label back down
+      rerender(
+        <TaskModal
+          {...defaultProps}
+          onCreateLabel={mockOnCreateLabel}
+          labels={[{ _id: 'l3', name: 'Urgent fix', color: '#0079bf' }]}
+        />
+      )
+      expect(screen.getByRole('button', { name: 'Urgent fix' })).toHaveAttribute('aria-pressed', 'true')
+
+      await user.type(screen.getByLabelText(/title/i), 'Labelled task')
+      await user.click(screen.getByText('Create Task'))
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ labels: ['l3'] }),
+        undefined
+      )
+    })
+
+    it('pre-selects the task assignees and submits assignee ids', async () => {
+      const user = userEvent.setup()
+      mockOnSubmit.mockResolvedValue()
+      const members = [
+        { _id: 'u1', username: 'alice' },
+        { _id: 'u2', username: 'bob' }
+      ]
+
+      render(
+        <TaskModal
+          {...defaultProps}
+          task={{ ...mockTask, assignees: [members[1]] }}
+          assignableUsers={members}
+        />
+      )
+
+      expect(screen.getByRole('button', { name: 'alice' })).toHaveAttribute('aria-pressed', 'false')
+      expect(screen.getByRole('button', { name: 'bob' })).toHaveAttribute('aria-pressed', 'true')
+
+      await user.click(screen.getByRole('button', { name: 'alice' }))
+      await user.click(screen.getByRole('button', { name: 'bob' }))
+      await user.click(screen.getByText('Update Task'))
+
+      expect(mockOnSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ assignees: ['u1'] }),
+        '1'
+      )
+    })
+
+    it('hides the assignee picker without board members', () => {
+      render(<TaskModal {...defaultProps} />)
+
+      expect(screen.queryByText('Assignees')).not.toBeInTheDocument()
+    })
   })
 
   describe('Modal Interaction', () => {
@@ -431,4 +610,94 @@ describe('TaskModal', () => {
       expect(screen.getByLabelText('Status')).toHaveFocus()
     })
   })
+
+  describe('Checklist', () => {
+    const checklistTask = {
+      ...mockTask,
+      checklist: [
+        { _id: 'c1', text: 'Draft', done: false, position: 0 },
+        { _id: 'c2', text: 'Review', done: true, position: 1 }
+      ]
+    }
+
+    const createChecklistActions = () => ({
+      add: vi.fn(),
+      update: vi.fn(),
+      reorder: vi.fn(),
+      remove: vi.fn()
+    })
+
+    it('asks to save a new task before adding checklist items', () => {
+      render(<TaskModal {...defaultProps} checklistActions={createChecklistActions()} />)
+
+      expect(screen.getByText('Save the task to start a checklist.')).toBeInTheDocument()
+      expect(screen.queryByLabelText('New checklist item')).not.toBeInTheDocument()
+    })
+
+    it('shows existing items with progress', () => {
+      render(
+        <TaskModal {...defaultProps} task={checklistTask} checklistActions={createChecklistActions()} />
+      )
+
+      expect(screen.getByText('1/2')).toBeInTheDocument()
+      expect(screen.getByLabelText('Draft')).not.toBeChecked()
+      expect(screen.getByLabelText('Review')).toBeChecked()
+    })
+
+    it('adds an item and shows the returned checklist', async () => {
+      const user = userEvent.setup()
+      const checklistActions = createChecklistActions()
+      checklistActions.add.mockResolvedValue({
+        ...checklistTask,
+        checklist: [
+          ...checklistTask.checklist,
+          { _id: 'c3', text: 'Ship', done: false, position: 2 }
+        ]
+      })
+
+      render(<TaskModal {...defaultProps} task={checklistTask} checklistActions={checklistActions} />)
+
+      await user.type(screen.getByLabelText('New checklist item'), 'Ship{Enter}')
+
+      expect(checklistActions.add).toHaveBeenCalledWith('1', 'Ship')
+      expect(await screen.findByLabelText('Ship')).toBeInTheDocument()
+      expect(screen.getByLabelText('New checklist item')).toHaveValue('')
+      expect(mockOnSubmit).not.toHaveBeenCalled()
+    })
+
+    it('toggles, reorders and deletes items', async () => {
+      const user = userEvent.setup()
+      const checklistActions = createChecklistActions()
+      checklistActions.update.mockResolvedValue(checklistTask)
+      checklistActions.reorder.mockResolvedValue(checklistTask)
+      checklistActions.remove.mockResolvedValue(checklistTask)
+
+      render(<TaskModal {...defaultProps} task={checklistTask} checklistActions={checklistActions} />)
+
+      await user.click(screen.getByLabelText('Draft'))
+      expect(checklistActions.update).toHaveBeenCalledWith('1', 'c1', { done: true })
+
+      await user.click(screen.getByLabelText('Move "Review" up'))
+      expect(checklistActions.reorder).toHaveBeenCalledWith('1', ['c2', 'c1'])
+
+      await user.click(screen.getByLabelText('Delete "Draft"'))
+      expect(checklistActions.remove).toHaveBeenCalledWith('1', 'c1')
+    })
+
+    it('shows checklist errors and keeps the unsaved text', async () => {
+      const user = userEvent.setup()
+      const checklistActions = createChecklistActions()
+      checklistActions.add.mockRejectedValue({
+        response: { data: { error: { message: 'A task cannot have more than 100 checklist items' } } }
+      })
+
+      render(<TaskModal {...defaultProps} task={checklistTask} checklistActions={checklistActions} />)
+
+      await user.type(screen.getByLabelText('New checklist item'), 'One too many')
+      await user.click(screen.getByRole('button', { name: 'Add' }))
+
+      expect(await screen.findByText('A task cannot have more than 100 checklist items')).toBeInTheDocument()
+      expect(screen.getByLabelText('New checklist item')).toHaveValue('One too many')
+    })
+  })
 })
\ No newline at end of file
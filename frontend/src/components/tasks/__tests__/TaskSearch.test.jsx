@@ -0,0 +1,127 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import TaskSearch from '../TaskSearch'
+import taskService from '../../../services/taskService'
+
+vi.mock('../../../services/taskService', () => ({
+  default: {
+    searchTasks: vi.fn()
+  }
+}))
+
+describe('TaskSearch', () => {
+  const boards = [{ _id: 'b1', name: 'Work' }]
+
+  const result = (id, title, extra = {}) => ({
+    task: { _id: id, title, boardId: 'b1', status: 'todo' },
+    score: 1,
+    highlights: {
+      title: [{ text: title, match: false }],
+      description: []
+    },
+    ...extra
+  })
+
+  const deployResult = result('t1', 'Deploy the API', {
+    highlights: {
+      title: [{ text: 'Deploy', match: true }, { text: ' the API', match: false }],
+      description: [{ text: 'Roll out the ', match: false }, { text: 'deployment', match: true }]
+    }
+  })
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    taskService.searchTasks.mockResolvedValue({
+      results: [deployResult],
+      pagination: { page: 1, limit: 10, total: 1, pages: 1 }
+    })
+  })
+
+  it('searches after typing and highlights matches', async () => {
+    const user = userEvent.setup()
+    render(<TaskSearch boards={boards} onSelect={vi.fn()} />)
+
+    await user.type(screen.getByLabelText('Search tasks'), 'deploy')
+
+    const option = await screen.findByRole('option')
+    expect(taskService.searchTasks).toHaveBeenCalledTimes(1)
+    expect(taskService.searchTasks).toHaveBeenCalledWith('deploy', { page: 1, limit: 10 })
+    expect(option.querySelectorAll('mark')).toHaveLength(2)
+    expect(screen.getByText('deployment').tagName).toBe('MARK')
+    expect(screen.getByText('Work')).toBeInTheDocument()
+  })
+
+  it('does not search for very short queries', async () => {
+    const user = userEvent.setup()
+    render(<TaskSearch boards={boards} onSelect={vi.fn()} />)
+
+    await user.type(screen.getByLabelText('Search tasks'), 'd')
+    await new Promise(resolve => setTimeout(resolve, 400))
+
+    expect(taskService.searchTasks).not.toHaveBeenCalled()
+  })
+
+  it('opens the chosen task and clears the search', async () => {
+    const user = userEvent.setup()
+    const onSelect = vi.fn()
+    render(<TaskSearch boards={boards} onSelect={onSelect} />)
+
+    const input = screen.getByLabelText('Search tasks')
+    await user.type(input, 'deploy')
+    await user.click(await screen.findByRole('option'))
+
+    expect(onSelect).toHaveBeenCalledWith(deployResult.task)
+    expect(input).toHaveValue('')
+    expect(screen.queryByRole('option')).not.toBeInTheDocument()
+  })
+
+  it('supports keyboard selection', async () => {
+    const user = userEvent.setup()
+    const onSelect = vi.fn()
+    render(<TaskSearch boards={boards} onSelect={onSelect} />)
+
+    await user.type(screen.getByLabelText('Search tasks'), 'deploy')
+    await screen.findByRole('option')
+    await user.keyboard('{ArrowDown}{Enter}')
+
+    expect(onSelect).toHaveBeenCalledWith(deployResult.task)
+  })
+
+  it('shows an empty state', async () => {
+    const user = userEvent.setup()
+    taskService.searchTasks.mockResolvedValue({
+      results: [],
+      pagination: { page: 1, limit: 10, total: 0, pages: 0 }
+    })
+    render(<TaskSearch boards={boards} onSelect={vi.fn()} />)
+
+    await user.type(screen.getByLabelText('Search tasks'), 'nothing')
+
+    expect(await screen.findByText('No tasks match "nothing"')).toBeInTheDocument()
+  })
+
+  it('loads more results on request', async () => {
+    const user = userEvent.setup()
+    taskService.searchTasks
+      .mockResolvedValueOnce({
+        results: [deployResult],
+        pagination: { page: 1, limit: 10, total: 2, pages: 2 }
+      })
+      .mockResolvedValueOnce({
+        results: [result('t2', 'Write release notes')],
+        pagination: { page: 2, limit: 10, total: 2, pages: 2 }
+      })
+    render(<TaskSearch boards={boards} onSelect={vi.fn()} />)
+
+    await user.type(screen.getByLabelText('Search tasks'), 'deploy')
+    await user.click(await screen.findByRole('button', { name: 'Show more results' }))
+
+    await waitFor(() => {
+      expect(screen.getAllByRole('option')).toHaveLength(2)
+    })
+    expect(taskService.searchTasks).toHaveBeenLastCalledWith('deploy', { page: 2, limit: 10 })
+    expect(screen.queryByRole('button', { name: 'Show more results' })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,93 @@
+import React, { useState, useEffect, memo } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import workspaceService from '../../services/workspaceService'
+import { getWorkspaceRoleLabel } from '../../utils/workspaceRoles'
+import styles from '../auth/AuthForms.module.css'
+
+const AcceptInvite = memo(() => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+  const [invitation, setInvitation] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [joining, setJoining] = useState(false)
+  const [error, setError] = useState('')
+
+  // Show where the link leads before joining; opening it changes nothing
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    workspaceService.getInvitation(token)
+      .then((data) => {
+        if (!cancelled) setInvitation(data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load the invitation')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  const openWorkspace = () => {
+    navigate('/dashboard', { state: { workspaceId: invitation.workspace._id } })
+  }
+
+  const handleJoin = async () => {
+    setJoining(true)
+    setError('')
+    try {
+      await workspaceService.acceptInvitation(token)
+      openWorkspace()
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to join the workspace')
+      setJoining(false)
+    }
+  }
+
+  return (
+    <div className={styles.authContainer}>
+      <div className={styles.authCard}>
+        <h2>Workspace invitation</h2>
+
+        {loading && <p>Loading invitation...</p>}
+
+        {invitation && (
+          invitation.alreadyMember ? (
+            <>
+              <p className={styles.description}>
+                You are already in <strong>{invitation.workspace.name}</strong>.
+              </p>
+              <button type="button" className={styles.submitBtn} onClick={openWorkspace}>
+                Open workspace
+              </button>
+            </>
+          ) : (
+            <>
+              <p className={styles.description}>
+                You have been invited to join <strong>{invitation.workspace.name}</strong> as
+                {' '}{getWorkspaceRoleLabel(invitation.role).toLowerCase()}. You will get access to all of its boards.
+              </p>
+              <button type="button" className={styles.submitBtn} onClick={handleJoin} disabled={joining}>
+                {joining ? 'Joining...' : 'Join workspace'}
+              </button>
+            </>
+          )
+        )}
+
+        {error && <div className={styles.submitError}>{error}</div>}
+
+        <div className={styles.authLink}>
+          <p>
+            <Link to="/dashboard">Go to your board</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  )
+})
+
+export default AcceptInvite
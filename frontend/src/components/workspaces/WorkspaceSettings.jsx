@@ -0,0 +1,357 @@
+import React, { useState, useEffect, memo } from 'react'
+import { useDebounce } from '../../hooks/useDebounce'
+import { MEMBER_ROLES } from '../../utils/boardRoles'
+import {
+  WORKSPACE_MEMBER_ROLES,
+  INVITE_EXPIRY_OPTIONS,
+  canAdministerWorkspace,
+  canInviteToWorkspace,
+  getWorkspaceRoleLabel
+} from '../../utils/workspaceRoles'
+import styles from './WorkspaceSettings.module.css'
+
+const WorkspaceSettings = memo(({
+  isOpen,
+  onClose,
+  workspace,
+  currentUserId,
+  onLoadMembers,
+  onUpdate,
+  onUpdateMember,
+  onRemoveMember,
+  onLoadInvites,
+  onCreateInvite,
+  onDeleteInvite
+}) => {
+  const [name, setName] = useState('')
+  const [defaultBoardRole, setDefaultBoardRole] = useState('editor')
+  const [membersCanInvite, setMembersCanInvite] = useState(false)
+  const [members, setMembers] = useState([])
+  const [search, setSearch] = useState('')
+  const [invites, setInvites] = useState([])
+  const [inviteRole, setInviteRole] = useState('member')
+  const [expiresInDays, setExpiresInDays] = useState(7)
+  const [inviteUrl, setInviteUrl] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const debouncedSearch = useDebounce(search, 300)
+
+  const workspaceId = workspace?._id
+  const isAdmin = canAdministerWorkspace(workspace, currentUserId)
+  const canInvite = canInviteToWorkspace(workspace, currentUserId)
+
+  // Start from the saved settings each time the dialog opens
+  useEffect(() => {
+    if (!isOpen || !workspace) {
+      setSearch('')
+      setInviteUrl('')
+      setError('')
+      return
+    }
+    setName(workspace.name)
+    setDefaultBoardRole(workspace.settings?.defaultBoardRole || 'editor')
+    setMembersCanInvite(Boolean(workspace.settings?.membersCanInvite))
+  }, [isOpen, workspace])
+
+  useEffect(() => {
+    if (!isOpen || !workspaceId) return
+
+    let cancelled = false
+    onLoadMembers(debouncedSearch)
+      .then(result => {
+        if (!cancelled) setMembers(result.members || [])
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load members')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, workspaceId, debouncedSearch, onLoadMembers])
+
+  // Only admins can see the links other people created
+  useEffect(() => {
+    if (!isOpen || !workspaceId || !isAdmin) {
+      setInvites([])
+      return
+    }
+
+    let cancelled = false
+    onLoadInvites()
+      .then(result => {
+        if (!cancelled) setInvites(result.invites || [])
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error?.message || 'Failed to load invitations')
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isOpen, workspaceId, isAdmin, onLoadInvites])
+
+  // Run a change, surfacing API errors inside the dialog
+  const run = async (action, fallbackMessage) => {
+    setSaving(true)
+    setError('')
+    try {
+      await action()
+      return true
+    } catch (err) {
+      setError(err.response?.data?.error?.message || fallbackMessage)
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveSettings = (e) => {
+    e.preventDefault()
+    const trimmed = name.trim()
+    if (!trimmed) {
+      setError('Workspace name is required')
+      return
+    }
+    run(
+      () => onUpdate({ name: trimmed, settings: { defaultBoardRole, membersCanInvite } }),
+      'Failed to save settings'
+    )
+  }
+
+  const handleRoleChange = (member, role) => run(async () => {
+    setMembers((await onUpdateMember(member.userId._id, role)).members || [])
+  }, 'Failed to update members')
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.userId.username} from this workspace? They will lose access to all of its boards.`)) return
+    run(async () => {
+      setMembers((await onRemoveMember(member.userId._id)).members || [])
+    }, 'Failed to update members')
+  }
+
+  // Leaving closes the dialog; the workspace and its boards disappear from the user's lists
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave "${workspace.name}"? You will lose access to all of its boards.`)) return
+    if (await run(() => onRemoveMember(currentUserId), 'Failed to leave the workspace')) {
+      onClose()
+    }
+  }
+
+  const handleCreateInvite = (e) => {
+    e.preventDefault()
+    run(async () => {
+      const result = await onCreateInvite({ role: inviteRole, expiresInDays })
+      setInviteUrl(result.url)
+      if (isAdmin && result.invite) {
+        setInvites(prevInvites => [result.invite, ...prevInvites])
+      }
+    }, 'Failed to create the invitation link')
+  }
+
+  const handleRevoke = (invite) => run(async () => {
+    await onDeleteInvite(invite._id)
+    setInvites(prevInvites => prevInvites.filter(existing => existing._id !== invite._id))
+  }, 'Failed to revoke the invitation link')
+
+  const handleBackdropClick = (e) => {
+    if (e.target === e.currentTarget && !saving) {
+      onClose()
+    }
+  }
+
+  if (!isOpen || !workspace) return null
+
+  return (
+    <div className={styles.modalOverlay} onClick={handleBackdropClick}>
+      <div className={styles.modal} role="dialog" aria-labelledby="workspace-settings-title">
+        <div className={styles.modalHeader}>
+          <h2 id="workspace-settings-title" className={styles.modalTitle}>{workspace.name}</h2>
+          <button
+            className={styles.closeBtn}
+            onClick={onClose}
+            disabled={saving}
+            aria-label="Close workspace settings"
+          >
+            ×
+          </button>
+        </div>
+
+        {isAdmin && (
+          <form className={styles.section} onSubmit={handleSaveSettings}>
+            <h3 className={styles.sectionTitle}>Settings</h3>
+            <label className={styles.field}>
+              <span>Name</span>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className={styles.textInput}
+                maxLength={100}
+                disabled={saving}
+              />
+            </label>
+            <label className={styles.field}>
+              <span>Role on workspace boards</span>
+              <select
+                value={defaultBoardRole}
+                onChange={(e) => setDefaultBoardRole(e.target.value)}
+                className={styles.roleSelect}
+                disabled={saving}
+              >
+                {MEMBER_ROLES.map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className={styles.checkboxField}>
+              <input
+                type="checkbox"
+                checked={membersCanInvite}
+                onChange={(e) => setMembersCanInvite(e.target.checked)}
+                disabled={saving}
+              />
+              <span>Members can create invitation links</span>
+            </label>
+            <div>
+              <button type="submit" className={styles.primaryBtn} disabled={saving}>
+                Save settings
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className={styles.section}>
+          <h3 className={styles.sectionTitle}>Members</h3>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className={styles.textInput}
+            placeholder="Search by username"
+            aria-label="Search members"
+          />
+          <ul className={styles.memberList}>
+            {members.map(member => (
+              <li key={member.userId._id} className={styles.memberItem}>
+                <span className={styles.memberName}>
+                  {member.userId.username}
+                  {member.userId._id === currentUserId && ' (you)'}
+                </span>
+                {isAdmin && member.role !== 'owner' ? (
+                  <>
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member, e.target.value)}
+                      className={styles.roleSelect}
+                      aria-label={`Role of ${member.userId.username}`}
+                      disabled={saving}
+                    >
+                      {WORKSPACE_MEMBER_ROLES.map(role => (
+                        <option key={role.value} value={role.value}>{role.label}</option>
+                      ))}
+                    </select>
+                    {member.userId._id !== currentUserId && (
+                      <button
+                        type="button"
+                        className={styles.linkBtn}
+                        onClick={() => handleRemove(member)}
+                        disabled={saving}
+                        aria-label={`Remove ${member.userId.username}`}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <span className={styles.roleLabel}>{getWorkspaceRoleLabel(member.role)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {canInvite && (
+          <form className={styles.section} onSubmit={handleCreateInvite}>
+            <h3 className={styles.sectionTitle}>Invitation links</h3>
+            <div className={styles.inviteRow}>
+              {isAdmin && (
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className={styles.roleSelect}
+                  aria-label="Role for people joining with the link"
+                  disabled={saving}
+                >
+                  {WORKSPACE_MEMBER_ROLES.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+              )}
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                className={styles.roleSelect}
+                aria-label="Link expires after"
+                disabled={saving}
+              >
+                {INVITE_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <button type="submit" className={styles.primaryBtn} disabled={saving}>
+                Create link
+              </button>
+            </div>
+            {inviteUrl && (
+              <>
+                <input
+                  type="text"
+                  value={inviteUrl}
+                  readOnly
+                  onFocus={(e) => e.target.select()}
+                  className={styles.textInput}
+                  aria-label="Invitation link"
+                />
+                <p className={styles.hint}>Copy the link now; it won&apos;t be shown again.</p>
+              </>
+            )}
+            {invites.length > 0 && (
+              <ul className={styles.memberList}>
+                {invites.map(invite => (
+                  <li key={invite._id} className={styles.memberItem}>
+                    <span className={styles.memberName}>
+                      {getWorkspaceRoleLabel(invite.role)} link
+                      {invite.createdBy?.username && ` by ${invite.createdBy.username}`}
+                      , expires {new Date(invite.expiresAt).toLocaleDateString()}
+                    </span>
+                    <button
+                      type="button"
+                      className={styles.linkBtn}
+                      onClick={() => handleRevoke(invite)}
+                      disabled={saving}
+                    >
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </form>
+        )}
+
+        {workspace.userId !== currentUserId && (
+          <div className={styles.leaveRow}>
+            <button type="button" className={styles.dangerBtn} onClick={handleLeave} disabled={saving}>
+              Leave workspace
+            </button>
+          </div>
+        )}
+
+        {error && <p className={styles.errorMessage}>{error}</p>}
+      </div>
+    </div>
+  )
+})
+
+export default WorkspaceSettings
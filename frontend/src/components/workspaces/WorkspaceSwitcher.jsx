@@ -0,0 +1,102 @@
+import React, { useState, memo } from 'react'
+import styles from './WorkspaceSwitcher.module.css'
+
+// Value of the option for the user's personal boards, which belong to no workspace
+const PERSONAL = ''
+
+const WorkspaceSwitcher = memo(({
+  workspaces = [],
+  currentWorkspaceId = null,
+  onSelect,
+  onCreate,
+  onManage
+}) => {
+  const [isCreating, setIsCreating] = useState(false)
+  const [newWorkspaceName, setNewWorkspaceName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const closeCreateForm = () => {
+    setIsCreating(false)
+    setNewWorkspaceName('')
+    setError('')
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const name = newWorkspaceName.trim()
+    if (!name) {
+      setError('Workspace name is required')
+      return
+    }
+    if (name.length > 100) {
+      setError('Workspace name must be 100 characters or less')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      await onCreate({ name })
+      closeCreateForm()
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to create workspace')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className={styles.workspaceSwitcher}>
+      <select
+        value={currentWorkspaceId || PERSONAL}
+        onChange={(e) => onSelect(e.target.value || null)}
+        className={styles.workspaceSelect}
+        aria-label="Current workspace"
+      >
+        <option value={PERSONAL}>Personal</option>
+        {workspaces.map(workspace => (
+          <option key={workspace._id} value={workspace._id}>{workspace.name}</option>
+        ))}
+      </select>
+
+      {isCreating ? (
+        <form className={styles.createForm} onSubmit={handleCreate}>
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && closeCreateForm()}
+            className={styles.nameInput}
+            placeholder="Workspace name"
+            aria-label="New workspace name"
+            maxLength={100}
+            disabled={saving}
+            autoFocus
+          />
+          <button type="submit" className={styles.primaryBtn} disabled={saving}>
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+          <button type="button" className={styles.linkBtn} onClick={closeCreateForm} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <>
+          <button type="button" className={styles.linkBtn} onClick={() => setIsCreating(true)}>
+            New workspace
+          </button>
+          {onManage && currentWorkspaceId && (
+            <button type="button" className={styles.linkBtn} onClick={onManage}>
+              Manage
+            </button>
+          )}
+        </>
+      )}
+
+      {error && <span className={styles.errorMessage}>{error}</span>}
+    </div>
+  )
+})
+
+export default WorkspaceSwitcher
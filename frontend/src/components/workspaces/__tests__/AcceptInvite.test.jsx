@@ -0,0 +1,61 @@
+import React from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import AcceptInvite from '../AcceptInvite'
+import workspaceService from '../../../services/workspaceService'
+
+vi.mock('../../../services/workspaceService', () => ({
+  default: {
+    getInvitation: vi.fn(),
+    acceptInvitation: vi.fn()
+  }
+}))
+
+describe('AcceptInvite', () => {
+  const token = 'a'.repeat(64)
+
+  const renderPage = () => render(
+    <MemoryRouter initialEntries={[`/invite/${token}`]}>
+      <Routes>
+        <Route path="/invite/:token" element={<AcceptInvite />} />
+        <Route path="/dashboard" element={<div>Dashboard page</div>} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('shows the workspace and joins it', async () => {
+    const user = userEvent.setup()
+    workspaceService.getInvitation.mockResolvedValue({
+      workspace: { _id: 'w1', name: 'Acme' },
+      role: 'member',
+      alreadyMember: false
+    })
+    workspaceService.acceptInvitation.mockResolvedValue({ workspace: { _id: 'w1', name: 'Acme' } })
+    renderPage()
+
+    expect(await screen.findByText('Acme')).toBeInTheDocument()
+    expect(workspaceService.getInvitation).toHaveBeenCalledWith(token)
+    expect(workspaceService.acceptInvitation).not.toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Join workspace' }))
+
+    expect(workspaceService.acceptInvitation).toHaveBeenCalledWith(token)
+    expect(await screen.findByText('Dashboard page')).toBeInTheDocument()
+  })
+
+  it('explains expired links', async () => {
+    workspaceService.getInvitation.mockRejectedValue({
+      response: { data: { error: { message: 'This invitation link is invalid or has expired' } } }
+    })
+    renderPage()
+
+    expect(await screen.findByText('This invitation link is invalid or has expired')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Join workspace' })).not.toBeInTheDocument()
+  })
+})
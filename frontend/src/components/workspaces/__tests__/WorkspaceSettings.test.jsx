@@ -0,0 +1,136 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import WorkspaceSettings from '../WorkspaceSettings'
+
+describe('WorkspaceSettings', () => {
+  const workspace = {
+    _id: 'w1',
+    name: 'Acme',
+    userId: 'u1',
+    members: [{ userId: 'u2', role: 'member' }],
+    settings: { defaultBoardRole: 'editor', membersCanInvite: false }
+  }
+
+  const memberList = {
+    members: [
+      { userId: { _id: 'u1', username: 'alice' }, role: 'owner' },
+      { userId: { _id: 'u2', username: 'bob' }, role: 'member' }
+    ]
+  }
+
+  const mockProps = {
+    isOpen: true,
+    onClose: vi.fn(),
+    workspace,
+    currentUserId: 'u1',
+    onLoadMembers: vi.fn(),
+    onUpdate: vi.fn(),
+    onUpdateMember: vi.fn(),
+    onRemoveMember: vi.fn(),
+    onLoadInvites: vi.fn(),
+    onCreateInvite: vi.fn(),
+    onDeleteInvite: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockProps.onLoadMembers.mockResolvedValue(memberList)
+    mockProps.onLoadInvites.mockResolvedValue({ invites: [] })
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+  })
+
+  it('renders nothing when closed', () => {
+    render(<WorkspaceSettings {...mockProps} isOpen={false} />)
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(mockProps.onLoadMembers).not.toHaveBeenCalled()
+  })
+
+  it('lists members and lets admins change roles', async () => {
+    const user = userEvent.setup()
+    mockProps.onUpdateMember.mockResolvedValue({
+      members: [memberList.members[0], { ...memberList.members[1], role: 'admin' }]
+    })
+    render(<WorkspaceSettings {...mockProps} />)
+
+    expect(await screen.findByText('bob')).toBeInTheDocument()
+    expect(screen.getByText('Owner')).toBeInTheDocument()
+
+    await user.selectOptions(screen.getByLabelText('Role of bob'), 'admin')
+
+    expect(mockProps.onUpdateMember).toHaveBeenCalledWith('u2', 'admin')
+    await waitFor(() => {
+      expect(screen.getByLabelText('Role of bob')).toHaveValue('admin')
+    })
+  })
+
+  it('saves the workspace settings', async () => {
+    const user = userEvent.setup()
+    mockProps.onUpdate.mockResolvedValue()
+    render(<WorkspaceSettings {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.selectOptions(screen.getByLabelText('Role on workspace boards'), 'viewer')
+    await user.click(screen.getByLabelText('Members can create invitation links'))
+    await user.click(screen.getByRole('button', { name: 'Save settings' }))
+
+    expect(mockProps.onUpdate).toHaveBeenCalledWith({
+      name: 'Acme',
+      settings: { defaultBoardRole: 'viewer', membersCanInvite: true }
+    })
+  })
+
+  it('removes members after confirmation', async () => {
+    const user = userEvent.setup()
+    mockProps.onRemoveMember.mockResolvedValue({ members: [memberList.members[0]] })
+    render(<WorkspaceSettings {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.click(screen.getByRole('button', { name: 'Remove bob' }))
+
+    expect(window.confirm).toHaveBeenCalled()
+    expect(mockProps.onRemoveMember).toHaveBeenCalledWith('u2')
+    await waitFor(() => {
+      expect(screen.queryByText('bob')).not.toBeInTheDocument()
+    })
+  })
+
+  it('creates invitation links and shows them once', async () => {
+    const user = userEvent.setup()
+    mockProps.onCreateInvite.mockResolvedValue({
+      invite: { _id: 'i1', role: 'admin', expiresAt: '2030-01-01T00:00:00.000Z' },
+      url: 'http://localhost:5173/invite/abc'
+    })
+    render(<WorkspaceSettings {...mockProps} />)
+    await screen.findByText('bob')
+
+    await user.selectOptions(screen.getByLabelText('Role for people joining with the link'), 'admin')
+    await user.selectOptions(screen.getByLabelText('Link expires after'), '30')
+    await user.click(screen.getByRole('button', { name: 'Create link' }))
+
+    expect(mockProps.onCreateInvite).toHaveBeenCalledWith({ role: 'admin', expiresInDays: 30 })
+    expect(await screen.findByLabelText('Invitation link')).toHaveValue('http://localhost:5173/invite/abc')
+    expect(screen.getByRole('button', { name: 'Revoke' })).toBeInTheDocument()
+  })
+
+  it('shows members a read-only list and lets them leave', async () => {
+    const user = userEvent.setup()
+    mockProps.onRemoveMember.mockResolvedValue(memberList)
+    render(<WorkspaceSettings {...mockProps} currentUserId="u2" />)
+    await screen.findByText('alice')
+
+    expect(screen.queryByText('Save settings')).not.toBeInTheDocument()
+    expect(screen.queryByText('Create link')).not.toBeInTheDocument()
+    expect(screen.queryByLabelText('Role of bob')).not.toBeInTheDocument()
+    expect(mockProps.onLoadInvites).not.toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Leave workspace' }))
+
+    expect(mockProps.onRemoveMember).toHaveBeenCalledWith('u2')
+    await waitFor(() => {
+      expect(mockProps.onClose).toHaveBeenCalled()
+    })
+  })
+})
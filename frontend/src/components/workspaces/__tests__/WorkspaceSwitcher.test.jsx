@@ -0,0 +1,78 @@
+import React from 'react'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import WorkspaceSwitcher from '../WorkspaceSwitcher'
+
+describe('WorkspaceSwitcher', () => {
+  const workspaces = [
+    { _id: 'w1', name: 'Acme' },
+    { _id: 'w2', name: 'Book club' }
+  ]
+
+  const mockProps = {
+    workspaces,
+    currentWorkspaceId: null,
+    onSelect: vi.fn(),
+    onCreate: vi.fn(),
+    onManage: vi.fn()
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('switches between personal boards and workspaces', async () => {
+    const user = userEvent.setup()
+    const { rerender } = render(<WorkspaceSwitcher {...mockProps} />)
+
+    const select = screen.getByLabelText('Current workspace')
+    expect(select).toHaveValue('')
+    expect(screen.queryByRole('button', { name: 'Manage' })).not.toBeInTheDocument()
+
+    await user.selectOptions(select, 'w2')
+    expect(mockProps.onSelect).toHaveBeenCalledWith('w2')
+
+    rerender(<WorkspaceSwitcher {...mockProps} currentWorkspaceId="w2" />)
+    await user.selectOptions(select, 'Personal')
+    expect(mockProps.onSelect).toHaveBeenLastCalledWith(null)
+  })
+
+  it('opens the settings of the current workspace', async () => {
+    const user = userEvent.setup()
+    render(<WorkspaceSwitcher {...mockProps} currentWorkspaceId="w1" />)
+
+    await user.click(screen.getByRole('button', { name: 'Manage' }))
+
+    expect(mockProps.onManage).toHaveBeenCalled()
+  })
+
+  it('creates a workspace from the inline form', async () => {
+    const user = userEvent.setup()
+    mockProps.onCreate.mockResolvedValue({ _id: 'w3', name: 'Studio' })
+    render(<WorkspaceSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'New workspace' }))
+    await user.type(screen.getByLabelText('New workspace name'), '  Studio  ')
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(mockProps.onCreate).toHaveBeenCalledWith({ name: 'Studio' })
+    await waitFor(() => {
+      expect(screen.queryByLabelText('New workspace name')).not.toBeInTheDocument()
+    })
+  })
+
+  it('shows API errors when creating fails', async () => {
+    const user = userEvent.setup()
+    mockProps.onCreate.mockRejectedValue({
+      response: { data: { error: { message: 'Workspace name cannot exceed 100 characters' } } }
+    })
+    render(<WorkspaceSwitcher {...mockProps} />)
+
+    await user.click(screen.getByRole('button', { name: 'New workspace' }))
+    await user.type(screen.getByLabelText('New workspace name'), 'Studio')
+    await user.click(screen.getByRole('button', { name: 'Create' }))
+
+    expect(await screen.findByText('Workspace name cannot exceed 100 characters')).toBeInTheDocument()
+  })
+})
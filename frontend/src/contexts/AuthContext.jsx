@@ -1,9 +1,15 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import authService from '../services/authService'
+import { onSessionExpired } from '../services/tokenRefresh'
 
 const AuthContext = createContext()
 
+const clearTokens = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+}
+
 export const useAuth = () => {
   const context = useContext(AuthContext)
   if (!context) {
@@ -27,7 +33,7 @@ export const AuthProvider = ({ children }) => {
           setUser(userData)
         }
       } catch (error) {
-        localStorage.removeItem('token')
+        clearTokens()
       } finally {
         setLoading(false)
       }
@@ -36,21 +42,75 @@ export const AuthProvider = ({ children }) => {
     checkAuth()
   }, [])
 
+  // Store the tokens of a completed login and go to the dashboard
+  const completeLogin = ({ user: userData, token, refreshToken }) => {
+    localStorage.setItem('token', token)
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken)
+    }
+    setUser(userData)
+    navigate('/dashboard')
+  }
+
   const login = async (credentials) => {
     try {
       setLoading(true)
       const response = await authService.login(credentials)
-      const { user: userData, token } = response
-      
-      localStorage.setItem('token', token)
-      setUser(userData)
-      navigate('/dashboard')
+
+      // The caller collects a two-factor code and finishes with verifyTwoFactor
+      if (response.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: response.mfaToken }
+      }
+
+      completeLogin(response)
       
       return { success: true }
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.error?.message || 'Login failed' 
+        error: error.response?.data?.error?.message || 'Login failed',
+        code: error.response?.data?.error?.code
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Finish a single sign-on login when the identity provider sends the browser back
+  const completeSso = async (code, state, ssoToken) => {
+    try {
+      setLoading(true)
+      const response = await authService.completeSso(code, state, ssoToken)
+
+      if (response.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: response.mfaToken }
+      }
+
+      completeLogin(response)
+
+      return { success: true }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Single sign-on failed',
+        code: error.response?.data?.error?.code
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const verifyTwoFactor = async (mfaToken, code) => {
+    try {
+      setLoading(true)
+      completeLogin(await authService.verifyTwoFactor(mfaToken, code))
+
+      return { success: true }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || 'Verification failed',
+        code: error.response?.data?.error?.code
       }
     } finally {
       setLoading(false)
@@ -75,17 +135,35 @@ export const AuthProvider = ({ children }) => {
   }
 
   const logout = () => {
-    localStorage.removeItem('token')
+    const refreshToken = localStorage.getItem('refreshToken')
+    clearTokens()
     setUser(null)
     navigate('/login')
+
+    if (refreshToken) {
+      authService.logout(refreshToken)
+    }
   }
 
+  // Merge server-confirmed changes, e.g. a newly verified email, into the user
+  const updateUser = useCallback((changes) => {
+    setUser(prev => prev && { ...prev, ...changes })
+  }, [])
+
+  // The access token expired and could not be refreshed
+  const logoutRef = useRef(logout)
+  logoutRef.current = logout
+  useEffect(() => onSessionExpired(() => logoutRef.current()), [])
+
   const value = {
     user,
     loading,
     login,
+    completeSso,
+    verifyTwoFactor,
     logout,
-    register
+    register,
+    updateUser
   }
 
   return (
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useEffect, useState } from 'react'
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react'
 import { useAuth } from './AuthContext'
 import socketService from '../services/socketService'
 
@@ -13,9 +13,12 @@ export const useSocket = () => {
 }
 
 export const SocketProvider = ({ children }) => {
-  const { user } = useAuth()
+  const { user, logout } = useAuth()
   const [isConnected, setIsConnected] = useState(false)
   const [connectionError, setConnectionError] = useState(null)
+  // Latest logout, so the connection effect need not re-run when it changes
+  const logoutRef = useRef(logout)
+  logoutRef.current = logout
 
   useEffect(() => {
     if (user) {
@@ -40,6 +43,11 @@ export const SocketProvider = ({ children }) => {
             setConnectionError(error.message)
           })
 
+          // This login was signed out from another device
+          socket.on('session-revoked', () => {
+            logoutRef.current()
+          })
+
         } catch (error) {
           console.error('Failed to connect to Socket.IO:', error)
           setConnectionError(error.message)
@@ -0,0 +1,82 @@
+import axios from 'axios'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import socketService from '../socketService'
+import { onSessionExpired } from '../tokenRefresh'
+
+// Stand-in for a socket.io client socket that records its handlers
+const createSocket = () => {
+  const handlers = {}
+  return {
+    auth: { token: 'expired-access' },
+    connected: false,
+    handlers,
+    on: vi.fn((event, handler) => { handlers[event] = handler }),
+    emit: vi.fn(),
+    connect: vi.fn()
+  }
+}
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('socketService', () => {
+  let socket
+
+  beforeEach(() => {
+    localStorage.setItem('token', 'expired-access')
+    localStorage.setItem('refreshToken', 'refresh-1')
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    socket = createSocket()
+    socketService.socket = socket
+    socketService.reconnectAttempts = 0
+    socketService.setupEventListeners()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    socketService.socket = null
+    socketService.reconnectAttempts = 0
+    localStorage.clear()
+  })
+
+  it('refreshes an expired token before reconnecting', async () => {
+    vi.spyOn(axios, 'post').mockResolvedValue({
+      data: { data: { accessToken: 'fresh-access', refreshToken: 'refresh-2' } }
+    })
+
+    socket.handlers.connect_error(new Error('Authentication error: Token expired'))
+    await flushPromises()
+
+    expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/refresh$/), { refreshToken: 'refresh-1' })
+    expect(socket.auth.token).toBe('fresh-access')
+    expect(socket.connect).toHaveBeenCalledTimes(1)
+  })
+
+  it('ends the session when the token cannot be refreshed', async () => {
+    vi.spyOn(axios, 'post').mockRejectedValue({ response: { status: 401 } })
+    const listener = vi.fn()
+    const unsubscribe = onSessionExpired(listener)
+
+    socket.handlers.connect_error(new Error('Authentication error: Token expired'))
+    await flushPromises()
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(socket.connect).not.toHaveBeenCalled()
+    expect(socketService.reconnectAttempts).toBe(0)
+    unsubscribe()
+  })
+
+  it('retries other connection errors with the current token', () => {
+    vi.useFakeTimers()
+    vi.spyOn(axios, 'post')
+
+    socket.handlers.connect_error(new Error('xhr poll error'))
+    vi.advanceTimersByTime(socketService.reconnectDelay)
+
+    expect(axios.post).not.toHaveBeenCalled()
+    expect(socket.auth.token).toBe('expired-access')
+    expect(socket.connect).toHaveBeenCalledTimes(1)
+  })
+})
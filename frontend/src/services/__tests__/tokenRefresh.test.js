@@ -0,0 +1,91 @@
+import axios from 'axios'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { attachTokenRefresh, onSessionExpired } from '../tokenRefresh'
+import socketService from '../socketService'
+
+const expiredError = (config) => Object.assign(new Error('Request failed with status code 401'), {
+  config,
+  response: { status: 401, data: { success: false, error: { code: 'TOKEN_EXPIRED' } } }
+})
+
+// An axios instance whose requests succeed only with the given access token
+const createApi = (validToken) => {
+  const api = axios.create({
+    adapter: vi.fn(async (config) => {
+      if (config.headers.Authorization !== `Bearer ${validToken}`) {
+        throw expiredError(config)
+      }
+      return { data: { url: config.url }, status: 200, statusText: 'OK', headers: {}, config }
+    })
+  })
+  api.interceptors.request.use((config) => {
+    config.headers.Authorization = `Bearer ${localStorage.getItem('token')}`
+    return config
+  })
+  attachTokenRefresh(api)
+  return api
+}
+
+describe('tokenRefresh', () => {
+  beforeEach(() => {
+    localStorage.setItem('token', 'expired-access')
+    localStorage.setItem('refreshToken', 'refresh-1')
+    vi.spyOn(socketService, 'reconnect').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    localStorage.clear()
+  })
+
+  it('refreshes an expired access token and retries the request', async () => {
+    vi.spyOn(axios, 'post').mockResolvedValue({
+      data: { data: { accessToken: 'fresh-access', refreshToken: 'refresh-2' } }
+    })
+    const api = createApi('fresh-access')
+
+    const response = await api.get('/tasks')
+
+    expect(response.data.url).toBe('/tasks')
+    expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/refresh$/), { refreshToken: 'refresh-1' })
+    expect(localStorage.getItem('token')).toBe('fresh-access')
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2')
+    expect(socketService.reconnect).toHaveBeenCalledWith('fresh-access')
+  })
+
+  it('refreshes once for concurrent requests', async () => {
+    vi.spyOn(axios, 'post').mockResolvedValue({
+      data: { data: { accessToken: 'fresh-access', refreshToken: 'refresh-2' } }
+    })
+    const api = createApi('fresh-access')
+
+    const responses = await Promise.all([api.get('/tasks'), api.get('/boards'), api.get('/labels')])
+
+    expect(responses.map(response => response.data.url)).toEqual(['/tasks', '/boards', '/labels'])
+    expect(axios.post).toHaveBeenCalledTimes(1)
+  })
+
+  it('ends the session when the refresh token is rejected', async () => {
+    vi.spyOn(axios, 'post').mockRejectedValue({ response: { status: 401 } })
+    const listener = vi.fn()
+    const unsubscribe = onSessionExpired(listener)
+    const api = createApi('fresh-access')
+
+    await expect(api.get('/tasks')).rejects.toMatchObject({ response: { status: 401 } })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    unsubscribe()
+  })
+
+  it('keeps the session when the refresh fails on the network', async () => {
+    vi.spyOn(axios, 'post').mockRejectedValue(new Error('Network Error'))
+    const listener = vi.fn()
+    const unsubscribe = onSessionExpired(listener)
+    const api = createApi('fresh-access')
+
+    await expect(api.get('/tasks')).rejects.toThrow()
+
+    expect(listener).not.toHaveBeenCalled()
+    unsubscribe()
+  })
+})
@@ -0,0 +1,64 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const attachmentService = {
+  async getAttachments(taskId) {
+    const response = await api.get(`/tasks/${taskId}/attachments`)
+    // Backend returns { success: true, data: { attachments: [...] } }
+    return {
+      attachments: response.data.data?.attachments || []
+    }
+  },
+
+  async uploadAttachment(taskId, file, onProgress) {
+    const formData = new FormData()
+    formData.append('file', file)
+
+    // Let the browser set the multipart boundary
+    const response = await api.post(`/tasks/${taskId}/attachments`, formData, {
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100))
+        }
+      }
+    })
+    return {
+      attachment: response.data.data?.attachment
+    }
+  },
+
+  // Downloads go through axios so the auth header is sent; callers get a Blob
+  async getAttachmentBlob(taskId, attachmentId, { inline = false } = {}) {
+    const response = await api.get(`/tasks/${taskId}/attachments/${attachmentId}`, {
+      params: inline ? { inline: true } : undefined,
+      responseType: 'blob'
+    })
+    return response.data
+  },
+
+  async deleteAttachment(taskId, attachmentId) {
+    const response = await api.delete(`/tasks/${taskId}/attachments/${attachmentId}`)
+    return response.data
+  }
+}
+
+export default attachmentService
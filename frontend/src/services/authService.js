@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
 
@@ -19,35 +20,133 @@ api.interceptors.request.use((config) => {
   return config
 })
 
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+// Backend returns data.data with accessToken, but we need token. Accounts with
+// two-factor authentication get a challenge instead of tokens.
+const toLoginResult = (data) => {
+  if (data.mfaRequired) {
+    return { mfaRequired: true, mfaToken: data.mfaToken }
+  }
+  return {
+    user: data.user,
+    token: data.accessToken,
+    refreshToken: data.refreshToken
+  }
+}
+
 const authService = {
   async login(credentials) {
     const response = await api.post('/auth/login', credentials)
-    // Backend returns data.data with accessToken, but we need token
+    return toLoginResult(response.data.data)
+  },
+
+  async getSsoConfig() {
+    const response = await api.get('/auth/sso/config')
+    return response.data.data
+  },
+
+  async startSso() {
+    const response = await api.get('/auth/sso/start')
+    return response.data.data
+  },
+
+  async completeSso(code, state, ssoToken) {
+    const response = await api.post('/auth/sso/callback', { code, state, ssoToken })
+    return toLoginResult(response.data.data)
+  },
+
+  async verifyTwoFactor(mfaToken, code) {
+    const response = await api.post('/auth/2fa/verify', { mfaToken, code })
     const { data } = response.data
     return {
       user: data.user,
-      token: data.accessToken
+      token: data.accessToken,
+      refreshToken: data.refreshToken
     }
   },
 
+  async setupTwoFactor() {
+    const response = await api.post('/auth/2fa/setup')
+    return response.data.data
+  },
+
+  async enableTwoFactor(code) {
+    const response = await api.post('/auth/2fa/enable', { code })
+    return response.data.data
+  },
+
+  async disableTwoFactor(password, code) {
+    const response = await api.post('/auth/2fa/disable', { password, code })
+    return response.data.data.user
+  },
+
   async register(userData) {
     const response = await api.post('/auth/register', userData)
     // Backend returns data.data with accessToken, but we need token
     const { data } = response.data
     return {
       user: data.user,
-      token: data.accessToken
+      token: data.accessToken,
+      refreshToken: data.refreshToken
     }
   },
 
+  async forgotPassword(email) {
+    const response = await api.post('/auth/forgot-password', { email })
+    return response.data.data.message
+  },
+
+  async resetPassword(token, password) {
+    const response = await api.post('/auth/reset-password', { token, password })
+    return response.data.data.message
+  },
+
+  async verifyEmail(token) {
+    const response = await api.get(`/auth/verify-email/${token}`)
+    return response.data.data
+  },
+
+  async resendVerification(email) {
+    const response = await api.post('/auth/resend-verification', { email })
+    return response.data.data.message
+  },
+
   async verifyToken() {
     const response = await api.get('/auth/verify')
     return response.data.data.user
   },
 
-  async logout() {
+  async unlockAccount(token) {
+    const response = await api.get(`/auth/unlock-account/${token}`)
+    return response.data.data.message
+  },
+
+  async getSecurityEvents() {
+    const response = await api.get('/auth/security-events')
+    return response.data.data.events
+  },
+
+  async getSessions() {
+    const response = await api.get('/auth/sessions')
+    return response.data.data.sessions
+  },
+
+  async revokeSession(sessionId) {
+    await api.delete(`/auth/sessions/${sessionId}`)
+  },
+
+  // Sign out every session except the current one
+  async revokeOtherSessions() {
+    const response = await api.delete('/auth/sessions')
+    return response.data.data.revokedCount
+  },
+
+  // Revokes the server-side session of the refresh token
+  async logout(refreshToken) {
     try {
-      await api.post('/auth/logout')
+      await api.post('/auth/logout', { refreshToken })
     } catch (error) {
       // Even if logout fails on server, we'll clear local storage
       console.error('Logout error:', error)
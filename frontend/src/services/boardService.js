@@ -0,0 +1,124 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const boardService = {
+  async getBoards() {
+    const response = await api.get('/boards')
+    // Backend returns { success: true, data: { boards: [...] } }
+    return {
+      boards: response.data.data?.boards || []
+    }
+  },
+
+  async createBoard(boardData) {
+    const response = await api.post('/boards', boardData)
+    return {
+      board: response.data.data?.board
+    }
+  },
+
+  async updateBoard(boardId, boardData) {
+    const response = await api.put(`/boards/${boardId}`, boardData)
+    return {
+      board: response.data.data?.board
+    }
+  },
+
+  async deleteBoard(boardId) {
+    const response = await api.delete(`/boards/${boardId}`)
+    return response.data
+  },
+
+  async addColumn(boardId, columnData) {
+    const response = await api.post(`/boards/${boardId}/columns`, columnData)
+    return {
+      board: response.data.data?.board,
+      column: response.data.data?.column
+    }
+  },
+
+  async updateColumn(boardId, columnId, changes) {
+    const response = await api.patch(`/boards/${boardId}/columns/${columnId}`, changes)
+    return {
+      board: response.data.data?.board,
+      column: response.data.data?.column
+    }
+  },
+
+  async reorderColumns(boardId, columnIds) {
+    const response = await api.put(`/boards/${boardId}/columns/order`, { columnIds })
+    return {
+      board: response.data.data?.board
+    }
+  },
+
+  // Tasks in the deleted column move to moveTo, or the first remaining column
+  async deleteColumn(boardId, columnId, moveTo) {
+    const response = await api.delete(`/boards/${boardId}/columns/${columnId}`, {
+      params: moveTo ? { moveTo } : {}
+    })
+    return {
+      board: response.data.data?.board,
+      movedTasks: response.data.data?.movedTasks || 0
+    }
+  },
+
+  // Member endpoints all return the board's owner and current member list
+  async getMembers(boardId) {
+    const response = await api.get(`/boards/${boardId}/members`)
+    return {
+      owner: response.data.data?.owner,
+      members: response.data.data?.members || []
+    }
+  },
+
+  // invitee is { username } or { email }
+  async addMember(boardId, invitee, role) {
+    const response = await api.post(`/boards/${boardId}/members`, { ...invitee, role })
+    return {
+      owner: response.data.data?.owner,
+      members: response.data.data?.members || []
+    }
+  },
+
+  async updateMember(boardId, userId, role) {
+    const response = await api.patch(`/boards/${boardId}/members/${userId}`, { role })
+    return {
+      owner: response.data.data?.owner,
+      members: response.data.data?.members || []
+    }
+  },
+
+  // Removing yourself leaves the board
+  async removeMember(boardId, userId) {
+    const response = await api.delete(`/boards/${boardId}/members/${userId}`)
+    return {
+      owner: response.data.data?.owner,
+      members: response.data.data?.members || []
+    }
+  }
+}
+
+export default boardService
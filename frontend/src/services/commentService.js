@@ -0,0 +1,59 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const commentService = {
+  async getComments(taskId) {
+    const response = await api.get(`/tasks/${taskId}/comments`)
+    // Backend returns { success: true, data: { comments: [...] } }
+    return {
+      comments: response.data.data?.comments || []
+    }
+  },
+
+  async createComment(taskId, body, parentId = null) {
+    const response = await api.post(`/tasks/${taskId}/comments`, { body, parentId })
+    return {
+      comment: response.data.data?.comment,
+      commentCount: response.data.data?.commentCount
+    }
+  },
+
+  async updateComment(taskId, commentId, body) {
+    const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body })
+    return {
+      comment: response.data.data?.comment
+    }
+  },
+
+  async deleteComment(taskId, commentId) {
+    const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`)
+    return {
+      deletedIds: response.data.data?.deletedIds || [],
+      commentCount: response.data.data?.commentCount
+    }
+  }
+}
+
+export default commentService
@@ -0,0 +1,56 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const labelService = {
+  // With a boardId, the catalog of that board's owner (for boards shared with the user)
+  async getLabels(boardId) {
+    const response = await api.get('/labels', { params: boardId ? { boardId } : {} })
+    // Backend returns { success: true, data: { labels: [...] } }
+    return {
+      labels: response.data.data?.labels || []
+    }
+  },
+
+  async createLabel(labelData) {
+    const response = await api.post('/labels', labelData)
+    return {
+      label: response.data.data?.label
+    }
+  },
+
+  async updateLabel(labelId, labelData) {
+    const response = await api.put(`/labels/${labelId}`, labelData)
+    return {
+      label: response.data.data?.label
+    }
+  },
+
+  async deleteLabel(labelId) {
+    const response = await api.delete(`/labels/${labelId}`)
+    return response.data
+  }
+}
+
+export default labelService
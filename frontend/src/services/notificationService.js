@@ -0,0 +1,54 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const notificationService = {
+  async getNotifications({ unread = false, page = 1, limit = 20 } = {}) {
+    const response = await api.get('/notifications', {
+      params: { ...(unread ? { unread: true } : {}), page, limit }
+    })
+    // Backend returns { success: true, data: { notifications: [...], unreadCount, pagination } }
+    return {
+      notifications: response.data.data?.notifications || [],
+      unreadCount: response.data.data?.unreadCount || 0
+    }
+  },
+
+  async markRead(notificationId) {
+    const response = await api.patch(`/notifications/${notificationId}/read`)
+    return {
+      notification: response.data.data?.notification,
+      unreadCount: response.data.data?.unreadCount || 0
+    }
+  },
+
+  async markAllRead() {
+    const response = await api.patch('/notifications/read-all')
+    return {
+      unreadCount: response.data.data?.unreadCount || 0
+    }
+  }
+}
+
+export default notificationService
@@ -1,4 +1,8 @@
 import { io } from 'socket.io-client'
+import { refreshSession, isSessionOver } from './tokenRefresh'
+
+// What the server's socket auth middleware answers when the access token has expired
+const TOKEN_EXPIRED_MESSAGE = 'Authentication error: Token expired'
 
 class SocketService {
   constructor() {
@@ -57,7 +61,11 @@ class SocketService {
     this.socket.on('connect_error', (error) => {
       console.error('Socket.IO connection error:', error.message)
       this.isConnected = false
-      this.attemptReconnect()
+      if (error.message === TOKEN_EXPIRED_MESSAGE) {
+        this.refreshAndReconnect()
+      } else {
+        this.attemptReconnect()
+      }
     })
 
     this.socket.on('task-board-joined', (data) => {
@@ -83,6 +91,34 @@ class SocketService {
     }, delay)
   }
 
+  // Retrying with an expired token cannot succeed, so get a new one first; a successful
+  // refresh reconnects through reconnect(). When the session is over the expired
+  // listeners log the user out, other failures are retried with backoff.
+  refreshAndReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('Max reconnection attempts reached')
+      return
+    }
+
+    refreshSession().catch((error) => {
+      if (!isSessionOver(error)) {
+        this.attemptReconnect()
+      }
+    })
+  }
+
+  // Use a refreshed access token from now on. A live connection stays authenticated,
+  // so only a dropped socket is reconnected; either way listeners are kept.
+  reconnect(token) {
+    if (!this.socket) return
+
+    this.socket.auth = { ...this.socket.auth, token }
+    if (!this.socket.connected) {
+      this.reconnectAttempts = 0
+      this.socket.connect()
+    }
+  }
+
   disconnect() {
     if (this.socket) {
       this.socket.disconnect()
@@ -117,6 +153,13 @@ class SocketService {
     }
   }
 
+  // Fired when a column's positions were renumbered after a move
+  onTasksReordered(callback) {
+    if (this.socket) {
+      this.socket.on('tasks-reordered', callback)
+    }
+  }
+
   // Remove event listeners
   offTaskCreated(callback) {
     if (this.socket) {
@@ -142,6 +185,200 @@ class SocketService {
     }
   }
 
+  offTasksReordered(callback) {
+    if (this.socket) {
+      this.socket.off('tasks-reordered', callback)
+    }
+  }
+
+  // Label event listeners
+  onLabelCreated(callback) {
+    if (this.socket) {
+      this.socket.on('label-created', callback)
+    }
+  }
+
+  onLabelUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('label-updated', callback)
+    }
+  }
+
+  onLabelDeleted(callback) {
+    if (this.socket) {
+      this.socket.on('label-deleted', callback)
+    }
+  }
+
+  offLabelCreated(callback) {
+    if (this.socket) {
+      this.socket.off('label-created', callback)
+    }
+  }
+
+  offLabelUpdated(callback) {
+    if (this.socket) {
+      this.socket.off('label-updated', callback)
+    }
+  }
+
+  offLabelDeleted(callback) {
+    if (this.socket) {
+      this.socket.off('label-deleted', callback)
+    }
+  }
+
+  // Board event listeners
+  onBoardCreated(callback) {
+    if (this.socket) {
+      this.socket.on('board-created', callback)
+    }
+  }
+
+  onBoardUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('board-updated', callback)
+    }
+  }
+
+  onBoardDeleted(callback) {
+    if (this.socket) {
+      this.socket.on('board-deleted', callback)
+    }
+  }
+
+  offBoardCreated(callback) {
+    if (this.socket) {
+      this.socket.off('board-created', callback)
+    }
+  }
+
+  offBoardUpdated(callback) {
+    if (this.socket) {
+      this.socket.off('board-updated', callback)
+    }
+  }
+
+  offBoardDeleted(callback) {
+    if (this.socket) {
+      this.socket.off('board-deleted', callback)
+    }
+  }
+
+  // Workspace event listeners. workspace-created also arrives when the user joins
+  // a workspace, and workspace-removed when they leave or are removed from one.
+  onWorkspaceCreated(callback) {
+    if (this.socket) {
+      this.socket.on('workspace-created', callback)
+    }
+  }
+
+  onWorkspaceUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('workspace-updated', callback)
+    }
+  }
+
+  onWorkspaceRemoved(callback) {
+    if (this.socket) {
+      this.socket.on('workspace-removed', callback)
+    }
+  }
+
+  offWorkspaceCreated(callback) {
+    if (this.socket) {
+      this.socket.off('workspace-created', callback)
+    }
+  }
+
+  offWorkspaceUpdated(callback) {
+    if (this.socket) {
+      this.socket.off('workspace-updated', callback)
+    }
+  }
+
+  offWorkspaceRemoved(callback) {
+    if (this.socket) {
+      this.socket.off('workspace-removed', callback)
+    }
+  }
+
+  // Comment event listeners
+  onCommentCreated(callback) {
+    if (this.socket) {
+      this.socket.on('comment-created', callback)
+    }
+  }
+
+  onCommentUpdated(callback) {
+    if (this.socket) {
+      this.socket.on('comment-updated', callback)
+    }
+  }
+
+  onCommentDeleted(callback) {
+    if (this.socket) {
+      this.socket.on('comment-deleted', callback)
+    }
+  }
+
+  offCommentCreated(callback) {
+    if (this.socket) {
+      this.socket.off('comment-created', callback)
+    }
+  }
+
+  offCommentUpdated(callback) {
+    if (this.socket) {
+      this.socket.off('comment-updated', callback)
+    }
+  }
+
+  offCommentDeleted(callback) {
+    if (this.socket) {
+      this.socket.off('comment-deleted', callback)
+    }
+  }
+
+  // Sent to a user who was just assigned to a task
+  onTaskAssigned(callback) {
+    if (this.socket) {
+      this.socket.on('task-assigned', callback)
+    }
+  }
+
+  offTaskAssigned(callback) {
+    if (this.socket) {
+      this.socket.off('task-assigned', callback)
+    }
+  }
+
+  // Sent to a user who was just @mentioned in a task's description or comments
+  onMentioned(callback) {
+    if (this.socket) {
+      this.socket.on('mentioned', callback)
+    }
+  }
+
+  offMentioned(callback) {
+    if (this.socket) {
+      this.socket.off('mentioned', callback)
+    }
+  }
+
+  // Sent to a user when they get a new notification, with their unread count
+  onNotification(callback) {
+    if (this.socket) {
+      this.socket.on('notification', callback)
+    }
+  }
+
+  offNotification(callback) {
+    if (this.socket) {
+      this.socket.off('notification', callback)
+    }
+  }
+
   // Utility methods
   isSocketConnected() {
     return this.isConnected && this.socket?.connected
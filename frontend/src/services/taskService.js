@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
 
@@ -19,6 +20,9 @@ api.interceptors.request.use((config) => {
   return config
 })
 
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
 // Simple cache for GET requests
 const cache = new Map()
 const CACHE_DURATION = 30000 // 30 seconds
@@ -48,8 +52,8 @@ const debounce = (key, func, delay) => {
 }
 
 const taskService = {
-  async getTasks() {
-    const cacheKey = 'tasks'
+  async getTasks(boardId) {
+    const cacheKey = boardId ? `tasks:${boardId}` : 'tasks'
     const now = Date.now()
     
     // Check cache first
@@ -60,7 +64,9 @@ const taskService = {
       }
     }
     
-    const response = await api.get('/tasks')
+    const response = await api.get('/tasks', {
+      params: boardId ? { boardId } : undefined
+    })
     // Backend returns { success: true, data: { tasks: [...] } }
     const data = {
       tasks: response.data.data?.tasks || response.data.tasks || []
@@ -72,11 +78,23 @@ const taskService = {
     return data
   },
 
+  // Full-text search; results are never cached since they change with every edit
+  async searchTasks(query, { page = 1, limit = 10 } = {}) {
+    const response = await api.get('/tasks/search', {
+      params: { q: query, page, limit }
+    })
+    // Backend returns { success: true, data: { results: [...], pagination: {...} } }
+    return {
+      results: response.data.data?.results || [],
+      pagination: response.data.data?.pagination || { page, limit, total: 0, pages: 0 }
+    }
+  },
+
   async createTask(taskData) {
     const response = await api.post('/tasks', taskData)
     
     // Invalidate tasks cache
-    cache.delete('tasks')
+    cache.clear()
     
     // Backend returns { success: true, data: { task: {...} } }
     return {
@@ -90,7 +108,7 @@ const taskService = {
       const response = await api.put(`/tasks/${taskId}`, taskData)
       
       // Invalidate tasks cache
-      cache.delete('tasks')
+      cache.clear()
       
       // Backend returns { success: true, data: { task: {...} } }
       return {
@@ -103,7 +121,7 @@ const taskService = {
     const response = await api.delete(`/tasks/${taskId}`)
     
     // Invalidate tasks cache
-    cache.delete('tasks')
+    cache.clear()
     
     return response.data
   },
@@ -114,7 +132,7 @@ const taskService = {
       const response = await api.patch(`/tasks/${taskId}/status`, { status })
       
       // Invalidate tasks cache
-      cache.delete('tasks')
+      cache.clear()
       
       // Backend returns { success: true, data: { task: {...} } }
       return {
@@ -123,6 +141,68 @@ const taskService = {
     }, 200)
   },
 
+  // Move a task in front of beforeId (or to the end of the column when beforeId is null).
+  // Not debounced: every drop must reach the server so the order matches what the user saw.
+  async moveTask(taskId, status, beforeId = null) {
+    const response = await api.patch(`/tasks/${taskId}/move`, { status, beforeId })
+
+    // Invalidate tasks cache
+    cache.clear()
+
+    // Backend returns { success: true, data: { task: {...}, positions: [...] } }
+    return {
+      task: response.data.data?.task,
+      positions: response.data.data?.positions || []
+    }
+  },
+
+  async addChecklistItem(taskId, text) {
+    const response = await api.post(`/tasks/${taskId}/checklist`, { text })
+
+    // Invalidate tasks cache
+    cache.clear()
+
+    // Backend returns { success: true, data: { task: {...}, item: {...} } }
+    return {
+      task: response.data.data?.task,
+      item: response.data.data?.item
+    }
+  },
+
+  async updateChecklistItem(taskId, itemId, changes) {
+    const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`, changes)
+
+    // Invalidate tasks cache
+    cache.clear()
+
+    return {
+      task: response.data.data?.task,
+      item: response.data.data?.item
+    }
+  },
+
+  async reorderChecklist(taskId, itemIds) {
+    const response = await api.put(`/tasks/${taskId}/checklist/order`, { itemIds })
+
+    // Invalidate tasks cache
+    cache.clear()
+
+    return {
+      task: response.data.data?.task
+    }
+  },
+
+  async deleteChecklistItem(taskId, itemId) {
+    const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`)
+
+    // Invalidate tasks cache
+    cache.clear()
+
+    return {
+      task: response.data.data?.task
+    }
+  },
+
   // Method to clear cache manually if needed
   clearCache() {
     cache.clear()
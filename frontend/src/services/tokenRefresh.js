@@ -0,0 +1,84 @@
+import axios from 'axios'
+import socketService from './socketService'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// The refresh in flight; requests failing meanwhile wait for it instead of refreshing again
+let refreshPromise = null
+const sessionExpiredListeners = new Set()
+
+// Called when the session cannot be refreshed and the user has to log in again
+export const onSessionExpired = (callback) => {
+  sessionExpiredListeners.add(callback)
+  return () => sessionExpiredListeners.delete(callback)
+}
+
+// Exchange the stored refresh token for a new token pair and return the access token.
+// Refresh tokens are single use, so concurrent callers share one request.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken')
+      if (!refreshToken) {
+        throw Object.assign(new Error('No refresh token'), { code: 'NO_REFRESH_TOKEN' })
+      }
+
+      // Plain axios, so a failing refresh never goes through the interceptor again
+      const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      const { accessToken, refreshToken: rotatedToken } = response.data.data
+
+      localStorage.setItem('token', accessToken)
+      localStorage.setItem('refreshToken', rotatedToken)
+      socketService.reconnect(accessToken)
+
+      return accessToken
+    })().finally(() => {
+      refreshPromise = null
+    })
+  }
+
+  return refreshPromise
+}
+
+// Only a refresh the server rejected ends the session; network and server errors may pass
+export const isSessionOver = (refreshError) => {
+  const status = refreshError.response?.status
+  return refreshError.code === 'NO_REFRESH_TOKEN' || (status >= 400 && status < 500)
+}
+
+// Refresh the access token like refreshAccessToken, telling the session expired
+// listeners when the server will not refresh it
+export const refreshSession = async () => {
+  try {
+    return await refreshAccessToken()
+  } catch (refreshError) {
+    if (isSessionOver(refreshError)) {
+      sessionExpiredListeners.forEach(listener => listener())
+    }
+    throw refreshError
+  }
+}
+
+// Retry requests that failed with an expired access token once, after refreshing it
+export const attachTokenRefresh = (api) => {
+  api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error
+      if (response?.status !== 401 || response.data?.error?.code !== 'TOKEN_EXPIRED' || !config || config._retried) {
+        throw error
+      }
+
+      let accessToken
+      try {
+        accessToken = await refreshSession()
+      } catch {
+        throw error
+      }
+
+      config._retried = true
+      config.headers.Authorization = `Bearer ${accessToken}`
+      return api(config)
+    }
+  )
+}
@@ -0,0 +1,53 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const userService = {
+  async getProfile() {
+    const response = await api.get('/users/me')
+    return response.data.data.user
+  },
+
+  async updateProfile(changes) {
+    const response = await api.patch('/users/me', changes)
+    return response.data.data.user
+  },
+
+  async changePassword(currentPassword, newPassword) {
+    const response = await api.post('/users/me/password', { currentPassword, newPassword })
+    return response.data.data
+  },
+
+  async exportData() {
+    const response = await api.get('/users/me/export', { responseType: 'blob' })
+    return response.data
+  },
+
+  async deleteAccount(password) {
+    const response = await api.delete('/users/me', { data: { password } })
+    return response.data.data
+  }
+}
+
+export default userService
@@ -0,0 +1,109 @@
+import axios from 'axios'
+import { attachTokenRefresh } from './tokenRefresh'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : '/api'
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+})
+
+// Add token to requests if available
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token')
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+// Refresh the access token when it expires and retry the request
+attachTokenRefresh(api)
+
+const workspaceService = {
+  async getWorkspaces() {
+    const response = await api.get('/workspaces')
+    // Backend returns { success: true, data: { workspaces: [...] } }
+    return {
+      workspaces: response.data.data?.workspaces || []
+    }
+  },
+
+  async createWorkspace(workspaceData) {
+    const response = await api.post('/workspaces', workspaceData)
+    return {
+      workspace: response.data.data?.workspace
+    }
+  },
+
+  // changes may hold a new name and/or settings
+  async updateWorkspace(workspaceId, changes) {
+    const response = await api.patch(`/workspaces/${workspaceId}`, changes)
+    return {
+      workspace: response.data.data?.workspace
+    }
+  },
+
+  // Member endpoints all return the workspace's users, owner first
+  async getMembers(workspaceId, search = '') {
+    const response = await api.get(`/workspaces/${workspaceId}/members`, {
+      params: search ? { q: search } : {}
+    })
+    return {
+      members: response.data.data?.members || []
+    }
+  },
+
+  async updateMember(workspaceId, userId, role) {
+    const response = await api.patch(`/workspaces/${workspaceId}/members/${userId}`, { role })
+    return {
+      members: response.data.data?.members || []
+    }
+  },
+
+  // Removing yourself leaves the workspace
+  async removeMember(workspaceId, userId) {
+    const response = await api.delete(`/workspaces/${workspaceId}/members/${userId}`)
+    return {
+      members: response.data.data?.members || []
+    }
+  },
+
+  async getInvites(workspaceId) {
+    const response = await api.get(`/workspaces/${workspaceId}/invitations`)
+    return {
+      invites: response.data.data?.invites || []
+    }
+  },
+
+  // The link's URL is only returned here, when it is created
+  async createInvite(workspaceId, { role, expiresInDays }) {
+    const response = await api.post(`/workspaces/${workspaceId}/invitations`, { role, expiresInDays })
+    return {
+      invite: response.data.data?.invite,
+      url: response.data.data?.url
+    }
+  },
+
+  async deleteInvite(workspaceId, inviteId) {
+    const response = await api.delete(`/workspaces/${workspaceId}/invitations/${inviteId}`)
+    return response.data
+  },
+
+  async getInvitation(token) {
+    const response = await api.get(`/workspaces/invitations/${token}`)
+    return response.data.data
+  },
+
+  async acceptInvitation(token) {
+    const response = await api.post(`/workspaces/invitations/${token}/accept`)
+    return {
+      workspace: response.data.data?.workspace
+    }
+  }
+}
+
+export default workspaceService
@@ -0,0 +1,44 @@
+// Mirrors the backend account rules (validateRegister and validateStrongPassword)
+// so forms can point out problems before submitting
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/
+const EMAIL_PATTERN = /\S+@\S+\.\S+/
+const STRONG_PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/
+
+/**
+ * Check a username against the registration rules
+ * @param {string} username - Username as typed
+ * @returns {string} - Error message, or an empty string when valid
+ */
+export const validateUsername = (username) => {
+  const value = username.trim()
+  if (!value) return 'Username is required'
+  if (value.length < 3 || value.length > 30) return 'Username must be between 3 and 30 characters'
+  if (!USERNAME_PATTERN.test(value)) return 'Username can only contain letters, numbers, and underscores'
+  return ''
+}
+
+/**
+ * Check that an email address looks valid
+ * @param {string} email - Email as typed
+ * @returns {string} - Error message, or an empty string when valid
+ */
+export const validateEmail = (email) => {
+  const value = email.trim()
+  if (!value) return 'Email is required'
+  if (!EMAIL_PATTERN.test(value)) return 'Email is invalid'
+  return ''
+}
+
+/**
+ * Check a new password against the strong password rules
+ * @param {string} password - Password as typed
+ * @returns {string} - Error message, or an empty string when valid
+ */
+export const validateStrongPassword = (password) => {
+  if (!password) return 'Password is required'
+  if (password.length < 8 || password.length > 128) return 'Password must be between 8 and 128 characters long'
+  if (!STRONG_PASSWORD_PATTERN.test(password)) {
+    return 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+  }
+  return ''
+}
@@ -0,0 +1,60 @@
+// Views of a board by assignee, offered next to the sort control
+export const ASSIGNEE_FILTERS = [
+  { value: 'all', label: 'Everyone' },
+  { value: 'me', label: 'Assigned to me' },
+  { value: 'none', label: 'Unassigned' }
+]
+
+// Avatar background colours, picked per user so the same person keeps their colour
+const AVATAR_COLORS = ['#0079bf', '#61bd4f', '#ff9f1a', '#eb5a46', '#c377e0', '#00c2e0', '#51e898', '#ff78cb']
+
+/**
+ * Get the initials shown on a user's avatar
+ * @param {string} username - Username
+ * @returns {string} - Up to two uppercase letters
+ */
+export const getInitials = (username = '') => {
+  const parts = username.split(/[\s._-]+/).filter(Boolean)
+  if (parts.length === 0) return '?'
+  if (parts.length === 1) return parts[0].slice(0, 2).toUpperCase()
+  return (parts[0][0] + parts[1][0]).toUpperCase()
+}
+
+/**
+ * Get the avatar colour of a user
+ * @param {string} username - Username
+ * @returns {string} - CSS colour
+ */
+export const getAvatarColor = (username = '') => {
+  let hash = 0
+  for (const char of username) {
+    hash = (hash * 31 + char.charCodeAt(0)) % AVATAR_COLORS.length
+  }
+  return AVATAR_COLORS[hash]
+}
+
+/**
+ * Get the IDs of a task's assignees, whether they are populated or bare IDs
+ * @param {Object} task - Task
+ * @returns {Array<string>} - Assignee user IDs
+ */
+export const getAssigneeIds = (task) =>
+  (task.assignees || []).map(assignee => (typeof assignee === 'string' ? assignee : assignee._id))
+
+/**
+ * Keep the tasks matching an assignee filter
+ * @param {Array} tasks - Tasks to filter
+ * @param {string} filter - 'all', 'me', 'none' or the ID of a user whose tasks to keep
+ * @param {string} userId - Current user's ID, used by 'me'
+ * @returns {Array} - Matching tasks
+ */
+export const filterTasksByAssignee = (tasks, filter, userId) => {
+  if (filter === 'all') {
+    return tasks
+  }
+  if (filter === 'none') {
+    return tasks.filter(task => getAssigneeIds(task).length === 0)
+  }
+  const assigneeId = filter === 'me' ? userId : filter
+  return tasks.filter(task => getAssigneeIds(task).includes(assigneeId))
+}
@@ -0,0 +1,44 @@
+// Mirrors the backend upload limits so users get feedback before uploading
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip'
+]
+
+/**
+ * Check a file against the upload limits
+ * @param {File} file - File picked by the user
+ * @returns {string|null} - Error message, or null when the file can be uploaded
+ */
+export const getAttachmentError = (file) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`
+  }
+  // Some browsers report an empty type for .md files; let the server decide
+  if (file.type && !ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+    return `${file.name} is not a supported file type`
+  }
+  return null
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human readable size such as "1.5 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+export const isImageAttachment = (attachment) => attachment.mimeType?.startsWith('image/')
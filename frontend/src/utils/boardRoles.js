@@ -0,0 +1,46 @@
+// Roles a board can be shared with (the owner's role is implied)
+export const MEMBER_ROLES = [
+  { value: 'editor', label: 'Editor' },
+  { value: 'commenter', label: 'Commenter' },
+  { value: 'viewer', label: 'Viewer' }
+]
+
+// What each role may do (mirrors ROLE_PERMISSIONS on the backend)
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'comment', 'edit', 'manage'],
+  editor: ['view', 'comment', 'edit'],
+  commenter: ['view', 'comment'],
+  viewer: ['view']
+}
+
+/**
+ * Get the user's role on a board
+ * @param {Object} board - Board with its owner (userId) and members
+ * @param {string} userId - Current user's ID
+ * @returns {string|null} - 'owner', a member role, or null without access
+ */
+export const getBoardRole = (board, userId) => {
+  if (!board) return null
+  // Boards listed without an owner are the user's own
+  if (!board.userId || board.userId === userId) return 'owner'
+  const member = (board.members || []).find(entry => entry.userId === userId)
+  return member ? member.role : null
+}
+
+/**
+ * Check whether the user's role on a board allows an action
+ * @param {Object} board - Board with its owner (userId) and members
+ * @param {string} userId - Current user's ID
+ * @param {string} action - 'view', 'comment', 'edit' or 'manage'
+ * @returns {boolean} - True when the action is allowed
+ */
+export const canOnBoard = (board, userId, action) =>
+  Boolean(ROLE_PERMISSIONS[getBoardRole(board, userId)]?.includes(action))
+
+/**
+ * Get the display name of a role
+ * @param {string} role - Board role
+ * @returns {string} - Role label
+ */
+export const getRoleLabel = (role) =>
+  role === 'owner' ? 'Owner' : MEMBER_ROLES.find(option => option.value === role)?.label || role
@@ -0,0 +1,33 @@
+// Columns every board starts with (mirrors DEFAULT_COLUMNS on the backend)
+export const DEFAULT_COLUMNS = [
+  { key: 'todo', name: 'To Do', isDone: false },
+  { key: 'inprogress', name: 'In Progress', isDone: false },
+  { key: 'done', name: 'Done', isDone: true }
+]
+
+/**
+ * Find the column a status belongs to
+ * @param {Array} columns - Board columns in display order
+ * @param {string} status - Task status (a column key)
+ * @returns {Object|null} - Matching column, or null
+ */
+export const findColumn = (columns, status) =>
+  columns.find(column => column.key === status) || null
+
+/**
+ * Check whether tasks in a status count as completed
+ * @param {Array} columns - Board columns in display order
+ * @param {string} status - Task status (a column key)
+ * @returns {boolean} - True when the status is a done column
+ */
+export const isDoneStatus = (columns, status) =>
+  Boolean(findColumn(columns, status)?.isDone)
+
+/**
+ * Resolve a status to one that exists on the board
+ * @param {Array} columns - Board columns in display order
+ * @param {string} status - Preferred status
+ * @returns {string} - The status if it is a column, otherwise the first column's key
+ */
+export const resolveStatus = (columns, status) =>
+  findColumn(columns, status) ? status : columns[0]?.key
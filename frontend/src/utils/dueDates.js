@@ -0,0 +1,45 @@
+// Tasks due within this window are flagged as "due soon"
+export const DUE_SOON_WINDOW_MS = 2 * 24 * 60 * 60 * 1000
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Work out whether a task needs a deadline badge
+ * @param {Object} task - Task with optional dueDate and completedAt
+ * @param {Date} now - Reference time, defaults to the current time
+ * @returns {'overdue'|'due-soon'|null} - The badge to show, if any
+ */
+export const getDueStatus = (task, now = new Date()) => {
+  if (!task?.dueDate || task.completedAt) return null
+
+  const dueDate = new Date(task.dueDate)
+  if (dueDate < now) return 'overdue'
+  if (dueDate - now <= DUE_SOON_WINDOW_MS) return 'due-soon'
+  return null
+}
+
+/**
+ * Convert an ISO date string into the local YYYY-MM-DD value used by date inputs
+ * @param {string} dateString - ISO date string from the API
+ * @returns {string} - Date input value, or an empty string
+ */
+export const toDateInputValue = (dateString) => {
+  if (!dateString) return ''
+  const date = new Date(dateString)
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Convert a YYYY-MM-DD date input value into an ISO string in local time
+ * @param {string} value - Date input value
+ * @param {Object} options - Pass endOfDay to anchor the date at 23:59:59.999
+ * @returns {string|null} - ISO date string, or null when the input is empty
+ */
+export const fromDateInputValue = (value, { endOfDay = false } = {}) => {
+  if (!value) return null
+  const [year, month, day] = value.split('-').map(Number)
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day)
+  return date.toISOString()
+}
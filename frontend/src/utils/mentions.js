@@ -0,0 +1,86 @@
+// @mentions in descriptions and comments. The server stores the text as written and
+// returns the users it refers to as mentions: [{ userId, username }].
+
+// How many suggestions the mention autocomplete offers at once
+export const MAX_MENTION_SUGGESTIONS = 5
+
+// Same shape the server looks for: an @ and a username, not inside a word or email address
+const MENTION_PATTERN = /(?<![\w@])@(\w{3,30})(?!\w)/g
+
+// A mention being typed: an @ and the start of a username right before the caret
+const PARTIAL_MENTION_PATTERN = /(?<![\w@])@(\w{0,30})$/
+
+/**
+ * Split text into plain segments and the mentions the server resolved
+ * @param {string} text - Description or comment body
+ * @param {Array} mentions - Resolved mentions ({ userId, username })
+ * @returns {Array<{text: string, mention: Object|null}>} - Segments in order
+ */
+export const splitMentions = (text = '', mentions = []) => {
+  const byName = new Map(mentions.map(mention => [mention.username, mention]))
+  const segments = []
+  let start = 0
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const mention = byName.get(match[1])
+    if (!mention) continue
+
+    if (match.index > start) {
+      segments.push({ text: text.slice(start, match.index), mention: null })
+    }
+    segments.push({ text: match[0], mention })
+    start = match.index + match[0].length
+  }
+  if (start < text.length) {
+    segments.push({ text: text.slice(start), mention: null })
+  }
+  return segments
+}
+
+/**
+ * Find the mention being typed before the caret
+ * @param {string} text - Text of the input
+ * @param {number} caret - Caret position
+ * @returns {{query: string, start: number}|null} - Typed part of the username and where its @ is
+ */
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(PARTIAL_MENTION_PATTERN)
+  return match ? { query: match[1], start: match.index } : null
+}
+
+/**
+ * Get the users to suggest for a partly typed mention, by username prefix
+ * @param {Array} users - Users who can be mentioned ({ _id, username })
+ * @param {string} query - Typed part of the username
+ * @returns {Array} - Up to MAX_MENTION_SUGGESTIONS users
+ */
+export const getMentionSuggestions = (users, query) => {
+  const prefix = query.toLowerCase()
+  return users
+    .filter(user => user.username.toLowerCase().startsWith(prefix))
+    .slice(0, MAX_MENTION_SUGGESTIONS)
+}
+
+/**
+ * Replace a partly typed mention with a full one
+ * @param {string} text - Text of the input
+ * @param {number} start - Position of the mention's @
+ * @param {number} caret - Caret position, at the end of the typed part
+ * @param {string} username - Username picked
+ * @returns {{text: string, caret: number}} - New text and the caret position after the mention
+ */
+export const insertMention = (text, start, caret, username) => {
+  const mention = `@${username} `
+  return {
+    text: text.slice(0, start) + mention + text.slice(caret).replace(/^ /, ''),
+    caret: start + mention.length
+  }
+}
+
+/**
+ * Get where a mention links to: the board showing the cards assigned to that user
+ * @param {string} boardId - Board of the task the mention is on
+ * @param {string} userId - Mentioned user's ID
+ * @returns {string} - Route path
+ */
+export const getMentionPath = (boardId, userId) => `/boards/${boardId}?assignee=${userId}`
@@ -0,0 +1,31 @@
+/**
+ * Describe what a notification is about
+ * @param {Object} notification - Notification with its type, populated actorId and taskTitle
+ * @returns {string} - Sentence shown in the notification list
+ */
+export const describeNotification = (notification) => {
+  const actor = notification.actorId?.username || 'Someone'
+  const title = `"${notification.taskTitle}"`
+
+  switch (notification.type) {
+    case 'assigned':
+      return `${actor} assigned you to ${title}`
+    case 'comment':
+      return `${actor} commented on ${title}`
+    case 'mention':
+      return `${actor} mentioned you in ${title}`
+    case 'due_soon':
+      return `${title} is due soon`
+    case 'overdue':
+      return `${title} is overdue`
+    default:
+      return title
+  }
+}
+
+/**
+ * Format the unread count shown on the notification bell
+ * @param {number} count - Unread notifications
+ * @returns {string} - The count, capped at 99+
+ */
+export const formatUnreadCount = (count) => (count > 99 ? '99+' : String(count))
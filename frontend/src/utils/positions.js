@@ -0,0 +1,46 @@
+// Task positions are fractional ranks (mirrors utils/ranking.js on the backend): a moved
+// card takes the midpoint of its new neighbours and the server rebalances dense columns.
+
+const RANK_STEP = 1
+
+/**
+ * Rank for a card placed between two neighbours, used for optimistic updates
+ * @param {number|null} prev - Position of the card above, or null at the top
+ * @param {number|null} next - Position of the card below, or null at the bottom
+ * @returns {number} - Position between the two; may be negative at the top of a
+ *   column, since the server's answer (after any rebalance) replaces it
+ */
+export const rankBetween = (prev, next) => {
+  if (prev == null && next == null) return 0
+  if (next == null) return prev + RANK_STEP
+  if (prev == null) return next - RANK_STEP
+  return (prev + next) / 2
+}
+
+/**
+ * Position a card would take when dropped in front of another card
+ * @param {Array} columnTasks - The target column's tasks in display order
+ * @param {string} taskId - Card being moved
+ * @param {string|null} beforeId - Card it is dropped in front of, or null for the end
+ * @returns {number} - Optimistic position for the moved card
+ */
+export const getDropPosition = (columnTasks, taskId, beforeId) => {
+  const others = columnTasks.filter(task => task._id !== taskId)
+  const nextIndex = beforeId ? others.findIndex(task => task._id === beforeId) : -1
+  const index = nextIndex === -1 ? others.length : nextIndex
+
+  return rankBetween(others[index - 1]?.position ?? null, others[index]?.position ?? null)
+}
+
+/**
+ * Apply server-side position changes (e.g. after a column rebalance) to a task list
+ * @param {Array} tasks - Tasks to update
+ * @param {Array} positions - Entries of { _id, position }
+ * @returns {Array} - Tasks with their new positions; unchanged if there are none
+ */
+export const applyPositions = (tasks, positions = []) => {
+  if (positions.length === 0) return tasks
+
+  const byId = new Map(positions.map(entry => [entry._id, entry.position]))
+  return tasks.map(task => byId.has(task._id) ? { ...task, position: byId.get(task._id) } : task)
+}
@@ -0,0 +1,47 @@
+// Task priorities, ordered from least to most urgent (mirrors TASK_PRIORITIES on the backend)
+export const PRIORITIES = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' }
+]
+
+export const DEFAULT_PRIORITY = 'medium'
+
+/**
+ * Get the rank of a priority, where higher means more urgent
+ * @param {string} priority - Priority value
+ * @returns {number} - Rank, treating unknown priorities as the default
+ */
+export const getPriorityRank = (priority) => {
+  const rank = PRIORITIES.findIndex(p => p.value === priority)
+  return rank === -1 ? getPriorityRank(DEFAULT_PRIORITY) : rank
+}
+
+/**
+ * Get the display label for a priority
+ * @param {string} priority - Priority value
+ * @returns {string} - Human readable label
+ */
+export const getPriorityLabel = (priority) => {
+  const match = PRIORITIES.find(p => p.value === priority)
+  return match ? match.label : getPriorityLabel(DEFAULT_PRIORITY)
+}
+
+/**
+ * Sort tasks for display within a column
+ * @param {Array} tasks - Tasks to sort
+ * @param {'position'|'priority'} sortBy - Sort mode
+ * @returns {Array} - A new, sorted array
+ */
+export const sortTasks = (tasks, sortBy = 'position') => {
+  const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0)
+
+  if (sortBy === 'priority') {
+    return [...tasks].sort((a, b) =>
+      getPriorityRank(b.priority) - getPriorityRank(a.priority) || byPosition(a, b)
+    )
+  }
+
+  return [...tasks].sort(byPosition)
+}
@@ -0,0 +1,31 @@
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//]
+]
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+]
+
+const findName = (candidates, userAgent) =>
+  candidates.find(([, pattern]) => pattern.test(userAgent))?.[0] || null
+
+/**
+ * Summarise a user-agent string as a device label
+ * @param {string} userAgent - User-agent recorded for a session
+ * @returns {string} - Label such as "Chrome on macOS", or "Unknown device"
+ */
+export const describeUserAgent = (userAgent = '') => {
+  const browser = findName(BROWSERS, userAgent)
+  const platform = findName(PLATFORMS, userAgent)
+
+  if (browser && platform) return `${browser} on ${platform}`
+  return browser || platform || 'Unknown device'
+}
@@ -0,0 +1,52 @@
+// Roles a workspace member can have (the owner's role is implied)
+export const WORKSPACE_MEMBER_ROLES = [
+  { value: 'member', label: 'Member' },
+  { value: 'admin', label: 'Admin' }
+]
+
+// How long a new invitation link stays valid, in days
+export const INVITE_EXPIRY_OPTIONS = [
+  { value: 1, label: '1 day' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' }
+]
+
+/**
+ * Get the user's role in a workspace
+ * @param {Object} workspace - Workspace with its owner (userId) and members
+ * @param {string} userId - Current user's ID
+ * @returns {string|null} - 'owner', 'admin', 'member', or null outside the workspace
+ */
+export const getWorkspaceRole = (workspace, userId) => {
+  if (!workspace) return null
+  if (workspace.userId === userId) return 'owner'
+  const member = (workspace.members || []).find(entry => entry.userId === userId)
+  return member ? member.role : null
+}
+
+/**
+ * Check whether the user administers a workspace (settings, members and invitations)
+ * @param {Object} workspace - Workspace with its owner (userId) and members
+ * @param {string} userId - Current user's ID
+ * @returns {boolean} - True for the owner and admins
+ */
+export const canAdministerWorkspace = (workspace, userId) =>
+  ['owner', 'admin'].includes(getWorkspaceRole(workspace, userId))
+
+/**
+ * Check whether the user may create invitation links to a workspace
+ * @param {Object} workspace - Workspace with its owner, members and settings
+ * @param {string} userId - Current user's ID
+ * @returns {boolean} - True for admins, and for members when the workspace allows it
+ */
+export const canInviteToWorkspace = (workspace, userId) =>
+  canAdministerWorkspace(workspace, userId) ||
+  Boolean(workspace?.settings?.membersCanInvite && getWorkspaceRole(workspace, userId))
+
+/**
+ * Get the display name of a workspace role
+ * @param {string} role - Workspace role
+ * @returns {string} - Role label
+ */
+export const getWorkspaceRoleLabel = (role) =>
+  role === 'owner' ? 'Owner' : WORKSPACE_MEMBER_ROLES.find(option => option.value === role)?.label || role